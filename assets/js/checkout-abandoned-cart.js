@@ -0,0 +1,210 @@
+/* global wu_checkout, _ */
+/**
+ * Partial checkout capture.
+ *
+ * Sends the email address and cart of the customer to the server
+ * once a valid email address is entered, so unfinished checkouts
+ * can be recovered later. Beacons are debounced while the customer
+ * types and flushed when the page is hidden. Visitors only get
+ * recovery emails if they tick the recovery_consent checkbox.
+ *
+ * @since 2.5.0
+ * @param {jQuery} $     jQuery object.
+ * @param {Object} hooks The wp.hooks object.
+ */
+(function($, hooks) {
+
+	if (! wu_checkout.abandoned_cart || ! wu_checkout.abandoned_cart.enabled) {
+
+		return;
+
+	} // end if;
+
+	hooks.addFilter('wu_before_form_init', 'nextpress/wp-ultimo', function(data) {
+
+		return Object.assign(data, {
+			recovery_consent: false,
+		});
+
+	});
+
+	/**
+	 * Loose email check, the server does the real validation.
+	 *
+	 * @param {string} value The value to check.
+	 * @return {boolean} True if it looks like an email address.
+	 */
+	const is_email = function(value) {
+
+		return typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+	};
+
+	/**
+	 * Last payload sent, used to avoid sending the same data twice.
+	 *
+	 * @type {string}
+	 */
+	let last_payload = '';
+
+	/**
+	 * Set once the order is placed, to stop sending beacons.
+	 *
+	 * @type {boolean}
+	 */
+	let completed = false;
+
+	/**
+	 * Builds the partial checkout payload.
+	 *
+	 * @param {Object} checkout The checkout Vue instance.
+	 * @return {Object|null} The payload, or null if there is no email address yet.
+	 */
+	const get_payload = function(checkout) {
+
+		const email_address = checkout.email_address || wu_checkout.abandoned_cart.email;
+
+		if (! is_email(email_address)) {
+
+			return null;
+
+		} // end if;
+
+		const form = $('#wu_form');
+
+		return hooks.applyFilters('wu_partial_checkout_payload', {
+			email_address,
+			products: checkout.products,
+			checkout_form: form.find('[name="checkout_form"]').val() || '',
+			checkout_step: form.find('[name="checkout_step"]').val() || '',
+			page_url: wu_checkout.baseurl,
+			username: checkout.username,
+			site_title: checkout.site_title,
+			site_url: checkout.site_url,
+			template_id: checkout.template_id,
+			discount_code: checkout.discount_code,
+			duration: checkout.duration,
+			duration_unit: checkout.duration_unit,
+			billing_country: checkout.country,
+			billing_state: checkout.state,
+			billing_city: checkout.city,
+			recovery_consent: checkout.recovery_consent ? 1 : 0,
+			_wpnonce: form.find('[name="_wpnonce"]').val(),
+		}, checkout);
+
+	};
+
+	/**
+	 * Sends the partial checkout, if anything changed since the last time.
+	 *
+	 * @param {Object} checkout The checkout Vue instance.
+	 */
+	const send = function(checkout) {
+
+		if (completed) {
+
+			return;
+
+		} // end if;
+
+		const payload = get_payload(checkout);
+
+		if (! payload) {
+
+			return;
+
+		} // end if;
+
+		const serialized = JSON.stringify(payload);
+
+		if (serialized === last_payload) {
+
+			return;
+
+		} // end if;
+
+		last_payload = serialized;
+
+		const url = wu_checkout.late_ajaxurl + '&action=wu_save_partial_checkout';
+
+		if (navigator.sendBeacon) {
+
+			const data = new window.FormData();
+
+			_.each(payload, function(value, key) {
+
+				if (_.isArray(value)) {
+
+					_.each(value, function(item) {
+
+						data.append(key + '[]', item);
+
+					});
+
+					return;
+
+				} // end if;
+
+				data.append(key, value === null || typeof value === 'undefined' ? '' : value);
+
+			});
+
+			if (navigator.sendBeacon(url, data)) {
+
+				return;
+
+			} // end if;
+
+		} // end if;
+
+		$.ajax({
+			method: 'POST',
+			url,
+			data: payload,
+		});
+
+	};
+
+	hooks.addAction('wu_checkout_loaded', 'nextpress/wp-ultimo', function(checkout) {
+
+		const send_debounced = _.debounce(function() {
+
+			send(checkout);
+
+		}, 2000);
+
+		_.each([ 'email_address', 'products', 'site_url', 'template_id', 'duration', 'duration_unit', 'recovery_consent' ], function(key) {
+
+			checkout.$watch(key, send_debounced, { deep: true });
+
+		});
+
+		/*
+		 * Flush pending changes when the customer leaves the page.
+		 */
+		document.addEventListener('visibilitychange', function() {
+
+			if (document.visibilityState === 'hidden') {
+
+				send_debounced.cancel();
+
+				send(checkout);
+
+			} // end if;
+
+		});
+
+		/*
+		 * Logged-in customers do not type an email address.
+		 */
+		send_debounced();
+
+	});
+
+	hooks.addAction('wu_on_form_success', 'nextpress/wp-ultimo', function() {
+
+		completed = true;
+
+	});
+
+}(jQuery, wp.hooks));
@@ -0,0 +1 @@
+((c,u)=>{if(wu_checkout.abandoned_cart&&wu_checkout.abandoned_cart.enabled){u.addFilter("wu_before_form_init","nextpress/wp-ultimo",function(e){return Object.assign(e,{recovery_consent:!1})});let i=function(e){return"string"==typeof e&&/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)},a="",o=!1,e=function(e){if(!o){t=(e=e).email_address||wu_checkout.abandoned_cart.email;var t=i(t)?(n=c("#wu_form"),u.applyFilters("wu_partial_checkout_payload",{email_address:t,products:e.products,checkout_form:n.find('[name="checkout_form"]').val()||"",checkout_step:n.find('[name="checkout_step"]').val()||"",page_url:wu_checkout.baseurl,username:e.username,site_title:e.site_title,site_url:e.site_url,template_id:e.template_id,discount_code:e.discount_code,duration:e.duration,duration_unit:e.duration_unit,billing_country:e.country,billing_state:e.state,billing_city:e.city,recovery_consent:e.recovery_consent?1:0,_wpnonce:n.find('[name="_wpnonce"]').val()},e)):null;if(t){var n=JSON.stringify(t);if(n!==a){a=n;e=wu_checkout.late_ajaxurl+"&action=wu_save_partial_checkout";if(navigator.sendBeacon){let n=new window.FormData;if(_.each(t,function(e,t){_.isArray(e)?_.each(e,function(e){n.append(t+"[]",e)}):n.append(t,null==e?"":e)}),navigator.sendBeacon(e,n))return}c.ajax({method:"POST",url:e,data:t})}}}};u.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(t){let n=_.debounce(function(){e(t)},2e3);_.each(["email_address","products","site_url","template_id","duration","duration_unit","recovery_consent"],function(e){t.$watch(e,n,{deep:!0})}),document.addEventListener("visibilitychange",function(){"hidden"===document.visibilityState&&(n.cancel(),e(t))}),n()}),u.addAction("wu_on_form_success","nextpress/wp-ultimo",function(){o=!0})}})(jQuery,wp.hooks);
\ No newline at end of file
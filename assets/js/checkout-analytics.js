@@ -0,0 +1,383 @@
+/* global wu_checkout_analytics_settings, _ */
+/**
+ * Checkout analytics.
+ *
+ * Maps the checkout hooks to standard ecommerce events (view_item,
+ * add_to_cart, remove_from_cart, begin_checkout, add_payment_info and
+ * purchase), using the totals calculated by the server, and sends them
+ * to every registered adapter.
+ *
+ * The built-in adapters push the events to the Google Tag Manager data
+ * layer or to gtag.js. Custom adapters can be registered at any time:
+ *
+ *     wu_checkout_analytics.register_adapter('my-endpoint', function(event, params) {
+ *         navigator.sendBeacon('/my-endpoint', JSON.stringify({ event, params }));
+ *     });
+ *
+ * @since 2.5.0
+ * @param {jQuery} $     jQuery object.
+ * @param {Object} hooks The wp.hooks object.
+ * @param {Object} _     The underscore object.
+ */
+(function($, hooks, _) {
+
+	const settings = wu_checkout_analytics_settings;
+
+	/**
+	 * Built-in adapters.
+	 *
+	 * @type {Object}
+	 */
+	const built_in_adapters = {
+		datalayer(event, params) {
+
+			window.dataLayer = window.dataLayer || [];
+
+			// Clears the previous ecommerce object, as recommended by Google.
+			window.dataLayer.push({ ecommerce: null });
+
+			window.dataLayer.push({
+				event,
+				ecommerce: params,
+			});
+
+		},
+		gtag(event, params) {
+
+			if (typeof window.gtag === 'function') {
+
+				window.gtag('event', event, params);
+
+			} // end if;
+
+		},
+	};
+
+	const analytics = {
+		adapters: {},
+
+		/**
+		 * Registers an adapter that receives every event.
+		 *
+		 * @param {string}   name     Unique adapter name.
+		 * @param {Function} callback Receives the event name and its parameters.
+		 */
+		register_adapter(name, callback) {
+
+			this.adapters[ name ] = callback;
+
+		},
+
+		/**
+		 * Removes an adapter.
+		 *
+		 * @param {string} name The adapter name.
+		 */
+		remove_adapter(name) {
+
+			delete this.adapters[ name ];
+
+		},
+
+		/**
+		 * Sends an event to all adapters.
+		 *
+		 * @param {string} event  The event name, e.g. add_to_cart.
+		 * @param {Object} params The event parameters.
+		 */
+		track(event, params) {
+
+			params = hooks.applyFilters('wu_checkout_analytics_event', params, event);
+
+			if (params === false) {
+
+				return;
+
+			} // end if;
+
+			_.each(this.adapters, function(callback, name) {
+
+				try {
+
+					callback(event, params);
+
+				} catch (error) {
+
+					// eslint-disable-next-line no-console
+					console.warn('Checkout analytics adapter "' + name + '" failed.', error);
+
+				} // end try;
+
+			});
+
+			hooks.doAction('wu_checkout_analytics_tracked', event, params);
+
+		},
+	};
+
+	if (built_in_adapters[ settings.adapter ]) {
+
+		analytics.register_adapter(settings.adapter, built_in_adapters[ settings.adapter ]);
+
+	} // end if;
+
+	analytics.adapters = hooks.applyFilters('wu_checkout_analytics_adapters', analytics.adapters);
+
+	window.wu_checkout_analytics = analytics;
+
+	/**
+	 * Tracks an event only once per browser session, using a key to dedupe it.
+	 *
+	 * @param {string} key The dedupe key.
+	 * @return {boolean} True if the event was not tracked yet.
+	 */
+	const first_time = function(key) {
+
+		const storage_key = 'wu_checkout_analytics_' + key;
+
+		try {
+
+			if (window.sessionStorage.getItem(storage_key)) {
+
+				return false;
+
+			} // end if;
+
+			window.sessionStorage.setItem(storage_key, '1');
+
+		} catch (error) {
+
+			// Storage not available, track it anyway.
+
+		} // end try;
+
+		return true;
+
+	};
+
+	/**
+	 * Latest order calculated by the server.
+	 *
+	 * @type {Object|null}
+	 */
+	let current_order = null;
+
+	/**
+	 * Products added and removed since the last order was calculated.
+	 *
+	 * @type {Object}
+	 */
+	const pending_changes = {
+		added: [],
+		removed: [],
+	};
+
+	let payment_info_sent = false;
+
+	/**
+	 * Checks if a line item refers to a product id or slug.
+	 *
+	 * @param {Object} line_item   The line item.
+	 * @param {Array}  product_ids The product ids or slugs.
+	 * @return {boolean} True if it matches.
+	 */
+	const matches = function(line_item, product_ids) {
+
+		return _.some(product_ids, function(product_id) {
+
+			return String(line_item.product_id) === String(product_id) || line_item.product_slug === product_id;
+
+		});
+
+	};
+
+	/**
+	 * Converts the product line items of an order to ecommerce items.
+	 *
+	 * @param {Object} order       The order.
+	 * @param {Array}  product_ids Limits the items to these products.
+	 * @return {Array} The items.
+	 */
+	const get_items = function(order, product_ids) {
+
+		if (! order || ! order.line_items) {
+
+			return [];
+
+		} // end if;
+
+		let line_items = _.where(order.line_items, { type: 'product' });
+
+		if (product_ids) {
+
+			line_items = _.filter(line_items, (line_item) => matches(line_item, product_ids));
+
+		} // end if;
+
+		return _.map(line_items, function(line_item, index) {
+
+			return hooks.applyFilters('wu_checkout_analytics_item', {
+				item_id: line_item.product_slug || String(line_item.product_id),
+				item_name: line_item.title,
+				price: line_item.unit_price,
+				quantity: line_item.quantity,
+				discount: line_item.discount_total,
+				index,
+			}, line_item);
+
+		});
+
+	};
+
+	/**
+	 * Builds the parameters shared by all events.
+	 *
+	 * @param {Object} order The order.
+	 * @param {Array}  items The items.
+	 * @return {Object} The parameters.
+	 */
+	const get_params = function(order, items) {
+
+		return {
+			currency: (order && order.currency) || settings.currency,
+			value: _.reduce(items, (total, item) => total + (item.price * item.quantity) - item.discount, 0),
+			items,
+		};
+
+	};
+
+	/**
+	 * Builds the parameters of checkout events, using the order total.
+	 *
+	 * @param {Object} order    The order.
+	 * @param {Object} checkout The checkout Vue instance.
+	 * @return {Object} The parameters.
+	 */
+	const get_checkout_params = function(order, checkout) {
+
+		const params = get_params(order, get_items(order));
+
+		params.value = order.totals.total;
+
+		if (checkout.discount_code) {
+
+			params.coupon = checkout.discount_code;
+
+		} // end if;
+
+		return params;
+
+	};
+
+	hooks.addAction('wu_on_change_product', 'nextpress/wp-ultimo', function(new_value, old_value) {
+
+		const old_products = _.map(old_value || [], String);
+
+		const new_products = _.map(new_value || [], String);
+
+		pending_changes.added = _.union(pending_changes.added, _.difference(new_products, old_products));
+
+		pending_changes.removed = _.union(pending_changes.removed, _.difference(old_products, new_products));
+
+	});
+
+	hooks.addAction('wu_on_create_order', 'nextpress/wp-ultimo', function(checkout, data) {
+
+		const previous_order = current_order;
+
+		const order = data.order;
+
+		current_order = order;
+
+		if (! order || ! get_items(order).length) {
+
+			return;
+
+		} // end if;
+
+		if (! previous_order) {
+
+			analytics.track('view_item', get_params(order, get_items(order)));
+
+			if (first_time('begin_checkout_' + settings.form)) {
+
+				analytics.track('begin_checkout', get_checkout_params(order, checkout));
+
+			} // end if;
+
+		} // end if;
+
+		const added = get_items(order, pending_changes.added);
+
+		if (added.length) {
+
+			analytics.track('add_to_cart', get_params(order, added));
+
+		} // end if;
+
+		const removed = get_items(previous_order, pending_changes.removed);
+
+		if (removed.length) {
+
+			analytics.track('remove_from_cart', get_params(previous_order, removed));
+
+		} // end if;
+
+		pending_changes.added = [];
+
+		pending_changes.removed = [];
+
+	});
+
+	hooks.addAction('wu_on_change_gateway', 'nextpress/wp-ultimo', function(new_value, old_value, checkout) {
+
+		// The initial gateway is not a choice made by the customer.
+		if (! new_value || new_value === old_value || ! current_order) {
+
+			return;
+
+		} // end if;
+
+		payment_info_sent = true;
+
+		analytics.track('add_payment_info', _.extend(get_checkout_params(current_order, checkout), {
+			payment_type: new_value,
+		}));
+
+	});
+
+	hooks.addAction('wu_on_form_submitted', 'nextpress/wp-ultimo', function(checkout, gateway) {
+
+		if (payment_info_sent || ! current_order || current_order.is_free || ! $('#wu_form [name="gateway"]').length) {
+
+			return;
+
+		} // end if;
+
+		payment_info_sent = true;
+
+		analytics.track('add_payment_info', _.extend(get_checkout_params(current_order, checkout), {
+			payment_type: gateway,
+		}));
+
+	});
+
+	/*
+	 * Fired when the order is placed, before the payment is processed by the gateway.
+	 */
+	hooks.addAction('wu_on_form_success', 'nextpress/wp-ultimo', function(checkout, data) {
+
+		if (! current_order || ! first_time('purchase_' + data.payment_id)) {
+
+			return;
+
+		} // end if;
+
+		analytics.track('purchase', _.extend(get_checkout_params(current_order, checkout), {
+			transaction_id: String(data.payment_id),
+			value: data.total,
+		}));
+
+	});
+
+}(jQuery, wp.hooks, _));
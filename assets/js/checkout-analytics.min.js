@@ -0,0 +1 @@
+((a,r,i)=>{let n=wu_checkout_analytics_settings;var t={datalayer(t,e){window.dataLayer=window.dataLayer||[],window.dataLayer.push({ecommerce:null}),window.dataLayer.push({event:t,ecommerce:e})},gtag(t,e){"function"==typeof window.gtag&&window.gtag("event",t,e)}};function c(t){t="wu_checkout_analytics_"+t;try{if(window.sessionStorage.getItem(t))return;window.sessionStorage.setItem(t,"1")}catch(t){}return 1}function o(t,a){if(!t||!t.line_items)return[];let e=i.where(t.line_items,{type:"product"});return a&&(e=i.filter(e,t=>{return e=t,i.some(a,function(t){return String(e.product_id)===String(t)||e.product_slug===t});var e})),i.map(e,function(t,e){return r.applyFilters("wu_checkout_analytics_item",{item_id:t.product_slug||String(t.product_id),item_name:t.title,price:t.unit_price,quantity:t.quantity,discount:t.discount_total,index:e},t)})}function d(t,e){return{currency:t&&t.currency||n.currency,value:i.reduce(e,(t,e)=>t+e.price*e.quantity-e.discount,0),items:e}}function u(t,e){var a=d(t,o(t));return a.value=t.totals.total,e.discount_code&&(a.coupon=e.discount_code),a}let _={adapters:{},register_adapter(t,e){this.adapters[t]=e},remove_adapter(t){delete this.adapters[t]},track(a,n){!1!==(n=r.applyFilters("wu_checkout_analytics_event",n,a))&&(i.each(this.adapters,function(t,e){try{t(a,n)}catch(t){console.warn('Checkout analytics adapter "'+e+'" failed.',t)}}),r.doAction("wu_checkout_analytics_tracked",a,n))}},s=(t[n.adapter]&&_.register_adapter(n.adapter,t[n.adapter]),_.adapters=r.applyFilters("wu_checkout_analytics_adapters",_.adapters),window.wu_checkout_analytics=_,null),p={added:[],removed:[]},l=!1;r.addAction("wu_on_change_product","nextpress/wp-ultimo",function(t,e){e=i.map(e||[],String),t=i.map(t||[],String);p.added=i.union(p.added,i.difference(t,e)),p.removed=i.union(p.removed,i.difference(e,t))}),r.addAction("wu_on_create_order","nextpress/wp-ultimo",function(t,e){var a=s,e=e.order;(s=e)&&o(e).length&&(a||(_.track("view_item",d(e,o(e))),c("begin_checkout_"+n.form)&&_.track("begin_checkout",u(e,t))),(t=o(e,p.added)).length&&_.track("add_to_cart",d(e,t)),(e=o(a,p.removed)).length&&_.track("remove_from_cart",d(a,e)),p.added=[],p.removed=[])}),r.addAction("wu_on_change_gateway","nextpress/wp-ultimo",function(t,e,a){t&&t!==e&&s&&(l=!0,_.track("add_payment_info",i.extend(u(s,a),{payment_type:t})))}),r.addAction("wu_on_form_submitted","nextpress/wp-ultimo",function(t,e){!l&&s&&!s.is_free&&a('#wu_form [name="gateway"]').length&&(l=!0,_.track("add_payment_info",i.extend(u(s,t),{payment_type:e})))}),r.addAction("wu_on_form_success","nextpress/wp-ultimo",function(t,e){s&&c("purchase_"+e.payment_id)&&_.track("purchase",i.extend(u(s,t),{transaction_id:String(e.payment_id),value:e.total}))})})(jQuery,wp.hooks,_);
\ No newline at end of file
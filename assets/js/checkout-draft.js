@@ -0,0 +1,427 @@
+/* global wu_checkout, _ */
+/**
+ * Checkout draft persistence.
+ *
+ * Saves the non-sensitive part of the checkout state on the browser
+ * storage, so customers can continue where they left off after a
+ * reload, a back navigation or a later visit.
+ *
+ * Drafts are versioned: a draft saved by a different storage format
+ * or against an older layout of the checkout form is discarded.
+ *
+ * @since 2.5.0
+ * @param {jQuery} $     jQuery object.
+ * @param {Object} hooks The wp.hooks object.
+ */
+(function($, hooks) {
+
+	/**
+	 * Version of the draft format. Bump it when the stored shape changes.
+	 *
+	 * @type {number}
+	 */
+	const DRAFT_VERSION = 1;
+
+	const settings = $.extend({
+		enabled: false,
+		storage: 'local',
+		expiration: 3 * 24 * 60 * 60,
+		key: 'wu_checkout_draft_default',
+		form_version: '',
+	}, wu_checkout.draft || {});
+
+	/**
+	 * Keys of the checkout state that are safe to keep on the browser.
+	 *
+	 * Passwords and payment details must never be added here.
+	 *
+	 * @type {Array}
+	 */
+	const draft_keys = hooks.applyFilters('wu_checkout_draft_keys', [
+		'products',
+		'plan',
+		'template_id',
+		'site_title',
+		'site_url',
+		'email_address',
+		'username',
+		'country',
+		'state',
+		'city',
+		'discount_code',
+		'duration',
+		'duration_unit',
+	]);
+
+	/**
+	 * Keys that depend on other keys and need to be restored last.
+	 *
+	 * Changing the country resets the state, and changing the state
+	 * resets the city, so they are restored one tick after each other.
+	 *
+	 * @type {Array}
+	 */
+	const dependent_keys = [ 'state', 'city' ];
+
+	/**
+	 * Draft found on load, kept until the customer decides what to do with it.
+	 *
+	 * @type {Object|null}
+	 */
+	let pending_draft = null;
+
+	/**
+	 * Returns the storage object to use, if available.
+	 *
+	 * @return {Storage|null} The storage, or null when it can not be used.
+	 */
+	const get_storage = function() {
+
+		try {
+
+			const storage = settings.storage === 'session' ? window.sessionStorage : window.localStorage;
+
+			const test_key = settings.key + '_test';
+
+			storage.setItem(test_key, '1');
+
+			storage.removeItem(test_key);
+
+			return storage;
+
+		} catch (e) {
+
+			return null;
+
+		} // end try;
+
+	};
+
+	/**
+	 * Reads the saved draft, discarding it if it is expired or outdated.
+	 *
+	 * @return {Object|null} The draft, or null if there is no valid draft.
+	 */
+	const read_draft = function() {
+
+		const storage = get_storage();
+
+		if (! storage) {
+
+			return null;
+
+		} // end if;
+
+		let draft = null;
+
+		try {
+
+			draft = JSON.parse(storage.getItem(settings.key));
+
+		} catch (e) {
+
+			draft = null;
+
+		} // end try;
+
+		if (! draft || typeof draft.data !== 'object') {
+
+			return null;
+
+		} // end if;
+
+		const is_outdated = draft.version !== DRAFT_VERSION || draft.form_version !== settings.form_version;
+
+		if (is_outdated || draft.expires_at < Date.now()) {
+
+			clear_draft();
+
+			return null;
+
+		} // end if;
+
+		return draft;
+
+	};
+
+	/**
+	 * Saves the current checkout state.
+	 *
+	 * @param {Object} checkout The checkout Vue instance.
+	 */
+	const save_draft = function(checkout) {
+
+		const storage = get_storage();
+
+		if (! storage) {
+
+			return;
+
+		} // end if;
+
+		const data = hooks.applyFilters('wu_checkout_draft_data', _.pick(checkout.$data, draft_keys), checkout);
+
+		const now = Date.now();
+
+		const draft = {
+			version: DRAFT_VERSION,
+			form_version: settings.form_version,
+			saved_at: now,
+			expires_at: now + (settings.expiration * 1000),
+			step: $('#wu_form [name="checkout_step"]').val() || '',
+			data,
+		};
+
+		try {
+
+			storage.setItem(settings.key, JSON.stringify(draft));
+
+		} catch (e) {
+
+			// Storage is full or blocked, there is nothing we can do.
+
+		} // end try;
+
+	};
+
+	/**
+	 * Removes the saved draft.
+	 */
+	const clear_draft = function() {
+
+		const storage = get_storage();
+
+		if (storage) {
+
+			storage.removeItem(settings.key);
+
+		} // end if;
+
+	};
+
+	/**
+	 * Checks if a value is empty, meaning the server did not pre-fill it.
+	 *
+	 * @param {*} value The value to check.
+	 * @return {boolean} True if empty.
+	 */
+	const is_empty = function(value) {
+
+		if (_.isArray(value)) {
+
+			return value.length === 0;
+
+		} // end if;
+
+		return value === '' || value === null || typeof value === 'undefined' || value === false || value === 0 || value === '0';
+
+	};
+
+	/**
+	 * Returns the draft keys that would fill an empty value of the target.
+	 *
+	 * @param {Object} target The object receiving the values.
+	 * @param {Object} data   The draft data.
+	 * @param {Array}  keys   The keys to check.
+	 * @return {Array} The keys that can be restored.
+	 */
+	const get_restorable_keys = function(target, data, keys) {
+
+		return _.filter(keys, function(key) {
+
+			return _.has(data, key) && ! is_empty(data[ key ]) && is_empty(target[ key ]);
+
+		});
+
+	};
+
+	/**
+	 * Copies the draft values to a target object.
+	 *
+	 * Values pre-filled by the server (from the URL, the session or a
+	 * previous step) always win over the draft.
+	 *
+	 * @param {Object} target The object receiving the values.
+	 * @param {Object} data   The draft data.
+	 * @param {Array}  keys   The keys to copy.
+	 */
+	const apply_values = function(target, data, keys) {
+
+		_.each(get_restorable_keys(target, data, keys), function(key) {
+
+			target[ key ] = _.isArray(data[ key ]) ? data[ key ].slice() : data[ key ];
+
+		});
+
+	};
+
+	/**
+	 * Checks if the page was loaded by a reload or a back/forward navigation.
+	 *
+	 * @return {boolean} True for reloads and history navigations.
+	 */
+	const is_returning_navigation = function() {
+
+		try {
+
+			const entries = window.performance.getEntriesByType('navigation');
+
+			if (entries.length) {
+
+				return entries[ 0 ].type === 'reload' || entries[ 0 ].type === 'back_forward';
+
+			} // end if;
+
+			return window.performance.navigation.type === 1 || window.performance.navigation.type === 2;
+
+		} catch (e) {
+
+			return false;
+
+		} // end try;
+
+	};
+
+	/**
+	 * Restores the draft on a running checkout.
+	 *
+	 * @param {Object} checkout The checkout Vue instance.
+	 * @param {Object} draft    The draft to restore.
+	 */
+	const restore_draft = function(checkout, draft) {
+
+		const keys = _.difference(draft_keys, dependent_keys);
+
+		apply_values(checkout, draft.data, keys);
+
+		checkout.$nextTick(function() {
+
+			apply_values(checkout, draft.data, [ 'state' ]);
+
+			checkout.$nextTick(function() {
+
+				apply_values(checkout, draft.data, [ 'city' ]);
+
+			});
+
+		});
+
+		hooks.doAction('wu_checkout_draft_restored', checkout, draft);
+
+	};
+
+	if (! settings.enabled) {
+
+		return;
+
+	} // end if;
+
+	/*
+	 * Restores the draft before the app is created, or flags it to
+	 * be offered to the customer.
+	 */
+	hooks.addFilter('wu_before_form_init', 'nextpress/wp-ultimo', function(data) {
+
+		data.draft_available = false;
+
+		data.draft_saved_at = 0;
+
+		const draft = read_draft();
+
+		if (! draft || ! get_restorable_keys(data, draft.data, draft_keys).length) {
+
+			return data;
+
+		} // end if;
+
+		if (is_returning_navigation()) {
+
+			apply_values(data, draft.data, draft_keys);
+
+			return data;
+
+		} // end if;
+
+		pending_draft = draft;
+
+		data.draft_available = true;
+
+		data.draft_saved_at = draft.saved_at;
+
+		return data;
+
+	});
+
+	/*
+	 * Saves the draft every time a relevant value changes.
+	 */
+	hooks.addAction('wu_checkout_loaded', 'nextpress/wp-ultimo', function(checkout) {
+
+		const save = _.debounce(function() {
+
+			/*
+			 * Keep the previous draft untouched until the
+			 * customer decides to restore or discard it.
+			 */
+			if (pending_draft) {
+
+				return;
+
+			} // end if;
+
+			save_draft(checkout);
+
+		}, 500);
+
+		_.each(draft_keys, function(key) {
+
+			if (_.has(checkout.$data, key)) {
+
+				checkout.$watch(key, save, { deep: true });
+
+			} // end if;
+
+		});
+
+		$(document).on('click', '#wu-checkout-draft-restore', function(event) {
+
+			event.preventDefault();
+
+			if (pending_draft) {
+
+				restore_draft(checkout, pending_draft);
+
+			} // end if;
+
+			pending_draft = null;
+
+			checkout.draft_available = false;
+
+		});
+
+		$(document).on('click', '#wu-checkout-draft-discard', function(event) {
+
+			event.preventDefault();
+
+			pending_draft = null;
+
+			checkout.draft_available = false;
+
+			clear_draft();
+
+			save_draft(checkout);
+
+		});
+
+	});
+
+	/*
+	 * The order was placed, the draft is no longer needed.
+	 */
+	hooks.addAction('wu_on_form_success', 'nextpress/wp-ultimo', function() {
+
+		clear_draft();
+
+	});
+
+}(jQuery, wp.hooks));
@@ -0,0 +1 @@
+((r,o)=>{function a(t){var e=p();if(e){var t=o.applyFilters("wu_checkout_draft_data",_.pick(t.$data,l),t),a=Date.now(),a={version:1,form_version:d.form_version,saved_at:a,expires_at:a+1e3*d.expiration,step:r('#wu_form [name="checkout_step"]').val()||"",data:t};try{e.setItem(d.key,JSON.stringify(a))}catch(t){}}}function i(){var t=p();t&&t.removeItem(d.key)}function n(t){return _.isArray(t)?0===t.length:""===t||null==t||!1===t||0===t||"0"===t}function c(e,a,t){return _.filter(t,function(t){return _.has(a,t)&&!n(a[t])&&n(e[t])})}function u(e,a,t){_.each(c(e,a,t),function(t){e[t]=_.isArray(a[t])?a[t].slice():a[t]})}let d=r.extend({enabled:!1,storage:"local",expiration:259200,key:"wu_checkout_draft_default",form_version:""},wu_checkout.draft||{}),l=o.applyFilters("wu_checkout_draft_keys",["products","plan","template_id","site_title","site_url","email_address","username","country","state","city","discount_code","duration","duration_unit"]),s=["state","city"],f=null,p=function(){try{var t="session"===d.storage?window.sessionStorage:window.localStorage,e=d.key+"_test";return t.setItem(e,"1"),t.removeItem(e),t}catch(t){return null}};d.enabled&&(o.addFilter("wu_before_form_init","nextpress/wp-ultimo",function(t){t.draft_available=!1,t.draft_saved_at=0;var e=(()=>{var t=p();if(!t)return null;let e=null;try{e=JSON.parse(t.getItem(d.key))}catch(t){e=null}return e&&"object"==typeof e.data?1!==e.version||e.form_version!==d.form_version||e.expires_at<Date.now()?(i(),null):e:null})();return e&&c(t,e.data,l).length&&((()=>{try{var t=window.performance.getEntriesByType("navigation");return t.length?"reload"===t[0].type||"back_forward"===t[0].type:1===window.performance.navigation.type||2===window.performance.navigation.type}catch(t){return!1}})()?u(t,e.data,l):(f=e,t.draft_available=!0,t.draft_saved_at=e.saved_at)),t}),o.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(n){let e=_.debounce(function(){f||a(n)},500);_.each(l,function(t){_.has(n.$data,t)&&n.$watch(t,e,{deep:!0})}),r(document).on("click","#wu-checkout-draft-restore",function(t){var e,a;t.preventDefault(),f&&(e=n,a=f,t=_.difference(l,s),u(e,a.data,t),e.$nextTick(function(){u(e,a.data,["state"]),e.$nextTick(function(){u(e,a.data,["city"])})}),o.doAction("wu_checkout_draft_restored",e,a)),f=null,n.draft_available=!1}),r(document).on("click","#wu-checkout-draft-discard",function(t){t.preventDefault(),f=null,n.draft_available=!1,i(),a(n)})}),o.addAction("wu_on_form_success","nextpress/wp-ultimo",function(){i()}))})(jQuery,wp.hooks);
\ No newline at end of file
@@ -0,0 +1,101 @@
+/* global wu_checkout, wu_checkout_experiment */
+/**
+ * Checkout A/B experiments.
+ *
+ * Keeps the visitor on the variant assigned by the server through a
+ * sticky cookie, and reports an exposure the first time a visitor sees
+ * a variant and a conversion when the checkout form is submitted.
+ *
+ * @since 2.5.0
+ * @param {jQuery} $     jQuery object.
+ * @param {Object} hooks The wp.hooks object.
+ */
+(function($, hooks) {
+
+	const experiment = wu_checkout_experiment;
+
+	/**
+	 * Cookie flagging visitors that already converted on this experiment.
+	 *
+	 * @type {string}
+	 */
+	const CONVERTED_COOKIE = experiment.cookie + '_converted';
+
+	/**
+	 * Sends a tracking event to the server.
+	 *
+	 * Uses a beacon when available, as conversions are sent right before
+	 * the checkout form is submitted and the page unloads.
+	 *
+	 * @param {string} event Either exposures or conversions.
+	 */
+	const track = function(event) {
+
+		const form = $('#wu_form');
+
+		const url = wu_checkout.late_ajaxurl + '&action=wu_track_experiment';
+
+		const payload = {
+			event,
+			experiment: experiment.experiment,
+			variant: experiment.variant,
+			_wpnonce: form.find('[name="_wpnonce"]').val(),
+		};
+
+		if (navigator.sendBeacon) {
+
+			const data = new window.FormData();
+
+			$.each(payload, function(key, value) {
+
+				data.append(key, value);
+
+			});
+
+			if (navigator.sendBeacon(url, data)) {
+
+				return;
+
+			} // end if;
+
+		} // end if;
+
+		$.ajax({
+			method: 'POST',
+			url,
+			data: payload,
+		});
+
+	};
+
+	hooks.addAction('wu_checkout_loaded', 'nextpress/wp-ultimo', function() {
+
+		if (window.wu_read_cookie(experiment.cookie) === experiment.variant) {
+
+			return;
+
+		} // end if;
+
+		window.wu_create_cookie(experiment.cookie, experiment.variant, experiment.days);
+
+		window.wu_erase_cookie(CONVERTED_COOKIE);
+
+		track('exposures');
+
+	});
+
+	hooks.addAction('wu_on_form_success', 'nextpress/wp-ultimo', function() {
+
+		if (window.wu_read_cookie(CONVERTED_COOKIE)) {
+
+			return;
+
+		} // end if;
+
+		window.wu_create_cookie(CONVERTED_COOKIE, '1', experiment.days);
+
+		track('conversions');
+
+	});
+
+}(jQuery, wp.hooks));
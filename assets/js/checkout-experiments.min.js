@@ -0,0 +1 @@
+((i,e)=>{function o(e){var o=i("#wu_form"),a=wu_checkout.late_ajaxurl+"&action=wu_track_experiment",e={event:e,experiment:n.experiment,variant:n.variant,_wpnonce:o.find('[name="_wpnonce"]').val()};if(navigator.sendBeacon){let n=new window.FormData;if(i.each(e,function(e,o){n.append(e,o)}),navigator.sendBeacon(a,n))return}i.ajax({method:"POST",url:a,data:e})}let n=wu_checkout_experiment,a=n.cookie+"_converted";e.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(){window.wu_read_cookie(n.cookie)!==n.variant&&(window.wu_create_cookie(n.cookie,n.variant,n.days),window.wu_erase_cookie(a),o("exposures"))}),e.addAction("wu_on_form_success","nextpress/wp-ultimo",function(){window.wu_read_cookie(a)||(window.wu_create_cookie(a,"1",n.days),o("conversions"))})})(jQuery,wp.hooks);
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * Checkout form editor preview.
+ *
+ * Runs inside the preview frame of the checkout form editor. The editor
+ * can be on another domain than the registration page, so both sides
+ * talk over postMessage: the preview reports its height, so the frame
+ * can grow with the form, and re-renders its steps in place when the
+ * editor asks for a refresh, instead of reloading the whole frame.
+ *
+ * @since 2.5.0
+ */
+(function() {
+
+	const settings = window.wu_checkout_form_preview;
+
+	if (! settings || window.parent === window) {
+
+		return;
+
+	} // end if;
+
+	const content = document.getElementById('wu-checkout-preview');
+
+	/**
+	 * Sends a message to the editor.
+	 *
+	 * @param {string} action The message action.
+	 * @param {Object} data   Additional data.
+	 */
+	const send = function(action, data = {}) {
+
+		window.parent.postMessage(Object.assign({ action }, data), settings.editor_origin);
+
+	};
+
+	const send_height = function() {
+
+		send('wu_checkout_form_preview_height', {
+			height: document.documentElement.scrollHeight,
+		});
+
+	};
+
+	/**
+	 * Replaces the steps with a new render of the same preview.
+	 *
+	 * @param {string} step The step to show, or empty for all steps.
+	 */
+	const refresh = function(step) {
+
+		const url = new URL(window.location.href);
+
+		url.searchParams.set('step', step || '');
+
+		url.searchParams.set('partial', 1);
+
+		url.searchParams.set('uniq', Date.now());
+
+		window.fetch(url.toString(), { credentials: 'same-origin' })
+			.then((response) => {
+
+				if (! response.ok) {
+
+					throw new Error(response.statusText);
+
+				} // end if;
+
+				return response.text();
+
+			})
+			.then((html) => {
+
+				content.innerHTML = html;
+
+				send('wu_checkout_form_preview_refreshed');
+
+				send_height();
+
+			})
+			.catch(() => send('wu_checkout_form_preview_error'));
+
+	};
+
+	window.addEventListener('message', function(event) {
+
+		if (event.origin !== settings.editor_origin || ! event.data) {
+
+			return;
+
+		} // end if;
+
+		if (event.data.action === 'wu_checkout_form_preview_refresh') {
+
+			refresh(event.data.step);
+
+		} // end if;
+
+	});
+
+	/*
+	 * The frame starts hidden and changes width with the device, both change the height.
+	 */
+	if (typeof window.ResizeObserver === 'function') {
+
+		new window.ResizeObserver(send_height).observe(document.body);
+
+	} // end if;
+
+	window.addEventListener('load', send_height);
+
+	send('wu_checkout_form_preview_ready');
+
+}());
@@ -0,0 +1 @@
+(()=>{let i=window.wu_checkout_form_preview;if(i&&window.parent!==window){let r=document.getElementById("wu-checkout-preview"),o=function(e,t={}){window.parent.postMessage(Object.assign({action:e},t),i.editor_origin)},n=function(){o("wu_checkout_form_preview_height",{height:document.documentElement.scrollHeight})};window.addEventListener("message",function(e){var t;e.origin===i.editor_origin&&e.data&&"wu_checkout_form_preview_refresh"===e.data.action&&(e=e.data.step,(t=new URL(window.location.href)).searchParams.set("step",e||""),t.searchParams.set("partial",1),t.searchParams.set("uniq",Date.now()),window.fetch(t.toString(),{credentials:"same-origin"}).then(e=>{if(e.ok)return e.text();throw new Error(e.statusText)}).then(e=>{r.innerHTML=e,o("wu_checkout_form_preview_refreshed"),n()}).catch(()=>o("wu_checkout_form_preview_error")))}),"function"==typeof window.ResizeObserver&&new window.ResizeObserver(n).observe(document.body),window.addEventListener("load",n),o("wu_checkout_form_preview_ready")}})();
\ No newline at end of file
@@ -1,4 +1,4 @@
-/* global vuedraggable, Vue, wu_checkout_forms_editor_app, wu_checkout_form, _, ajaxurl, wu_initialize_tooltip */
+/* global vuedraggable, Vue, wu_checkout_forms_editor_app, wu_checkout_form, _, ajaxurl, wu_initialize_tooltip, Mousetrap, wp */
 (function($) {
 
   $(document).ready(function() {
@@ -40,8 +40,24 @@
           preview_error: false,
           preview: false,
           loading_preview: false,
+          refresh_pending: false,
           preview_content: '',
           iframe_preview_url: '',
+          preview_height: 0,
+          preview_device: 'desktop',
+          preview_step: '',
+          preview_state: 'customer',
+          preview_coupon: '',
+          history: [],
+          history_index: -1,
+          show_revisions: false,
+          revisions: [],
+          show_templates: false,
+          templates: [],
+          unique_types: [],
+          template_preview: null,
+          template_backup: null,
+          template_skipped: 0,
         }, wu_checkout_form);
 
       },
@@ -59,13 +75,45 @@
           }, 0);
 
         },
+        can_undo() {
+
+          return ! this.template_preview && this.history_index > 0;
+
+        },
+        can_redo() {
+
+          return ! this.template_preview && this.history_index < this.history.length - 1;
+
+        },
+        /*
+         * Add-ons can register more templates on the gallery.
+         */
+        available_templates() {
+
+          return wp.hooks.applyFilters('wu_checkout_form_editor_templates', this.templates.slice(), this);
+
+        },
+        preview_origin() {
+
+          return new URL(this.register_page, window.location.href).origin;
+
+        },
       },
       watch: {
         steps: {
 
           handler() {
 
-            this.update_session();
+            this.record_history();
+
+            /*
+             * Template previews are saved apart, so they never replace the form being edited.
+             */
+            if (! this.template_preview) {
+
+              this.update_session();
+
+            } // end if;
 
           },
 
@@ -75,49 +123,168 @@
       },
       mounted() {
 
+        this.record_history();
+
         this.update_session();
 
+        const that = this;
+
+        window.addEventListener('message', this.receive_preview_message);
+
+        /*
+         * Shortcuts are ignored while a modal is open. Mousetrap already ignores inputs.
+         */
+        Mousetrap.bind('mod+z', function() {
+
+          if (! document.body.classList.contains('modal-open')) {
+
+            that.undo();
+
+          } // end if;
+
+          return false;
+
+        });
+
+        Mousetrap.bind([ 'mod+shift+z', 'mod+y' ], function() {
+
+          if (! document.body.classList.contains('modal-open')) {
+
+            that.redo();
+
+          } // end if;
+
+          return false;
+
+        });
+
       },
       methods: {
-        get_preview(type = null) {
+        get_preview(state = null) {
+
+          if (state === null && this.template_preview) {
 
-          if (type === null) {
+            this.discard_template_preview();
+
+            return;
+
+          } // end if;
+
+          if (state === null) {
 
             this.preview = ! this.preview;
 
+          } else {
+
+            this.preview_state = state;
+
           } // end if;
 
           if (this.preview) {
 
-            this.loading_preview = true;
+            this.load_preview();
 
-            const that = this;
+          } // end if;
 
-            // eslint-disable-next-line max-len
-            that.iframe_preview_url = that.register_page + '?action=wu_generate_checkout_form_preview' + '&form_id=' + that.form_id + '&type=' + type + '&uniq=' + (Math.random() * 1000);
+        },
+        load_preview() {
 
-            $('#wp-ultimo-checkout-preview').on('load', function() {
+          this.loading_preview = true;
 
-              that.loading_preview = false;
+          this.preview_error = false;
 
-              setTimeout(() => {
+          const args = {
+            action: 'wu_generate_checkout_form_preview',
+            form_id: this.form_id,
+            state: this.preview_state,
+            step: this.preview_step,
+            coupon: this.preview_coupon,
+            uniq: Date.now(),
+          };
 
-                const height = document.getElementById('wp-ultimo-checkout-preview').contentWindow.document.body.scrollHeight;
+          if (this.template_preview) {
 
-                $('#wp-ultimo-checkout-preview').animate({
-                  height,
-                });
+            args.template_preview = 1;
 
-              }, 1000);
+          } // end if;
 
-            });
+          this.iframe_preview_url = this.register_page + (this.register_page.indexOf('?') === -1 ? '?' : '&') + $.param(args);
+
+        },
+        /*
+         * Re-renders the preview in place, keeping the frame and its scroll position.
+         */
+        refresh_preview() {
+
+          if (! this.preview) {
 
-          }
+            return;
 
-          // eslint-disable-next-line no-console
-          console.log('no preview');
+          } // end if;
+
+          /*
+           * The preview being loaded might not have the latest changes, refresh once it is ready.
+           */
+          if (this.loading_preview) {
+
+            this.refresh_pending = true;
+
+            return;
+
+          } // end if;
 
-          // end if;
+          if (this.preview_step && ! this.find_step(this.preview_step)) {
+
+            this.preview_step = '';
+
+          } // end if;
+
+          const frame = document.getElementById('wp-ultimo-checkout-preview');
+
+          frame.contentWindow.postMessage({
+            action: 'wu_checkout_form_preview_refresh',
+            step: this.preview_step,
+          }, this.preview_origin);
+
+        },
+        set_preview_step(step_id) {
+
+          this.preview_step = step_id;
+
+          this.refresh_preview();
+
+        },
+        receive_preview_message(event) {
+
+          if (event.origin !== this.preview_origin || ! event.data) {
+
+            return;
+
+          } // end if;
+
+          const actions = {
+            wu_checkout_form_preview_ready: () => {
+
+              this.loading_preview = false;
+
+              if (this.refresh_pending) {
+
+                this.refresh_pending = false;
+
+                this.refresh_preview();
+
+              } // end if;
+
+            },
+            wu_checkout_form_preview_height: () => this.preview_height = event.data.height,
+            wu_checkout_form_preview_error: () => this.preview_error = true,
+          };
+
+          if (actions[ event.data.action ]) {
+
+            actions[ event.data.action ]();
+
+          } // end if;
 
         },
         add_step(data, cb = null) {
@@ -254,6 +421,240 @@
 
           });
 
+        },
+        record_history() {
+
+          const snapshot = JSON.stringify(this.steps);
+
+          /*
+           * Undoing and redoing change the steps to a snapshot we already have.
+           * Template previews are not changes to the form either.
+           */
+          if (this.template_preview || this.history[ this.history_index ] === snapshot) {
+
+            return;
+
+          } // end if;
+
+          this.history = this.history.slice(0, this.history_index + 1).concat([ snapshot ]).slice(-50);
+
+          this.history_index = this.history.length - 1;
+
+        },
+        undo() {
+
+          if (this.can_undo) {
+
+            this.history_index--;
+
+            this.steps = JSON.parse(this.history[ this.history_index ]);
+
+          } // end if;
+
+        },
+        redo() {
+
+          if (this.can_redo) {
+
+            this.history_index++;
+
+            this.steps = JSON.parse(this.history[ this.history_index ]);
+
+          } // end if;
+
+        },
+        add_revision(revision) {
+
+          this.merge_revision(revision);
+
+          this.show_revisions = true;
+
+        },
+        /*
+         * Lists a revision first, replacing the one with the same id, e.g. the autosave.
+         */
+        merge_revision(revision) {
+
+          this.revisions = [ revision ].concat(_.reject(this.revisions, (item) => item.id === revision.id));
+
+        },
+        remove_revision(revision_id) {
+
+          this.revisions = _.reject(this.revisions, (item) => item.id === revision_id);
+
+        },
+        restore_revision(steps) {
+
+          this.steps = steps;
+
+          this.preview = false;
+
+        },
+        /*
+         * Returns a copy of the steps of a template that can be added to the form.
+         *
+         * When appending, ids already in use get a suffix and fields that can
+         * only be used once are skipped if the form already has them.
+         */
+        get_template_steps(template, mode = 'replace') {
+
+          const current_steps = mode === 'append' ? this.steps : [];
+
+          const current_fields = _.flatten(_.pluck(current_steps, 'fields'));
+
+          const step_ids = _.pluck(current_steps, 'id');
+
+          const field_ids = _.pluck(current_fields, 'id');
+
+          const types = _.pluck(current_fields, 'type');
+
+          const result = {
+            steps: [],
+            skipped: 0,
+          };
+
+          _.each(JSON.parse(JSON.stringify(template.steps)), (step) => {
+
+            step.id = this.get_unique_id(step.id, step_ids);
+
+            step_ids.push(step.id);
+
+            step.fields = _.filter(step.fields, (field) => {
+
+              const skip = _.contains(this.unique_types, field.type) && _.contains(types, field.type);
+
+              if (skip) {
+
+                result.skipped++;
+
+              } else {
+
+                field.id = this.get_unique_id(field.id, field_ids);
+
+                field.step = step.id;
+
+                field_ids.push(field.id);
+
+                types.push(field.type);
+
+              } // end if;
+
+              return ! skip;
+
+            });
+
+            if (step.fields.length) {
+
+              result.steps.push(step);
+
+            } // end if;
+
+          });
+
+          return result;
+
+        },
+        get_unique_id(id, ids) {
+
+          let unique_id = id;
+
+          for (let suffix = 2; _.contains(ids, unique_id); suffix++) {
+
+            unique_id = id + '_' + suffix;
+
+          } // end for;
+
+          return unique_id;
+
+        },
+        use_template(template, mode = 'replace') {
+
+          if (this.template_preview) {
+
+            this.restore_template_backup();
+
+          } // end if;
+
+          const result = this.get_template_steps(template, mode);
+
+          this.steps = mode === 'append' ? this.steps.concat(result.steps) : result.steps;
+
+          this.template_skipped = result.skipped;
+
+          this.show_templates = false;
+
+          this.preview = false;
+
+        },
+        /*
+         * Shows a template on the preview, the form is restored when leaving the preview.
+         */
+        preview_template(template) {
+
+          if (! this.template_preview) {
+
+            this.template_backup = JSON.stringify(this.steps);
+
+          } // end if;
+
+          this.template_preview = template;
+
+          this.steps = this.get_template_steps(template).steps;
+
+          this.preview_step = '';
+
+          this.preview = true;
+
+          this.loading_preview = true;
+
+          this.save_template_preview();
+
+        },
+        /*
+         * Saves the template being previewed to its own session key, then loads the preview.
+         */
+        save_template_preview() {
+
+          const that = this;
+
+          $.ajax({
+            method: 'post',
+            url: ajaxurl,
+            data: {
+              action: 'wu_save_editor_session',
+              settings: JSON.stringify(that.steps),
+              form_id: that.form_id,
+              template_preview: 1,
+            },
+            success() {
+
+              if (that.template_preview) {
+
+                that.load_preview();
+
+              } // end if;
+
+            },
+          });
+
+        },
+        discard_template_preview() {
+
+          this.restore_template_backup();
+
+          this.preview = false;
+
+          this.show_templates = true;
+
+        },
+        restore_template_backup() {
+
+          this.steps = JSON.parse(this.template_backup);
+
+          this.template_backup = null;
+
+          this.template_preview = null;
+
         },
         update_session() {
 
@@ -266,10 +667,20 @@
             url: ajaxurl,
             data: {
               action: 'wu_save_editor_session',
-              settings: that.steps,
+              settings: JSON.stringify(that.steps),
               form_id: that.form_id,
             },
-            success() { },
+            success(response) {
+
+              that.refresh_preview();
+
+              if (response.success && response.data.revision) {
+
+                that.merge_revision(response.data.revision);
+
+              } // end if;
+
+            },
           });
 
         },
@@ -1 +1 @@
-(t=>{t(document).ready(function(){var e={components:{vuedraggable:vuedraggable},template:"#wu-table",props:["list","headers","step_name"],name:"wu-draggable-table",data(){return{delete_field_id:""}},methods:{remove_field(e){wu_checkout_forms_editor_app.remove_field(this.step_name,e),this.delete_field_id=""}}};wu_checkout_forms_editor_app=new Vue({el:"#wu-checkout-editor-app",name:"CheckoutEditor",data(){return Object.assign({},{dragging:!1,search:"",delete_step_id:"",preview_error:!1,preview:!1,loading_preview:!1,preview_content:"",iframe_preview_url:""},wu_checkout_form)},components:{vuedraggable:vuedraggable,"wu-draggable-table":e},computed:{field_count(){return _.reduce(this.steps,function(e,i){return e+i.fields.length},0)}},watch:{steps:{handler(){this.update_session()},deep:!0}},mounted(){this.update_session()},methods:{get_preview(i=null){if(null===i&&(this.preview=!this.preview),this.preview){this.loading_preview=!0;let e=this;e.iframe_preview_url=e.register_page+"?action=wu_generate_checkout_form_preview&form_id="+e.form_id+"&type="+i+"&uniq="+1e3*Math.random(),t("#wp-ultimo-checkout-preview").on("load",function(){e.loading_preview=!1,setTimeout(()=>{var e=document.getElementById("wp-ultimo-checkout-preview").contentWindow.document.body.scrollHeight;t("#wp-ultimo-checkout-preview").animate({height:e})},1e3)})}console.log("no preview")},add_step(e,i=null){var t,s=e.original_id?this.find_step(e.original_id):this.find_step(e.id);delete e.original_id,void 0!==s?(t=_.indexOf(this.steps,s),(e=Object.assign({},s,e)).fields=s.fields,Vue.set(this.steps,t,e)):this.steps.push(e),this.$nextTick(function(){"function"==typeof i&&(i(),this.scroll_to("wp-ultimo-list-table-"+e.id))})},add_field(e,i=null){var t,s=_.findWhere(this.steps,{id:e.step});let d=this.find_field(e.step,e.id);void 0===d&&(d=this.find_field(e.step,e.original_id),delete e.original_id),void 0!==d?(t=_.indexOf(s.fields,d),Vue.set(s.fields,t,e)):s.fields.push(e),this.$nextTick(function(){"function"==typeof i&&(i(),this.scroll_to("wp-ultimo-field-"+e.id))})},scroll_to(e){this.$nextTick(function(){setTimeout(()=>{document.getElementById(e).scrollIntoView({behavior:"smooth",block:"center",inline:"nearest"})},500)})},find_step(e){return _.findWhere(this.steps,{id:e})},find_field(e,i){e=_.findWhere(this.steps,{id:e});return _.findWhere(e.fields,{id:i})},remove_step(i){this.steps=_.reject(this.steps,function(e){return e.id===i}),this.delete_step_id=""},remove_field(e,i){e=_.findWhere(this.steps,{id:e});e.fields=_.reject(e.fields,function(e){return e.id===i})},update_session(){wu_initialize_tooltip();t.ajax({method:"post",url:ajaxurl,data:{action:"wu_save_editor_session",settings:this.steps,form_id:this.form_id},success(){}})}}})})})(jQuery);
\ No newline at end of file
+(i=>{i(document).ready(function(){var e={components:{vuedraggable:vuedraggable},template:"#wu-table",props:["list","headers","step_name"],name:"wu-draggable-table",data(){return{delete_field_id:""}},methods:{remove_field(e){wu_checkout_forms_editor_app.remove_field(this.step_name,e),this.delete_field_id=""}}};wu_checkout_forms_editor_app=new Vue({el:"#wu-checkout-editor-app",name:"CheckoutEditor",data(){return Object.assign({},{dragging:!1,search:"",delete_step_id:"",preview_error:!1,preview:!1,loading_preview:!1,refresh_pending:!1,preview_content:"",iframe_preview_url:"",preview_height:0,preview_device:"desktop",preview_step:"",preview_state:"customer",preview_coupon:"",history:[],history_index:-1,show_revisions:!1,revisions:[],show_templates:!1,templates:[],unique_types:[],template_preview:null,template_backup:null,template_skipped:0},wu_checkout_form)},components:{vuedraggable:vuedraggable,"wu-draggable-table":e},computed:{field_count(){return _.reduce(this.steps,function(e,t){return e+t.fields.length},0)},can_undo(){return!this.template_preview&&0<this.history_index},can_redo(){return!this.template_preview&&this.history_index<this.history.length-1},available_templates(){return wp.hooks.applyFilters("wu_checkout_form_editor_templates",this.templates.slice(),this)},preview_origin(){return new URL(this.register_page,window.location.href).origin}},watch:{steps:{handler(){this.record_history(),this.template_preview||this.update_session()},deep:!0}},mounted(){this.record_history(),this.update_session();let e=this;window.addEventListener("message",this.receive_preview_message),Mousetrap.bind("mod+z",function(){return document.body.classList.contains("modal-open")||e.undo(),!1}),Mousetrap.bind(["mod+shift+z","mod+y"],function(){return document.body.classList.contains("modal-open")||e.redo(),!1})},methods:{get_preview(e=null){null===e&&this.template_preview?this.discard_template_preview():(null===e?this.preview=!this.preview:this.preview_state=e,this.preview&&this.load_preview())},load_preview(){this.loading_preview=!0,this.preview_error=!1;var e={action:"wu_generate_checkout_form_preview",form_id:this.form_id,state:this.preview_state,step:this.preview_step,coupon:this.preview_coupon,uniq:Date.now()};this.template_preview&&(e.template_preview=1),this.iframe_preview_url=this.register_page+(-1===this.register_page.indexOf("?")?"?":"&")+i.param(e)},refresh_preview(){this.preview&&(this.loading_preview?this.refresh_pending=!0:(this.preview_step&&!this.find_step(this.preview_step)&&(this.preview_step=""),document.getElementById("wp-ultimo-checkout-preview").contentWindow.postMessage({action:"wu_checkout_form_preview_refresh",step:this.preview_step},this.preview_origin)))},set_preview_step(e){this.preview_step=e,this.refresh_preview()},receive_preview_message(e){var t;e.origin===this.preview_origin&&e.data&&(t={wu_checkout_form_preview_ready:()=>{this.loading_preview=!1,this.refresh_pending&&(this.refresh_pending=!1,this.refresh_preview())},wu_checkout_form_preview_height:()=>this.preview_height=e.data.height,wu_checkout_form_preview_error:()=>this.preview_error=!0})[e.data.action]&&t[e.data.action]()},add_step(e,t=null){var i,s=e.original_id?this.find_step(e.original_id):this.find_step(e.id);delete e.original_id,void 0!==s?(i=_.indexOf(this.steps,s),(e=Object.assign({},s,e)).fields=s.fields,Vue.set(this.steps,i,e)):this.steps.push(e),this.$nextTick(function(){"function"==typeof t&&(t(),this.scroll_to("wp-ultimo-list-table-"+e.id))})},add_field(e,t=null){var i,s=_.findWhere(this.steps,{id:e.step});let r=this.find_field(e.step,e.id);void 0===r&&(r=this.find_field(e.step,e.original_id),delete e.original_id),void 0!==r?(i=_.indexOf(s.fields,r),Vue.set(s.fields,i,e)):s.fields.push(e),this.$nextTick(function(){"function"==typeof t&&(t(),this.scroll_to("wp-ultimo-field-"+e.id))})},scroll_to(e){this.$nextTick(function(){setTimeout(()=>{document.getElementById(e).scrollIntoView({behavior:"smooth",block:"center",inline:"nearest"})},500)})},find_step(e){return _.findWhere(this.steps,{id:e})},find_field(e,t){e=_.findWhere(this.steps,{id:e});return _.findWhere(e.fields,{id:t})},remove_step(t){this.steps=_.reject(this.steps,function(e){return e.id===t}),this.delete_step_id=""},remove_field(e,t){e=_.findWhere(this.steps,{id:e});e.fields=_.reject(e.fields,function(e){return e.id===t})},record_history(){var e=JSON.stringify(this.steps);this.template_preview||this.history[this.history_index]===e||(this.history=this.history.slice(0,this.history_index+1).concat([e]).slice(-50),this.history_index=this.history.length-1)},undo(){this.can_undo&&(this.history_index--,this.steps=JSON.parse(this.history[this.history_index]))},redo(){this.can_redo&&(this.history_index++,this.steps=JSON.parse(this.history[this.history_index]))},add_revision(e){this.merge_revision(e),this.show_revisions=!0},merge_revision(t){this.revisions=[t].concat(_.reject(this.revisions,e=>e.id===t.id))},remove_revision(t){this.revisions=_.reject(this.revisions,e=>e.id===t)},restore_revision(e){this.steps=e,this.preview=!1},get_template_steps(e,t="replace"){var t="append"===t?this.steps:[],i=_.flatten(_.pluck(t,"fields"));let s=_.pluck(t,"id"),r=_.pluck(i,"id"),p=_.pluck(i,"type"),o={steps:[],skipped:0};return _.each(JSON.parse(JSON.stringify(e.steps)),i=>{i.id=this.get_unique_id(i.id,s),s.push(i.id),i.fields=_.filter(i.fields,e=>{var t=_.contains(this.unique_types,e.type)&&_.contains(p,e.type);return t?o.skipped++:(e.id=this.get_unique_id(e.id,r),e.step=i.id,r.push(e.id),p.push(e.type)),!t}),i.fields.length&&o.steps.push(i)}),o},get_unique_id(t,i){let s=t;for(let e=2;_.contains(i,s);e++)s=t+"_"+e;return s},use_template(e,t="replace"){this.template_preview&&this.restore_template_backup();e=this.get_template_steps(e,t);this.steps="append"===t?this.steps.concat(e.steps):e.steps,this.template_skipped=e.skipped,this.show_templates=!1,this.preview=!1},preview_template(e){this.template_preview||(this.template_backup=JSON.stringify(this.steps)),this.template_preview=e,this.steps=this.get_template_steps(e).steps,this.preview_step="",this.preview=!0,this.loading_preview=!0,this.save_template_preview()},save_template_preview(){let e=this;i.ajax({method:"post",url:ajaxurl,data:{action:"wu_save_editor_session",settings:JSON.stringify(e.steps),form_id:e.form_id,template_preview:1},success(){e.template_preview&&e.load_preview()}})},discard_template_preview(){this.restore_template_backup(),this.preview=!1,this.show_templates=!0},restore_template_backup(){this.steps=JSON.parse(this.template_backup),this.template_backup=null,this.template_preview=null},update_session(){wu_initialize_tooltip();let t=this;i.ajax({method:"post",url:ajaxurl,data:{action:"wu_save_editor_session",settings:JSON.stringify(t.steps),form_id:t.form_id},success(e){t.refresh_preview(),e.success&&e.data.revision&&t.merge_revision(e.data.revision)}})}}})})})(jQuery);
\ No newline at end of file
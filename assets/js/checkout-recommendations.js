@@ -0,0 +1,264 @@
+/* global wu_checkout, wu_checkout_recommendations, _ */
+/**
+ * Checkout recommendations.
+ *
+ * Evaluates the recommendation rules every time the products or the
+ * billing period change, and displays the matching offers as cards
+ * that can be added to the cart or dismissed. Impressions and clicks
+ * are sent to the server, conversions are counted when the order is
+ * placed with an accepted offer.
+ *
+ * @since 2.5.0
+ * @param {jQuery} $     jQuery object.
+ * @param {Object} hooks The wp.hooks object.
+ */
+(function($, hooks) {
+
+	const rules = wu_checkout_recommendations.rules || [];
+
+	/**
+	 * Key used to keep the dismissed offers during the browser session.
+	 *
+	 * @type {string}
+	 */
+	const DISMISSED_KEY = 'wu_checkout_dismissed_recommendations';
+
+	/**
+	 * Offers already displayed on this page view.
+	 *
+	 * @type {Array}
+	 */
+	const seen = [];
+
+	/**
+	 * Impressions waiting to be sent.
+	 *
+	 * @type {Array}
+	 */
+	let pending_impressions = [];
+
+	/**
+	 * Returns the offers dismissed by the customer.
+	 *
+	 * @return {Array} The rule ids.
+	 */
+	const get_dismissed = function() {
+
+		try {
+
+			return JSON.parse(window.sessionStorage.getItem(DISMISSED_KEY)) || [];
+
+		} catch (error) {
+
+			return [];
+
+		} // end try;
+
+	};
+
+	/**
+	 * Remembers an offer dismissed by the customer.
+	 *
+	 * @param {string} id The rule id.
+	 */
+	const dismiss = function(id) {
+
+		const dismissed = _.union(get_dismissed(), [ id ]);
+
+		try {
+
+			window.sessionStorage.setItem(DISMISSED_KEY, JSON.stringify(dismissed));
+
+		} catch (error) {
+
+			// Storage is not available, the offer comes back after a reload.
+
+		} // end try;
+
+	};
+
+	/**
+	 * Sends tracking events to the server.
+	 *
+	 * @param {string} event           Either impressions or clicks.
+	 * @param {Array}  recommendations The rule ids.
+	 */
+	const track = function(event, recommendations) {
+
+		if (! recommendations.length) {
+
+			return;
+
+		} // end if;
+
+		const form = $('#wu_form');
+
+		$.ajax({
+			method: 'POST',
+			url: wu_checkout.late_ajaxurl + '&action=wu_track_recommendation',
+			data: {
+				event,
+				recommendations,
+				checkout_form: form.find('[name="checkout_form"]').val() || '',
+				_wpnonce: form.find('[name="_wpnonce"]').val(),
+			},
+		});
+
+	};
+
+	const flush_impressions = _.debounce(function() {
+
+		track('impressions', pending_impressions);
+
+		pending_impressions = [];
+
+	}, 1000);
+
+	/**
+	 * Checks if the condition of a rule is met by the current cart.
+	 *
+	 * @param {Object} rule     The rule.
+	 * @param {Object} checkout The checkout Vue instance.
+	 * @return {boolean} True if the offer should be displayed.
+	 */
+	const matches = function(rule, checkout) {
+
+		let result = false;
+
+		switch (rule.condition) {
+
+			case 'product':
+				result = _.some(rule.condition_product, (product) => checkout.has_product(product));
+				break;
+
+			case 'duration':
+				result = parseInt(checkout.duration, 10) === parseInt(rule.duration, 10) && checkout.duration_unit === rule.duration_unit;
+				break;
+
+			case 'always':
+				result = true;
+				break;
+
+		} // end switch;
+
+		/**
+		 * Allow plugin developers to add their own conditions.
+		 *
+		 * @param {boolean} result   If the offer should be displayed.
+		 * @param {Object}  rule     The rule.
+		 * @param {Object}  checkout The checkout Vue instance.
+		 */
+		return hooks.applyFilters('wu_checkout_recommendation_matches', result, rule, checkout);
+
+	};
+
+	/**
+	 * Updates the offers displayed on the checkout form.
+	 *
+	 * @param {Object} checkout The checkout Vue instance.
+	 */
+	const evaluate = function(checkout) {
+
+		const dismissed = get_dismissed();
+
+		const recommendations = _.uniq(_.filter(rules, function(rule) {
+
+			if (dismissed.indexOf(rule.id) > -1) {
+
+				return false;
+
+			} // end if;
+
+			if (checkout.has_product(rule.product) || checkout.has_product(rule.product_slug)) {
+
+				return false;
+
+			} // end if;
+
+			return matches(rule, checkout);
+
+		}), false, 'product');
+
+		checkout.recommendations = recommendations;
+
+		_.each(recommendations, function(rule) {
+
+			if (seen.indexOf(rule.id) === -1) {
+
+				seen.push(rule.id);
+
+				pending_impressions.push(rule.id);
+
+			} // end if;
+
+		});
+
+		flush_impressions();
+
+	};
+
+	hooks.addFilter('wu_before_form_init', 'nextpress/wp-ultimo', function(data) {
+
+		data.recommendations = [];
+
+		data.accepted_recommendations = [];
+
+		return data;
+
+	});
+
+	hooks.addAction('wu_checkout_loaded', 'nextpress/wp-ultimo', function(checkout) {
+
+		evaluate(checkout);
+
+		$(document).on('click', '[data-action="add-recommendation"]', function(event) {
+
+			event.preventDefault();
+
+			const rule = _.findWhere(rules, { id: this.value });
+
+			if (! rule) {
+
+				return;
+
+			} // end if;
+
+			if (rule.product_type === 'plan') {
+
+				checkout.add_plan(rule.product);
+
+			} else {
+
+				checkout.add_product(rule.product);
+
+			} // end if;
+
+			checkout.accepted_recommendations = _.union(checkout.accepted_recommendations, [ rule.id ]);
+
+			track('clicks', [ rule.id ]);
+
+		});
+
+		$(document).on('click', '[data-action="dismiss-recommendation"]', function(event) {
+
+			event.preventDefault();
+
+			dismiss(this.value);
+
+			evaluate(checkout);
+
+		});
+
+	});
+
+	_.each([ 'wu_on_change_product', 'wu_on_change_duration', 'wu_on_change_duration_unit' ], function(hook) {
+
+		hooks.addAction(hook, 'nextpress/wp-ultimo', function(new_value, old_value, checkout) {
+
+			evaluate(checkout);
+
+		});
+
+	});
+
+}(jQuery, wp.hooks));
@@ -0,0 +1 @@
+((o,i)=>{function e(){try{return JSON.parse(window.sessionStorage.getItem(u))||[]}catch(n){return[]}}function c(n,t){var e;t.length&&(e=o("#wu_form"),o.ajax({method:"POST",url:wu_checkout.late_ajaxurl+"&action=wu_track_recommendation",data:{event:n,recommendations:t,checkout_form:e.find('[name="checkout_form"]').val()||"",_wpnonce:e.find('[name="_wpnonce"]').val()}}))}function a(c){let n=e();var t=_.uniq(_.filter(r,function(t){if(-1<n.indexOf(t.id))return!1;if(c.has_product(t.product)||c.has_product(t.product_slug))return!1;{var e=t;var o=c;let n=!1;switch(e.condition){case"product":n=_.some(e.condition_product,n=>o.has_product(n));break;case"duration":n=parseInt(o.duration,10)===parseInt(e.duration,10)&&o.duration_unit===e.duration_unit;break;case"always":n=!0}return i.applyFilters("wu_checkout_recommendation_matches",n,e,o);return}}),!1,"product");c.recommendations=t,_.each(t,function(n){-1===d.indexOf(n.id)&&(d.push(n.id),s.push(n.id))}),m()}let r=wu_checkout_recommendations.rules||[],u="wu_checkout_dismissed_recommendations",d=[],s=[],m=_.debounce(function(){c("impressions",s),s=[]},1e3);i.addFilter("wu_before_form_init","nextpress/wp-ultimo",function(n){return n.recommendations=[],n.accepted_recommendations=[],n}),i.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(t){a(t),o(document).on("click",'[data-action="add-recommendation"]',function(n){n.preventDefault();n=_.findWhere(r,{id:this.value});n&&("plan"===n.product_type?t.add_plan(n.product):t.add_product(n.product),t.accepted_recommendations=_.union(t.accepted_recommendations,[n.id]),c("clicks",[n.id]))}),o(document).on("click",'[data-action="dismiss-recommendation"]',function(n){n.preventDefault();n=this.value;n=_.union(e(),[n]);try{window.sessionStorage.setItem(u,JSON.stringify(n))}catch(n){}a(t)})}),_.each(["wu_on_change_product","wu_on_change_duration","wu_on_change_duration_unit"],function(n){i.addAction(n,"nextpress/wp-ultimo",function(n,t,e){a(e)})})})(jQuery,wp.hooks);
\ No newline at end of file
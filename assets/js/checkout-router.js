@@ -0,0 +1,406 @@
+/* global _ */
+/**
+ * Checkout step router.
+ *
+ * Keeps the current step of multi-step checkout forms on the URL,
+ * handles moving between steps and fires the wu_on_step_enter and
+ * wu_on_step_leave actions, so analytics and add-ons can react to
+ * step changes.
+ *
+ * Steps are rendered by the server, so moving to another step loads
+ * its URL by default. Steps hidden by their conditions are skipped. Add-ons that render steps in place can take
+ * over by returning true from the wu_checkout_router_navigate filter:
+ * the router then pushes a history entry and handles back/forward
+ * between those entries.
+ *
+ * @since 2.5.0
+ * @param {jQuery} $     jQuery object.
+ * @param {Object} hooks The wp.hooks object.
+ * @param {Object} _     The underscore object.
+ */
+(function($, hooks, _) {
+
+	const settings = window.wu_checkout_router_settings;
+
+	/*
+	 * Single-step forms have nowhere to route to.
+	 */
+	if (! settings || ! settings.steps || settings.steps.length < 2) {
+
+		return;
+
+	} // end if;
+
+	const router = {
+		steps: settings.steps,
+		current: _.findWhere(settings.steps, { id: settings.current_step }) || settings.steps[ 0 ],
+		checkout: null,
+
+		/**
+		 * Gets a step by its id.
+		 *
+		 * @param {string} step_id The step id.
+		 * @return {Object|undefined} The step.
+		 */
+		get_step(step_id) {
+
+			return _.findWhere(this.steps, { id: step_id });
+
+		},
+
+		/**
+		 * Gets the position of a step on the flow.
+		 *
+		 * @param {Object} step The step.
+		 * @return {number} The step index.
+		 */
+		get_index(step) {
+
+			return _.findIndex(this.steps, { id: step.id });
+
+		},
+
+		/**
+		 * Checks if the conditions of a step are met.
+		 *
+		 * Conditions depend on the checkout values, e.g. the plan
+		 * picked, which can change after the step list is rendered.
+		 *
+		 * @param {Object} step The step.
+		 * @return {boolean} True if the step is part of the flow.
+		 */
+		is_step_visible(step) {
+
+			if (! this.checkout || _.isEmpty(step.conditions)) {
+
+				return true;
+
+			} // end if;
+
+			return this.checkout.check_conditions(step.conditions, step.match);
+
+		},
+
+		/**
+		 * Gets the step before the current one.
+		 *
+		 * @return {Object|undefined} The previous step.
+		 */
+		get_previous_step() {
+
+			return _.last(_.filter(this.steps.slice(0, this.get_index(this.current)), (step) => this.is_step_visible(step)));
+
+		},
+
+		/**
+		 * Gets the step after the current one.
+		 *
+		 * @return {Object|undefined} The next step.
+		 */
+		get_next_step() {
+
+			return _.find(this.steps.slice(this.get_index(this.current) + 1), (step) => this.is_step_visible(step));
+
+		},
+
+		/**
+		 * Builds the URL of a step.
+		 *
+		 * @param {Object} step The step.
+		 * @return {string} The step URL.
+		 */
+		get_step_url(step) {
+
+			const url = new window.URL(window.location.href);
+
+			url.searchParams.set(settings.query_var, step.id);
+
+			return url.toString();
+
+		},
+
+		/**
+		 * Builds the history state of a step.
+		 *
+		 * @param {Object} step The step.
+		 * @return {Object} The history state.
+		 */
+		get_state(step) {
+
+			return {
+				wu_checkout_step: step.id,
+			};
+
+		},
+
+		/**
+		 * Fires the enter action for the current step.
+		 *
+		 * @param {Object|null} previous The step the customer came from, if known.
+		 */
+		enter(previous) {
+
+			hooks.doAction('wu_on_step_enter', this.current, previous || null, this.checkout, this);
+
+		},
+
+		/**
+		 * Fires the leave action for the current step.
+		 *
+		 * @param {Object|null} target    The step the customer is going to, if known.
+		 * @param {string}      direction Either next or previous.
+		 */
+		leave(target, direction) {
+
+			hooks.doAction('wu_on_step_leave', this.current, target || null, direction, this.checkout, this);
+
+		},
+
+		/**
+		 * Sets the current step after an in-place navigation.
+		 *
+		 * @param {Object} step The new current step.
+		 */
+		set_current(step) {
+
+			const previous = this.current;
+
+			this.current = step;
+
+			this.enter(previous);
+
+			this.focus(step);
+
+		},
+
+		/**
+		 * Moves the focus to the title of a step, or to the step itself.
+		 *
+		 * Keyboard and screen reader users start the new step from
+		 * its top, instead of where the previous step left them.
+		 *
+		 * @param {Object} step The step.
+		 */
+		focus(step) {
+
+			const element = step.element_id ? document.getElementById(step.element_id) : null;
+
+			if (! element) {
+
+				return;
+
+			} // end if;
+
+			const target = element.querySelector('.wu-checkout-section-title') || element;
+
+			if (! target.hasAttribute('tabindex')) {
+
+				target.setAttribute('tabindex', '-1');
+
+			} // end if;
+
+			target.focus();
+
+		},
+
+		/**
+		 * Navigates to a step.
+		 *
+		 * @param {string} step_id The step id.
+		 */
+		go_to(step_id) {
+
+			const target = this.get_step(step_id);
+
+			if (! target || target.id === this.current.id) {
+
+				return;
+
+			} // end if;
+
+			const direction = this.get_index(target) > this.get_index(this.current) ? 'next' : 'previous';
+
+			this.leave(target, direction);
+
+			const handled = hooks.applyFilters('wu_checkout_router_navigate', false, target, this.current, this);
+
+			if (! handled) {
+
+				window.location.assign(this.get_step_url(target));
+
+				return;
+
+			} // end if;
+
+			window.history.pushState(this.get_state(target), '', this.get_step_url(target));
+
+			this.set_current(target);
+
+		},
+
+		/**
+		 * Goes back to the previous step.
+		 *
+		 * Uses the browser history when the customer came from the
+		 * previous step, so the back and forward buttons stay in sync.
+		 */
+		back() {
+
+			const previous = this.get_previous_step();
+
+			if (! previous) {
+
+				window.history.back();
+
+				return;
+
+			} // end if;
+
+			if (this.came_from(previous)) {
+
+				this.leave(previous, 'previous');
+
+				window.history.back();
+
+				return;
+
+			} // end if;
+
+			this.go_to(previous.id);
+
+		},
+
+		/**
+		 * Checks if the page before this one was a given step.
+		 *
+		 * @param {Object} step The step.
+		 * @return {boolean} True if the referrer is the step URL.
+		 */
+		came_from(step) {
+
+			if (! document.referrer) {
+
+				return false;
+
+			} // end if;
+
+			const referrer = new window.URL(document.referrer);
+
+			const current = new window.URL(window.location.href);
+
+			if (referrer.origin !== current.origin || referrer.pathname !== current.pathname) {
+
+				return false;
+
+			} // end if;
+
+			const referrer_step = referrer.searchParams.get(settings.query_var) || this.steps[ 0 ].id;
+
+			return referrer_step === step.id;
+
+		},
+
+		/**
+		 * Checks if the page before this one was another step of the form.
+		 *
+		 * @return {boolean} True if the customer came from another step.
+		 */
+		came_from_step() {
+
+			return _.some(this.steps, (step) => step.id !== this.current.id && this.came_from(step));
+
+		},
+
+		/**
+		 * Handles back/forward between entries pushed by in-place navigations.
+		 *
+		 * @param {PopStateEvent} event The popstate event.
+		 */
+		on_popstate(event) {
+
+			const step_id = event.state && event.state.wu_checkout_step;
+
+			const target = step_id ? this.get_step(step_id) : null;
+
+			if (! target || target.id === this.current.id) {
+
+				return;
+
+			} // end if;
+
+			this.leave(target, this.get_index(target) > this.get_index(this.current) ? 'next' : 'previous');
+
+			const handled = hooks.applyFilters('wu_checkout_router_navigate', false, target, this.current, this);
+
+			if (! handled) {
+
+				window.location.reload();
+
+				return;
+
+			} // end if;
+
+			this.set_current(target);
+
+		},
+	};
+
+	/**
+	 * Allow add-ons to extend or replace the router.
+	 */
+	window.wu_checkout_router = hooks.applyFilters('wu_checkout_router', router);
+
+	hooks.addAction('wu_checkout_loaded', 'nextpress/wp-ultimo', function(checkout) {
+
+		const current_router = window.wu_checkout_router;
+
+		current_router.checkout = checkout;
+
+		/*
+		 * Make the URL point to the step being displayed.
+		 */
+		window.history.replaceState(current_router.get_state(current_router.current), '', current_router.get_step_url(current_router.current));
+
+		current_router.enter(null);
+
+		if (current_router.came_from_step()) {
+
+			current_router.focus(current_router.current);
+
+		} // end if;
+
+	});
+
+	/*
+	 * Going to the next step happens when the form is sent.
+	 * On the last step there is no next step: the order is placed.
+	 */
+	hooks.addAction('wu_before_form_resubmitted', 'nextpress/wp-ultimo', function() {
+
+		const current_router = window.wu_checkout_router;
+
+		current_router.leave(current_router.get_next_step(), 'next');
+
+	});
+
+	window.addEventListener('popstate', function(event) {
+
+		window.wu_checkout_router.on_popstate(event);
+
+	});
+
+	/*
+	 * Pages restored from the back/forward cache do not reload,
+	 * but the customer is entering the step again.
+	 */
+	window.addEventListener('pageshow', function(event) {
+
+		if (event.persisted && window.wu_checkout_router.checkout) {
+
+			window.wu_checkout_router.enter(null);
+
+		} // end if;
+
+	});
+
+}(jQuery, wp.hooks, _));
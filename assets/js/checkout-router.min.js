@@ -0,0 +1 @@
+((i,e)=>{let s=window.wu_checkout_router_settings;var t;!s||!s.steps||s.steps.length<2||(t={steps:s.steps,current:e.findWhere(s.steps,{id:s.current_step})||s.steps[0],checkout:null,get_step(t){return e.findWhere(this.steps,{id:t})},get_index(t){return e.findIndex(this.steps,{id:t.id})},is_step_visible(t){return!(this.checkout&&!e.isEmpty(t.conditions))||this.checkout.check_conditions(t.conditions,t.match)},get_previous_step(){return e.last(e.filter(this.steps.slice(0,this.get_index(this.current)),t=>this.is_step_visible(t)))},get_next_step(){return e.find(this.steps.slice(this.get_index(this.current)+1),t=>this.is_step_visible(t))},get_step_url(t){var e=new window.URL(window.location.href);return e.searchParams.set(s.query_var,t.id),e.toString()},get_state(t){return{wu_checkout_step:t.id}},enter(t){i.doAction("wu_on_step_enter",this.current,t||null,this.checkout,this)},leave(t,e){i.doAction("wu_on_step_leave",this.current,t||null,e,this.checkout,this)},set_current(t){var e=this.current;this.current=t,this.enter(e),this.focus(t)},focus(t){var t=t.element_id?document.getElementById(t.element_id):null;t&&((t=t.querySelector(".wu-checkout-section-title")||t).hasAttribute("tabindex")||t.setAttribute("tabindex","-1"),t.focus())},go_to(t){var e,t=this.get_step(t);t&&t.id!==this.current.id&&(e=this.get_index(t)>this.get_index(this.current)?"next":"previous",this.leave(t,e),i.applyFilters("wu_checkout_router_navigate",!1,t,this.current,this)?(window.history.pushState(this.get_state(t),"",this.get_step_url(t)),this.set_current(t)):window.location.assign(this.get_step_url(t)))},back(){var t=this.get_previous_step();t?this.came_from(t)?(this.leave(t,"previous"),window.history.back()):this.go_to(t.id):window.history.back()},came_from(t){var e,i;return!!document.referrer&&(e=new window.URL(document.referrer),i=new window.URL(window.location.href),e.origin===i.origin)&&e.pathname===i.pathname&&(e.searchParams.get(s.query_var)||this.steps[0].id)===t.id},came_from_step(){return e.some(this.steps,t=>t.id!==this.current.id&&this.came_from(t))},on_popstate(t){t=t.state&&t.state.wu_checkout_step,t=t?this.get_step(t):null;t&&t.id!==this.current.id&&(this.leave(t,this.get_index(t)>this.get_index(this.current)?"next":"previous"),i.applyFilters("wu_checkout_router_navigate",!1,t,this.current,this)?this.set_current(t):window.location.reload())}},window.wu_checkout_router=i.applyFilters("wu_checkout_router",t),i.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(t){var e=window.wu_checkout_router;e.checkout=t,window.history.replaceState(e.get_state(e.current),"",e.get_step_url(e.current)),e.enter(null),e.came_from_step()&&e.focus(e.current)}),i.addAction("wu_before_form_resubmitted","nextpress/wp-ultimo",function(){var t=window.wu_checkout_router;t.leave(t.get_next_step(),"next")}),window.addEventListener("popstate",function(t){window.wu_checkout_router.on_popstate(t)}),window.addEventListener("pageshow",function(t){t.persisted&&window.wu_checkout_router.checkout&&window.wu_checkout_router.enter(null)}))})((jQuery,wp.hooks),_);
\ No newline at end of file
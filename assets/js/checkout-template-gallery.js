@@ -0,0 +1,243 @@
+/* global Vue, _, wu_create_cookie */
+/**
+ * Checkout template selection gallery.
+ *
+ * Search, category filters, sorting and pagination for the template
+ * selection field. The templates are rendered by the server, this only
+ * decides which ones are shown. The filters live on the checkout app,
+ * so they survive the field being re-rendered when the products change.
+ *
+ * The selected template is kept in the wu_template cookie, which is
+ * also written by the template previewer. The template switching app
+ * declares the same filter data, as it renders the same templates.
+ *
+ * @since 2.5.0
+ * @param {Object} hooks The wp.hooks object.
+ * @param {Object} _     The underscore object.
+ */
+(function(hooks, _) {
+
+	if (typeof window.Vue === 'undefined') {
+
+		return;
+
+	} // end if;
+
+	hooks.addFilter('wu_before_form_init', 'nextpress/wp-ultimo', function(data) {
+
+		return Object.assign(data, {
+			template_search: '',
+			template_tags: [],
+			template_sort: 'default',
+			template_page: 1,
+		});
+
+	});
+
+	/*
+	 * The previewer selects templates through the cookie, and
+	 * checkout.js listens to it. Write it back when the selection
+	 * changes on the form, so both sides agree on the template.
+	 */
+	hooks.addAction('wu_checkout_loaded', 'nextpress/wp-ultimo', function(checkout) {
+
+		/*
+		 * The template switching fires this action without an app.
+		 */
+		if (! checkout) {
+
+			return;
+
+		} // end if;
+
+		checkout.$watch('template_id', function(value) {
+
+			wu_create_cookie('wu_template', value || '');
+
+		});
+
+	});
+
+	/**
+	 * Gallery component, used with a scoped slot.
+	 *
+	 * The slot gets the component itself, so templates can call
+	 * is_visible(), toggle_tag(), go_to_page() and read the counts.
+	 */
+	Vue.component('wu-template-gallery', {
+		props: {
+			templates: {
+				type: Array,
+				default: () => [],
+			},
+			perPage: {
+				type: Number,
+				default: 12,
+			},
+		},
+		computed: {
+			checkout() {
+
+				return this.$root;
+
+			},
+			filtered() {
+
+				const checkout = this.checkout;
+
+				const words = _.compact(String(checkout.template_search || '').toLowerCase().split(/\s+/));
+
+				const tags = _.compact([].concat(checkout.template_tags || [], checkout.template_category || []));
+
+				const filtered = _.filter(this.templates, function(template) {
+
+					const text = (template.title + ' ' + template.description).toLowerCase();
+
+					const matches_words = _.every(words, (word) => text.indexOf(word) !== -1);
+
+					const matches_tags = ! tags.length || _.intersection(tags, template.categories).length > 0;
+
+					return matches_words && matches_tags;
+
+				});
+
+				return hooks.applyFilters('wu_template_gallery_filtered', this.sort(filtered), this);
+
+			},
+			page_count() {
+
+				return this.perPage > 0 ? Math.max(1, Math.ceil(this.filtered.length / this.perPage)) : 1;
+
+			},
+			page() {
+
+				return Math.min(Math.max(1, parseInt(this.checkout.template_page, 10) || 1), this.page_count);
+
+			},
+			visible_ids() {
+
+				const templates = this.perPage > 0 ? this.filtered.slice((this.page - 1) * this.perPage, this.page * this.perPage) : this.filtered;
+
+				return _.pluck(templates, 'id');
+
+			},
+			filters() {
+
+				const checkout = this.checkout;
+
+				return [ checkout.template_search, checkout.template_tags.join(','), checkout.template_category, checkout.template_sort ].join('|');
+
+			},
+		},
+		watch: {
+			filters() {
+
+				this.checkout.template_page = 1;
+
+			},
+			'checkout.template_id'(value) {
+
+				this.reveal(value);
+
+			},
+		},
+		created() {
+
+			this.reveal(this.checkout.template_id);
+
+		},
+		methods: {
+			sort(templates) {
+
+				if (this.checkout.template_sort === 'name') {
+
+					return _.sortBy(templates, (template) => template.title.toLowerCase());
+
+				} // end if;
+
+				if (this.checkout.template_sort === 'newest') {
+
+					return _.sortBy(templates, 'date').reverse();
+
+				} // end if;
+
+				return _.sortBy(templates, 'order');
+
+			},
+			is_visible(id) {
+
+				return _.contains(this.visible_ids, parseInt(id, 10));
+
+			},
+			has_tag(tag) {
+
+				return _.contains(this.checkout.template_tags, tag);
+
+			},
+			toggle_tag(tag) {
+
+				this.checkout.template_tags = this.has_tag(tag) ? _.without(this.checkout.template_tags, tag) : this.checkout.template_tags.concat([ tag ]);
+
+			},
+			clear() {
+
+				this.checkout.template_search = '';
+
+				this.checkout.template_tags = [];
+
+				this.checkout.template_category = '';
+
+			},
+			go_to_page(page) {
+
+				this.checkout.template_page = Math.min(Math.max(1, page), this.page_count);
+
+			},
+			/**
+			 * Makes sure the selected template is on the page being shown.
+			 *
+			 * @param {number|string} id The selected template id.
+			 */
+			reveal(id) {
+
+				id = parseInt(id, 10);
+
+				if (! id || ! _.findWhere(this.templates, { id }) || this.is_visible(id)) {
+
+					return;
+
+				} // end if;
+
+				/*
+				 * Selected from the previewer, but hidden by the filters.
+				 */
+				if (! _.findWhere(this.filtered, { id })) {
+
+					this.clear();
+
+				} // end if;
+
+				this.$nextTick(function() {
+
+					const index = _.findIndex(this.filtered, { id });
+
+					if (index !== -1 && this.perPage > 0) {
+
+						this.checkout.template_page = Math.floor(index / this.perPage) + 1;
+
+					} // end if;
+
+				});
+
+			},
+		},
+		render(h) {
+
+			const nodes = this.$scopedSlots.default ? this.$scopedSlots.default(this) : [];
+
+			return nodes && nodes.length === 1 ? nodes[ 0 ] : h('div', nodes);
+
+		},
+	});
+
+}(window.wp.hooks, _));
@@ -0,0 +1 @@
+((e,r)=>{void 0!==window.Vue&&(e.addFilter("wu_before_form_init","nextpress/wp-ultimo",function(t){return Object.assign(t,{template_search:"",template_tags:[],template_sort:"default",template_page:1})}),e.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(t){t&&t.$watch("template_id",function(t){wu_create_cookie("wu_template",t||"")})}),Vue.component("wu-template-gallery",{props:{templates:{type:Array,default:()=>[]},perPage:{type:Number,default:12}},computed:{checkout(){return this.$root},filtered(){var t=this.checkout;let i=r.compact(String(t.template_search||"").toLowerCase().split(/\s+/)),s=r.compact([].concat(t.template_tags||[],t.template_category||[]));t=r.filter(this.templates,function(t){let e=(t.title+" "+t.description).toLowerCase();var a=r.every(i,t=>-1!==e.indexOf(t)),t=!s.length||0<r.intersection(s,t.categories).length;return a&&t});return e.applyFilters("wu_template_gallery_filtered",this.sort(t),this)},page_count(){return 0<this.perPage?Math.max(1,Math.ceil(this.filtered.length/this.perPage)):1},page(){return Math.min(Math.max(1,parseInt(this.checkout.template_page,10)||1),this.page_count)},visible_ids(){var t=0<this.perPage?this.filtered.slice((this.page-1)*this.perPage,this.page*this.perPage):this.filtered;return r.pluck(t,"id")},filters(){var t=this.checkout;return[t.template_search,t.template_tags.join(","),t.template_category,t.template_sort].join("|")}},watch:{filters(){this.checkout.template_page=1},"checkout.template_id"(t){this.reveal(t)}},created(){this.reveal(this.checkout.template_id)},methods:{sort(t){return"name"===this.checkout.template_sort?r.sortBy(t,t=>t.title.toLowerCase()):"newest"===this.checkout.template_sort?r.sortBy(t,"date").reverse():r.sortBy(t,"order")},is_visible(t){return r.contains(this.visible_ids,parseInt(t,10))},has_tag(t){return r.contains(this.checkout.template_tags,t)},toggle_tag(t){this.checkout.template_tags=this.has_tag(t)?r.without(this.checkout.template_tags,t):this.checkout.template_tags.concat([t])},clear(){this.checkout.template_search="",this.checkout.template_tags=[],this.checkout.template_category=""},go_to_page(t){this.checkout.template_page=Math.min(Math.max(1,t),this.page_count)},reveal(e){(e=parseInt(e,10))&&r.findWhere(this.templates,{id:e})&&!this.is_visible(e)&&(r.findWhere(this.filtered,{id:e})||this.clear(),this.$nextTick(function(){var t=r.findIndex(this.filtered,{id:e});-1!==t&&0<this.perPage&&(this.checkout.template_page=Math.floor(t/this.perPage)+1)}))}},render(t){var e=this.$scopedSlots.default?this.$scopedSlots.default(this):[];return e&&1===e.length?e[0]:t("div",e)}}))})(window.wp.hooks,_);
\ No newline at end of file
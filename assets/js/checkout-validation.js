@@ -0,0 +1,276 @@
+/* global WU_Checkout_Validator, _ */
+/**
+ * Client-side checkout validation engine.
+ *
+ * Evaluates the same rule strings used by the server-side validator
+ * (e.g. "required|email" or "min:3|max:63|lowercase") so customers see
+ * errors as they type. Rules that need the database, such as unique or
+ * site_template, are skipped: the server is still the authority and runs
+ * the full validation when the form is submitted.
+ *
+ * Custom rules can be added with the wu_checkout_validators filter. Their
+ * messages come from the wu_validator_error_messages PHP filter.
+ *
+ * @since 2.5.0
+ * @param {jQuery} $     jQuery object.
+ * @param {Object} hooks The wp.hooks object.
+ * @param {Object} _     The underscore object.
+ */
+(function($, hooks, _) {
+
+	/**
+	 * Checks if a value is empty, the same way the required rule does.
+	 *
+	 * @param {*} value The value to check.
+	 * @return {boolean} True if the value is empty.
+	 */
+	const is_empty = function(value) {
+
+		if (value === null || typeof value === 'undefined') {
+
+			return true;
+
+		} // end if;
+
+		if (_.isArray(value)) {
+
+			return value.length === 0;
+
+		} // end if;
+
+		return String(value).trim() === '';
+
+	};
+
+	/**
+	 * Returns the size of a value: length for strings and lists, the value itself for numbers.
+	 *
+	 * @param {*} value The value.
+	 * @return {number} The size.
+	 */
+	const get_size = function(value) {
+
+		if (_.isNumber(value)) {
+
+			return value;
+
+		} // end if;
+
+		if (_.isArray(value)) {
+
+			return value.length;
+
+		} // end if;
+
+		return String(value).length;
+
+	};
+
+	/**
+	 * Default rule implementations.
+	 *
+	 * Implicit rules run even when the value is empty, all others
+	 * are skipped for empty values, like on the server.
+	 *
+	 * @type {Object}
+	 */
+	const default_validators = {
+		required: {
+			implicit: true,
+			check: (value) => ! is_empty(value),
+		},
+		required_with: {
+			implicit: true,
+			check: (value, params, data) => is_empty(data[ params[ 0 ] ]) || ! is_empty(value),
+		},
+		required_without: {
+			implicit: true,
+			check: (value, params, data) => ! is_empty(data[ params[ 0 ] ]) || ! is_empty(value),
+		},
+		email: {
+			check: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value)),
+		},
+		min: {
+			check: (value, params) => get_size(value) >= parseFloat(params[ 0 ]),
+		},
+		max: {
+			check: (value, params) => get_size(value) <= parseFloat(params[ 0 ]),
+		},
+		alpha_dash: {
+			check: (value) => /^[\p{L}\p{M}\p{N}_-]+$/u.test(String(value)),
+		},
+		lowercase: {
+			check: (value) => String(value).toLowerCase() === String(value),
+		},
+		integer: {
+			check: (value) => /^[+-]?\d+$/.test(String(value).trim()),
+		},
+		same: {
+			check: (value, params, data) => value === data[ params[ 0 ] ],
+		},
+	};
+
+	/**
+	 * Validates checkout data against server-declared rules.
+	 *
+	 * @param {Object} settings          The validation settings.
+	 * @param {Object} settings.rules    Rule strings, keyed by field id.
+	 * @param {Object} settings.messages Error messages, keyed by rule name.
+	 * @param {Object} settings.aliases  Field labels, keyed by field id.
+	 */
+	window.WU_Checkout_Validator = function(settings) {
+
+		this.settings = $.extend({
+			rules: {},
+			messages: {},
+			aliases: {},
+		}, settings);
+
+		this.validators = hooks.applyFilters('wu_checkout_validators', $.extend({}, default_validators), this);
+
+		this.rules = {};
+
+		_.each(this.settings.rules, (rules, field) => {
+
+			this.rules[ field ] = this.parse(rules);
+
+		});
+
+	};
+
+	WU_Checkout_Validator.prototype = {
+		/**
+		 * Parses a rule string into a list of rules the client knows how to check.
+		 *
+		 * @param {string} rules Rule string, e.g. "required|min:4".
+		 * @return {Array} List of {name, params} objects.
+		 */
+		parse(rules) {
+
+			const parsed = _.map(String(rules).split('|'), function(rule) {
+
+				const separator = rule.indexOf(':');
+
+				return {
+					name: separator === -1 ? rule : rule.substr(0, separator),
+					params: separator === -1 ? [] : rule.substr(separator + 1).split(','),
+				};
+
+			});
+
+			return _.filter(parsed, (rule) => this.validators[ rule.name ] && this.settings.messages[ rule.name ]);
+
+		},
+
+		/**
+		 * Returns the ids of the fields that have client-side rules.
+		 *
+		 * @return {Array} List of field ids.
+		 */
+		get_fields() {
+
+			return _.keys(_.pick(this.rules, (rules) => rules.length > 0));
+
+		},
+
+		/**
+		 * Returns the fields whose rules reference another field (e.g. same:password).
+		 *
+		 * @param {string} field The field id.
+		 * @return {Array} List of field ids.
+		 */
+		get_dependent_fields(field) {
+
+			return _.keys(_.pick(this.rules, function(rules) {
+
+				return _.some(rules, (rule) => _.contains(rule.params, field));
+
+			}));
+
+		},
+
+		/**
+		 * Returns the label used on the error messages of a field.
+		 *
+		 * @param {string} field The field id.
+		 * @return {string} The label.
+		 */
+		get_alias(field) {
+
+			const alias = this.settings.aliases[ field ] || field.replace(/_/g, ' ');
+
+			return alias.charAt(0).toUpperCase() + alias.slice(1);
+
+		},
+
+		/**
+		 * Builds the error message for a failed rule.
+		 *
+		 * @param {string} field The field id.
+		 * @param {Object} rule  The failed rule.
+		 * @return {string} The error message.
+		 */
+		get_message(field, rule) {
+
+			return this.settings.messages[ rule.name ]
+				.replace(/:attribute/g, this.get_alias(field))
+				.replace(/:min|:max/g, rule.params[ 0 ])
+				.replace(/:field/g, rule.params[ 0 ] ? this.get_alias(rule.params[ 0 ]) : '');
+
+		},
+
+		/**
+		 * Validates a single field.
+		 *
+		 * @param {string} field The field id.
+		 * @param {Object} data  The checkout data, keyed by field id.
+		 * @return {Object|boolean} The error, as {code, message}, or false if the field is valid.
+		 */
+		validate_field(field, data) {
+
+			const value = data[ field ];
+
+			const failed = _.find(this.rules[ field ] || [], (rule) => {
+
+				const validator = this.validators[ rule.name ];
+
+				if (! validator.implicit && is_empty(value)) {
+
+					return false;
+
+				} // end if;
+
+				return ! validator.check(value, rule.params, data);
+
+			});
+
+			if (! failed) {
+
+				return false;
+
+			} // end if;
+
+			return {
+				code: field,
+				message: this.get_message(field, failed),
+			};
+
+		},
+
+		/**
+		 * Validates a list of fields.
+		 *
+		 * @param {Object} data   The checkout data, keyed by field id.
+		 * @param {Array}  fields The fields to validate. Defaults to all fields with rules.
+		 * @return {Array} List of errors, as {code, message}.
+		 */
+		validate(data, fields) {
+
+			const errors = _.map(fields || this.get_fields(), (field) => this.validate_field(field, data));
+
+			return _.compact(errors);
+
+		},
+	};
+
+}(jQuery, wp.hooks, _));
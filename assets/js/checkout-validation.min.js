@@ -0,0 +1 @@
+((t,s,r)=>{function a(e){return null==e||(r.isArray(e)?0===e.length:""===String(e).trim())}function i(e){return r.isNumber(e)?e:(r.isArray(e)?e:String(e)).length}let n={required:{implicit:!0,check:e=>!a(e)},required_with:{implicit:!0,check:(e,t,s)=>a(s[t[0]])||!a(e)},required_without:{implicit:!0,check:(e,t,s)=>!a(s[t[0]])||!a(e)},email:{check:e=>/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(e))},min:{check:(e,t)=>i(e)>=parseFloat(t[0])},max:{check:(e,t)=>i(e)<=parseFloat(t[0])},alpha_dash:{check:e=>/^[\p{L}\p{M}\p{N}_-]+$/u.test(String(e))},lowercase:{check:e=>String(e).toLowerCase()===String(e)},integer:{check:e=>/^[+-]?\d+$/.test(String(e).trim())},same:{check:(e,t,s)=>e===s[t[0]]}};window.WU_Checkout_Validator=function(e){this.settings=t.extend({rules:{},messages:{},aliases:{}},e),this.validators=s.applyFilters("wu_checkout_validators",t.extend({},n),this),this.rules={},r.each(this.settings.rules,(e,t)=>{this.rules[t]=this.parse(e)})},WU_Checkout_Validator.prototype={parse(e){e=r.map(String(e).split("|"),function(e){var t=e.indexOf(":");return{name:-1===t?e:e.substr(0,t),params:-1===t?[]:e.substr(t+1).split(",")}});return r.filter(e,e=>this.validators[e.name]&&this.settings.messages[e.name])},get_fields(){return r.keys(r.pick(this.rules,e=>0<e.length))},get_dependent_fields(t){return r.keys(r.pick(this.rules,function(e){return r.some(e,e=>r.contains(e.params,t))}))},get_alias(e){e=this.settings.aliases[e]||e.replace(/_/g," ");return e.charAt(0).toUpperCase()+e.slice(1)},get_message(e,t){return this.settings.messages[t.name].replace(/:attribute/g,this.get_alias(e)).replace(/:min|:max/g,t.params[0]).replace(/:field/g,t.params[0]?this.get_alias(t.params[0]):"")},validate_field(e,s){let i=s[e];var t=r.find(this.rules[e]||[],e=>{var t=this.validators[e.name];return!(!t.implicit&&a(i)||t.check(i,e.params,s))});return!!t&&{code:e,message:this.get_message(e,t)}},validate(t,e){e=r.map(e||this.get_fields(),e=>this.validate_field(e,t));return r.compact(e)}}})(jQuery,wp.hooks,_);
\ No newline at end of file
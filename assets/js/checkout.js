@@ -1,4 +1,4 @@
-/* global Vue, moment, _, wu_checkout, wu_checkout_form, wu_create_cookie, wu_listen_to_cookie_change */
+/* global Vue, moment, _, wu_checkout, wu_settings, wu_checkout_form, wu_create_cookie, wu_listen_to_cookie_change */
 (function ($, hooks, _) {
 
   /*
@@ -10,6 +10,54 @@
 
   } // end if;
 
+  /**
+   * Client-side payment adapters, one per gateway.
+   *
+   * The checkout mounts the adapter of the selected gateway and tears
+   * it down when the customer picks another one. Every method is optional
+   * and can return a promise:
+   *
+   * - mount(checkout): renders the payment fields. Called when the gateway
+   *   is selected and every time the form re-renders, so it must be idempotent.
+   * - validate(checkout): rejects with an Error to stop the submission.
+   * - tokenize(checkout): resolves with extra fields to send with the form,
+   *   e.g. { payment_method_id: 'pm_123' }.
+   * - confirm(checkout, results): runs after the order is created. Resolving
+   *   it resubmits the form to finish the checkout, unless it resolves with false.
+   *   Rejecting it displays the error.
+   * - teardown(checkout): removes the payment fields.
+   *
+   * Only called when the order needs a payment, except for mount and teardown.
+   *
+   *     wu_payment_adapters.register('my-gateway', {
+   *       mount(checkout) {},
+   *       confirm(checkout, results) {
+   *         return my_sdk.pay(results.gateway.data.client_token);
+   *       },
+   *     });
+   */
+  const payment_adapters = {};
+
+  let active_payment_gateway = null;
+
+  window.wu_payment_adapters = {
+    register(gateway, adapter) {
+
+      payment_adapters[ gateway ] = hooks.applyFilters('wu_payment_adapter', adapter, gateway);
+
+    },
+    unregister(gateway) {
+
+      delete payment_adapters[ gateway ];
+
+    },
+    get(gateway) {
+
+      return payment_adapters[ gateway ] || null;
+
+    },
+  };
+
   /*
    * Sets default template.
    */
@@ -73,6 +121,21 @@
         }
     });
 
+    /*
+     * The template previewer posts the selected template back to the window that opened it.
+     */
+    window.addEventListener('message', function (event) {
+
+      if (event.origin !== window.location.origin || !event.data || event.data.type !== 'wu_template_selected') {
+
+        return;
+
+      } // end if;
+
+      checkout.template_id = event.data.template_id;
+
+    });
+
   });
 
   /**
@@ -135,11 +198,37 @@
 
     };
 
+    /*
+     * The display currency comes from the URL, or from the last visit.
+     */
+    const get_initial_display_currency = function () {
+
+      let display_currency = wu_checkout.display_currency;
+
+      if (!display_currency) {
+
+        try {
+
+          display_currency = window.localStorage.getItem('wu_display_currency');
+
+        } catch (err) {
+
+          display_currency = '';
+
+        } // end try;
+
+      } // end if;
+
+      return window.wu_get_switcher_currency(display_currency) ? display_currency : wu_settings.currency;
+
+    };
+
     const initial_data = {
       plan: maybe_cast_to_int(wu_checkout.plan),
       errors: [],
       order: wu_checkout.order,
       products: _.map(wu_checkout.products, maybe_cast_to_int),
+      quantities: _.extend({}, wu_checkout.quantities),
       template_id: wu_checkout.template_id,
       template_category: '',
       gateway: wu_checkout.gateway,
@@ -152,10 +241,11 @@
       site_domain: wu_checkout.site_domain,
       is_subdomain: wu_checkout.is_subdomain,
       discount_code: wu_checkout.discount_code,
+      discount_code_results: false,
       toggle_discount_code: 0,
       payment_method: '',
       username: '',
-      email_address: '',
+      email_address: wu_checkout.email_address || '',
       payment_id: wu_checkout.payment_id,
       membership_id: wu_checkout.membership_id,
       cart_type: 'new',
@@ -174,6 +264,17 @@
       logging_in: false,
       login_error: '',
       inline_login_password: '',
+      check_site_url_availability: false,
+      checking_site_url: false,
+      site_url_availability: {
+        status: '',
+        message: '',
+        suggestions: [],
+      },
+      order_request: 0,
+      display_currency: get_initial_display_currency(),
+      a11y_message: '',
+      a11y_alert: '',
     };
 
     hooks.applyFilters('wu_before_form_init', initial_data);
@@ -269,6 +370,38 @@
           return _.uniq(this.products, false, (item) => parseInt(item, 10));
 
         },
+        order_breakdown() {
+
+          /*
+           * Only changes to an existing membership have credits to explain.
+           */
+          if (!this.order || !_.contains(['upgrade', 'downgrade', 'addon'], this.order.type)) {
+
+            return false;
+
+          } // end if;
+
+          const credits = _.where(this.order.line_items, { type: 'credit' });
+
+          const charges = _.reject(this.order.line_items, (line_item) => line_item.type === 'credit');
+
+          const recurring_item = _.findWhere(charges, { recurring: true });
+
+          const breakdown = {
+            type: this.order.type,
+            credits,
+            credit_total: -_.reduce(credits, (total, line_item) => total + line_item.total, 0),
+            charges_total: _.reduce(charges, (total, line_item) => total + line_item.total, 0),
+            due_today: this.order.totals.total,
+            has_recurring: this.order.has_recurring,
+            recurring_total: this.order.totals.recurring.total,
+            recurring_description: recurring_item ? recurring_item.recurring_description : '',
+            date_next_charge: this.order.dates.date_next_charge,
+          };
+
+          return hooks.applyFilters('wu_checkout_order_breakdown', breakdown, this.order, this);
+
+        },
       },
       methods: {
         debounce(fn) {
@@ -370,6 +503,14 @@
 
           this.block();
 
+          if (window.wu_checkout_router) {
+
+            window.wu_checkout_router.back();
+
+            return;
+
+          } // end if;
+
           window.history.back();
 
         },
@@ -391,6 +532,10 @@
 
           });
 
+          this.$delete(this.quantities, product_id);
+
+          this.$delete(this.quantities, product_slug);
+
         },
         add_plan(product_id) {
 
@@ -405,10 +550,103 @@
           this.add_product(product_id);
 
         },
-        add_product(product_id) {
+        add_product(product_id, quantity = 1) {
+
+          /*
+           * Products already in the cart get their quantity increased instead.
+           */
+          if (this.has_product(product_id)) {
+
+            this.change_quantity(product_id, quantity);
+
+            return;
+
+          } // end if;
 
           this.products.push(product_id);
 
+          if (quantity > 1) {
+
+            this.set_quantity(product_id, quantity);
+
+          } // end if;
+
+        },
+        get_quantity(product_id) {
+
+          const quantity = parseInt(this.quantities[ product_id ], 10);
+
+          if (quantity) {
+
+            return quantity;
+
+          } // end if;
+
+          /*
+           * Falls back to what the order was calculated with,
+           * and then to the minimum quantity of the product.
+           */
+          const line_item = this.order ? _.find(this.order.line_items, (item) => parseInt(item.product_id, 10) === parseInt(product_id, 10)) : false;
+
+          if (line_item && parseInt(line_item.quantity, 10)) {
+
+            return parseInt(line_item.quantity, 10);
+
+          } // end if;
+
+          return parseInt(this.get_quantity_limits(product_id).min, 10) || 1;
+
+        },
+        get_quantity_limits(product_id) {
+
+          const limits = this.order && this.order.quantity_limits ? this.order.quantity_limits[ product_id ] : false;
+
+          return limits || { min: 1, max: 1 };
+
+        },
+        set_quantity(product_id, quantity) {
+
+          const limits = this.get_quantity_limits(product_id);
+
+          quantity = Math.max(parseInt(limits.min, 10) || 1, parseInt(quantity, 10) || 1);
+
+          /*
+           * A maximum of 0 means there is no limit.
+           */
+          if (parseInt(limits.max, 10) > 0) {
+
+            quantity = Math.min(parseInt(limits.max, 10), quantity);
+
+          } // end if;
+
+          if (quantity === this.get_quantity(product_id)) {
+
+            return;
+
+          } // end if;
+
+          this.$set(this.quantities, product_id, quantity);
+
+        },
+        change_quantity(product_id, delta) {
+
+          this.set_quantity(product_id, this.get_quantity(product_id) + delta);
+
+        },
+        can_change_quantity(product_id, delta) {
+
+          const limits = this.get_quantity_limits(product_id);
+
+          const quantity = this.get_quantity(product_id) + delta;
+
+          if (quantity < (parseInt(limits.min, 10) || 1)) {
+
+            return false;
+
+          } // end if;
+
+          return parseInt(limits.max, 10) === 0 || quantity <= parseInt(limits.max, 10);
+
         },
         has_product(product_id) {
 
@@ -417,7 +655,48 @@
         },
         wu_format_money(value) {
 
-          return window.wu_format_money(value);
+          return window.wu_format_money(value, this.display_currency);
+
+        },
+        wu_format_price(value) {
+
+          return this.wu_format_money(value).replace(this.get_currency_symbol(), '').trim();
+
+        },
+        get_discounted_amount(product_id, amount, recurring = true, type = 'product') {
+
+          /*
+           * Previews the accepted discount codes on a product price,
+           * using the same math as the server-side cart.
+           */
+          if (!this.discount_code_results || !this.discount_code_results.discounts || !this.discount_code_results.discounts.length) {
+
+            return amount;
+
+          } // end if;
+
+          const cart = {
+            duration: this.duration,
+            duration_unit: this.duration_unit,
+          };
+
+          const line_item = window.wu_pricing.apply_discounts({
+            product_id,
+            type,
+            quantity: 1,
+            unit_price: amount,
+            recurring: recurring && type !== 'fee',
+            ...cart,
+          }, this.discount_code_results.discounts, cart);
+
+          return line_item.total;
+
+        },
+        get_currency_symbol() {
+
+          const currency = window.wu_get_switcher_currency(this.display_currency);
+
+          return currency ? currency.symbol : wu_settings.currency_symbol;
 
         },
         filter_for_request(data, request_type = '') {
@@ -446,6 +725,12 @@
 
           this.order = false;
 
+          /*
+           * Changing the duration quickly sends several requests,
+           * only the latest one should update the summary.
+           */
+          const order_request = ++this.order_request;
+
           const that = this;
 
           const _request = this.debounce(this.request);
@@ -456,11 +741,27 @@
           delete data.state_list;
           delete data.city_list;
           delete data.labels;
+          delete data.order_request;
 
           _request('wu_create_order', this.filter_for_request(data, 'wu_create_order'), function (results) {
 
+            if (order_request !== that.order_request) {
+
+              return;
+
+            } // end if;
+
             that.order = results.data.order;
 
+            /*
+             * The first summary is rendered with the page, only later changes are announced.
+             */
+            if (order_request > 1) {
+
+              that.announce(wu_checkout.i18n.order_updated.replace('%s', that.wu_format_money(that.order.totals.total)));
+
+            } // end if;
+
             that.state_list = results.data.states;
 
             that.city_list = results.data.cities;
@@ -471,6 +772,12 @@
 
             that.errors = results.data.order.errors;
 
+            if (results.data.display_currency && results.data.display_currency !== that.display_currency) {
+
+              that.display_currency = results.data.display_currency;
+
+            } // end if;
+
             that.hooks.doAction('wu_on_create_order', that, results.data);
 
             if (results.data.order.url) {
@@ -495,131 +802,515 @@
         },
         get_errors() {
 
-          const result = this.errors.map(function (e) {
+          const result = this.errors.map(function (e) {
+
+            return e.message;
+
+          });
+
+          return result.length > 0 ? result : false;
+
+        },
+        get_error(field) {
+
+          const result = this.errors.filter(function (e) {
+
+            return e.code === field;
+
+          });
+
+          return result.length > 0 ? result[0] : false;
+
+        },
+        get_error_text(message) {
+
+          return jQuery('<div>').html(message).text().trim();
+
+        },
+        announce(message, assertive = false) {
+
+          const region = assertive ? 'a11y_alert' : 'a11y_message';
+
+          /*
+           * Clearing the region first makes screen readers repeat the same message.
+           */
+          this[ region ] = '';
+
+          this.$nextTick(function () {
+
+            this[ region ] = message;
+
+          });
+
+        },
+        report_errors() {
+
+          const that = this;
+
+          const messages = _.uniq(_.map(this.errors, function (error) {
+
+            return that.get_error_text(error.message);
+
+          }));
+
+          if (!messages.length) {
+
+            return;
+
+          } // end if;
+
+          this.announce(wu_checkout.i18n.form_errors.replace('%s', messages.join(' ')), true);
+
+          this.$nextTick(this.focus_first_error);
+
+        },
+        focus_first_error() {
+
+          const $form = jQuery(this.$el);
+
+          for (const error of this.errors) {
+
+            const $field = $form.find('[name="' + error.code + '"], [name="' + error.code + '[]"]').not('[type="hidden"]').filter(':visible');
+
+            const target = $field.length ? $field.get(0) : document.getElementById('wu-error-' + error.code);
+
+            if (target) {
+
+              target.focus();
+
+              return;
+
+            } // end if;
+
+          } // end for;
+
+        },
+        update_fields_aria() {
+
+          const that = this;
+
+          /*
+           * Links each field to its error message, so it is read when the field gets focus.
+           */
+          jQuery(this.$el).find(':input[name]').not('[type="hidden"]').each(function () {
+
+            const field = this.name.replace(/\[\]$/, '');
+
+            const error_id = 'wu-error-' + field;
+
+            const described_by = _.without((this.getAttribute('aria-describedby') || '').split(' '), '', error_id);
+
+            if (that.get_error(field)) {
+
+              this.setAttribute('aria-invalid', 'true');
+
+              described_by.push(error_id);
+
+            } else {
+
+              this.removeAttribute('aria-invalid');
+
+            } // end if;
+
+            if (described_by.length) {
+
+              this.setAttribute('aria-describedby', described_by.join(' '));
+
+            } else {
+
+              this.removeAttribute('aria-describedby');
+
+            } // end if;
+
+          });
+
+        },
+        form_success(results) {
+
+          if (!_.isEmpty(results.data)) {
+
+            this.hooks.doAction('wu_on_form_success', this, results.data);
+
+            const fields = results.data.gateway.data;
+
+            fields.payment_id = results.data.payment_id;
+
+            fields.membership_id = results.data.membership_id;
+
+            fields.cart_type = results.data.cart_type;
+
+            // Append the hidden fields
+            this.append_hidden_fields(fields);
+
+            this.confirm_payment(results.data);
+
+          } // end if;
+
+        },
+        get_form_data() {
+
+          return jQuery('#wu_form').serializeArray().reduce(function (json, { name, value }) {
+
+            // Get products from this
+            if (name !== 'products[]') {
+
+              json[name] = value;
+
+            }
+
+            return json;
+
+          }, {});
+
+        },
+        has_field(field) {
+
+          return jQuery(this.$el).find('[name="' + field + '"], [name="' + field + '[]"]').length > 0;
+
+        },
+        get_product_id(product_id_or_slug) {
+
+          if (!isNaN(parseInt(product_id_or_slug, 10))) {
+
+            return parseInt(product_id_or_slug, 10);
+
+          } // end if;
+
+          /*
+           * Products added by slug, e.g. from the URL, are resolved from the order line items.
+           */
+          const line_item = this.order ? _.findWhere(this.order.line_items, { product_slug: product_id_or_slug }) : false;
+
+          return line_item && line_item.product_id ? parseInt(line_item.product_id, 10) : product_id_or_slug;
+
+        },
+        get_condition_value(subject) {
+
+          const values = {
+            country: this.country,
+            state: this.state,
+            products: _.map(this.products, (product) => this.get_product_id(product)),
+            has_plan: (this.order ? this.order.has_plan : !!this.plan) ? 'yes' : 'no',
+            billing_period: this.duration ? parseInt(this.duration, 10) + '-' + this.duration_unit : '',
+            gateway: this.gateway,
+          };
+
+          const value = _.has(values, subject) ? values[ subject ] : this[ subject ];
+
+          return this.hooks.applyFilters('wu_checkout_field_condition_value', value, subject, this);
+
+        },
+        check_condition(condition) {
+
+          const values = _.filter(_.map(_.flatten([ this.get_condition_value(condition.subject) ]), (value) => {
+
+            return value === null || typeof value === 'undefined' ? '' : String(value).toLowerCase();
+
+          }), (value) => value !== '');
+
+          const expected = _.filter(_.map(String(condition.value || '').toLowerCase().split(','), (value) => value.trim()), (value) => value !== '');
+
+          const eu_countries = _.map(wu_checkout.field_conditions ? wu_checkout.field_conditions.eu_countries : [], (country) => country.toLowerCase());
+
+          const checks = {
+            empty: () => values.length === 0,
+            not_empty: () => values.length > 0,
+            in_eu: () => _.intersection(values, eu_countries).length > 0,
+            not_in_eu: () => _.intersection(values, eu_countries).length === 0,
+            equals: () => _.intersection(values, expected).length > 0,
+            not_equals: () => _.intersection(values, expected).length === 0,
+            in: () => _.intersection(values, expected).length > 0,
+            not_in: () => _.intersection(values, expected).length === 0,
+          };
+
+          return _.has(checks, condition.operator) ? checks[ condition.operator ]() : true;
+
+        },
+        check_conditions(conditions, match = 'all') {
+
+          const results = _.map(conditions || [], (condition) => this.check_condition(condition));
+
+          return match === 'any' ? _.contains(results, true) : !_.contains(results, false);
+
+        },
+        is_field_visible(field) {
+
+          const settings = wu_checkout.field_conditions && wu_checkout.field_conditions.fields[ field ];
+
+          return settings ? this.check_conditions(settings.conditions, settings.match) : true;
+
+        },
+        validate_client(fields) {
+
+          if (!this.validator) {
+
+            return [];
+
+          } // end if;
+
+          const data = {
+            ...this.get_form_data(),
+            products: this.products,
+          };
+
+          const that = this;
+
+          const fields_to_validate = _.filter(fields || this.validator.get_fields(), function (field) {
+
+            return that.has_field(field) && that.is_field_visible(field);
+
+          });
+
+          return this.hooks.applyFilters('wu_checkout_client_validation_errors', this.validator.validate(data, fields_to_validate), data, this);
+
+        },
+        validate_field(field) {
+
+          if (!this.validator) {
+
+            return;
+
+          } // end if;
+
+          /*
+           * Re-validates touched fields that depend on this one, e.g. password confirmation.
+           */
+          const fields = _.union([field], _.intersection(this.validator.get_dependent_fields(field), this.touched_fields));
+
+          const errors = this.validate_client(fields);
+
+          const field_error = _.findWhere(errors, { code: field });
+
+          if (field_error && !_.findWhere(this.errors, { code: field, message: field_error.message })) {
+
+            this.announce(this.get_error_text(field_error.message));
+
+          } // end if;
+
+          this.errors = _.filter(this.errors, function (error) {
+
+            return !_.contains(fields, error.code);
+
+          }).concat(errors);
+
+        },
+        validate_form() {
+
+          this.errors = [];
+
+          /*
+           * Catch what we can before hitting the server,
+           * which still runs the full validation.
+           */
+          const client_errors = this.validate_client();
+
+          if (client_errors.length) {
+
+            this.errors = client_errors;
+
+            this.unblock();
+
+            this.report_errors();
+
+            return;
+
+          } // end if;
+
+          const form_data_obj = this.get_form_data();
+
+          const form_data = jQuery.param({
+            ...form_data_obj,
+            products: this.products,
+            membership_id: this.membership_id,
+            payment_id: this.payment_id,
+            auto_renew: this.auto_renew,
+            cart_type: this.type,
+            valid_password: this.valid_password,
+            duration: this.duration,
+            duration_unit: this.duration_unit,
+          });
+
+          const that = this;
+
+          this.request('wu_validate_form', form_data, function (results) {
+
+            if (!that.valid_password) {
+
+              that.errors.push({
+                code: 'password',
+                message: wu_checkout.i18n.weak_password,
+              });
+
+            } // end if;
+
+            if (results.success === false) {
+
+              that.errors = [].concat(that.errors, results.data);
+
+              that.unblock();
+
+              that.report_errors();
+
+              return;
+
+            } // end if;
+
+            if (!that.errors.length) {
+
+              that.form_success(results);
+
+              if (that.prevent_submission === false) {
+
+                that.resubmit();
+
+              } // end if;
+
+            } else {
+
+              that.unblock();
+
+              that.report_errors();
+
+            } // end if;
+
+          }, this.handle_errors);
+
+        },
+        append_hidden_fields(fields) {
+
+          jQuery.each(Object.assign({}, fields), function (index, value) {
+
+            jQuery('#wu_form').find('input[type="hidden"]').filter(function () {
+
+              return this.name === index;
 
-            return e.message;
+            }).remove();
 
-          });
+            const hidden = document.createElement('input');
 
-          return result.length > 0 ? result : false;
+            hidden.type = 'hidden';
 
-        },
-        get_error(field) {
+            hidden.name = index;
 
-          const result = this.errors.filter(function (e) {
+            hidden.value = value;
 
-            return e.code === field;
+            jQuery('#wu_form').append(hidden);
 
           });
 
-          return result.length > 0 ? result[0] : false;
+        },
+        get_payment_adapter() {
+
+          return window.wu_payment_adapters.get(this.gateway);
 
         },
-        form_success(results) {
+        needs_payment() {
 
-          if (!_.isEmpty(results.data)) {
+          return !!(this.order && this.order.should_collect_payment);
 
-            this.hooks.doAction('wu_on_form_success', this, results.data);
+        },
+        mount_payment_adapter() {
 
-            const fields = results.data.gateway.data;
+          const adapter = this.get_payment_adapter();
 
-            fields.payment_id = results.data.payment_id;
+          /*
+           * The gateway changed, tear down the previous adapter.
+           */
+          if (active_payment_gateway !== this.gateway) {
 
-            fields.membership_id = results.data.membership_id;
+            const previous_adapter = window.wu_payment_adapters.get(active_payment_gateway);
 
-            fields.cart_type = results.data.cart_type;
+            if (previous_adapter && previous_adapter.teardown) {
 
-            // Append the hidden fields
-            jQuery.each(Object.assign({}, fields), function (index, value) {
+              previous_adapter.teardown(this);
 
-              const hidden = document.createElement('input');
+            } // end if;
 
-              hidden.type = 'hidden';
+            active_payment_gateway = this.gateway;
 
-              hidden.name = index;
+            this.prevent_submission = false;
 
-              hidden.value = value;
+          } // end if;
 
-              jQuery('#wu_form').append(hidden);
+          if (adapter && adapter.mount) {
 
-            });
+            adapter.mount(this);
 
           } // end if;
 
         },
-        validate_form() {
+        async prepare_payment() {
 
-          this.errors = [];
+          const adapter = this.get_payment_adapter();
 
-          const form_data_obj = jQuery('#wu_form').serializeArray().reduce(function (json, { name, value }) {
+          if (!adapter || !this.needs_payment()) {
 
-            // Get products from this
-            if (name !== 'products[]') {
+            return;
 
-              json[name] = value;
+          } // end if;
 
-            }
+          if (adapter.validate) {
 
-            return json;
+            await adapter.validate(this);
 
-          }, {});
+          } // end if;
 
-          const form_data = jQuery.param({
-            ...form_data_obj,
-            products: this.products,
-            membership_id: this.membership_id,
-            payment_id: this.payment_id,
-            auto_renew: this.auto_renew,
-            cart_type: this.type,
-            valid_password: this.valid_password,
-            duration: this.duration,
-            duration_unit: this.duration_unit,
-          });
+          if (adapter.tokenize) {
 
-          const that = this;
+            this.append_hidden_fields(await adapter.tokenize(this));
 
-          this.request('wu_validate_form', form_data, function (results) {
+          } // end if;
 
-            if (!that.valid_password) {
+        },
+        confirm_payment(data) {
 
-              that.errors.push({
-                code: 'password',
-                message: wu_checkout.i18n.weak_password,
-              });
+          const that = this;
 
-            } // end if;
+          const adapter = this.get_payment_adapter();
 
-            if (results.success === false) {
+          if (!adapter || !adapter.confirm || !this.needs_payment()) {
 
-              that.errors = [].concat(that.errors, results.data);
+            return;
 
-              that.unblock();
+          } // end if;
 
-              return;
+          /*
+           * The form is resubmitted once the payment is confirmed.
+           */
+          this.prevent_submission = true;
 
-            } // end if;
+          Promise.resolve().then(function () {
 
-            if (!that.errors.length) {
+            return adapter.confirm(that, data);
 
-              that.form_success(results);
+          }).then(function (result) {
 
-              if (that.prevent_submission === false) {
+            if (result !== false) {
 
-                that.resubmit();
+              that.resubmit();
 
-              } // end if;
+            } // end if;
 
-            } else {
+          }).catch(function (error) {
 
-              that.unblock();
+            that.prevent_submission = false;
 
-            } // end if;
+            that.unblock();
 
-          }, this.handle_errors);
+            that.errors.push({
+              code: (error && error.code) || 'payment-error',
+              message: error && error.message ? error.message : String(error),
+            });
+
+            that.report_errors();
+
+          });
 
         },
         resubmit() {
 
+          hooks.doAction('wu_before_form_resubmitted', this);
+
           jQuery('#wu_form').get(0).submit();
 
         },
@@ -644,6 +1335,17 @@
 
           hooks.doAction('wu_on_change_product', new_value, old_value, this);
 
+          this.validate_discount_code();
+
+          this.create_order();
+
+        },
+        on_change_quantities(new_value) {
+
+          hooks.doAction('wu_on_change_quantities', new_value, this);
+
+          this.validate_discount_code();
+
           this.create_order();
 
         },
@@ -679,6 +1381,8 @@
 
           hooks.doAction('wu_on_change_duration', new_value, old_value, this);
 
+          this.validate_discount_code();
+
           this.create_order();
 
         },
@@ -688,15 +1392,102 @@
 
           hooks.doAction('wu_on_change_duration_unit', new_value, old_value, this);
 
+          this.validate_discount_code();
+
+          this.create_order();
+
+        },
+        on_change_display_currency(new_value, old_value) {
+
+          try {
+
+            window.localStorage.setItem('wu_display_currency', new_value);
+
+          } catch (err) {
+
+            // eslint-disable-next-line no-console
+            console.warn('Browser does not support localStorage.', err);
+
+          } // end try;
+
+          hooks.doAction('wu_on_change_display_currency', new_value, old_value, this);
+
           this.create_order();
 
+        },
+        on_change_site_url(new_value, old_value) {
+
+          hooks.doAction('wu_on_change_site_url', new_value, old_value, this);
+
+          if (this.check_site_url_availability) {
+
+            this.check_site_url_debounced();
+
+          } // end if;
+
+        },
+        on_change_site_domain(new_value, old_value) {
+
+          hooks.doAction('wu_on_change_site_domain', new_value, old_value, this);
+
+          if (this.check_site_url_availability) {
+
+            this.check_site_url_debounced();
+
+          } // end if;
+
         },
         on_change_discount_code(new_value, old_value) {
 
           hooks.doAction('wu_on_change_discount_code', new_value, old_value, this);
 
+          this.validate_discount_code();
+
           this.create_order();
 
+        },
+        validate_discount_code() {
+
+          if (!this.discount_code) {
+
+            this.discount_code_results = false;
+
+            return;
+
+          } // end if;
+
+          const discount_code = this.discount_code;
+
+          const that = this;
+
+          this.request('wu_validate_discount_code', {
+            ..._.pick(this.$data, [ 'products', 'quantities', 'country', 'state', 'city', 'membership_id', 'payment_id', 'auto_renew', 'duration', 'duration_unit', 'cart_type' ]),
+            discount_code,
+            _wpnonce: jQuery('[name="_wpnonce"]').val(),
+          }, function (results) {
+
+            // Discard responses for codes the customer already changed
+            if (discount_code !== that.discount_code) {
+
+              return;
+
+            } // end if;
+
+            that.discount_code_results = results.success ? results.data : false;
+
+            hooks.doAction('wu_on_validate_discount_code', that.discount_code_results, that);
+
+          }, function () {
+
+            that.discount_code_results = false;
+
+          });
+
+        },
+        remove_discount_code(code) {
+
+          this.discount_code = _.without(this.discount_code.toUpperCase().split(',').map((item) => item.trim()), code.toUpperCase()).join(',');
+
         },
         block() {
 
@@ -738,7 +1529,7 @@
         },
         request(action, data, success_handler, error_handler) {
 
-          const actual_ajax_url = (action === 'wu_validate_form' || action === 'wu_create_order' || action === 'wu_render_field_template' || action === 'wu_check_user_exists' || action === 'wu_inline_login') ? wu_checkout.late_ajaxurl : wu_checkout.ajaxurl;
+          const actual_ajax_url = (action === 'wu_validate_form' || action === 'wu_create_order' || action === 'wu_validate_discount_code' || action === 'wu_render_field_template' || action === 'wu_check_user_exists' || action === 'wu_check_site_url' || action === 'wu_inline_login') ? wu_checkout.late_ajaxurl : wu_checkout.ajaxurl;
 
           jQuery.ajax({
             method: 'POST',
@@ -824,6 +1615,78 @@
 
           });
 
+        },
+        check_site_url_debounced: _.debounce(function () {
+
+          this.check_site_url();
+
+        }, 500),
+        reset_site_url_availability() {
+
+          this.checking_site_url = false;
+
+          this.site_url_availability = {
+            status: '',
+            message: '',
+            suggestions: [],
+          };
+
+        },
+        check_site_url() {
+
+          const site_url = this.site_url;
+
+          // Don't check if value is too short or auto-generated
+          if (!site_url || site_url.length < 3 || site_url === 'autogenerate') {
+
+            this.reset_site_url_availability();
+
+            return;
+
+          } // end if;
+
+          this.checking_site_url = true;
+
+          const that = this;
+
+          this.request('wu_check_site_url', {
+            site_url,
+            site_domain: this.site_domain,
+            _wpnonce: jQuery('[name="_wpnonce"]').val(),
+          }, function (results) {
+
+            // Discard responses for values the customer already changed
+            if (site_url !== that.site_url) {
+
+              return;
+
+            } // end if;
+
+            if (results.success) {
+
+              that.checking_site_url = false;
+
+              that.site_url_availability = results.data;
+
+              hooks.doAction('wu_on_site_url_availability', results.data, that);
+
+            } else {
+
+              that.reset_site_url_availability();
+
+            } // end if;
+
+          }, function () {
+
+            that.reset_site_url_availability();
+
+          });
+
+        },
+        use_site_url_suggestion(suggestion) {
+
+          this.site_url = suggestion;
+
         },
         handle_inline_login(event) {
 
@@ -890,10 +1753,27 @@
         },
         dismiss_login_prompt() {
 
+          const field = this.login_prompt_field === 'email' ? 'email_address' : this.login_prompt_field;
+
           this.show_login_prompt = false;
           this.inline_login_password = '';
           this.login_error = '';
 
+          /*
+           * Give focus back to the field that opened the prompt.
+           */
+          this.$nextTick(function () {
+
+            const input = document.getElementById('field-' + field);
+
+            if (input) {
+
+              input.focus();
+
+            } // end if;
+
+          });
+
         },
         setup_inline_login_handlers() {
 
@@ -986,7 +1866,9 @@
             }
 
             // Stop all events from bubbling out of the login prompt
-            if (loginPromptContainer) {
+            if (loginPromptContainer && !loginPromptContainer.dataset.wuHandlers) {
+
+              loginPromptContainer.dataset.wuHandlers = '1';
 
               loginPromptContainer.addEventListener('click', function(e) {
 
@@ -998,6 +1880,13 @@
 
                 e.stopPropagation();
 
+                if (e.key === 'Escape') {
+
+                  e.preventDefault();
+                  that.dismiss_login_prompt();
+
+                }
+
               });
 
               loginPromptContainer.addEventListener('keyup', function(e) {
@@ -1026,9 +1915,8 @@
 
                 e.preventDefault();
                 e.stopPropagation();
-                that.show_login_prompt = false;
-                that.inline_login_password = '';
                 newPasswordField.value = '';
+                that.dismiss_login_prompt();
 
               });
 
@@ -1042,8 +1930,12 @@
 
         this.$nextTick(function () {
 
+          this.mount_payment_adapter();
+
           hooks.doAction('wu_on_form_updated', this);
 
+          this.update_fields_aria();
+
           wu_initialize_tooltip();
 
           // Setup inline login handlers if prompt is visible
@@ -1062,6 +1954,49 @@
 
         });
 
+        /*
+         * Inline validation, using the rules declared by the server.
+         */
+        if (typeof window.WU_Checkout_Validator !== 'undefined' && window.wu_checkout_validation) {
+
+          this.validator = new window.WU_Checkout_Validator(window.wu_checkout_validation);
+
+          this.touched_fields = [];
+
+          const get_field_name = function (el) {
+
+            return (el.name || '').replace(/\[\]$/, '');
+
+          };
+
+          jQuery(this.$el).on('focusout', ':input', function () {
+
+            const field = get_field_name(this);
+
+            if (field) {
+
+              that.touched_fields = _.union(that.touched_fields, [field]);
+
+              that.validate_field(field);
+
+            } // end if;
+
+          });
+
+          jQuery(this.$el).on('input change', ':input', _.debounce(function () {
+
+            const field = get_field_name(this);
+
+            if (_.contains(that.touched_fields, field) || that.get_error(field)) {
+
+              that.validate_field(field);
+
+            } // end if;
+
+          }, 300));
+
+        } // end if;
+
         jQuery(this.$el).on('submit', async function (e) {
 
           e.preventDefault();
@@ -1094,6 +2029,8 @@
             // Here we use filter to return possible promises to await
             await Promise.all(hooks.applyFilters("wu_before_form_submitted", promises, that, that.gateway));
 
+            await that.prepare_payment();
+
           } catch (error) {
 
             that.errors = [];
@@ -1105,6 +2042,8 @@
 
             that.unblock();
 
+            that.report_errors();
+
             that.handle_errors(error);
 
             return;
@@ -1119,10 +2058,18 @@
 
         this.create_order();
 
+        if (this.check_site_url_availability && this.site_url) {
+
+          this.check_site_url();
+
+        } // end if;
+
         hooks.doAction('wu_checkout_loaded', this);
 
         hooks.doAction('wu_on_change_gateway', this.gateway, this.gateway);
 
+        this.$nextTick(this.mount_payment_adapter);
+
         // Initialize password strength checker using the shared utility
         this.init_password_strength();
 
@@ -1135,6 +2082,14 @@
           this.on_change_product(new_value, old_value);
 
         },
+        quantities: {
+          handler(new_value) {
+
+            this.on_change_quantities(new_value);
+
+          },
+          deep: true,
+        },
         toggle_discount_code(new_value) {
 
           if (!new_value) {
@@ -1148,6 +2103,16 @@
 
           this.on_change_discount_code(new_value, old_value);
 
+        },
+        site_url(new_value, old_value) {
+
+          this.on_change_site_url(new_value, old_value);
+
+        },
+        site_domain(new_value, old_value) {
+
+          this.on_change_site_domain(new_value, old_value);
+
         },
         gateway(new_value, old_value) {
 
@@ -1183,6 +2148,20 @@
           this.on_change_duration_unit(new_value, old_value);
 
         },
+        display_currency(new_value, old_value) {
+
+          this.on_change_display_currency(new_value, old_value);
+
+        },
+        show_login_prompt(new_value) {
+
+          if (new_value) {
+
+            this.announce(wu_checkout.i18n.login_prompt);
+
+          } // end if;
+
+        },
       },
     });
 
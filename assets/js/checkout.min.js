@@ -1 +1 @@
-((n,r,s)=>{window.history.replaceState&&window.history.replaceState(null,null,wu_checkout.baseurl),r.addAction("wu_on_create_order","nextpress/wp-ultimo",function(e,t){void 0!==t.order.extra.template_id&&t.order.extra.template_id&&(e.template_id=t.order.extra.template_id)}),r.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(e){void 0!==window.wu_auto_submittable_field&&window.wu_auto_submittable_field&&e.$watch(window.wu_auto_submittable_field,function(){jQuery(this.$el).submit()},{deep:!0})}),r.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(t){wu_create_cookie("wu_template",""),wu_create_cookie("wu_selected_products",""),wu_listen_to_cookie_change("wu_template",function(e){e&&(t.template_id=e)})}),n(document).on("click",'[href|="#wu-checkout-add"]',function(e){e.preventDefault();var e=n(this),t=e.attr("href").split("#").pop().replace("wu-checkout-add-","");"undefined"!=typeof wu_checkout_form&&-1===wu_checkout_form.products.indexOf(t)&&(wu_checkout_form.add_product(t),e.html(wu_checkout.i18n.added_to_order))}),window.addEventListener("pageshow",function(e){e.persisted&&this.window.wu_checkout_form&&this.window.wu_checkout_form.unblock()}),n(document).ready(function(){var e;void 0!==window.Vue&&(Object.defineProperty(Vue.prototype,"$moment",{value:moment}),e={plan:(e=function(e){return isNaN(e)?e:parseInt(e,10)})(wu_checkout.plan),errors:[],order:wu_checkout.order,products:s.map(wu_checkout.products,e),template_id:wu_checkout.template_id,template_category:"",gateway:wu_checkout.gateway,request_billing_address:wu_checkout.request_billing_address,country:wu_checkout.country,state:"",city:"",site_url:wu_checkout.site_url,site_domain:wu_checkout.site_domain,is_subdomain:wu_checkout.is_subdomain,discount_code:wu_checkout.discount_code,toggle_discount_code:0,payment_method:"",username:"",email_address:"",payment_id:wu_checkout.payment_id,membership_id:wu_checkout.membership_id,cart_type:"new",auto_renew:1,duration:wu_checkout.duration,duration_unit:wu_checkout.duration_unit,prevent_submission:!1,valid_password:!0,stored_templates:{},state_list:[],city_list:[],labels:{},show_login_prompt:!1,login_prompt_field:"",checking_user_exists:!1,logging_in:!1,login_error:"",inline_login_password:""},r.applyFilters("wu_before_form_init",e),jQuery("#wu_form").length)&&(Vue.component("colorPicker",{props:["value"],template:'<input type="text">',mounted(){let o=this;n(this.$el).val(this.value).wpColorPicker({width:200,defaultColor:this.value,change(e,t){o.$emit("input",t.color.toString())}})},watch:{value(e){n(this.$el).wpColorPicker("color",e)}},destroyed(){n(this.$el).off().wpColorPicker("destroy")}}),window.wu_checkout_form=new Vue({el:"#wu_form",data:e,directives:{init:{bind(e,t,o){o.context[t.arg]=t.value}}},components:{dynamic:{functional:!0,template:"#dynamic",props:["template"],render(e,t){t=t.props.template;return e(t?{template:t}:"<div>nbsp;</div>")}}},computed:{hooks(){return wp.hooks},unique_products(){return s.uniq(this.products,!1,e=>parseInt(e,10))}},methods:{debounce(e){return s.debounce(e,200,!0)},open_url(e,t="_blank"){window.open(e,t)},get_template(e,t){void 0===t.id&&(t.id="default");var o=e+"/"+t.id;return void 0!==this.stored_templates[o]?this.stored_templates[o]:(o=this.hooks.applyFilters("wu_before_template_fetch",{duration:this.duration,duration_unit:this.duration_unit,products:this.products,...t},this),this.fetch_template(e,o),'<div class="wu-p-4 wu-bg-gray-100 wu-text-center wu-my-2 wu-rounded">'+wu_checkout.i18n.loading+"</div>")},reset_templates(n){if(void 0===n)this.stored_templates={};else{let i={};s.forEach(this.stored_templates,function(e,t){var o=t.toString().substr(0,t.toString().indexOf("/"));!1===s.contains(n,o)&&(i[t]=e)}),this.stored_templates=i}},fetch_template(o,i){let n=this;void 0===i.id&&(i.id="default"),this.request("wu_render_field_template",{template:o,attributes:i},function(e){var t=o+"/"+i.id;e.success?Vue.set(n.stored_templates,t,e.data.html):Vue.set(n.stored_templates,t,"<div>"+e.data[0].message+"</div>")})},go_back(){this.block(),window.history.back()},set_prevent_submission(e){this.$nextTick(function(){this.prevent_submission=e})},remove_product(t,o){this.products=s.filter(this.products,function(e){return e!=t&&e!=o})},add_plan(e){this.plan&&this.remove_product(this.plan),this.plan=e,this.add_product(e)},add_product(e){this.products.push(e)},has_product(e){return-1<this.products.indexOf(e)||-1<this.products.indexOf(parseInt(e,10))},wu_format_money(e){return window.wu_format_money(e)},filter_for_request(e,t=""){t=this.hooks.doAction("wu_filter_for_request",["stored_templates"],e,t);return s.omit(e,t)},create_order(){if(jQuery("#wu-order-summary-content").length){this.block(),this.order=!1;let t=this;var e=this.debounce(this.request),o={...this.$data};delete o.stored_templates,delete o.state_list,delete o.city_list,delete o.labels,e("wu_create_order",this.filter_for_request(o,"wu_create_order"),function(e){t.order=e.data.order,t.state_list=e.data.states,t.city_list=e.data.cities,t.labels=e.data.labels,t.cart_type=e.data.order.type,t.errors=e.data.order.errors,t.hooks.doAction("wu_on_create_order",t,e.data),e.data.order.url,t.unblock()},this.handle_errors)}},get_errors(){var e=this.errors.map(function(e){return e.message});return 0<e.length&&e},get_error(t){var e=this.errors.filter(function(e){return e.code===t});return 0<e.length&&e[0]},form_success(e){var t;s.isEmpty(e.data)||(this.hooks.doAction("wu_on_form_success",this,e.data),(t=e.data.gateway.data).payment_id=e.data.payment_id,t.membership_id=e.data.membership_id,t.cart_type=e.data.cart_type,jQuery.each(Object.assign({},t),function(e,t){var o=document.createElement("input");o.type="hidden",o.name=e,o.value=t,jQuery("#wu_form").append(o)}))},validate_form(){this.errors=[];var e=jQuery("#wu_form").serializeArray().reduce(function(e,{name:t,value:o}){return"products[]"!==t&&(e[t]=o),e},{}),e=jQuery.param({...e,products:this.products,membership_id:this.membership_id,payment_id:this.payment_id,auto_renew:this.auto_renew,cart_type:this.type,valid_password:this.valid_password,duration:this.duration,duration_unit:this.duration_unit});let t=this;this.request("wu_validate_form",e,function(e){t.valid_password||t.errors.push({code:"password",message:wu_checkout.i18n.weak_password}),!1===e.success?(t.errors=[].concat(t.errors,e.data),t.unblock()):t.errors.length?t.unblock():(t.form_success(e),!1===t.prevent_submission&&t.resubmit())},this.handle_errors)},resubmit(){jQuery("#wu_form").get(0).submit()},handle_errors(e){this.unblock(),console.error(e)},on_submit(e){e.preventDefault()},on_change_product(e,t){window.wu_create_cookie("wu_selected_products",e.join(","),.5),this.reset_templates(["template-selection"]),r.doAction("wu_on_change_product",e,t,this),this.create_order()},on_change_gateway(e,t){r.doAction("wu_on_change_gateway",e,t,this)},on_change_country(e,t){r.doAction("wu_on_change_country",e,t,this),this.create_order()},on_change_state(e,t){r.doAction("wu_on_change_state",e,t,this),this.create_order()},on_change_city(e,t){r.doAction("wu_on_change_city",e,t,this),this.create_order()},on_change_duration(e,t){this.reset_templates(),r.doAction("wu_on_change_duration",e,t,this),this.create_order()},on_change_duration_unit(e,t){this.reset_templates(),r.doAction("wu_on_change_duration_unit",e,t,this),this.create_order()},on_change_discount_code(e,t){r.doAction("wu_on_change_discount_code",e,t,this),this.create_order()},block(){var e=jQuery(this.$el).parents().filter(function(){return"rgba(0, 0, 0, 0)"!==n(this).css("backgroundColor")}).first().css("backgroundColor");jQuery(this.$el).wu_block({message:'<div class="spinner is-active wu-float-none" style="float: none !important;"></div>',overlayCSS:{backgroundColor:e||"#ffffff",opacity:.6},css:{padding:0,margin:0,width:"50%",fontSize:"14px !important",top:"40%",left:"35%",textAlign:"center",color:"#000",border:"none",backgroundColor:"none",cursor:"wait"}})},unblock(){jQuery(this.$el).wu_unblock()},request(e,t,o,i){var n="wu_validate_form"===e||"wu_create_order"===e||"wu_render_field_template"===e||"wu_check_user_exists"===e||"wu_inline_login"===e?wu_checkout.late_ajaxurl:wu_checkout.ajaxurl;jQuery.ajax({method:"POST",url:n+"&action="+e,data:t,success:o,error:i})},init_password_strength(){let t=this;var e=jQuery("#field-password");e.length&&void 0!==window.WU_PasswordStrength&&(this.password_strength_checker=new window.WU_PasswordStrength({pass1:e,result:jQuery("#pass-strength-result"),minStrength:3,onValidityChange:function(e){t.valid_password=e}}))},check_user_exists_debounced:s.debounce(function(e,t){this.check_user_exists(e,t)},500),check_user_exists(o,e){if(!e||e.length<3)this.show_login_prompt=!1;else{this.checking_user_exists=!0,this.login_error="";let t=this;this.request("wu_check_user_exists",{field_type:o,value:e,_wpnonce:jQuery('[name="_wpnonce"]').val()},function(e){t.checking_user_exists=!1,e.success&&e.data.exists?(t.show_login_prompt=!0,t.login_prompt_field=o):t.show_login_prompt=!1},function(e){t.checking_user_exists=!1,t.show_login_prompt=!1})}},handle_inline_login(e){if(console.log("handle_inline_login called",e),e&&(e.preventDefault(),e.stopPropagation(),e.stopImmediatePropagation()),this.inline_login_password){this.logging_in=!0,this.login_error="";let t=this;e="email"===this.login_prompt_field?this.email_address||"":this.username||"";this.request("wu_inline_login",{username_or_email:e,password:this.inline_login_password,_wpnonce:jQuery('[name="_wpnonce"]').val()},function(e){t.logging_in=!1,e.success&&window.location.reload()},function(e){t.logging_in=!1,e.responseJSON&&e.responseJSON.data&&e.responseJSON.data.message?t.login_error=e.responseJSON.data.message:t.login_error=wu_checkout.i18n.login_failed||"Login failed. Please try again."})}else this.login_error=wu_checkout.i18n.password_required||"Password is required";return!1},dismiss_login_prompt(){this.show_login_prompt=!1,this.inline_login_password="",this.login_error=""},setup_inline_login_handlers(){let _=this;["email","username"].forEach(function(n){var e=document.getElementById("wu-inline-login-password-"+n),t=document.getElementById("wu-inline-login-submit-"+n),r=document.getElementById("wu-dismiss-login-prompt-"+n);let s=document.getElementById("wu-login-error-"+n);var a=document.getElementById("wu-inline-login-prompt-"+n);if(e&&t){let o=t.cloneNode(!0),i=(t.parentNode.replaceChild(o,t),e.cloneNode(!0));function u(e){o.disabled=!1,o.textContent=wu_checkout.i18n.sign_in||"Sign in",e.data&&e.data.message?s.textContent=e.data.message:s.textContent=wu_checkout.i18n.login_failed||"Login failed. Please try again.",s.style.display="block"}function d(e){e.preventDefault(),e.stopPropagation(),e.stopImmediatePropagation();e=i.value;if(!e)return s.textContent=wu_checkout.i18n.password_required||"Password is required",!(s.style.display="block");o.disabled=!0,o.innerHTML='<span class="spinner is-active wu-inline-block" style="float: none; width: 16px; height: 16px; margin: 0 4px 0 0;"></span>'+(wu_checkout.i18n.logging_in||"Logging in..."),s.style.display="none";var t="email"===n?_.email_address:_.username;return jQuery.ajax({method:"POST",url:wu_checkout.late_ajaxurl+"&action=wu_inline_login",data:{username_or_email:t,password:e,_wpnonce:jQuery('[name="_wpnonce"]').val()},success:function(e){e.success?window.location.reload():u(e)},error:u}),!1}e.parentNode.replaceChild(i,e),a&&(a.addEventListener("click",function(e){e.stopPropagation()}),a.addEventListener("keydown",function(e){e.stopPropagation()}),a.addEventListener("keyup",function(e){e.stopPropagation()})),o.addEventListener("click",d),i.addEventListener("keydown",function(e){"Enter"===e.key&&d(e)}),r&&r.addEventListener("click",function(e){e.preventDefault(),e.stopPropagation(),_.show_login_prompt=!1,_.inline_login_password="",i.value=""})}})}},updated(){this.$nextTick(function(){r.doAction("wu_on_form_updated",this),wu_initialize_tooltip(),this.setup_inline_login_handlers()})},mounted(){let i=this;jQuery(this.$el).on("click",function(e){n(this).data("submited_via",n(e.target))}),jQuery(this.$el).on("submit",async function(e){e.preventDefault();var t,e=jQuery(this).data("submited_via");e&&((t=jQuery("<input>")).attr("type","hidden"),t.attr("name",e.attr("name")),t.attr("value",e.val()),jQuery(this).append(t)),i.block();try{var o=[];await Promise.all(r.applyFilters("wu_before_form_submitted",o,i,i.gateway))}catch(e){return i.errors=[],i.errors.push({code:"before-submit-error",message:e.message}),i.unblock(),void i.handle_errors(e)}i.validate_form(),r.doAction("wu_on_form_submitted",i,i.gateway)}),this.create_order(),r.doAction("wu_checkout_loaded",this),r.doAction("wu_on_change_gateway",this.gateway,this.gateway),this.init_password_strength(),wu_initialize_tooltip()},watch:{products(e,t){this.on_change_product(e,t)},toggle_discount_code(e){e||(this.discount_code="")},discount_code(e,t){this.on_change_discount_code(e,t)},gateway(e,t){this.on_change_gateway(e,t)},country(e,t){this.state="",this.on_change_country(e,t)},state(e,t){this.city="",this.on_change_state(e,t)},city(e,t){this.on_change_city(e,t)},duration(e,t){this.on_change_duration(e,t)},duration_unit(e,t){this.on_change_duration_unit(e,t)}}}))})})(jQuery,wp.hooks,_);
\ No newline at end of file
+((n,s,o)=>{window.history.replaceState&&window.history.replaceState(null,null,wu_checkout.baseurl);let i={},r=null;window.wu_payment_adapters={register(t,e){i[t]=s.applyFilters("wu_payment_adapter",e,t)},unregister(t){delete i[t]},get(t){return i[t]||null}},s.addAction("wu_on_create_order","nextpress/wp-ultimo",function(t,e){void 0!==e.order.extra.template_id&&e.order.extra.template_id&&(t.template_id=e.order.extra.template_id)}),s.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(t){void 0!==window.wu_auto_submittable_field&&window.wu_auto_submittable_field&&t.$watch(window.wu_auto_submittable_field,function(){jQuery(this.$el).submit()},{deep:!0})}),s.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(e){wu_create_cookie("wu_template",""),wu_create_cookie("wu_selected_products",""),wu_listen_to_cookie_change("wu_template",function(t){t&&(e.template_id=t)}),window.addEventListener("message",function(t){t.origin===window.location.origin&&t.data&&"wu_template_selected"===t.data.type&&(e.template_id=t.data.template_id)})}),n(document).on("click",'[href|="#wu-checkout-add"]',function(t){t.preventDefault();var t=n(this),e=t.attr("href").split("#").pop().replace("wu-checkout-add-","");"undefined"!=typeof wu_checkout_form&&-1===wu_checkout_form.products.indexOf(e)&&(wu_checkout_form.add_product(e),t.html(wu_checkout.i18n.added_to_order))}),window.addEventListener("pageshow",function(t){t.persisted&&this.window.wu_checkout_form&&this.window.wu_checkout_form.unblock()}),n(document).ready(function(){var t;void 0!==window.Vue&&(Object.defineProperty(Vue.prototype,"$moment",{value:moment}),t={plan:(t=function(t){return isNaN(t)?t:parseInt(t,10)})(wu_checkout.plan),errors:[],order:wu_checkout.order,products:o.map(wu_checkout.products,t),quantities:o.extend({},wu_checkout.quantities),template_id:wu_checkout.template_id,template_category:"",gateway:wu_checkout.gateway,request_billing_address:wu_checkout.request_billing_address,country:wu_checkout.country,state:"",city:"",site_title:wu_checkout.site_title||"",site_url:wu_checkout.site_url,site_domain:wu_checkout.site_domain,is_subdomain:wu_checkout.is_subdomain,discount_code:wu_checkout.discount_code,discount_code_results:!1,toggle_discount_code:0,payment_method:"",username:"",email_address:wu_checkout.email_address||"",payment_id:wu_checkout.payment_id,membership_id:wu_checkout.membership_id,cart_type:"new",auto_renew:1,duration:wu_checkout.duration,duration_unit:wu_checkout.duration_unit,prevent_submission:!1,valid_password:!0,stored_templates:{},state_list:[],city_list:[],labels:{},show_login_prompt:!1,login_prompt_field:"",checking_user_exists:!1,logging_in:!1,login_error:"",inline_login_password:"",check_site_url_availability:!1,checking_site_url:!1,site_url_availability:{status:"",message:"",suggestions:[]},order_request:0,display_currency:(()=>{let e=wu_checkout.display_currency;if(!e)try{e=window.localStorage.getItem("wu_display_currency")}catch(t){e=""}return window.wu_get_switcher_currency(e)?e:wu_settings.currency})(),a11y_message:"",a11y_alert:""},s.applyFilters("wu_before_form_init",t),jQuery("#wu_form").length)&&(Vue.component("colorPicker",{props:["value"],template:'<input type="text">',mounted(){let i=this;n(this.$el).val(this.value).wpColorPicker({width:200,defaultColor:this.value,change(t,e){i.$emit("input",e.color.toString())}})},watch:{value(t){n(this.$el).wpColorPicker("color",t)}},destroyed(){n(this.$el).off().wpColorPicker("destroy")}}),window.wu_checkout_form=new Vue({el:"#wu_form",data:t,directives:{init:{bind(t,e,i){i.context[e.arg]=e.value}}},components:{dynamic:{functional:!0,template:"#dynamic",props:["template"],render(t,e){e=e.props.template;return t(e?{template:e}:"<div>nbsp;</div>")}}},computed:{hooks(){return wp.hooks},unique_products(){return o.uniq(this.products,!1,t=>parseInt(t,10))},order_breakdown(){var t,e,i;return!(!this.order||!o.contains(["upgrade","downgrade","addon"],this.order.type))&&(i=o.where(this.order.line_items,{type:"credit"}),t=o.reject(this.order.line_items,t=>"credit"===t.type),e=o.findWhere(t,{recurring:!0}),i={type:this.order.type,credits:i,credit_total:-o.reduce(i,(t,e)=>t+e.total,0),charges_total:o.reduce(t,(t,e)=>t+e.total,0),due_today:this.order.totals.total,has_recurring:this.order.has_recurring,recurring_total:this.order.totals.recurring.total,recurring_description:e?e.recurring_description:"",date_next_charge:this.order.dates.date_next_charge},s.applyFilters("wu_checkout_order_breakdown",i,this.order,this))}},methods:{debounce(t){return o.debounce(t,200,!0)},open_url(t,e="_blank"){window.open(t,e)},get_template(t,e){void 0===e.id&&(e.id="default");var i=t+"/"+e.id;return void 0!==this.stored_templates[i]?this.stored_templates[i]:(i=this.hooks.applyFilters("wu_before_template_fetch",{duration:this.duration,duration_unit:this.duration_unit,products:this.products,...e},this),this.fetch_template(t,i),'<div class="wu-p-4 wu-bg-gray-100 wu-text-center wu-my-2 wu-rounded">'+wu_checkout.i18n.loading+"</div>")},reset_templates(n){if(void 0===n)this.stored_templates={};else{let r={};o.forEach(this.stored_templates,function(t,e){var i=e.toString().substr(0,e.toString().indexOf("/"));!1===o.contains(n,i)&&(r[e]=t)}),this.stored_templates=r}},fetch_template(i,r){let n=this;void 0===r.id&&(r.id="default"),this.request("wu_render_field_template",{template:i,attributes:r},function(t){var e=i+"/"+r.id;t.success?Vue.set(n.stored_templates,e,t.data.html):Vue.set(n.stored_templates,e,"<div>"+t.data[0].message+"</div>")})},go_back(){this.block(),(window.wu_checkout_router||window.history).back()},set_prevent_submission(t){this.$nextTick(function(){this.prevent_submission=t})},remove_product(e,i){this.products=o.filter(this.products,function(t){return t!=e&&t!=i}),this.$delete(this.quantities,e),this.$delete(this.quantities,i)},add_plan(t){this.plan&&this.remove_product(this.plan),this.plan=t,this.add_product(t)},add_product(t,e=1){this.has_product(t)?this.change_quantity(t,e):(this.products.push(t),1<e&&this.set_quantity(t,e))},get_quantity(e){var t=parseInt(this.quantities[e],10);return t||((t=!!this.order&&o.find(this.order.line_items,t=>parseInt(t.product_id,10)===parseInt(e,10)))&&parseInt(t.quantity,10)?parseInt(t.quantity,10):parseInt(this.get_quantity_limits(e).min,10)||1)},get_quantity_limits(t){return!(!this.order||!this.order.quantity_limits)&&this.order.quantity_limits[t]||{min:1,max:1}},set_quantity(t,e){var i=this.get_quantity_limits(t);e=Math.max(parseInt(i.min,10)||1,parseInt(e,10)||1),(e=0<parseInt(i.max,10)?Math.min(parseInt(i.max,10),e):e)!==this.get_quantity(t)&&this.$set(this.quantities,t,e)},change_quantity(t,e){this.set_quantity(t,this.get_quantity(t)+e)},can_change_quantity(t,e){var i=this.get_quantity_limits(t),t=this.get_quantity(t)+e;return!(t<(parseInt(i.min,10)||1))&&(0===parseInt(i.max,10)||t<=parseInt(i.max,10))},has_product(t){return-1<this.products.indexOf(t)||-1<this.products.indexOf(parseInt(t,10))},wu_format_money(t){return window.wu_format_money(t,this.display_currency)},wu_format_price(t){return this.wu_format_money(t).replace(this.get_currency_symbol(),"").trim()},get_discounted_amount(t,e,i=!0,r="product"){var n;return this.discount_code_results&&this.discount_code_results.discounts&&this.discount_code_results.discounts.length?(n={duration:this.duration,duration_unit:this.duration_unit},window.wu_pricing.apply_discounts({product_id:t,type:r,quantity:1,unit_price:e,recurring:i&&"fee"!==r,...n},this.discount_code_results.discounts,n).total):e},get_currency_symbol(){var t=window.wu_get_switcher_currency(this.display_currency);return t?t.symbol:wu_settings.currency_symbol},filter_for_request(t,e=""){e=this.hooks.doAction("wu_filter_for_request",["stored_templates"],t,e);return o.omit(t,e)},create_order(){if(jQuery("#wu-order-summary-content").length){this.block(),this.order=!1;let e=++this.order_request,i=this;var t=this.debounce(this.request),r={...this.$data};delete r.stored_templates,delete r.state_list,delete r.city_list,delete r.labels,delete r.order_request,t("wu_create_order",this.filter_for_request(r,"wu_create_order"),function(t){e===i.order_request&&(i.order=t.data.order,1<e&&i.announce(wu_checkout.i18n.order_updated.replace("%s",i.wu_format_money(i.order.totals.total))),i.state_list=t.data.states,i.city_list=t.data.cities,i.labels=t.data.labels,i.cart_type=t.data.order.type,i.errors=t.data.order.errors,t.data.display_currency&&t.data.display_currency!==i.display_currency&&(i.display_currency=t.data.display_currency),i.hooks.doAction("wu_on_create_order",i,t.data),t.data.order.url,i.unblock())},this.handle_errors)}},get_errors(){var t=this.errors.map(function(t){return t.message});return 0<t.length&&t},get_error(e){var t=this.errors.filter(function(t){return t.code===e});return 0<t.length&&t[0]},get_error_text(t){return jQuery("<div>").html(t).text().trim()},announce(t,e=!1){let i=e?"a11y_alert":"a11y_message";this[i]="",this.$nextTick(function(){this[i]=t})},report_errors(){let e=this;var t=o.uniq(o.map(this.errors,function(t){return e.get_error_text(t.message)}));t.length&&(this.announce(wu_checkout.i18n.form_errors.replace("%s",t.join(" ")),!0),this.$nextTick(this.focus_first_error))},focus_first_error(){var t,e=jQuery(this.$el);for(t of this.errors){var i=e.find('[name="'+t.code+'"], [name="'+t.code+'[]"]').not('[type="hidden"]').filter(":visible"),i=i.length?i.get(0):document.getElementById("wu-error-"+t.code);if(i)return void i.focus()}},update_fields_aria(){let r=this;jQuery(this.$el).find(":input[name]").not('[type="hidden"]').each(function(){var t=this.name.replace(/\[\]$/,""),e="wu-error-"+t,i=o.without((this.getAttribute("aria-describedby")||"").split(" "),"",e);r.get_error(t)?(this.setAttribute("aria-invalid","true"),i.push(e)):this.removeAttribute("aria-invalid"),i.length?this.setAttribute("aria-describedby",i.join(" ")):this.removeAttribute("aria-describedby")})},form_success(t){var e;o.isEmpty(t.data)||(this.hooks.doAction("wu_on_form_success",this,t.data),(e=t.data.gateway.data).payment_id=t.data.payment_id,e.membership_id=t.data.membership_id,e.cart_type=t.data.cart_type,this.append_hidden_fields(e),this.confirm_payment(t.data))},get_form_data(){return jQuery("#wu_form").serializeArray().reduce(function(t,{name:e,value:i}){return"products[]"!==e&&(t[e]=i),t},{})},has_field(t){return 0<jQuery(this.$el).find('[name="'+t+'"], [name="'+t+'[]"]').length},get_product_id(t){var e;return isNaN(parseInt(t,10))?(e=!!this.order&&o.findWhere(this.order.line_items,{product_slug:t}))&&e.product_id?parseInt(e.product_id,10):t:parseInt(t,10)},get_condition_value(t){var e={country:this.country,state:this.state,products:o.map(this.products,t=>this.get_product_id(t)),has_plan:(this.order?this.order.has_plan:this.plan)?"yes":"no",billing_period:this.duration?parseInt(this.duration,10)+"-"+this.duration_unit:"",gateway:this.gateway},e=(o.has(e,t)?e:this)[t];return this.hooks.applyFilters("wu_checkout_field_condition_value",e,t,this)},check_condition(t){let e=o.filter(o.map(o.flatten([this.get_condition_value(t.subject)]),t=>null==t?"":String(t).toLowerCase()),t=>""!==t),i=o.filter(o.map(String(t.value||"").toLowerCase().split(","),t=>t.trim()),t=>""!==t),r=o.map(wu_checkout.field_conditions?wu_checkout.field_conditions.eu_countries:[],t=>t.toLowerCase());var n={empty:()=>0===e.length,not_empty:()=>0<e.length,in_eu:()=>0<o.intersection(e,r).length,not_in_eu:()=>0===o.intersection(e,r).length,equals:()=>0<o.intersection(e,i).length,not_equals:()=>0===o.intersection(e,i).length,in:()=>0<o.intersection(e,i).length,not_in:()=>0===o.intersection(e,i).length};return!o.has(n,t.operator)||n[t.operator]()},check_conditions(t,e="all"){t=o.map(t||[],t=>this.check_condition(t));return"any"===e?o.contains(t,!0):!o.contains(t,!1)},is_field_visible(t){t=wu_checkout.field_conditions&&wu_checkout.field_conditions.fields[t];return!t||this.check_conditions(t.conditions,t.match)},validate_client(t){if(!this.validator)return[];var e={...this.get_form_data(),products:this.products};let i=this;t=o.filter(t||this.validator.get_fields(),function(t){return i.has_field(t)&&i.is_field_visible(t)});return this.hooks.applyFilters("wu_checkout_client_validation_errors",this.validator.validate(e,t),e,this)},validate_field(t){if(this.validator){let e=o.union([t],o.intersection(this.validator.get_dependent_fields(t),this.touched_fields));var i=this.validate_client(e),r=o.findWhere(i,{code:t});r&&!o.findWhere(this.errors,{code:t,message:r.message})&&this.announce(this.get_error_text(r.message)),this.errors=o.filter(this.errors,function(t){return!o.contains(e,t.code)}).concat(i)}},validate_form(){this.errors=[];var t=this.validate_client();if(t.length)this.errors=t,this.unblock(),this.report_errors();else{t=this.get_form_data(),t=jQuery.param({...t,products:this.products,membership_id:this.membership_id,payment_id:this.payment_id,auto_renew:this.auto_renew,cart_type:this.type,valid_password:this.valid_password,duration:this.duration,duration_unit:this.duration_unit});let e=this;this.request("wu_validate_form",t,function(t){e.valid_password||e.errors.push({code:"password",message:wu_checkout.i18n.weak_password}),!1===t.success?(e.errors=[].concat(e.errors,t.data),e.unblock(),e.report_errors()):e.errors.length?(e.unblock(),e.report_errors()):(e.form_success(t),!1===e.prevent_submission&&e.resubmit())},this.handle_errors)}},append_hidden_fields(t){jQuery.each(Object.assign({},t),function(t,e){jQuery("#wu_form").find('input[type="hidden"]').filter(function(){return this.name===t}).remove();var i=document.createElement("input");i.type="hidden",i.name=t,i.value=e,jQuery("#wu_form").append(i)})},get_payment_adapter(){return window.wu_payment_adapters.get(this.gateway)},needs_payment(){return!(!this.order||!this.order.should_collect_payment)},mount_payment_adapter(){var t,e=this.get_payment_adapter();r!==this.gateway&&((t=window.wu_payment_adapters.get(r))&&t.teardown&&t.teardown(this),r=this.gateway,this.prevent_submission=!1),e&&e.mount&&e.mount(this)},async prepare_payment(){var t=this.get_payment_adapter();t&&this.needs_payment()&&(t.validate&&await t.validate(this),t.tokenize)&&this.append_hidden_fields(await t.tokenize(this))},confirm_payment(t){let e=this,i=this.get_payment_adapter();i&&i.confirm&&this.needs_payment()&&(this.prevent_submission=!0,Promise.resolve().then(function(){return i.confirm(e,t)}).then(function(t){!1!==t&&e.resubmit()}).catch(function(t){e.prevent_submission=!1,e.unblock(),e.errors.push({code:t&&t.code||"payment-error",message:t&&t.message?t.message:String(t)}),e.report_errors()}))},resubmit(){s.doAction("wu_before_form_resubmitted",this),jQuery("#wu_form").get(0).submit()},handle_errors(t){this.unblock(),console.error(t)},on_submit(t){t.preventDefault()},on_change_product(t,e){window.wu_create_cookie("wu_selected_products",t.join(","),.5),this.reset_templates(["template-selection"]),s.doAction("wu_on_change_product",t,e,this),this.validate_discount_code(),this.create_order()},on_change_quantities(t){s.doAction("wu_on_change_quantities",t,this),this.validate_discount_code(),this.create_order()},on_change_gateway(t,e){s.doAction("wu_on_change_gateway",t,e,this)},on_change_country(t,e){s.doAction("wu_on_change_country",t,e,this),this.create_order()},on_change_state(t,e){s.doAction("wu_on_change_state",t,e,this),this.create_order()},on_change_city(t,e){s.doAction("wu_on_change_city",t,e,this),this.create_order()},on_change_duration(t,e){this.reset_templates(),s.doAction("wu_on_change_duration",t,e,this),this.validate_discount_code(),this.create_order()},on_change_duration_unit(t,e){this.reset_templates(),s.doAction("wu_on_change_duration_unit",t,e,this),this.validate_discount_code(),this.create_order()},on_change_display_currency(t,e){try{window.localStorage.setItem("wu_display_currency",t)}catch(t){console.warn("Browser does not support localStorage.",t)}s.doAction("wu_on_change_display_currency",t,e,this),this.create_order()},on_change_site_url(t,e){s.doAction("wu_on_change_site_url",t,e,this),this.check_site_url_availability&&this.check_site_url_debounced()},on_change_site_domain(t,e){s.doAction("wu_on_change_site_domain",t,e,this),this.check_site_url_availability&&this.check_site_url_debounced()},on_change_discount_code(t,e){s.doAction("wu_on_change_discount_code",t,e,this),this.validate_discount_code(),this.create_order()},validate_discount_code(){if(this.discount_code){let e=this.discount_code,i=this;this.request("wu_validate_discount_code",{...o.pick(this.$data,["products","quantities","country","state","city","membership_id","payment_id","auto_renew","duration","duration_unit","cart_type"]),discount_code:e,_wpnonce:jQuery('[name="_wpnonce"]').val()},function(t){e===i.discount_code&&(i.discount_code_results=!!t.success&&t.data,s.doAction("wu_on_validate_discount_code",i.discount_code_results,i))},function(){i.discount_code_results=!1})}else this.discount_code_results=!1},remove_discount_code(t){this.discount_code=o.without(this.discount_code.toUpperCase().split(",").map(t=>t.trim()),t.toUpperCase()).join(",")},block(){var t=jQuery(this.$el).parents().filter(function(){return"rgba(0, 0, 0, 0)"!==n(this).css("backgroundColor")}).first().css("backgroundColor");jQuery(this.$el).wu_block({message:'<div class="spinner is-active wu-float-none" style="float: none !important;"></div>',overlayCSS:{backgroundColor:t||"#ffffff",opacity:.6},css:{padding:0,margin:0,width:"50%",fontSize:"14px !important",top:"40%",left:"35%",textAlign:"center",color:"#000",border:"none",backgroundColor:"none",cursor:"wait"}})},unblock(){jQuery(this.$el).wu_unblock()},request(t,e,i,r){var n="wu_validate_form"===t||"wu_create_order"===t||"wu_validate_discount_code"===t||"wu_render_field_template"===t||"wu_check_user_exists"===t||"wu_check_site_url"===t||"wu_inline_login"===t?wu_checkout.late_ajaxurl:wu_checkout.ajaxurl;jQuery.ajax({method:"POST",url:n+"&action="+t,data:e,success:i,error:r})},init_password_strength(){let e=this;var t=jQuery("#field-password");t.length&&void 0!==window.WU_PasswordStrength&&(this.password_strength_checker=new window.WU_PasswordStrength({pass1:t,result:jQuery("#pass-strength-result"),minStrength:3,onValidityChange:function(t){e.valid_password=t}}))},check_user_exists_debounced:o.debounce(function(t,e){this.check_user_exists(t,e)},500),check_user_exists(i,t){if(!t||t.length<3)this.show_login_prompt=!1;else{this.checking_user_exists=!0,this.login_error="";let e=this;this.request("wu_check_user_exists",{field_type:i,value:t,_wpnonce:jQuery('[name="_wpnonce"]').val()},function(t){e.checking_user_exists=!1,t.success&&t.data.exists?(e.show_login_prompt=!0,e.login_prompt_field=i):e.show_login_prompt=!1},function(t){e.checking_user_exists=!1,e.show_login_prompt=!1})}},check_site_url_debounced:o.debounce(function(){this.check_site_url()},500),reset_site_url_availability(){this.checking_site_url=!1,this.site_url_availability={status:"",message:"",suggestions:[]}},check_site_url(){let i=this.site_url;if(!i||i.length<3||"autogenerate"===i)this.reset_site_url_availability();else{this.checking_site_url=!0;let e=this;this.request("wu_check_site_url",{site_url:i,site_domain:this.site_domain,_wpnonce:jQuery('[name="_wpnonce"]').val()},function(t){i===e.site_url&&(t.success?(e.checking_site_url=!1,e.site_url_availability=t.data,s.doAction("wu_on_site_url_availability",t.data,e)):e.reset_site_url_availability())},function(){e.reset_site_url_availability()})}},use_site_url_suggestion(t){this.site_url=t},handle_inline_login(t){if(console.log("handle_inline_login called",t),t&&(t.preventDefault(),t.stopPropagation(),t.stopImmediatePropagation()),this.inline_login_password){this.logging_in=!0,this.login_error="";let e=this;t="email"===this.login_prompt_field?this.email_address||"":this.username||"";this.request("wu_inline_login",{username_or_email:t,password:this.inline_login_password,_wpnonce:jQuery('[name="_wpnonce"]').val()},function(t){e.logging_in=!1,t.success&&window.location.reload()},function(t){e.logging_in=!1,t.responseJSON&&t.responseJSON.data&&t.responseJSON.data.message?e.login_error=t.responseJSON.data.message:e.login_error=wu_checkout.i18n.login_failed||"Login failed. Please try again."})}else this.login_error=wu_checkout.i18n.password_required||"Password is required";return!1},dismiss_login_prompt(){let e="email"===this.login_prompt_field?"email_address":this.login_prompt_field;this.show_login_prompt=!1,this.inline_login_password="",this.login_error="",this.$nextTick(function(){var t=document.getElementById("field-"+e);t&&t.focus()})},setup_inline_login_handlers(){let d=this;["email","username"].forEach(function(n){var t=document.getElementById("wu-inline-login-password-"+n),e=document.getElementById("wu-inline-login-submit-"+n),s=document.getElementById("wu-dismiss-login-prompt-"+n);let o=document.getElementById("wu-login-error-"+n);var a=document.getElementById("wu-inline-login-prompt-"+n);if(t&&e){let i=e.cloneNode(!0),r=(e.parentNode.replaceChild(i,e),t.cloneNode(!0));function _(t){i.disabled=!1,i.textContent=wu_checkout.i18n.sign_in||"Sign in",t.data&&t.data.message?o.textContent=t.data.message:o.textContent=wu_checkout.i18n.login_failed||"Login failed. Please try again.",o.style.display="block"}function u(t){t.preventDefault(),t.stopPropagation(),t.stopImmediatePropagation();t=r.value;if(!t)return o.textContent=wu_checkout.i18n.password_required||"Password is required",!(o.style.display="block");i.disabled=!0,i.innerHTML='<span class="spinner is-active wu-inline-block" style="float: none; width: 16px; height: 16px; margin: 0 4px 0 0;"></span>'+(wu_checkout.i18n.logging_in||"Logging in..."),o.style.display="none";var e="email"===n?d.email_address:d.username;return jQuery.ajax({method:"POST",url:wu_checkout.late_ajaxurl+"&action=wu_inline_login",data:{username_or_email:e,password:t,_wpnonce:jQuery('[name="_wpnonce"]').val()},success:function(t){t.success?window.location.reload():_(t)},error:_}),!1}t.parentNode.replaceChild(r,t),a&&!a.dataset.wuHandlers&&(a.dataset.wuHandlers="1",a.addEventListener("click",function(t){t.stopPropagation()}),a.addEventListener("keydown",function(t){t.stopPropagation(),"Escape"===t.key&&(t.preventDefault(),d.dismiss_login_prompt())}),a.addEventListener("keyup",function(t){t.stopPropagation()})),i.addEventListener("click",u),r.addEventListener("keydown",function(t){"Enter"===t.key&&u(t)}),s&&s.addEventListener("click",function(t){t.preventDefault(),t.stopPropagation(),r.value="",d.dismiss_login_prompt()})}})}},updated(){this.$nextTick(function(){this.mount_payment_adapter(),s.doAction("wu_on_form_updated",this),this.update_fields_aria(),wu_initialize_tooltip(),this.setup_inline_login_handlers()})},mounted(){let r=this;if(jQuery(this.$el).on("click",function(t){n(this).data("submited_via",n(t.target))}),void 0!==window.WU_Checkout_Validator&&window.wu_checkout_validation){this.validator=new window.WU_Checkout_Validator(window.wu_checkout_validation),this.touched_fields=[];let e=function(t){return(t.name||"").replace(/\[\]$/,"")};jQuery(this.$el).on("focusout",":input",function(){var t=e(this);t&&(r.touched_fields=o.union(r.touched_fields,[t]),r.validate_field(t))}),jQuery(this.$el).on("input change",":input",o.debounce(function(){var t=e(this);(o.contains(r.touched_fields,t)||r.get_error(t))&&r.validate_field(t)},300))}jQuery(this.$el).on("submit",async function(t){t.preventDefault();var e,t=jQuery(this).data("submited_via");t&&((e=jQuery("<input>")).attr("type","hidden"),e.attr("name",t.attr("name")),e.attr("value",t.val()),jQuery(this).append(e)),r.block();try{var i=[];await Promise.all(s.applyFilters("wu_before_form_submitted",i,r,r.gateway)),await r.prepare_payment()}catch(t){return r.errors=[],r.errors.push({code:"before-submit-error",message:t.message}),r.unblock(),r.report_errors(),void r.handle_errors(t)}r.validate_form(),s.doAction("wu_on_form_submitted",r,r.gateway)}),this.create_order(),this.check_site_url_availability&&this.site_url&&this.check_site_url(),s.doAction("wu_checkout_loaded",this),s.doAction("wu_on_change_gateway",this.gateway,this.gateway),this.$nextTick(this.mount_payment_adapter),this.init_password_strength(),wu_initialize_tooltip()},watch:{products(t,e){this.on_change_product(t,e)},quantities:{handler(t){this.on_change_quantities(t)},deep:!0},toggle_discount_code(t){t||(this.discount_code="")},discount_code(t,e){this.on_change_discount_code(t,e)},site_url(t,e){this.on_change_site_url(t,e)},site_domain(t,e){this.on_change_site_domain(t,e)},gateway(t,e){this.on_change_gateway(t,e)},country(t,e){this.state="",this.on_change_country(t,e)},state(t,e){this.city="",this.on_change_state(t,e)},city(t,e){this.on_change_city(t,e)},duration(t,e){this.on_change_duration(t,e)},duration_unit(t,e){this.on_change_duration_unit(t,e)},display_currency(t,e){this.on_change_display_currency(t,e)},show_login_prompt(t){t&&this.announce(wu_checkout.i18n.login_prompt)}}}))})})(jQuery,wp.hooks,_);
\ No newline at end of file
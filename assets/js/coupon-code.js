@@ -1,320 +1,190 @@
+/* global wu_coupon_data, wu_settings, wu_format_money, wu_pricing */
+/**
+ * Legacy pricing tables coupon preview.
+ *
+ * Previews the coupon passed on the URL on the legacy pricing tables,
+ * using the shared pricing core so the prices match the ones the
+ * customer is charged at checkout.
+ *
+ * @since 2.0.0
+ * @param {jQuery} $ jQuery object.
+ */
 (function($) {
 
-var coupon_app = new Vue({
-	el: "#coupon-code-app",
-	data: {
-		coupon_id: '',
-		coupon: wu_coupon_data.coupon,
-		type: wu_coupon_data.type,
-		value: parseFloat(wu_coupon_data.value),
-		applies_to_setup_fee: wu_coupon_data.applies_to_setup_fee,
-		setup_fee_discount_value: parseFloat(wu_coupon_data.setup_fee_discount_value),
-		setup_fee_discount_type: wu_coupon_data.setup_fee_discount_type,
-		allowed_plans: wu_coupon_data.allowed_plans,
-		allowed_freqs: wu_coupon_data.allowed_freqs,
-		success: false,
-	},
-	mounted: function() {
-
-		this.apply_coupon();
-		this.add_event_tabs();
-
-	},
-	methods: {
-
-	add_event_tabs: function() {
-
-		$('.wu-plans-frequency-selector li a').each(function() {
-
-		this.addEventListener('click',function() {
-			coupon_app.apply_coupon();
-		});
-
-		});
-
-
-	},
-
-	apply_coupon: function() {
-
-		if(this.coupon) {
-
-			$("body").block({
-			message: null,
-			overlayCSS: {
-				background: "#F1F1F1",
-				opacity: 0.6
-			}
-			});
-
-			this.coupon_id = this.coupon.id;
-
-			var coupon_type = this.type;
-
-			var coupon_value = this.value;
-
-			var applies_to_setup_fee = this.applies_to_setup_fee;
-			var setup_fee_discount_value = this.setup_fee_discount_value;
-			var setup_fee_discount_type = this.setup_fee_discount_type;
-			var allowed_plans = $.parseJSON(this.allowed_plans);
-			var allowed_freqs = $.parseJSON(this.allowed_freqs);
-
-			//$('#signupform').append($('#coupon_id'));
-
-			$('.superscript').show();
-			$('h5 sub').show();
-
-			setTimeout( function() { $('.wu-plan').each(function() {
-
-			if (!$(this).find('.old-price').get(0)) {
-
-				$(this).find('h4').after('<div class="old-price">--</div>');
-
-			}
-
-				let plan_id = $(this).data('plan');
-
-				let is_allowed_plan = false;
-
-				let is_allowed_freq = false;
-
-				// check plan is_allowed
-				if (typeof allowed_plans === 'object'){
-
-				for (var each_plan of allowed_plans) {
-
-					if (parseInt(each_plan) == plan_id) {
-					is_allowed_plan = true;
-					}
-
-				}
-
-				} else {
-				is_allowed_plan = true;
-				}
-
-				// check freq is_allowed
-
-				if (typeof allowed_freqs === 'object'){
-
-				for (var each_freq of allowed_freqs) {
-
-					if (each_freq == $('#wu_plan_freq').val()) {
-					is_allowed_freq = true;
-					}
-
-				}
-
-				} else {
-				is_allowed_freq = true;
-				}
-
-				if (!is_allowed_plan) {
+	const discount_code = wu_coupon_data.discount;
 
-				$("body").unblock();
-				return;
+	/**
+	 * Formats a value without the currency symbol, as the tables display it apart.
+	 *
+	 * @param {number} value The value.
+	 * @return {string} The formatted value.
+	 */
+	const format_price = function(value) {
 
-				}
+		return wu_format_money(value).replace(wu_settings.currency_symbol, '').trim();
 
-				if (!is_allowed_freq) {
+	};
 
-				$("body").unblock();
-				$(".old-price").hide();
-				$(".off-value").hide();
-				return;
+	/**
+	 * Adds the discount description next to an element, once.
+	 *
+	 * @param {jQuery} el         The element.
+	 * @param {string} class_name The class of the description element.
+	 * @param {number} value      The discount value.
+	 * @param {string} type       The discount type, percentage or absolute.
+	 */
+	const add_off_value = function(el, class_name, value, type) {
 
-				} else {
+		if (el.siblings('.' + class_name).length) {
 
-				$(".old-price").show();
-				$(".off-value").show();
+			return;
 
-				}
+		} // end if;
 
-				let old_price = $(this).data('price-' + $('#wu_plan_freq').val());
+		const off = type === 'percentage' ? value + '%' : wu_format_money(value);
 
-				old_price = wu_fix_money_string(old_price);
+		el.after('<span class="' + class_name + '"> (' + off + ' ' + wu_coupon_data.off_text + ')</span>');
 
-				let new_price = 0;
+	};
 
-				let old_yearly_value = old_price * jQuery('#wu_plan_freq').val();
+	/**
+	 * Previews the coupon on a plan of the pricing table.
+	 *
+	 * @param {HTMLElement} plan      The plan element.
+	 * @param {number}      frequency The billing frequency, in months.
+	 */
+	const preview_plan = function(plan, frequency) {
 
-				let new_yearly_value = 0;
+		plan = $(plan);
 
-				let old_setupfee = $(this).find('.pricing-table-setupfee') ? $(this).find('.pricing-table-setupfee').attr('data-value') : 0;
+		const cart = {
+			duration: frequency,
+			duration_unit: 'month',
+		};
 
-				let new_setupfee = 0;
+		const price_per_month = wu_pricing.parse_money(plan.data('price-' + frequency), wu_settings);
 
-				let off_with_symbol = '';
+		const product = wu_pricing.apply_discounts({
+			product_id: plan.data('plan'),
+			type: 'product',
+			quantity: 1,
+			unit_price: price_per_month * frequency,
+			recurring: true,
+			...cart,
+		}, [ discount_code ], cart);
 
-				// OFF RENDER
-				if (coupon_type != '"absolute"')
-				off_with_symbol = ''.concat(coupon_value, '%');
-				else
-				off_with_symbol = accounting.formatMoney(parseFloat(coupon_value));
+		const setup_fee_el = plan.find('.pricing-table-setupfee');
 
-				$(this).find('.old-price').html(accounting.formatMoney(parseFloat(old_price)));
-				if (!$(this).find('.off-value').get(0)) {
+		const is_discounted = product.discount_total > 0;
 
-				$(this).find('.old-price').after('<div class="off-value">(' + off_with_symbol + ' ' + wu_coupon_data.off_text + ')</div>');
+		plan.find('.old-price, .off-value').toggle(is_discounted);
 
-				}
+		if (is_discounted) {
 
-				if(applies_to_setup_fee) {
+			if (! plan.find('.old-price').length) {
 
-				if (setup_fee_discount_type != '"absolute"')
-					setupfee_off_with_symbol = ''.concat(setup_fee_discount_value, '%');
-				else
-					setupfee_off_with_symbol = accounting.formatMoney(parseFloat(setup_fee_discount_value));
+				plan.find('h4').after('<div class="old-price"></div>');
 
-				if (!$(this).find('.setupfee-off-value').get(0)) {
+			} // end if;
 
-					$(this).find('.pricing-table-setupfee').after('<span class="setupfee-off-value"> (' + setupfee_off_with_symbol + ' ' + wu_coupon_data.off_text + ')</span>');
+			plan.find('.old-price').html(wu_format_money(price_per_month));
 
-				}
+			add_off_value(plan.find('.old-price'), 'off-value', discount_code.value, discount_code.type);
 
-				}
+		} // end if;
 
-				// END OFF RENDER
+		const price_el = plan.find('.plan-price');
 
-				if(coupon_type != '"absolute"') {
+		const total_el = plan.find('.total-price-' + frequency);
 
-				new_price = old_price * ((100 - coupon_value) / 100);
+		if (product.total > 0) {
 
-				new_yearly_value = old_yearly_value * ((100 - coupon_value) / 100);
+			price_el.html(format_price(wu_pricing.get_amount_per_period(product.total, frequency)));
 
-				} else {
+			plan.find('h5 sub, .superscript').show();
 
-				if(jQuery('#wu_plan_freq').val() > 1){
+			/*
+			 * The totals read "$X, billed every Y", so only the amount is replaced.
+			 */
+			const total_text = total_el.html() || '';
 
-					new_price = ((old_price * jQuery('#wu_plan_freq').val()) - parseFloat(coupon_value)) / jQuery('#wu_plan_freq').val();
+			const separator = total_text.lastIndexOf(', ');
 
-					new_yearly_value = old_yearly_value - parseFloat(coupon_value);
+			if (separator !== -1) {
 
-				} else {
+				total_el.html(wu_format_money(product.total) + total_text.substring(separator));
 
-					new_price = old_price - parseFloat(coupon_value);
+			} // end if;
 
-					new_yearly_value = old_yearly_value - parseFloat(coupon_value);
-
-				}
-
-				}
-
-				if (applies_to_setup_fee)  {
-
-				if (setup_fee_discount_type != '"absolute"') {
-
-				new_setupfee = old_setupfee * ((100 - setup_fee_discount_value) / 100);
-
-				} else {
-
-				new_setupfee = old_setupfee - parseFloat(setup_fee_discount_value);
-
-				}
-
-				} else {
-
-				new_setupfee = old_setupfee;
-
-				}
-
-				if (new_yearly_value > 0) {
-
-				wu_set_yearly_value(this, new_yearly_value);
-
-				} else {
-
-				$(this).find('.total-price.total-price-' + $('#wu_plan_freq').val() ).html(' ' + wu_coupon_data.free_text);
-
-				}
-
-				if (new_setupfee > 0) {
-
-				wu_set_setupfee_value(this, new_setupfee);
-
-				} else {
-
-				$(this).find('.pricing-table-setupfee').html(' ' + wu_coupon_data.no_setup_fee_text);
-
-				}
-
-				if (new_price > 0) {
-
-				$(this).find('.plan-price').html( accounting.formatMoney( parseFloat(new_price) ) );
-
-				if ( $(this).find('.plan-price').html().indexOf(wpu.currency_symbol) !== -1 ) {
-
-					$(this).find('.plan-price').html($(this).find('.plan-price').html().replace(wpu.currency_symbol, ''));
-
-				}
-
-				} else {
-
-				let plan_price = $(this).find('.plan-price');
-				plan_price.html(' ' + wu_coupon_data.free_text);
-				let hagacinco = $(this).find('h5');
-				hagacinco.find('sub').hide();
-				hagacinco.find('.superscript').hide();
+		} else {
 
-				}
+			price_el.html(wu_coupon_data.free_text);
 
-				$("body").unblock();
+			plan.find('h5 sub, .superscript').hide();
 
-			}); }, 400);
+			total_el.html(wu_coupon_data.free_text);
 
+		} // end if;
 
-		} else {
+		if (! setup_fee_el.length) {
 
-			$('.old-price').hide();
+			return;
 
-			this.coupon_id = '';
+		} // end if;
 
-			$('.wu-plan').each(function() {
+		const setup_fee = wu_pricing.apply_discounts({
+			product_id: plan.data('plan'),
+			type: 'fee',
+			quantity: 1,
+			unit_price: parseFloat(setup_fee_el.attr('data-value')) || 0,
+			recurring: false,
+		}, [ discount_code ], cart);
 
-			var price = $(this).data('price-' + $('#wu_plan_freq').val());
+		if (setup_fee.discount_total > 0) {
 
-			$(this).find('.plan-price').html( price );
+			add_off_value(setup_fee_el, 'setupfee-off-value', discount_code.setup_fee_value, discount_code.setup_fee_type);
 
-			});
+		} // end if;
 
-		}
+		setup_fee_el.siblings('.setupfee-off-value').toggle(setup_fee.discount_total > 0);
 
-	}
-	}
-});
+		setup_fee_el.html(setup_fee.total > 0 ? wu_format_money(setup_fee.total) : wu_coupon_data.no_setup_fee_text);
 
-function wu_fix_money_string(value) {
+	};
 
-	if(typeof value == 'number'){
-		value = value.toString();
-	}
+	/**
+	 * Previews the coupon on all the plans.
+	 *
+	 * @param {number} frequency The billing frequency, in months.
+	 */
+	const apply_coupon = function(frequency) {
 
-	return parseFloat(value.replace(wpu.thousand_separator, '').replace(wpu.decimal_separator, '.'));
+		frequency = parseInt(frequency || $('#wu_plan_freq').val(), 10) || 1;
 
-}
+		$('.wu-plan').each(function() {
 
-function wu_set_setupfee_value(list, value) {
+			preview_plan(this, frequency);
 
-	jQuery(list).find('.pricing-table-setupfee').html( accounting.formatMoney(value));
+		});
 
-}
+	};
 
-function wu_set_yearly_value(list, value) {
+	$(document).ready(function() {
 
-	var current_freq = jQuery('#wu_plan_freq').val();
+		if (! discount_code) {
 
-	var string = jQuery(list).find('.total-price.total-price-' + current_freq).html();
+			return;
 
-	if (string) {
+		} // end if;
 
-		var parts = string.split(',');
+		apply_coupon();
 
-		var result =  accounting.formatMoney(parseFloat(value)) + ', ' + parts[1];
+		$('.wu-plans-frequency-selector [data-frequency-selector]').on('click', function() {
 
-		jQuery(list).find('.total-price.total-price-' + current_freq).html(result);
+			apply_coupon($(this).data('frequency-selector'));
 
-	}
+		});
 
-}
+	});
 
-})(jQuery);
\ No newline at end of file
+}(jQuery));
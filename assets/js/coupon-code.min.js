@@ -1 +1 @@
-(w=>{var e=new Vue({el:"#coupon-code-app",data:{coupon_id:"",coupon:wu_coupon_data.coupon,type:wu_coupon_data.type,value:parseFloat(wu_coupon_data.value),applies_to_setup_fee:wu_coupon_data.applies_to_setup_fee,setup_fee_discount_value:parseFloat(wu_coupon_data.setup_fee_discount_value),setup_fee_discount_type:wu_coupon_data.setup_fee_discount_type,allowed_plans:wu_coupon_data.allowed_plans,allowed_freqs:wu_coupon_data.allowed_freqs,success:!1},mounted:function(){this.apply_coupon(),this.add_event_tabs()},methods:{add_event_tabs:function(){w(".wu-plans-frequency-selector li a").each(function(){this.addEventListener("click",function(){e.apply_coupon()})})},apply_coupon:function(){var s,c,f,r,_,d,h;this.coupon?(w("body").block({message:null,overlayCSS:{background:"#F1F1F1",opacity:.6}}),this.coupon_id=this.coupon.id,s=this.type,c=this.value,f=this.applies_to_setup_fee,r=this.setup_fee_discount_value,_=this.setup_fee_discount_type,d=w.parseJSON(this.allowed_plans),h=w.parseJSON(this.allowed_freqs),w(".superscript").show(),w("h5 sub").show(),setTimeout(function(){w(".wu-plan").each(function(){w(this).find(".old-price").get(0)||w(this).find("h4").after('<div class="old-price">--</div>');var e=w(this).data("plan");let t=!1,a=!1;if("object"==typeof d)for(var o of d)parseInt(o)==e&&(t=!0);else t=!0;if("object"==typeof h)for(var p of h)p==w("#wu_plan_freq").val()&&(a=!0);else a=!0;if(t)if(a){w(".old-price").show(),w(".off-value").show();let e=0;var i=(n=(e=>("number"==typeof e&&(e=e.toString()),parseFloat(e.replace(wpu.thousand_separator,"").replace(wpu.decimal_separator,"."))))(w(this).data("price-"+w("#wu_plan_freq").val())))*jQuery("#wu_plan_freq").val();let t=0;var l,n,u=w(this).find(".pricing-table-setupfee")?w(this).find(".pricing-table-setupfee").attr("data-value"):0;let a=0,o="";o='"absolute"'!=s?"".concat(c,"%"):accounting.formatMoney(parseFloat(c)),w(this).find(".old-price").html(accounting.formatMoney(parseFloat(n))),w(this).find(".off-value").get(0)||w(this).find(".old-price").after('<div class="off-value">('+o+" "+wu_coupon_data.off_text+")</div>"),f&&(setupfee_off_with_symbol='"absolute"'!=_?"".concat(r,"%"):accounting.formatMoney(parseFloat(r)),w(this).find(".setupfee-off-value").get(0)||w(this).find(".pricing-table-setupfee").after('<span class="setupfee-off-value"> ('+setupfee_off_with_symbol+" "+wu_coupon_data.off_text+")</span>")),t='"absolute"'!=s?(e=n*((100-c)/100),(100-c)/100*i):(e=1<jQuery("#wu_plan_freq").val()?(n*jQuery("#wu_plan_freq").val()-parseFloat(c))/jQuery("#wu_plan_freq").val():n-parseFloat(c),i-parseFloat(c)),a=f?'"absolute"'!=_?u*((100-r)/100):u-parseFloat(r):u,0<t?(n=this,i=t,u=jQuery("#wu_plan_freq").val(),(l=jQuery(n).find(".total-price.total-price-"+u).html())&&(l=l.split(","),i=accounting.formatMoney(parseFloat(i))+", "+l[1],jQuery(n).find(".total-price.total-price-"+u).html(i))):w(this).find(".total-price.total-price-"+w("#wu_plan_freq").val()).html(" "+wu_coupon_data.free_text),0<a?(l=a,jQuery(this).find(".pricing-table-setupfee").html(accounting.formatMoney(l))):w(this).find(".pricing-table-setupfee").html(" "+wu_coupon_data.no_setup_fee_text),0<e?(w(this).find(".plan-price").html(accounting.formatMoney(parseFloat(e))),-1!==w(this).find(".plan-price").html().indexOf(wpu.currency_symbol)&&w(this).find(".plan-price").html(w(this).find(".plan-price").html().replace(wpu.currency_symbol,""))):(w(this).find(".plan-price").html(" "+wu_coupon_data.free_text),(n=w(this).find("h5")).find("sub").hide(),n.find(".superscript").hide()),w("body").unblock()}else w("body").unblock(),w(".old-price").hide(),w(".off-value").hide();else w("body").unblock()})},400)):(w(".old-price").hide(),this.coupon_id="",w(".wu-plan").each(function(){var e=w(this).data("price-"+w("#wu_plan_freq").val());w(this).find(".plan-price").html(e)}))}}})})(jQuery);
\ No newline at end of file
+(p=>{function t(l){l=parseInt(l||p("#wu_plan_freq").val(),10)||1,p(".wu-plan").each(function(){var t,e,n,a,u,o,i,r;e=l,t=p(t=this),a={duration:e,duration_unit:"month"},u=wu_pricing.parse_money(t.data("price-"+e),wu_settings),o=wu_pricing.apply_discounts({product_id:t.data("plan"),type:"product",quantity:1,unit_price:u*e,recurring:!0,...a},[c],a),i=t.find(".pricing-table-setupfee"),r=0<o.discount_total,t.find(".old-price, .off-value").toggle(r),r&&(t.find(".old-price").length||t.find("h4").after('<div class="old-price"></div>'),t.find(".old-price").html(wu_format_money(u)),s(t.find(".old-price"),"off-value",c.value,c.type)),r=t.find(".plan-price"),u=t.find(".total-price-"+e),0<o.total?(r.html(_(wu_pricing.get_amount_per_period(o.total,e))),t.find("h5 sub, .superscript").show(),-1!==(n=(e=u.html()||"").lastIndexOf(", "))&&u.html(wu_format_money(o.total)+e.substring(n))):(r.html(wu_coupon_data.free_text),t.find("h5 sub, .superscript").hide(),u.html(wu_coupon_data.free_text)),i.length&&(0<(o=wu_pricing.apply_discounts({product_id:t.data("plan"),type:"fee",quantity:1,unit_price:parseFloat(i.attr("data-value"))||0,recurring:!1},[c],a)).discount_total&&s(i,"setupfee-off-value",c.setup_fee_value,c.setup_fee_type),i.siblings(".setupfee-off-value").toggle(0<o.discount_total),i.html(0<o.total?wu_format_money(o.total):wu_coupon_data.no_setup_fee_text))})}let c=wu_coupon_data.discount,_=function(t){return wu_format_money(t).replace(wu_settings.currency_symbol,"").trim()},s=function(t,e,n,a){t.siblings("."+e).length||(a="percentage"===a?n+"%":wu_format_money(n),t.after('<span class="'+e+'"> ('+a+" "+wu_coupon_data.off_text+")</span>"))};p(document).ready(function(){c&&(t(),p(".wu-plans-frequency-selector [data-frequency-selector]").on("click",function(){t(p(this).data("frequency-selector"))}))})})(jQuery);
\ No newline at end of file
@@ -301,10 +301,71 @@ window.wu_block_ui = function(el) {
 
 };
 
-function wu_format_money(value) {
+/**
+ * Gets the data of a currency customers can switch to.
+ *
+ * @param {string} currency The currency code.
+ * @return {Object|boolean} The currency, with its rate and precision, or false if not available.
+ */
+function wu_get_switcher_currency(currency) {
+
+  const currencies = wu_settings.currencies || {};
+
+  return currency && currencies[ currency ] ? currencies[ currency ] : false;
+
+} // end wu_get_switcher_currency;
+
+/**
+ * Converts an amount in the site currency using the fixed exchange rates.
+ *
+ * @param {number} value    The amount, in the site currency.
+ * @param {string} currency The currency code to convert to.
+ * @return {number} The converted amount.
+ */
+function wu_convert_money(value, currency) {
+
+  const switcher_currency = wu_get_switcher_currency(currency);
+
+  if (! switcher_currency) {
+
+    return value;
+
+  } // end if;
+
+  const multiplier = Math.pow(10, switcher_currency.precision);
+
+  return Math.round(value * switcher_currency.rate * multiplier) / multiplier;
+
+} // end wu_convert_money;
+
+function wu_format_money(value, currency) {
 
   value = parseFloat(value.toString().replace(/[^0-9\.]/g, ''));
 
+  const switcher_currency = wu_get_switcher_currency(currency);
+
+  /*
+   * Other currencies are formatted following the customer locale.
+   */
+  if (switcher_currency && currency !== wu_settings.currency) {
+
+    try {
+
+      return new Intl.NumberFormat(wu_settings.locale, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: switcher_currency.precision,
+        maximumFractionDigits: switcher_currency.precision,
+      }).format(wu_convert_money(value, currency));
+
+    } catch (error) {
+
+      return switcher_currency.symbol + ' ' + wu_convert_money(value, currency).toFixed(switcher_currency.precision);
+
+    } // end try;
+
+  } // end if;
+
   const settings = wp.hooks.applyFilters('wu_format_money', {
     currency: {
       symbol: wu_settings.currency_symbol, // default currency symbol is '$'
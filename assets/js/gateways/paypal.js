@@ -0,0 +1,328 @@
+/* global wu_paypal, wu_checkout_form, wu_payment_adapters */
+(function($, hooks) {
+
+	let paypal_sdk;
+	let paypal_sdk_vault;
+	let paypal_buttons;
+	let paypal_pending;
+	let paypal_approval;
+	let paypal_token;
+	let watching_errors = false;
+
+	/**
+	 * Checks if the order needs a billing agreement, instead of a one-time payment.
+	 *
+	 * @param {Object} checkout The checkout form.
+	 * @return {boolean} If the order needs a billing agreement.
+	 */
+	function wu_paypal_is_recurring(checkout) {
+
+		return !! (checkout.order && checkout.order.has_recurring && checkout.auto_renew);
+
+	}
+
+	/**
+	 * Loads the PayPal JS SDK.
+	 *
+	 * Billing agreements need the SDK loaded with vault=true,
+	 * so the SDK is reloaded when that changes.
+	 *
+	 * @param {boolean} vault If the SDK should be loaded for billing agreements.
+	 * @return {Promise} Resolves with the PayPal SDK.
+	 */
+	function wu_paypal_load_sdk(vault) {
+
+		if (paypal_sdk && paypal_sdk_vault === vault) {
+
+			return paypal_sdk;
+
+		} // end if;
+
+		$('#wu-paypal-sdk').remove();
+
+		delete window.paypal;
+
+		paypal_sdk_vault = vault;
+
+		const params = new URLSearchParams(hooks.applyFilters('wu_paypal_sdk_params', {
+			'client-id': wu_paypal.client_id,
+			currency: wu_paypal.currency,
+			commit: 'true',
+			vault: vault ? 'true' : 'false',
+			intent: vault ? 'tokenize' : 'capture',
+		}, vault));
+
+		paypal_sdk = new Promise(function(resolve, reject) {
+
+			const script = document.createElement('script');
+
+			script.id = 'wu-paypal-sdk';
+
+			script.src = wu_paypal.sdk_url + '?' + params.toString();
+
+			script.onload = () => resolve(window.paypal);
+
+			script.onerror = function() {
+
+				paypal_sdk = null;
+
+				reject(new Error(wu_paypal.i18n.load_failed));
+
+			};
+
+			document.head.appendChild(script);
+
+		});
+
+		return paypal_sdk;
+
+	}
+
+	/**
+	 * Displays a message below the PayPal buttons.
+	 *
+	 * @param {string} message The message. Empty to clear it.
+	 */
+	function wu_paypal_display_error(message) {
+
+		const errors = document.getElementById('paypal-errors');
+
+		if (errors) {
+
+			errors.textContent = message || '';
+
+		} // end if;
+
+	}
+
+	/**
+	 * Submits the checkout form and waits for the Express Checkout token.
+	 *
+	 * This is what opens the PayPal pop-up: the order is validated
+	 * and created as usual, and the pre-flight returns the token.
+	 *
+	 * @return {Promise} Resolves with the PayPal token.
+	 */
+	function wu_paypal_create_token() {
+
+		wu_paypal_display_error('');
+
+		return new Promise(function(resolve, reject) {
+
+			paypal_pending = { resolve, reject };
+
+			$('#wu_form').trigger('submit');
+
+		});
+
+	}
+
+	/**
+	 * Renders the Smart Buttons.
+	 *
+	 * @param {Object} checkout The checkout form.
+	 */
+	function wu_paypal_render_buttons(checkout) {
+
+		const container = document.getElementById('paypal-button-container');
+
+		const vault = wu_paypal_is_recurring(checkout);
+
+		if (! container || (container.childElementCount && paypal_sdk_vault === vault)) {
+
+			return;
+
+		} // end if;
+
+		wu_paypal_load_sdk(vault).then(function(paypal) {
+
+			wu_paypal_close_buttons();
+
+			$(container).empty();
+
+			let options = {
+				style: wu_paypal.style,
+				onApprove(data) {
+
+					wu_checkout_form.append_hidden_fields({
+						token: paypal_token,
+						payer_id: data.payerID,
+					});
+
+					wu_checkout_form.block();
+
+					// Resubmits the form, so the payment is finished on the server.
+					if (paypal_approval) {
+
+						paypal_approval.resolve();
+
+					} // end if;
+
+				},
+				onCancel() {
+
+					if (paypal_approval) {
+
+						paypal_approval.reject(new Error(wu_paypal.i18n.cancelled));
+
+					} // end if;
+
+				},
+				onError(error) {
+
+					wu_checkout_form.unblock();
+
+					if (paypal_approval) {
+
+						paypal_approval.reject(new Error(wu_paypal.i18n.error));
+
+						return;
+
+					} // end if;
+
+					/*
+           * Checkout errors are already displayed by the form.
+           */
+					if (! wu_checkout_form.errors.length) {
+
+						wu_paypal_display_error(error && error.message ? error.message : wu_paypal.i18n.error);
+
+					} // end if;
+
+				},
+			};
+
+			if (vault) {
+
+				options.createBillingAgreement = wu_paypal_create_token;
+
+			} else {
+
+				options.createOrder = wu_paypal_create_token;
+
+			} // end if;
+
+			options = hooks.applyFilters('wu_paypal_buttons_options', options, checkout);
+
+			paypal_buttons = paypal.Buttons(options);
+
+			paypal_buttons.render(container);
+
+		}).catch(function(error) {
+
+			wu_paypal_display_error(error.message);
+
+		});
+
+	}
+
+	/**
+	 * Closes the Smart Buttons, if rendered.
+	 */
+	function wu_paypal_close_buttons() {
+
+		try {
+
+			if (paypal_buttons) {
+
+				paypal_buttons.close();
+
+			} // end if;
+
+		} catch (error) {
+
+			// Silence is golden
+
+		} // end try;
+
+		paypal_buttons = null;
+
+	}
+
+	wu_payment_adapters.register('paypal', {
+		mount(checkout) {
+
+			/*
+       * Closes the PayPal pop-up if the order could not be created.
+       */
+			if (! watching_errors) {
+
+				watching_errors = true;
+
+				checkout.$watch('errors', function(errors) {
+
+					if (paypal_pending && errors.length) {
+
+						paypal_pending.reject(new Error(errors[ 0 ].message));
+
+						paypal_pending = null;
+
+					} // end if;
+
+				});
+
+			} // end if;
+
+			wu_paypal_render_buttons(checkout);
+
+		},
+		validate() {
+
+			/*
+       * The regular submit button can't open the PayPal pop-up.
+       */
+			if (! paypal_pending && document.getElementById('paypal-button-container')) {
+
+				throw new Error(wu_paypal.i18n.use_button);
+
+			} // end if;
+
+		},
+		confirm(checkout, results) {
+
+			if (! paypal_pending) {
+
+				return;
+
+			} // end if;
+
+			const pending = paypal_pending;
+
+			paypal_pending = null;
+
+			if (! results.gateway.data.paypal_token) {
+
+				pending.reject(new Error(wu_paypal.i18n.error));
+
+				return;
+
+			} // end if;
+
+			paypal_token = results.gateway.data.paypal_token;
+
+			/*
+       * Waits for the approval on the PayPal pop-up.
+       */
+			const approval = new Promise(function(resolve, reject) {
+
+				paypal_approval = { resolve, reject };
+
+			}).finally(function() {
+
+				paypal_approval = null;
+
+			});
+
+			pending.resolve(paypal_token);
+
+			return approval;
+
+		},
+		teardown() {
+
+			wu_paypal_close_buttons();
+
+		},
+	});
+
+}(jQuery, wp.hooks));
@@ -0,0 +1 @@
+((o,l)=>{let u,r,p,t,c,i,n=!1;function s(e){var r=document.getElementById("paypal-errors");r&&(r.textContent=e||"")}function w(){return s(""),new Promise(function(e,r){t={resolve:e,reject:r},o("#wu_form").trigger("submit")})}function a(n){let t=document.getElementById("paypal-button-container"),a=!!((e=n).order&&e.order.has_recurring&&e.auto_renew);var e;!t||t.childElementCount&&r===a||(e=>{if(!u||r!==e){o("#wu-paypal-sdk").remove(),delete window.paypal,r=e;let t=new URLSearchParams(l.applyFilters("wu_paypal_sdk_params",{"client-id":wu_paypal.client_id,currency:wu_paypal.currency,commit:"true",vault:e?"true":"false",intent:e?"tokenize":"capture"},e));u=new Promise(function(e,r){var n=document.createElement("script");n.id="wu-paypal-sdk",n.src=wu_paypal.sdk_url+"?"+t.toString(),n.onload=()=>e(window.paypal),n.onerror=function(){u=null,r(new Error(wu_paypal.i18n.load_failed))},document.head.appendChild(n)})}return u})(a).then(function(e){d(),o(t).empty();let r={style:wu_paypal.style,onApprove(e){wu_checkout_form.append_hidden_fields({token:i,payer_id:e.payerID}),wu_checkout_form.block(),c&&c.resolve()},onCancel(){c&&c.reject(new Error(wu_paypal.i18n.cancelled))},onError(e){wu_checkout_form.unblock(),c?c.reject(new Error(wu_paypal.i18n.error)):wu_checkout_form.errors.length||s(e&&e.message?e.message:wu_paypal.i18n.error)}};a?r.createBillingAgreement=w:r.createOrder=w,r=l.applyFilters("wu_paypal_buttons_options",r,n),(p=e.Buttons(r)).render(t)}).catch(function(e){s(e.message)})}function d(){try{p&&p.close()}catch(e){}p=null}wu_payment_adapters.register("paypal",{mount(e){n||(n=!0,e.$watch("errors",function(e){t&&e.length&&(t.reject(new Error(e[0].message)),t=null)})),a(e)},validate(){if(!t&&document.getElementById("paypal-button-container"))throw new Error(wu_paypal.i18n.use_button)},confirm(e,r){if(t){var n=t;if(t=null,r.gateway.data.paypal_token)return i=r.gateway.data.paypal_token,r=new Promise(function(e,r){c={resolve:e,reject:r}}).finally(function(){c=null}),n.resolve(i),r;n.reject(new Error(wu_paypal.i18n.error))}},teardown(){d()}})})(jQuery,wp.hooks);
\ No newline at end of file
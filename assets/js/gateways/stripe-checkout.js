@@ -1,45 +1,49 @@
 /* eslint-disable */
-/* global wu_stripe_checkout, Stripe */
+/* global wu_stripe_checkout, Stripe, wu_payment_adapters */
+(function() {
 
-const stripeCheckout = function(publicKey) {
+  let _stripe;
 
-  wp.hooks.addAction('wu_on_form_success', 'nextpress/wp-ultimo', async function(checkout, results) {
+  /**
+   * Redirects the customer to the Stripe hosted checkout page.
+   */
+  wu_payment_adapters.register('stripe-checkout', {
+    mount() {
 
-    if (checkout.gateway === 'stripe-checkout' && results.gateway.slug !== 'free' && results.gateway.data && results.gateway.data.stripe_session_id) {
+      if (! _stripe) {
 
-      // Prevent redirect to thank you page
-      // set_prevent_submission not work in this case
-      checkout.prevent_submission = true;
+        _stripe = Stripe(wu_stripe_checkout.pk_key);
 
-      // When the customer clicks on the button, redirect
-      // them to Checkout.
-      const stripe = await Stripe(publicKey);
+      } // end if;
 
-      stripe.redirectToCheckout({
+    },
+    confirm(checkout, results) {
+
+      if (results.gateway.slug === 'free' || ! results.gateway.data || ! results.gateway.data.stripe_session_id) {
+
+        return;
+
+      } // end if;
+
+      /*
+       * Only resolves when the redirect fails, and the
+       * form must not be resubmitted in that case either.
+       */
+      return _stripe.redirectToCheckout({
         sessionId: results.gateway.data.stripe_session_id,
       }).then(function(result) {
+
         if (result.error) {
 
-          console.log(result.error.message);
+          throw result.error;
 
-          var displayError = document.getElementById('error-message');
+        } // end if;
 
-          displayError.textContent = result.error.message;
+        return false;
 
-        }
       });
-      
-    } // end if;
 
+    },
   });
 
-};
-
-/**
- * Initializes the Stripe checkout onto the checkout form on load.
- */
-wp.hooks.addAction('wu_checkout_loaded', 'nextpress/wp-ultimo', function() {
-
-  stripeCheckout(wu_stripe_checkout.pk_key);
-
-});
\ No newline at end of file
+}());
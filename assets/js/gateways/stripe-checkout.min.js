@@ -1 +1 @@
-let stripeCheckout=function(s){wp.hooks.addAction("wu_on_form_success","nextpress/wp-ultimo",async function(e,t){"stripe-checkout"===e.gateway&&"free"!==t.gateway.slug&&t.gateway.data&&t.gateway.data.stripe_session_id&&(e.prevent_submission=!0,(await Stripe(s)).redirectToCheckout({sessionId:t.gateway.data.stripe_session_id}).then(function(e){e.error&&(console.log(e.error.message),document.getElementById("error-message").textContent=e.error.message)}))})};wp.hooks.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(){stripeCheckout(wu_stripe_checkout.pk_key)});
\ No newline at end of file
+(()=>{let r;wu_payment_adapters.register("stripe-checkout",{mount(){r=r||Stripe(wu_stripe_checkout.pk_key)},confirm(e,t){if("free"!==t.gateway.slug&&t.gateway.data&&t.gateway.data.stripe_session_id)return r.redirectToCheckout({sessionId:t.gateway.data.stripe_session_id}).then(function(e){if(e.error)throw e.error;return!1})}})})();
\ No newline at end of file
@@ -1,290 +1,470 @@
 /* eslint-disable */
-/* global wu_stripe, Stripe */
-let _stripe;
-let stripeElement;
-let card;
+/* global wu_stripe, wu_checkout, Stripe, wu_payment_adapters */
+(function($, hooks) {
 
-const stripeElements = function(publicKey) {
+  let _stripe;
+  let elements;
+  let paymentElement;
+  let paymentRequest;
+  let paymentRequestButton;
+  let wallet_event;
 
-  _stripe = Stripe(publicKey);
+  /**
+   * Checks if the order will be charged now, or only saves the payment method.
+   *
+   * @param {Object} order The order returned by the server.
+   * @return {boolean}
+   */
+  function wu_stripe_is_payment_mode(order) {
 
-  const elements = _stripe.elements();
+    return !! (order && order.totals.total > 0 && ! order.has_trial);
 
-  card = elements.create('card', {
-    hidePostalCode: true,
-  });
+  }
 
-  wp.hooks.addFilter('wu_before_form_submitted', 'nextpress/wp-ultimo', function(promises, checkout, gateway) {
+  /**
+   * Converts an amount to the smallest currency unit.
+   *
+   * @param {number} amount The amount.
+   * @return {number}
+   */
+  function wu_stripe_to_cents(amount) {
 
-    const cardEl = document.getElementById('card-element');
+    return Math.round(parseFloat(amount || 0) * wu_stripe.multiplier);
 
-    if (gateway === 'stripe' && checkout.order.totals.total > 0 && cardEl && cardEl.offsetParent) {
+  }
 
-      promises.push(new Promise( async (resolve, reject) => {
+  /**
+   * Builds the options of the deferred Payment Element.
+   *
+   * The Payment Element is created before the intent exists,
+   * so it needs to know the mode, the amount and the currency.
+   *
+   * @param {Object} order The order returned by the server.
+   * @return {Object}
+   */
+  function wu_stripe_get_elements_options(order) {
 
-        try {
+    let options = {
+      mode: 'setup',
+      currency: wu_stripe.currency,
+      paymentMethodTypes: wu_stripe.payment_method_types,
+    };
 
-          const paymentMethod = await _stripe.createPaymentMethod({type: 'card', card});
+    if (wu_stripe_is_payment_mode(order)) {
 
-          if (paymentMethod.error) {
-            
-            reject(paymentMethod.error);
-    
-          } // end if;
+      options.mode = 'payment';
 
-        } catch(err) {
+      options.amount = wu_stripe_to_cents(order.totals.total);
 
-        } // end try;
+      options.setupFutureUsage = 'off_session';
+
+    } // end if;
+
+    return hooks.applyFilters('wu_stripe_elements_options', options, order);
+
+  }
+
+  /**
+   * Unmounts an element, if mounted.
+   *
+   * @param {Object} element The Stripe element.
+   */
+  function wu_stripe_unmount(element) {
 
-        resolve();
+    try {
 
-      }));
+      element && element.unmount();
+
+    } catch (error) {
+
+      // Silence is golden
+
+    } // end try;
+
+  }
+
+  /**
+   * Mounts an element, if the container was (re-)rendered.
+   *
+   * @param {Object} element  The Stripe element.
+   * @param {string} selector The container selector.
+   */
+  function wu_stripe_mount(element, selector) {
+
+    const container = document.querySelector(selector);
+
+    if (! element || ! container || container.querySelector('iframe')) {
+
+      return;
 
     } // end if;
 
-    return promises;
-      
-  });
+    wu_stripe_unmount(element);
+
+    element.mount(selector);
+
+  }
+
+  /**
+   * Creates or updates the Apple Pay / Google Pay button.
+   *
+   * @param {Object} order The order returned by the server.
+   */
+  function wu_stripe_update_payment_request(order) {
 
-  wp.hooks.addAction('wu_on_form_success', 'nextpress/wp-ultimo', function(checkout, results) {
+    if (! wu_stripe.payment_request_button || ! order || order.totals.total <= 0) {
 
-    if (checkout.gateway === 'stripe' && (checkout.order.totals.total > 0 || checkout.order.totals.recurring.total > 0)) {
+      wu_stripe_unmount(paymentRequestButton);
 
-      checkout.set_prevent_submission(false);
-      
-      handlePayment(checkout, results, card);
+      return;
 
     } // end if;
 
-  });
-  
-  wp.hooks.addAction('wu_on_form_updated', 'nextpress/wp-ultimo', function(form) {
+    const total = {
+      label: wu_stripe.site_name,
+      amount: wu_stripe_to_cents(order.totals.total),
+    };
 
-    if (form.gateway === 'stripe') {
+    if (paymentRequest) {
 
-      try {
+      paymentRequest.update({ total });
 
-        card.mount('#card-element');
+      return;
 
-        wu_stripe_update_styles(card, '#field-payment_template');
+    } // end if;
 
-        /*
-         * Prevents the from from submitting while Stripe is 
-         * creating a payment source.
-         */
-        form.set_prevent_submission(form.order && form.order.should_collect_payment && form.payment_method === 'add-new');
+    paymentRequest = _stripe.paymentRequest({
+      country: wu_stripe.country || 'US',
+      currency: wu_stripe.currency,
+      total,
+      requestPayerName: true,
+      requestPayerEmail: true,
+    });
 
-      } catch (error) {
+    paymentRequest.canMakePayment().then(function(result) {
 
-        // Silence
+      if (! result) {
 
-      } // end try;
+        return;
 
-    } else {
+      } // end if;
 
-      form.set_prevent_submission(false);
+      paymentRequestButton = _stripe.elements().create('paymentRequestButton', {
+        paymentRequest,
+      });
 
-      try {
+      wu_stripe_mount(paymentRequestButton, '#payment-request-button');
 
-        card.unmount('#card-element');
+    });
 
-      } catch (error) {
+    paymentRequest.on('paymentmethod', function(event) {
 
-        // Silence is golden
+      wallet_event = event;
 
-      } // end try;
+      const $form = $('#wu_form');
 
-    } // end if;
+      $form.find('[name="stripe_wallet_payment_method"]').remove();
 
-  });
+      $('<input>', {
+        type: 'hidden',
+        name: 'stripe_wallet_payment_method',
+        value: event.paymentMethod.id,
+      }).appendTo($form);
 
-  // Element focus ring
-  card.on('focus', function() {
+      $form.trigger('submit');
 
-    const el = document.getElementById('card-element');
+    });
 
-    el.classList.add('focused');
+  }
 
-  });
+  /**
+   * Creates Stripe.js and the Payment Element, once.
+   *
+   * @param {Object} checkout The checkout form.
+   */
+  function wu_stripe_setup(checkout) {
 
-  card.on('blur', function() {
+    if (_stripe) {
 
-    const el = document.getElementById('card-element');
+      return;
 
-    el.classList.remove('focused');
+    } // end if;
 
-  });
+    _stripe = Stripe(wu_stripe.pk_key);
 
-};
+    elements = _stripe.elements(wu_stripe_get_elements_options(checkout.order));
 
-wp.hooks.addFilter('wu_before_form_init', 'nextpress/wp-ultimo', function(data) {
+    paymentElement = elements.create('payment', hooks.applyFilters('wu_stripe_payment_element_options', {
+      fields: {
+        billingDetails: {
+          name: 'never',
+          email: 'never',
+        },
+      },
+      wallets: {
+        applePay: wu_stripe.payment_request_button ? 'never' : 'auto',
+        googlePay: wu_stripe.payment_request_button ? 'never' : 'auto',
+      },
+    }));
 
-  data.add_new_card = wu_stripe.add_new_card;
+    paymentElement.on('change', function(event) {
 
-  data.payment_method = wu_stripe.payment_method;
+      const errors = document.getElementById('card-errors');
 
-  return data;
+      if (errors) {
 
-});
+        errors.textContent = event.error ? event.error.message : '';
 
-wp.hooks.addAction('wu_checkout_loaded', 'nextpress/wp-ultimo', function() {
+      } // end if;
 
-  stripeElement = stripeElements(wu_stripe.pk_key);
+    });
 
-});
+    wu_stripe_update_payment_request(checkout.order);
 
-/**
- * Copy styles from an existing element to the Stripe Card Element.
- *
- * @param {Object} cardElement Stripe card element.
- * @param {string} selector Selector to copy styles from.
- *
- * @since 3.3
- */
-function wu_stripe_update_styles(cardElement, selector) {
+    /*
+     * Fails the wallet sheet if the checkout could not be processed.
+     */
+    checkout.$watch('errors', function(errors) {
 
-  if (undefined === typeof selector) {
+      if (wallet_event && errors.length) {
 
-    selector = '#field-payment_template';
+        wallet_event.complete('fail');
 
-  }
+        wallet_event = null;
 
-  const inputField = document.querySelector(selector);
+        $('#wu_form [name="stripe_wallet_payment_method"]').remove();
 
-  if (null === inputField) {
+      } // end if;
 
-    return;
+    });
 
   }
 
-  if (document.getElementById('wu-stripe-styles')) {
+  /**
+   * Copy styles from an existing element to the Stripe Payment Element.
+   *
+   * @param {Object} stripeElements Stripe elements group.
+   * @param {string} selector Selector to copy styles from.
+   *
+   * @since 3.3
+   */
+  function wu_stripe_update_styles(stripeElements, selector) {
+
+    if (undefined === selector) {
+
+      selector = '#field-payment_template';
+
+    }
+
+    const inputField = document.querySelector(selector);
+
+    if (null === inputField || document.getElementById('wu-stripe-styles')) {
+
+      return;
+
+    }
+
+    const inputStyles = window.getComputedStyle(inputField);
+
+    /*
+     * Used as a flag, so styles are only copied once.
+     */
+    const styleTag = document.createElement('style');
+
+    styleTag.id = 'wu-stripe-styles';
 
-    return;
+    document.body.appendChild(styleTag);
+
+    stripeElements.update({
+      appearance: hooks.applyFilters('wu_stripe_appearance', {
+        theme: 'stripe',
+        variables: {
+          colorText: inputStyles.getPropertyValue('color'),
+          colorBackground: inputStyles.getPropertyValue('background-color'),
+          fontFamily: inputStyles.getPropertyValue('font-family'),
+          fontSizeBase: inputStyles.getPropertyValue('font-size'),
+          borderRadius: inputStyles.getPropertyValue('border-top-left-radius'),
+        },
+        rules: {
+          '.Input': {
+            borderColor: inputStyles.getPropertyValue('border-top-color'),
+            borderWidth: inputStyles.getPropertyValue('border-top-width'),
+            padding: inputStyles.getPropertyValue('padding-top') + ' ' + inputStyles.getPropertyValue('padding-left'),
+          },
+        },
+      }),
+    });
 
   }
 
-  const inputStyles = window.getComputedStyle(inputField);
-
-  const styleTag = document.createElement('style');
-
-  styleTag.innerHTML = '.StripeElement {' +
-    'background-color:' + inputStyles.getPropertyValue('background-color') + ';' +
-    'border-top-color:' + inputStyles.getPropertyValue('border-top-color') + ';' +
-    'border-right-color:' + inputStyles.getPropertyValue('border-right-color') + ';' +
-    'border-bottom-color:' + inputStyles.getPropertyValue('border-bottom-color') + ';' +
-    'border-left-color:' + inputStyles.getPropertyValue('border-left-color') + ';' +
-    'border-top-width:' + inputStyles.getPropertyValue('border-top-width') + ';' +
-    'border-right-width:' + inputStyles.getPropertyValue('border-right-width') + ';' +
-    'border-bottom-width:' + inputStyles.getPropertyValue('border-bottom-width') + ';' +
-    'border-left-width:' + inputStyles.getPropertyValue('border-left-width') + ';' +
-    'border-top-style:' + inputStyles.getPropertyValue('border-top-style') + ';' +
-    'border-right-style:' + inputStyles.getPropertyValue('border-right-style') + ';' +
-    'border-bottom-style:' + inputStyles.getPropertyValue('border-bottom-style') + ';' +
-    'border-left-style:' + inputStyles.getPropertyValue('border-left-style') + ';' +
-    'border-top-left-radius:' + inputStyles.getPropertyValue('border-top-left-radius') + ';' +
-    'border-top-right-radius:' + inputStyles.getPropertyValue('border-top-right-radius') + ';' +
-    'border-bottom-left-radius:' + inputStyles.getPropertyValue('border-bottom-left-radius') + ';' +
-    'border-bottom-right-radius:' + inputStyles.getPropertyValue('border-bottom-right-radius') + ';' +
-    'padding-top:' + inputStyles.getPropertyValue('padding-top') + ';' +
-    'padding-right:' + inputStyles.getPropertyValue('padding-right') + ';' +
-    'padding-bottom:' + inputStyles.getPropertyValue('padding-bottom') + ';' +
-    'padding-left:' + inputStyles.getPropertyValue('padding-left') + ';' +
-    'line-height:' + inputStyles.getPropertyValue('height') + ';' +
-    'height:' + inputStyles.getPropertyValue('height') + ';' +
-    `display: flex;
-    flex-direction: column;
-    justify-content: center;` +
-    '}';
-
-  styleTag.id = 'wu-stripe-styles';
-
-  document.body.appendChild(styleTag);
-
-  cardElement.update({
-    style: {
-      base: {
-        color: inputStyles.getPropertyValue('color'),
-        fontFamily: inputStyles.getPropertyValue('font-family'),
-        fontSize: inputStyles.getPropertyValue('font-size'),
-        fontWeight: inputStyles.getPropertyValue('font-weight'),
-        fontSmoothing: inputStyles.getPropertyValue('-webkit-font-smoothing'),
+  /**
+   * Confirms the payment or setup intent, handling 3DS and redirects.
+   *
+   * @param {Object} checkout The checkout form.
+   * @param {Object} response The results of the order creation.
+   * @return {Promise}
+   */
+  function wu_stripe_confirm(checkout, response) {
+
+    // Nothing to confirm without a client secret.
+    if (! response.gateway.data.stripe_client_secret) {
+
+      return Promise.resolve();
+
+    } // end if;
+
+    const handler = 'payment_intent' === response.gateway.data.stripe_intent_type ? 'confirmPayment' : 'confirmSetup';
+
+    const return_url = new URL(wu_checkout.baseurl, window.location.href);
+
+    return_url.searchParams.set('payment', response.gateway.data.stripe_payment_hash);
+
+    return_url.searchParams.set('wu-confirm', 'stripe');
+
+    let args = {
+      clientSecret: response.gateway.data.stripe_client_secret,
+      redirect: 'if_required',
+      confirmParams: {
+        return_url: return_url.toString(),
       },
-    },
-  });
+    };
+
+    if (wallet_event) {
 
-}
+      args.confirmParams.payment_method = wallet_event.paymentMethod.id;
 
-function wu_stripe_handle_intent(handler, client_secret, args) {
+      wallet_event.complete('success');
 
-  const _handle_error = function (e) {
+      wallet_event = null;
 
-    wu_checkout_form.unblock();
+    } else if (checkout.payment_method && checkout.payment_method !== 'add-new') {
 
-    if (e.error) {
+      args.confirmParams.payment_method = checkout.payment_method;
+
+    } else {
+
+      args.elements = elements;
+
+      args.confirmParams.payment_method_data = {
+        billing_details: {
+          name: response.customer.display_name,
+          email: response.customer.user_email,
+          address: {
+            country: response.customer.billing_address_data.billing_country,
+            postal_code: response.customer.billing_address_data.billing_zip_code,
+          },
+        },
+      };
 
-      wu_checkout_form.errors.push(e.error);
-      
     } // end if;
 
-  } // end _handle_error;
+    args = hooks.applyFilters('wu_stripe_confirm_args', args, checkout, response);
 
-  try {
+    return _stripe[handler](args).then(function(results) {
 
-    _stripe[handler](client_secret, args).then(function(results) {
-      
       if (results.error) {
 
-        _handle_error(results);
+        throw results.error;
 
-        return;
+      } // end if;
+
+      const intent = results.paymentIntent || results.setupIntent;
+
+      /*
+       * Redirect-based methods (iDEAL, Bancontact...) never get here,
+       * they come back through the return_url instead.
+       */
+      if (intent && ['succeeded', 'processing', 'requires_capture'].indexOf(intent.status) === -1) {
+
+        throw new Error(wu_stripe.i18n.payment_incomplete);
 
       } // end if;
 
-      wu_checkout_form.resubmit();
+    });
+
+  }
 
-    }, _handle_error);
+  wu_payment_adapters.register('stripe', {
+    mount(checkout) {
 
-  } catch(e) {} // end if;
+      wu_stripe_setup(checkout);
 
-} // end if;
+      wu_stripe_mount(paymentElement, '#payment-element');
 
-/**
- * After registration has been processed, handle card payments.
- *
- * @param form
- * @param response
- * @param card
- */
-function handlePayment(form, response, card) {
+      wu_stripe_mount(paymentRequestButton, '#payment-request-button');
 
-  // Trigger error if we don't have a client secret.
-  if (! response.gateway.data.stripe_client_secret) {
+      wu_stripe_update_styles(elements, '#field-payment_template');
 
-    return;
+    },
+    validate(checkout) {
 
-  } // end if;
+      const paymentEl = document.getElementById('payment-element');
 
-  const handler = 'payment_intent' === response.gateway.data.stripe_intent_type ? 'confirmCardPayment' : 'confirmCardSetup';
+      /*
+       * Saved payment methods and wallets skip this step,
+       * they are confirmed directly with the intent.
+       */
+      if (checkout.payment_method !== 'add-new' || wallet_event || ! paymentEl || ! paymentEl.offsetParent) {
+
+        return;
+
+      } // end if;
+
+      /*
+       * Validates the Payment Element and collects the data
+       * required by wallets, before the order is created.
+       */
+      return elements.submit().then(function(result) {
+
+        if (result.error) {
+
+          throw result.error;
+
+        } // end if;
+
+      });
 
-  const args = {
-    payment_method: form.payment_method !== 'add-new' ? form.payment_method : {
-      card,
-      billing_details: {
-        name: response.customer.display_name,
-        email: response.customer.user_email,
-        address: {
-          country: response.customer.billing_address_data.billing_country,
-          postal_code: response.customer.billing_address_data.billing_zip_code,
-        },
-      },
     },
-  };
+    confirm: wu_stripe_confirm,
+    teardown() {
 
-  /**
-   * Handle payment intent / setup intent.
-   */
-  wu_stripe_handle_intent(
-    handler, response.gateway.data.stripe_client_secret, args
-  );
+      wu_stripe_unmount(paymentElement);
+
+      wu_stripe_unmount(paymentRequestButton);
+
+    },
+  });
+
+  hooks.addAction('wu_on_create_order', 'nextpress/wp-ultimo', function(checkout, data) {
+
+    if (! _stripe || ! data.order) {
+
+      return;
+
+    } // end if;
+
+    try {
+
+      elements.update(wu_stripe_get_elements_options(data.order));
+
+    } catch (error) {
+
+      // Silence
+
+    } // end try;
+
+    wu_stripe_update_payment_request(data.order);
+
+  });
+
+  hooks.addFilter('wu_before_form_init', 'nextpress/wp-ultimo', function(data) {
+
+    data.add_new_card = wu_stripe.add_new_card;
+
+    data.payment_method = wu_stripe.payment_method;
+
+    return data;
+
+  });
 
-}
+}(jQuery, wp.hooks));
@@ -1,3 +1 @@
-let _stripe,stripeElement,card,stripeElements=function(e){e=(_stripe=Stripe(e)).elements();card=e.create("card",{hidePostalCode:!0}),wp.hooks.addFilter("wu_before_form_submitted","nextpress/wp-ultimo",function(e,t,r){var o=document.getElementById("card-element");return"stripe"===r&&0<t.order.totals.total&&o&&o.offsetParent&&e.push(new Promise(async(e,t)=>{try{var r=await _stripe.createPaymentMethod({type:"card",card:card});r.error&&t(r.error)}catch(e){}e()})),e}),wp.hooks.addAction("wu_on_form_success","nextpress/wp-ultimo",function(e,t){"stripe"===e.gateway&&(0<e.order.totals.total||0<e.order.totals.recurring.total)&&(e.set_prevent_submission(!1),handlePayment(e,t,card))}),wp.hooks.addAction("wu_on_form_updated","nextpress/wp-ultimo",function(e){if("stripe"===e.gateway)try{card.mount("#card-element"),wu_stripe_update_styles(card,"#field-payment_template"),e.set_prevent_submission(e.order&&e.order.should_collect_payment&&"add-new"===e.payment_method)}catch(e){}else{e.set_prevent_submission(!1);try{card.unmount("#card-element")}catch(e){}}}),card.on("focus",function(){document.getElementById("card-element").classList.add("focused")}),card.on("blur",function(){document.getElementById("card-element").classList.remove("focused")})};function wu_stripe_update_styles(e,t){var r,t=document.querySelector(t);null===t||document.getElementById("wu-stripe-styles")||(t=window.getComputedStyle(t),(r=document.createElement("style")).innerHTML=".StripeElement {background-color:"+t.getPropertyValue("background-color")+";border-top-color:"+t.getPropertyValue("border-top-color")+";border-right-color:"+t.getPropertyValue("border-right-color")+";border-bottom-color:"+t.getPropertyValue("border-bottom-color")+";border-left-color:"+t.getPropertyValue("border-left-color")+";border-top-width:"+t.getPropertyValue("border-top-width")+";border-right-width:"+t.getPropertyValue("border-right-width")+";border-bottom-width:"+t.getPropertyValue("border-bottom-width")+";border-left-width:"+t.getPropertyValue("border-left-width")+";border-top-style:"+t.getPropertyValue("border-top-style")+";border-right-style:"+t.getPropertyValue("border-right-style")+";border-bottom-style:"+t.getPropertyValue("border-bottom-style")+";border-left-style:"+t.getPropertyValue("border-left-style")+";border-top-left-radius:"+t.getPropertyValue("border-top-left-radius")+";border-top-right-radius:"+t.getPropertyValue("border-top-right-radius")+";border-bottom-left-radius:"+t.getPropertyValue("border-bottom-left-radius")+";border-bottom-right-radius:"+t.getPropertyValue("border-bottom-right-radius")+";padding-top:"+t.getPropertyValue("padding-top")+";padding-right:"+t.getPropertyValue("padding-right")+";padding-bottom:"+t.getPropertyValue("padding-bottom")+";padding-left:"+t.getPropertyValue("padding-left")+";line-height:"+t.getPropertyValue("height")+";height:"+t.getPropertyValue("height")+";"+`display: flex;
-    flex-direction: column;
-    justify-content: center;`+"}",r.id="wu-stripe-styles",document.body.appendChild(r),e.update({style:{base:{color:t.getPropertyValue("color"),fontFamily:t.getPropertyValue("font-family"),fontSize:t.getPropertyValue("font-size"),fontWeight:t.getPropertyValue("font-weight"),fontSmoothing:t.getPropertyValue("-webkit-font-smoothing")}}}))}function wu_stripe_handle_intent(e,t,r){function o(e){wu_checkout_form.unblock(),e.error&&wu_checkout_form.errors.push(e.error)}try{_stripe[e](t,r).then(function(e){e.error?o(e):wu_checkout_form.resubmit()},o)}catch(e){}}function handlePayment(e,t,r){var o;t.gateway.data.stripe_client_secret&&(o="payment_intent"===t.gateway.data.stripe_intent_type?"confirmCardPayment":"confirmCardSetup",e={payment_method:"add-new"!==e.payment_method?e.payment_method:{card:r,billing_details:{name:t.customer.display_name,email:t.customer.user_email,address:{country:t.customer.billing_address_data.billing_country,postal_code:t.customer.billing_address_data.billing_zip_code}}}},wu_stripe_handle_intent(o,t.gateway.data.stripe_client_secret,e))}wp.hooks.addFilter("wu_before_form_init","nextpress/wp-ultimo",function(e){return e.add_new_card=wu_stripe.add_new_card,e.payment_method=wu_stripe.payment_method,e}),wp.hooks.addAction("wu_checkout_loaded","nextpress/wp-ultimo",function(){stripeElement=stripeElements(wu_stripe.pk_key)});
\ No newline at end of file
+((a,o)=>{let i,u,n,t,p,s;function m(e){return Math.round(parseFloat(e||0)*wu_stripe.multiplier)}function l(e){var t,r={mode:"setup",currency:wu_stripe.currency,paymentMethodTypes:wu_stripe.payment_method_types};return(t=e)&&0<t.totals.total&&!t.has_trial&&(r.mode="payment",r.amount=m(e.totals.total),r.setupFutureUsage="off_session"),o.applyFilters("wu_stripe_elements_options",r,e)}function d(e){try{e&&e.unmount()}catch(e){}}function _(e,t){var r=document.querySelector(t);e&&r&&!r.querySelector("iframe")&&(d(e),e.mount(t))}function c(e){!wu_stripe.payment_request_button||!e||e.totals.total<=0?d(p):(e={label:wu_stripe.site_name,amount:m(e.totals.total)},t?t.update({total:e}):((t=i.paymentRequest({country:wu_stripe.country||"US",currency:wu_stripe.currency,total:e,requestPayerName:!0,requestPayerEmail:!0})).canMakePayment().then(function(e){e&&_(p=i.elements().create("paymentRequestButton",{paymentRequest:t}),"#payment-request-button")}),t.on("paymentmethod",function(e){s=e;var t=a("#wu_form");t.find('[name="stripe_wallet_payment_method"]').remove(),a("<input>",{type:"hidden",name:"stripe_wallet_payment_method",value:e.paymentMethod.id}).appendTo(t),t.trigger("submit")})))}wu_payment_adapters.register("stripe",{mount(e){var t,r;e=e,i||(i=Stripe(wu_stripe.pk_key),u=i.elements(l(e.order)),(n=u.create("payment",o.applyFilters("wu_stripe_payment_element_options",{fields:{billingDetails:{name:"never",email:"never"}},wallets:{applePay:wu_stripe.payment_request_button?"never":"auto",googlePay:wu_stripe.payment_request_button?"never":"auto"}}))).on("change",function(e){var t=document.getElementById("card-errors");t&&(t.textContent=e.error?e.error.message:"")}),c(e.order),e.$watch("errors",function(e){s&&e.length&&(s.complete("fail"),s=null,a('#wu_form [name="stripe_wallet_payment_method"]').remove())})),_(n,"#payment-element"),_(p,"#payment-request-button"),e=u,void 0===(t="#field-payment_template")&&(t="#field-payment_template"),null===(t=document.querySelector(t))||document.getElementById("wu-stripe-styles")||(t=window.getComputedStyle(t),(r=document.createElement("style")).id="wu-stripe-styles",document.body.appendChild(r),e.update({appearance:o.applyFilters("wu_stripe_appearance",{theme:"stripe",variables:{colorText:t.getPropertyValue("color"),colorBackground:t.getPropertyValue("background-color"),fontFamily:t.getPropertyValue("font-family"),fontSizeBase:t.getPropertyValue("font-size"),borderRadius:t.getPropertyValue("border-top-left-radius")},rules:{".Input":{borderColor:t.getPropertyValue("border-top-color"),borderWidth:t.getPropertyValue("border-top-width"),padding:t.getPropertyValue("padding-top")+" "+t.getPropertyValue("padding-left")}}})}))},validate(e){var t=document.getElementById("payment-element");if("add-new"===e.payment_method&&!s&&t&&t.offsetParent)return u.submit().then(function(e){if(e.error)throw e.error})},confirm:function(e,t){if(!t.gateway.data.stripe_client_secret)return Promise.resolve();var r="payment_intent"===t.gateway.data.stripe_intent_type?"confirmPayment":"confirmSetup",a=new URL(wu_checkout.baseurl,window.location.href);a.searchParams.set("payment",t.gateway.data.stripe_payment_hash),a.searchParams.set("wu-confirm","stripe");let n={clientSecret:t.gateway.data.stripe_client_secret,redirect:"if_required",confirmParams:{return_url:a.toString()}};return s?(n.confirmParams.payment_method=s.paymentMethod.id,s.complete("success"),s=null):e.payment_method&&"add-new"!==e.payment_method?n.confirmParams.payment_method=e.payment_method:(n.elements=u,n.confirmParams.payment_method_data={billing_details:{name:t.customer.display_name,email:t.customer.user_email,address:{country:t.customer.billing_address_data.billing_country,postal_code:t.customer.billing_address_data.billing_zip_code}}}),n=o.applyFilters("wu_stripe_confirm_args",n,e,t),i[r](n).then(function(e){if(e.error)throw e.error;e=e.paymentIntent||e.setupIntent;if(e&&-1===["succeeded","processing","requires_capture"].indexOf(e.status))throw new Error(wu_stripe.i18n.payment_incomplete)})},teardown(){d(n),d(p)}}),o.addAction("wu_on_create_order","nextpress/wp-ultimo",function(e,t){if(i&&t.order){try{u.update(l(t.order))}catch(e){}c(t.order)}}),o.addFilter("wu_before_form_init","nextpress/wp-ultimo",function(e){return e.add_new_card=wu_stripe.add_new_card,e.payment_method=wu_stripe.payment_method,e})})(jQuery,wp.hooks);
\ No newline at end of file
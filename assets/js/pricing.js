@@ -0,0 +1,403 @@
+/* global module */
+/**
+ * Shared pricing core.
+ *
+ * Mirrors the math the server uses to build the cart, so the legacy
+ * pricing tables and the checkout can preview discounts, setup fee
+ * waivers and billing frequency changes without a round-trip. Line
+ * items and discount codes use the same keys as their server-side
+ * counterparts (Line_Item and Discount_Code::get_pricing_rules).
+ *
+ * The server is always the source of truth for the final amounts.
+ *
+ * @since 2.5.0
+ * @param {Object} root The global object.
+ */
+(function(root) {
+
+	/**
+	 * Calculates a tax or discount amount for a base price.
+	 *
+	 * Mirrors wu_get_tax_amount().
+	 *
+	 * @param {number}  base_price The base price.
+	 * @param {number}  amount     The rate, either a percentage or an absolute value.
+	 * @param {string}  type       Either percentage or absolute.
+	 * @param {boolean} inclusive  If the amount is already included on the base price.
+	 * @return {number} The amount.
+	 */
+	const get_amount = function(base_price, amount, type, inclusive = false) {
+
+		base_price = parseFloat(base_price) || 0;
+
+		amount = parseFloat(amount) || 0;
+
+		if (type !== 'percentage') {
+
+			return amount;
+
+		} // end if;
+
+		if (inclusive) {
+
+			return base_price - (base_price / (1 + (amount / 100)));
+
+		} // end if;
+
+		return base_price * (amount / 100);
+
+	};
+
+	/**
+	 * Recalculates the totals of a line item.
+	 *
+	 * Mirrors Line_Item::recalculate_totals().
+	 *
+	 * @param {Object} line_item The line item.
+	 * @return {Object} A copy of the line item with the totals set.
+	 */
+	const recalculate_totals = function(line_item) {
+
+		const quantity = typeof line_item.quantity === 'undefined' ? 1 : parseFloat(line_item.quantity);
+
+		const subtotal = quantity * (parseFloat(line_item.unit_price) || 0);
+
+		let discount_total = get_amount(subtotal, line_item.discount_rate, line_item.discount_type || 'percentage');
+
+		let discounted_subtotal = subtotal - discount_total;
+
+		if (subtotal > 0 && discounted_subtotal < 0) {
+
+			discounted_subtotal = 0;
+
+			discount_total = subtotal;
+
+		} // end if;
+
+		let tax_total = get_amount(discounted_subtotal, line_item.tax_rate, line_item.tax_type || 'percentage', !! line_item.tax_inclusive);
+
+		let total = discounted_subtotal + tax_total;
+
+		if (line_item.tax_inclusive) {
+
+			total = line_item.tax_exempt ? discounted_subtotal - tax_total : discounted_subtotal;
+
+		} else if (line_item.tax_exempt) {
+
+			total = discounted_subtotal;
+
+		} // end if;
+
+		if (line_item.tax_exempt) {
+
+			tax_total = 0;
+
+		} // end if;
+
+		return Object.assign({}, line_item, {
+			subtotal,
+			discount_total,
+			tax_total,
+			total,
+		});
+
+	};
+
+	/**
+	 * Returns the key of a billing period, e.g. 1-year.
+	 *
+	 * Mirrors Discount_Code::get_billing_period_key().
+	 *
+	 * @param {number} duration      The billing period duration.
+	 * @param {string} duration_unit The billing period unit.
+	 * @return {string} The billing period key.
+	 */
+	const get_billing_period_key = function(duration, duration_unit) {
+
+		return Math.abs(parseInt(duration, 10) || 0) + '-' + String(duration_unit).toLowerCase();
+
+	};
+
+	/**
+	 * Checks if a discount code can be applied to a line item.
+	 *
+	 * Mirrors Cart::is_discount_code_valid_for_item(). Setup fees are
+	 * checked against the billing period of the cart, recurring items
+	 * against their own. Status, usage and date checks are left to the
+	 * server, which only sends codes that passed them.
+	 *
+	 * @param {Object} discount_code The discount code pricing rules.
+	 * @param {Object} line_item     The line item.
+	 * @param {Object} cart          The cart duration and duration_unit.
+	 * @return {boolean} If the code applies.
+	 */
+	const is_discount_code_valid_for_item = function(discount_code, line_item, cart = {}) {
+
+		if (discount_code.limit_products) {
+
+			const allowed_products = (discount_code.allowed_products || []).map((product_id) => parseInt(product_id, 10));
+
+			if (allowed_products.indexOf(parseInt(line_item.product_id, 10)) === -1) {
+
+				return false;
+
+			} // end if;
+
+		} // end if;
+
+		let duration = line_item.duration;
+
+		let duration_unit = line_item.duration_unit;
+
+		if (line_item.type === 'fee') {
+
+			duration = cart.duration;
+
+			duration_unit = cart.duration_unit;
+
+		} else if (! line_item.recurring) {
+
+			return true;
+
+		} // end if;
+
+		if (! discount_code.limit_billing_periods || ! duration || ! duration_unit) {
+
+			return true;
+
+		} // end if;
+
+		return (discount_code.allowed_billing_periods || []).indexOf(get_billing_period_key(duration, duration_unit)) !== -1;
+
+	};
+
+	/**
+	 * Combines the discount codes that apply to a line item into one discount.
+	 *
+	 * Mirrors Cart::apply_discounts_to_item(). A single code keeps its
+	 * own rate and type. Stacked codes are applied one after the other
+	 * to what is left and become a single absolute discount, that only
+	 * applies to renewals if every code does.
+	 *
+	 * @param {Object} line_item      The line item.
+	 * @param {Array}  discount_codes The discount codes pricing rules.
+	 * @param {Object} cart           The cart duration and duration_unit.
+	 * @return {Object|false} The discount attributes, false if nothing applies.
+	 */
+	const get_discount = function(line_item, discount_codes, cart = {}) {
+
+		const discounts = [];
+
+		(discount_codes || []).forEach(function(discount_code) {
+
+			if (! is_discount_code_valid_for_item(discount_code, line_item, cart)) {
+
+				return;
+
+			} // end if;
+
+			if (line_item.type === 'fee') {
+
+				if (! (parseFloat(discount_code.setup_fee_value) > 0)) {
+
+					return;
+
+				} // end if;
+
+				discounts.push({
+					discount_rate: parseFloat(discount_code.setup_fee_value),
+					discount_type: discount_code.setup_fee_type,
+					apply_discount_to_renewals: false,
+					discount_label: String(discount_code.code).toUpperCase(),
+				});
+
+				return;
+
+			} // end if;
+
+			discounts.push({
+				discount_rate: parseFloat(discount_code.value) || 0,
+				discount_type: discount_code.type,
+				apply_discount_to_renewals: !! discount_code.apply_to_renewals,
+				discount_label: String(discount_code.code).toUpperCase(),
+			});
+
+		});
+
+		if (! discounts.length) {
+
+			return false;
+
+		} // end if;
+
+		if (discounts.length === 1) {
+
+			return discounts[ 0 ];
+
+		} // end if;
+
+		const quantity = typeof line_item.quantity === 'undefined' ? 1 : parseFloat(line_item.quantity);
+
+		let remaining = quantity * (parseFloat(line_item.unit_price) || 0);
+
+		let discount_total = 0;
+
+		discounts.forEach(function(discount) {
+
+			const amount = Math.min(remaining, get_amount(remaining, discount.discount_rate, discount.discount_type));
+
+			remaining -= amount;
+
+			discount_total += amount;
+
+		});
+
+		return {
+			discount_rate: discount_total,
+			discount_type: 'absolute',
+			apply_discount_to_renewals: discounts.every((discount) => discount.apply_discount_to_renewals),
+			discount_label: discounts.map((discount) => discount.discount_label).join(' + '),
+		};
+
+	};
+
+	/**
+	 * Applies discount codes to a line item and recalculates its totals.
+	 *
+	 * @param {Object} line_item      The line item.
+	 * @param {Array}  discount_codes The discount codes pricing rules.
+	 * @param {Object} cart           The cart duration and duration_unit.
+	 * @return {Object} A copy of the line item with the discount and totals set.
+	 */
+	const apply_discounts = function(line_item, discount_codes, cart = {}) {
+
+		if (line_item.discountable === false) {
+
+			return recalculate_totals(line_item);
+
+		} // end if;
+
+		const discount = get_discount(line_item, discount_codes, cart);
+
+		return recalculate_totals(discount ? Object.assign({}, line_item, discount) : line_item);
+
+	};
+
+	/**
+	 * Sums the setup fee and recurring discounts of a list of line items.
+	 *
+	 * Mirrors Cart::get_discount_code_results().
+	 *
+	 * @param {Array}  line_items The line items, with their totals set.
+	 * @param {number} precision  The currency precision.
+	 * @return {Object} The setup_fee_discount and recurring_discount.
+	 */
+	const get_discount_totals = function(line_items, precision = 2) {
+
+		let setup_fee_discount = 0;
+
+		let recurring_discount = 0;
+
+		(line_items || []).forEach(function(line_item) {
+
+			if (line_item.type === 'fee') {
+
+				setup_fee_discount += line_item.discount_total;
+
+			} else if (line_item.recurring && line_item.apply_discount_to_renewals !== false) {
+
+				recurring_discount += line_item.discount_total;
+
+			} // end if;
+
+		});
+
+		return {
+			setup_fee_discount: round(setup_fee_discount, precision),
+			recurring_discount: round(recurring_discount, precision),
+		};
+
+	};
+
+	/**
+	 * Returns the amount charged on each part of a billing period.
+	 *
+	 * Used to display prices per month when a plan is billed every
+	 * few months, e.g. a quarterly total shown as a monthly price.
+	 *
+	 * @param {number} total    The amount charged for the full billing period.
+	 * @param {number} duration The number of parts in the billing period.
+	 * @return {number} The amount per part.
+	 */
+	const get_amount_per_period = function(total, duration) {
+
+		duration = parseInt(duration, 10) || 1;
+
+		return (parseFloat(total) || 0) / duration;
+
+	};
+
+	/**
+	 * Rounds a value the same way PHP does, half away from zero.
+	 *
+	 * @param {number} value     The value.
+	 * @param {number} precision The number of decimals.
+	 * @return {number} The rounded value.
+	 */
+	const round = function(value, precision = 2) {
+
+		const factor = Math.pow(10, precision);
+
+		return Math.sign(value) * Math.round((Math.abs(value) * factor) + Number.EPSILON) / factor;
+
+	};
+
+	/**
+	 * Parses a formatted money string back into a number.
+	 *
+	 * @param {string|number} value    The formatted value, e.g. 1.000,50.
+	 * @param {Object}        settings The thousand_separator and decimal_separator.
+	 * @return {number} The value.
+	 */
+	const parse_money = function(value, settings = {}) {
+
+		if (typeof value === 'number') {
+
+			return value;
+
+		} // end if;
+
+		const thousand_separator = settings.thousand_separator || ',';
+
+		const decimal_separator = settings.decimal_separator || '.';
+
+		value = String(value || '').split(thousand_separator).join('').split(decimal_separator).join('.');
+
+		return parseFloat(value.replace(/[^0-9.-]/g, '')) || 0;
+
+	};
+
+	const pricing = {
+		get_amount,
+		recalculate_totals,
+		get_billing_period_key,
+		is_discount_code_valid_for_item,
+		get_discount,
+		apply_discounts,
+		get_discount_totals,
+		get_amount_per_period,
+		round,
+		parse_money,
+	};
+
+	if (typeof module === 'object' && module.exports) {
+
+		module.exports = pricing;
+
+	} else {
+
+		root.wu_pricing = pricing;
+
+	} // end if;
+
+}(typeof window !== 'undefined' ? window : this));
@@ -0,0 +1 @@
+(t=>{function r(t,e,n,o=!1){return t=parseFloat(t)||0,e=parseFloat(e)||0,"percentage"!==n?e:o?t-t/(1+e/100):t*(e/100)}function o(t){var e=(void 0===t.quantity?1:parseFloat(t.quantity))*(parseFloat(t.unit_price)||0);let n=r(e,t.discount_rate,t.discount_type||"percentage"),o=e-n,a=(0<e&&o<0&&(o=0,n=e),r(o,t.tax_rate,t.tax_type||"percentage",!!t.tax_inclusive)),i=o+a;return t.tax_inclusive?i=t.tax_exempt?o-a:o:t.tax_exempt&&(i=o),t.tax_exempt&&(a=0),Object.assign({},t,{subtotal:e,discount_total:n,tax_total:a,total:i})}function i(t,e){return Math.abs(parseInt(t,10)||0)+"-"+String(e).toLowerCase()}function u(t,e,n={}){if(t.limit_products&&-1===(t.allowed_products||[]).map(t=>parseInt(t,10)).indexOf(parseInt(e.product_id,10)))return!1;let o=e.duration,a=e.duration_unit;if("fee"===e.type)o=n.duration,a=n.duration_unit;else if(!e.recurring)return!0;return!(t.limit_billing_periods&&o&&a)||-1!==(t.allowed_billing_periods||[]).indexOf(i(o,a))}function a(e,t,n={}){let o=[];if((t||[]).forEach(function(t){if(u(t,e,n))return"fee"===e.type?0<parseFloat(t.setup_fee_value)?void o.push({discount_rate:parseFloat(t.setup_fee_value),discount_type:t.setup_fee_type,apply_discount_to_renewals:!1,discount_label:String(t.code).toUpperCase()}):void 0:void o.push({discount_rate:parseFloat(t.value)||0,discount_type:t.type,apply_discount_to_renewals:!!t.apply_to_renewals,discount_label:String(t.code).toUpperCase()})}),!o.length)return!1;if(1===o.length)return o[0];let a=(void 0===e.quantity?1:parseFloat(e.quantity))*(parseFloat(e.unit_price)||0),i=0;return o.forEach(function(t){t=Math.min(a,r(a,t.discount_rate,t.discount_type));a-=t,i+=t}),{discount_rate:i,discount_type:"absolute",apply_discount_to_renewals:o.every(t=>t.apply_discount_to_renewals),discount_label:o.map(t=>t.discount_label).join(" + ")}}function s(t,e=2){return e=Math.pow(10,e),Math.sign(t)*Math.round(Math.abs(t)*e+Number.EPSILON)/e}var e={get_amount:r,recalculate_totals:o,get_billing_period_key:i,is_discount_code_valid_for_item:u,get_discount:a,apply_discounts:function(t,e,n={}){return!1===t.discountable?o(t):(e=a(t,e,n),o(e?Object.assign({},t,e):t))},get_discount_totals:function(t,e=2){let n=0,o=0;return(t||[]).forEach(function(t){"fee"===t.type?n+=t.discount_total:t.recurring&&!1!==t.apply_discount_to_renewals&&(o+=t.discount_total)}),{setup_fee_discount:s(n,e),recurring_discount:s(o,e)}},get_amount_per_period:function(t,e){return e=parseInt(e,10)||1,(parseFloat(t)||0)/e},round:s,parse_money:function(t,e={}){var n;return"number"==typeof t?t:(n=e.thousand_separator||",",e=e.decimal_separator||".",t=String(t||"").split(n).join("").split(e).join("."),parseFloat(t.replace(/[^0-9.-]/g,""))||0)}};"object"==typeof module&&module.exports?module.exports=e:t.wu_pricing=e})("undefined"!=typeof window?window:this);
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Template previewer frame.
+ *
+ * Loaded on site templates shown inside the template previewer. Reports
+ * the scroll position to the previewer and follows the position it sends
+ * back, so templates compared side by side scroll together. Positions are
+ * sent as a ratio of the page height, as templates have different heights.
+ *
+ * @since 2.5.0
+ */
+(function() {
+
+	if (window.parent === window) {
+
+		return;
+
+	} // end if;
+
+	/*
+	 * Set when the scroll comes from the previewer, so it is not sent back.
+	 */
+	let following = false;
+
+	let scheduled = false;
+
+	const get_max_scroll = () => document.documentElement.scrollHeight - window.innerHeight;
+
+	window.addEventListener('scroll', function() {
+
+		if (following) {
+
+			following = false;
+
+			return;
+
+		} // end if;
+
+		if (scheduled) {
+
+			return;
+
+		} // end if;
+
+		scheduled = true;
+
+		window.requestAnimationFrame(function() {
+
+			scheduled = false;
+
+			const max = get_max_scroll();
+
+			window.parent.postMessage({
+				type: 'wu_preview_scroll',
+				ratio: max > 0 ? window.scrollY / max : 0,
+			}, '*');
+
+		});
+
+	}, { passive: true });
+
+	window.addEventListener('message', function(event) {
+
+		if (event.source !== window.parent || ! event.data || event.data.type !== 'wu_preview_scroll_to') {
+
+			return;
+
+		} // end if;
+
+		const top = Math.round(event.data.ratio * get_max_scroll());
+
+		if (Math.abs(top - window.scrollY) < 1) {
+
+			return;
+
+		} // end if;
+
+		following = true;
+
+		window.scrollTo(0, top);
+
+	});
+
+}());
@@ -0,0 +1 @@
+(()=>{if(window.parent!==window){let n=!1,o=!1,t=()=>document.documentElement.scrollHeight-window.innerHeight;window.addEventListener("scroll",function(){n?n=!1:o||(o=!0,window.requestAnimationFrame(function(){o=!1;var e=t();window.parent.postMessage({type:"wu_preview_scroll",ratio:0<e?window.scrollY/e:0},"*")}))},{passive:!0}),window.addEventListener("message",function(e){e.source===window.parent&&e.data&&"wu_preview_scroll_to"===e.data.type&&(e=Math.round(e.data.ratio*t()),Math.abs(e-window.scrollY)<1||(n=!0,window.scrollTo(0,e)))})}})();
\ No newline at end of file
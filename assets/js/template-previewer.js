@@ -40,6 +40,22 @@ window.addEventListener("beforeunload", () => {
   return (_a = window.top) == null ? void 0 : _a.postMessage("wu_preview_changed", "*");
 });
 CreateCookie("wu_template", "");
+const isSameOrigin = (win) => {
+  try {
+    return win.location.origin === window.location.origin;
+  } catch (e) {
+    return false;
+  }
+};
+const selectTemplate = (value) => {
+  const opener = window.opener;
+  if (opener && ! opener.closed && isSameOrigin(opener)) {
+    opener.postMessage({ type: "wu_template_selected", template_id: value }, window.location.origin);
+  } else {
+    CreateCookie("wu_template", value);
+  }
+  window.close();
+};
 const isIOS = () => {
   var _a;
   window.addEventListener("touchstart", () => {
@@ -64,9 +80,7 @@ document.addEventListener("DOMContentLoaded", () => {
   const elements = document.querySelectorAll("#action-select, #action-select2");
   elements.forEach((element) => element.addEventListener("click", (event) => {
     event.preventDefault();
-    const value = document.getElementById("template-selector").value;
-    CreateCookie("wu_template", value);
-    window.close();
+    selectTemplate(document.getElementById("template-selector").value);
   }));
   const loadingIndicator = document.getElementById("wu-loading-indicator");
   iframe == null ? void 0 : iframe.addEventListener("load", () => {
@@ -122,6 +136,8 @@ document.addEventListener("DOMContentLoaded", () => {
   if (headerBar) {
     headerBar.style.display = "none";
   }
+  let currentWidth = "100%";
+  const getFrames = () => [ iframe, ...document.querySelectorAll(".wu-compare-pane iframe") ].filter(Boolean);
   const screenSizes = {
     desktop: "100%",
     tabletlandscape: "1040px",
@@ -138,11 +154,143 @@ document.addEventListener("DOMContentLoaded", () => {
       }
       return acc;
     }, "");
-    iframe.style.width = width;
-    iframe.style.transition = "200ms";
-    document.querySelectorAll(".responsive a").forEach((element2) => element2.classList.remove("active"));
+    event.preventDefault();
+    currentWidth = width;
+    getFrames().forEach((frame) => {
+      frame.style.width = width;
+      frame.style.transition = "200ms";
+    });
+    document.querySelectorAll(".responsive a").forEach((element2) => {
+      element2.classList.remove("active");
+      element2.setAttribute("aria-pressed", "false");
+    });
     target.classList.add("active");
+    target.setAttribute("aria-pressed", "true");
   }));
+  const params = window.wu_template_previewer || {};
+  const templates = params.templates || [];
+  const maxCompare = params.max_compare || 3;
+  const compare = document.getElementById("wu-compare");
+  const compareToggle = document.getElementById("wu-compare-toggle");
+  const compareAdd = document.getElementById("wu-compare-add");
+  const paneTemplate = document.getElementById("wu-compare-pane");
+  const getTemplate = (id) => templates.find((template) => String(template.id) === String(id));
+  const getPanes = () => Array.from(document.querySelectorAll(".wu-compare-pane"));
+  const getComparedIds = () => getPanes().map((pane) => pane.querySelector(".wu-compare-pane-select").value);
+  const chooseTemplate = (id) => {
+    const template = getTemplate(id);
+    if (params.open) {
+      selectTemplate(id);
+    } else if (template) {
+      window.location.href = template.select_url;
+    }
+  };
+  const updateCompare = () => {
+    const ids = getComparedIds();
+    const url = new URL(window.location.href);
+    if (ids.length) {
+      url.searchParams.set("compare", ids.join(","));
+    } else {
+      url.searchParams.delete("compare");
+    }
+    window.history.replaceState({}, "", url.toString());
+    getPanes().forEach((pane) => {
+      pane.querySelector(".wu-compare-pane-remove").hidden = ids.length <= 2;
+    });
+    if (compareAdd) {
+      compareAdd.hidden = ! ids.length || ids.length >= Math.min(maxCompare, templates.length);
+    }
+  };
+  const loadPane = (pane, id) => {
+    const template = getTemplate(id);
+    if (! template) {
+      return;
+    }
+    const frame = pane.querySelector("iframe");
+    frame.src = template.url;
+    frame.title = template.title;
+    frame.style.width = currentWidth;
+  };
+  const addPane = (id) => {
+    const pane = paneTemplate.content.firstElementChild.cloneNode(true);
+    const select = pane.querySelector(".wu-compare-pane-select");
+    const choose = pane.querySelector(".wu-compare-pane-choose");
+    select.value = String(id);
+    select.addEventListener("change", () => {
+      loadPane(pane, select.value);
+      updateCompare();
+    });
+    choose == null ? void 0 : choose.addEventListener("click", (event) => {
+      event.preventDefault();
+      chooseTemplate(select.value);
+    });
+    pane.querySelector(".wu-compare-pane-remove").addEventListener("click", (event) => {
+      event.preventDefault();
+      pane.remove();
+      updateCompare();
+    });
+    compare.appendChild(pane);
+    loadPane(pane, id);
+  };
+  const getNextTemplateId = () => {
+    const ids = getComparedIds();
+    const next = templates.find((template) => ! ids.includes(String(template.id)));
+    return next ? next.id : null;
+  };
+  const setCompareMode = (enabled, ids = []) => {
+    getPanes().forEach((pane) => pane.remove());
+    compare.hidden = ! enabled;
+    iframe.hidden = enabled;
+    if (loadingIndicator && enabled) {
+      loadingIndicator.style.display = "none";
+    }
+    if (compareToggle) {
+      compareToggle.classList.toggle("active", enabled);
+      compareToggle.setAttribute("aria-pressed", enabled ? "true" : "false");
+    }
+    ids.slice(0, maxCompare).forEach((id) => addPane(id));
+    updateCompare();
+  };
+  if (compareToggle && templates.length < 2) {
+    compareToggle.hidden = true;
+  }
+  compareToggle == null ? void 0 : compareToggle.addEventListener("click", (event) => {
+    event.preventDefault();
+    if (! compare.hidden) {
+      setCompareMode(false);
+      return;
+    }
+    const current = document.getElementById("template-selector").value;
+    const other = templates.find((template) => String(template.id) !== String(current));
+    setCompareMode(true, [ current, other.id ]);
+  });
+  compareAdd == null ? void 0 : compareAdd.addEventListener("click", (event) => {
+    event.preventDefault();
+    const id = getNextTemplateId();
+    if (id && getPanes().length < maxCompare) {
+      addPane(id);
+      updateCompare();
+    }
+  });
+  if (compare && paneTemplate && templates.length >= 2) {
+    const ids = (params.compare || []).filter((id) => getTemplate(id));
+    if (ids.length >= 2) {
+      setCompareMode(true, ids);
+    }
+  }
+  window.addEventListener("message", (event) => {
+    if (! event.data || event.data.type !== "wu_preview_scroll") {
+      return;
+    }
+    const frames = getPanes().map((pane) => pane.querySelector("iframe"));
+    if (! frames.some((frame) => frame.contentWindow === event.source)) {
+      return;
+    }
+    frames.filter((frame) => frame.contentWindow !== event.source).forEach((frame) => {
+      var _a2;
+      (_a2 = frame.contentWindow) == null ? void 0 : _a2.postMessage({ type: "wu_preview_scroll_to", ratio: event.data.ratio }, "*");
+    });
+  });
   if (navigator.userAgent.match(/iPad/i) !== null) {
     iframe.style.height = "100%";
   }
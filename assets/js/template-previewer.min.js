@@ -1 +1 @@
-(()=>{let t=(e,t,l)=>{let n;var o;n=l?((o=new Date).setTime(o.getTime()+24*l*60*60*1e3),"; expires="+o.toUTCString()):"",document.cookie=e+"="+t+n+"; path=/"},r=e=>{var l=e+"=",n=document.cookie.split(";");for(let t=0;t<n.length;t++){let e=n[t];for(;" "===e.charAt(0);)e=e.substring(1,e.length);if(0===e.indexOf(l))return e.substring(l.length,e.length)}return null};window.addEventListener("beforeunload",()=>{var e;return null==(e=window.top)?void 0:e.postMessage("wu_preview_changed","*")}),t("wu_template","");document.addEventListener("DOMContentLoaded",()=>{((t,l)=>{let n=r(t);setInterval(function(){var e=r(t);e!==n&&(n=e,l(n))},100)})("wu_selected_products",()=>document.location.reload());let n=document.getElementById("iframe");var e=null==n?void 0:n.contentWindow;null!=e&&e.postMessage("Hello to iframe from parent!","https://"+location.hostname),document.querySelectorAll("#action-select, #action-select2").forEach(e=>e.addEventListener("click",e=>{e.preventDefault();e=document.getElementById("template-selector").value;t("wu_template",e),window.close()}));let o=document.getElementById("wu-loading-indicator");null!=n&&n.addEventListener("load",()=>{var e;o&&(o.style.display="none"),window.addEventListener("touchstart",()=>{}),e=(null==(e=null==navigator?void 0:navigator.userAgentData)?void 0:e.platform)||(null==navigator?void 0:navigator.platform)||"",["iPad Simulator","iPhone Simulator","iPod Simulator","iPad","iPhone","iPod"].includes(e)&&(null!=(e=null==(e=document.getElementById("iframe"))?void 0:e.getElementsByTagName("body")[0])&&e.classList.add("wu-fix-safari-preview"),null!=e)&&e.style&&Object.assign(e.style,{position:"fixed",top:0,right:0,bottom:0,left:0,"overflow-y":"scroll","-webkit-overflow-scrolling":"touch"})});var e=()=>{var e=(null==(e=document.getElementById("switcher"))?void 0:e.offsetHeight)||0;n.style.height=document.body.offsetHeight-e+"px"};window.addEventListener("resize",e),e();let a=()=>{document.querySelectorAll("#theme_list ul").forEach(e=>e.style.display="none"===e.style.display?"block":"none")};a(),null!=(e=document.getElementById("template_selector"))&&e.addEventListener("click",e=>{e.preventDefault(),a()}),document.querySelectorAll("#theme_list ul li a").forEach(e=>e.addEventListener("click",e=>{e.preventDefault(),a();var e=e.currentTarget,t=e.getAttribute("href")||"",l=(o&&(o.style.display="flex"),n.src=e.getAttribute("data-frame")||"",document.getElementById("template_selector"));l.firstChild.nodeValue=e.getAttribute("data-title")||"",window.history.pushState({},"",t)}));e=document.getElementById("header-bar");e&&(e.style.display="none");let l={desktop:"100%",tabletlandscape:"1040px",tabletportrait:"788px",mobilelandscape:"815px",mobileportrait:"375px",placebo:"0px"};document.querySelectorAll(".responsive a").forEach(e=>e.addEventListener("click",e=>{var e=e.currentTarget,t=Array.from(e.classList).reduce((e,t)=>e=l[t]?l[t]:e,"");n.style.width=t,n.style.transition="200ms",document.querySelectorAll(".responsive a").forEach(e=>e.classList.remove("active")),e.classList.add("active")})),null!==navigator.userAgent.match(/iPad/i)&&(n.style.height="100%")})})();
\ No newline at end of file
+(()=>{let l=(e,t,l)=>{let n;var r;n=l?((r=new Date).setTime(r.getTime()+24*l*60*60*1e3),"; expires="+r.toUTCString()):"",document.cookie=e+"="+t+n+"; path=/"},L=e=>{var l=e+"=",n=document.cookie.split(";");for(let t=0;t<n.length;t++){let e=n[t];for(;" "===e.charAt(0);)e=e.substring(1,e.length);if(0===e.indexOf(l))return e.substring(l.length,e.length)}return null},_=(window.addEventListener("beforeunload",()=>{var e;return null==(e=window.top)?void 0:e.postMessage("wu_preview_changed","*")}),l("wu_template",""),e=>{var t=window.opener;t&&!t.closed&&(e=>{try{return e.location.origin===window.location.origin}catch(e){return!1}})(t)?t.postMessage({type:"wu_template_selected",template_id:e},window.location.origin):l("wu_template",e),window.close()});document.addEventListener("DOMContentLoaded",()=>{((t,l)=>{let n=L(t);setInterval(function(){var e=L(t);e!==n&&(n=e,l(n))},100)})("wu_selected_products",()=>document.location.reload());let n=document.getElementById("iframe");var e=null==n?void 0:n.contentWindow;null!=e&&e.postMessage("Hello to iframe from parent!","https://"+location.hostname),document.querySelectorAll("#action-select, #action-select2").forEach(e=>e.addEventListener("click",e=>{e.preventDefault(),_(document.getElementById("template-selector").value)}));let r=document.getElementById("wu-loading-indicator");null!=n&&n.addEventListener("load",()=>{var e;r&&(r.style.display="none"),window.addEventListener("touchstart",()=>{}),e=(null==(e=null==navigator?void 0:navigator.userAgentData)?void 0:e.platform)||(null==navigator?void 0:navigator.platform)||"",["iPad Simulator","iPhone Simulator","iPod Simulator","iPad","iPhone","iPod"].includes(e)&&(null!=(e=null==(e=document.getElementById("iframe"))?void 0:e.getElementsByTagName("body")[0])&&e.classList.add("wu-fix-safari-preview"),null!=e)&&e.style&&Object.assign(e.style,{position:"fixed",top:0,right:0,bottom:0,left:0,"overflow-y":"scroll","-webkit-overflow-scrolling":"touch"})});var e=()=>{var e=(null==(e=document.getElementById("switcher"))?void 0:e.offsetHeight)||0;n.style.height=document.body.offsetHeight-e+"px"};window.addEventListener("resize",e),e();let a=()=>{document.querySelectorAll("#theme_list ul").forEach(e=>e.style.display="none"===e.style.display?"block":"none")};a(),null!=(e=document.getElementById("template_selector"))&&e.addEventListener("click",e=>{e.preventDefault(),a()}),document.querySelectorAll("#theme_list ul li a").forEach(e=>e.addEventListener("click",e=>{e.preventDefault(),a();var e=e.currentTarget,t=e.getAttribute("href")||"",l=(r&&(r.style.display="flex"),n.src=e.getAttribute("data-frame")||"",document.getElementById("template_selector"));l.firstChild.nodeValue=e.getAttribute("data-title")||"",window.history.pushState({},"",t)}));e=document.getElementById("header-bar");e&&(e.style.display="none");let o="100%",i={desktop:"100%",tabletlandscape:"1040px",tabletportrait:"788px",mobilelandscape:"815px",mobileportrait:"375px",placebo:"0px"},l=(document.querySelectorAll(".responsive a").forEach(e=>e.addEventListener("click",e=>{var t=e.currentTarget;let l=Array.from(t.classList).reduce((e,t)=>e=i[t]?i[t]:e,"");e.preventDefault(),o=l,[n,...document.querySelectorAll(".wu-compare-pane iframe")].filter(Boolean).forEach(e=>{e.style.width=l,e.style.transition="200ms"}),document.querySelectorAll(".responsive a").forEach(e=>{e.classList.remove("active"),e.setAttribute("aria-pressed","false")}),t.classList.add("active"),t.setAttribute("aria-pressed","true")})),window.wu_template_previewer||{}),d=l.templates||[],c=l.max_compare||3,s=document.getElementById("wu-compare"),u=document.getElementById("wu-compare-toggle"),m=document.getElementById("wu-compare-add"),p=document.getElementById("wu-compare-pane"),v=t=>d.find(e=>String(e.id)===String(t)),g=()=>Array.from(document.querySelectorAll(".wu-compare-pane")),h=()=>g().map(e=>e.querySelector(".wu-compare-pane-select").value),w=e=>{var t=v(e);l.open?_(e):t&&(window.location.href=t.select_url)},f=()=>{let t=h();var e=new URL(window.location.href);t.length?e.searchParams.set("compare",t.join(",")):e.searchParams.delete("compare"),window.history.replaceState({},"",e.toString()),g().forEach(e=>{e.querySelector(".wu-compare-pane-remove").hidden=t.length<=2}),m&&(m.hidden=!t.length||t.length>=Math.min(c,d.length))},y=(e,t)=>{t=v(t);t&&((e=e.querySelector("iframe")).src=t.url,e.title=t.title,e.style.width=o)},E=e=>{let t=p.content.firstElementChild.cloneNode(!0),l=t.querySelector(".wu-compare-pane-select");var n=t.querySelector(".wu-compare-pane-choose");l.value=String(e),l.addEventListener("change",()=>{y(t,l.value),f()}),null!=n&&n.addEventListener("click",e=>{e.preventDefault(),w(l.value)}),t.querySelector(".wu-compare-pane-remove").addEventListener("click",e=>{e.preventDefault(),t.remove(),f()}),s.appendChild(t),y(t,e)},S=(e,t=[])=>{g().forEach(e=>e.remove()),s.hidden=!e,n.hidden=e,r&&e&&(r.style.display="none"),u&&(u.classList.toggle("active",e),u.setAttribute("aria-pressed",e?"true":"false")),t.slice(0,c).forEach(e=>E(e)),f()};u&&d.length<2&&(u.hidden=!0),null!=u&&u.addEventListener("click",e=>{if(e.preventDefault(),s.hidden){let t=document.getElementById("template-selector").value;e=d.find(e=>String(e.id)!==String(t));S(!0,[t,e.id])}else S(!1)}),null!=m&&m.addEventListener("click",e=>{e.preventDefault();e=(()=>{let t=h();var e=d.find(e=>!t.includes(String(e.id)));return e?e.id:null})();e&&g().length<c&&(E(e),f())}),s&&p&&2<=d.length&&2<=(e=(l.compare||[]).filter(e=>v(e))).length&&S(!0,e),window.addEventListener("message",t=>{var e;t.data&&"wu_preview_scroll"===t.data.type&&(e=g().map(e=>e.querySelector("iframe"))).some(e=>e.contentWindow===t.source)&&e.filter(e=>e.contentWindow!==t.source).forEach(e=>{null!=(e=e.contentWindow)&&e.postMessage({type:"wu_preview_scroll_to",ratio:t.data.ratio},"*")})}),null!==navigator.userAgent.match(/iPad/i)&&(n.style.height="100%")})})();
\ No newline at end of file
@@ -20,6 +20,21 @@
 
 		});
 
+		/*
+		 * The template previewer posts the selected template back to the window that opened it.
+		 */
+		window.addEventListener('message', function(event) {
+
+			if (event.origin !== window.location.origin || ! event.data || event.data.type !== 'wu_template_selected') {
+
+				return;
+
+			} // end if;
+
+			window.wu_template_switching.template_id = event.data.template_id;
+
+		});
+
 	});
 
 	$(document).ready(function() {
@@ -50,6 +65,10 @@
 					template_id: 0,
 					original_template_id: -1,
 					template_category: '',
+					template_search: '',
+					template_tags: [],
+					template_sort: 'default',
+					template_page: 1,
 					stored_templates: {},
 					confirm_switch: 0,
 					ready: false,
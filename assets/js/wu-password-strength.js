@@ -104,8 +104,10 @@
 				}
 			}
 
+			this.setupAria();
+
 			// Set initial message
-			this.options.result.html(this.getStrengthLabel('empty'));
+			this.setResult(this.getStrengthLabel('empty'));
 
 			// Bind events
 			this.options.pass1.on('keyup input', function() {
@@ -138,7 +140,8 @@
 			this.options.result.attr('class', 'wu-py-2 wu-px-4 wu-block wu-text-sm wu-border-solid wu-border wu-mt-2');
 
 			if (! pass1) {
-				this.options.result.addClass('wu-bg-gray-100 wu-border-gray-200').html(this.getStrengthLabel('empty'));
+				this.options.result.addClass('wu-bg-gray-100 wu-border-gray-200');
+				this.setResult(this.getStrengthLabel('empty'));
 				this.setValid(false);
 				return;
 			}
@@ -264,7 +267,54 @@
 				}
 			}
 
-			this.options.result.addClass(colorClass).html(label);
+			this.options.result.addClass(colorClass);
+			this.setResult(label);
+		},
+
+		/**
+		 * Make the strength meter a live region described by the password field.
+		 *
+		 * Screen readers announce the strength as it changes, and read it
+		 * again when the password field gets focus.
+		 */
+		setupAria() {
+			const result = this.options.result;
+
+			result.attr({
+				role: 'status',
+				'aria-live': 'polite',
+				'aria-atomic': 'true'
+			});
+
+			if (! result.attr('id')) {
+				return;
+			}
+
+			this.options.pass1.each(function() {
+				const describedBy = (this.getAttribute('aria-describedby') || '').split(' ').filter(function(id) {
+					return id && id !== result.attr('id');
+				});
+
+				describedBy.push(result.attr('id'));
+
+				this.setAttribute('aria-describedby', describedBy.join(' '));
+			});
+		},
+
+		/**
+		 * Display a strength message, prefixed by a label for screen readers.
+		 *
+		 * @param {string} message The strength message
+		 */
+		setResult(message) {
+			const label = this.settings.i18n && this.settings.i18n.strength_label
+				? this.settings.i18n.strength_label
+				: 'Password strength:';
+
+			this.options.result.empty().append(
+				$('<span>', { class: 'wu-password-strength-label', text: label + ' ' }),
+				document.createTextNode(message)
+			);
 		},
 
 		/**
@@ -12,7 +12,11 @@ namespace WP_Ultimo\Admin_Pages;
 // Exit if accessed directly
 defined('ABSPATH') || exit;
 
+use WP_Ultimo\Checkout\Checkout_Form_Templates;
+use WP_Ultimo\Checkout\Checkout_Form_Transfer;
+use WP_Ultimo\Checkout\Field_Conditions;
 use WP_Ultimo\Checkout\Signup_Fields\Base_Signup_Field;
+use WP_Ultimo\Database\Memberships\Membership_Status;
 use WP_Ultimo\Managers\Signup_Fields_Manager;
 
 /**
@@ -134,6 +138,15 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 				'classes' => 'wubox',
 				'url'     => wu_get_form_url('shortcode_checkout', $url_atts),
 			];
+
+			$actions[] = [
+				'label' => __('Export', 'ultimate-multisite'),
+				'icon'  => 'wu-download',
+				'url'   => wp_nonce_url(
+					add_query_arg('wu_export_checkout_form', 1),
+					'wu_export_checkout_form'
+				),
+			];
 		}
 
 		return $actions;
@@ -176,29 +189,189 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 
 		$session = \WP_Session_Tokens::get_instance(get_current_user_id());
 
-		$settings_session = wu_get_isset($session->get($key), 'wu_checkout_form_editor', []);
+		/*
+		 * Templates previewed on the gallery are kept apart from the form being edited.
+		 */
+		$session_key = wu_request('template_preview') ? 'wu_checkout_form_editor_preview' : 'wu_checkout_form_editor';
+
+		$settings_session = wu_get_isset($session->get($key), $session_key, []);
 
 		if ( ! empty($settings_session)) {
 			$checkout_form->set_settings($settings_session);
 		}
 
-		$settings = $checkout_form->get_settings();
+		$state = $this->setup_preview_state(wu_request('state', wu_request('type', 'customer')));
 
-		$preview_type = wu_request('type', 'user');
+		/*
+		 * Steps are shown to guests or logged-in users only, the same way the checkout does.
+		 */
+		$user_exists = is_user_logged_in();
 
-		if ('visitor' === $preview_type) {
-			global $current_user;
+		$settings = array_values(
+			array_filter(
+				$checkout_form->get_settings(),
+				function ($step) use ($user_exists) {
+
+					$logged = wu_get_isset($step, 'logged', 'always');
 
-			$current_user = wp_set_current_user(0);
+					return 'always' === $logged || ('guests_only' === $logged && ! $user_exists) || ('logged_only' === $logged && $user_exists);
+				}
+			)
+		);
+
+		$step_id = wu_request('step');
+
+		if ($step_id && wp_list_filter($settings, ['id' => $step_id])) {
+			$settings = array_values(wp_list_filter($settings, ['id' => $step_id]));
+		}
+
+		/*
+		 * Refreshes only need the markup, they replace the content of the preview in place.
+		 */
+		if (wu_request('partial')) {
+			$this->render_preview_steps($settings, $state);
+
+			exit;
 		}
 
+		/*
+		 * The editor can live on another domain, so the preview only talks to it over postMessage.
+		 */
+		$editor_url = wp_parse_url(network_admin_url());
+
+		wp_enqueue_script('wu-checkout-form-preview', wu_get_asset('checkout-form-preview.js', 'js'), [], wu_get_version(), true);
+
+		wp_localize_script(
+			'wu-checkout-form-preview',
+			'wu_checkout_form_preview',
+			[
+				'editor_origin' => $editor_url['scheme'] . '://' . $editor_url['host'] . (isset($editor_url['port']) ? ':' . $editor_url['port'] : ''),
+			]
+		);
+
 		wp_enqueue_scripts();
 
 		wp_print_head_scripts();
 
 		printf('<body %s>', 'class="' . esc_attr(implode(' ', get_body_class('wu-styling'))) . '"');
 
-		echo '<div class="wu-p-6">';
+		echo '<div id="wu-checkout-preview" class="wu-p-6">';
+
+		$this->render_preview_steps($settings, $state);
+
+		echo '</div>';
+
+		wp_print_footer_scripts();
+
+		echo '</body>';
+
+		exit;
+	}
+
+	/**
+	 * Returns the states a checkout form can be previewed in.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_preview_states() {
+
+		$states = [
+			'customer' => __('Logged-in Customer', 'ultimate-multisite'),
+			'visitor'  => __('Visitor', 'ultimate-multisite'),
+			'upgrade'  => __('Upgrade', 'ultimate-multisite'),
+			'coupon'   => __('Coupon Applied', 'ultimate-multisite'),
+		];
+
+		/**
+		 * Filters the states a checkout form can be previewed in on the editor.
+		 *
+		 * Use the wu_checkout_form_preview_state action to set up custom states.
+		 *
+		 * @since 2.5.0
+		 * @param array $states The states, keyed by name.
+		 */
+		return apply_filters('wu_checkout_form_preview_states', $states);
+	}
+
+	/**
+	 * Sets up the request to render the preview in a given state.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $state The preview state.
+	 * @return string The state, or customer when the state is unknown.
+	 */
+	protected function setup_preview_state($state) {
+
+		/*
+		 * Previews used to be requested as "user".
+		 */
+		if ('user' === $state || ! isset($this->get_preview_states()[ $state ])) {
+			$state = 'customer';
+		}
+
+		if ('visitor' === $state) {
+			global $current_user;
+
+			$current_user = wp_set_current_user(0); // phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
+		}
+
+		if ('upgrade' === $state) {
+			$memberships = wu_get_memberships(
+				[
+					'number'     => 1,
+					'status__in' => [Membership_Status::ACTIVE, Membership_Status::TRIALING],
+				]
+			);
+
+			if ($memberships) {
+				$_REQUEST['membership'] = current($memberships)->get_hash();
+			}
+		}
+
+		if ('coupon' === $state) {
+			$code = wu_request('coupon');
+
+			if ( ! $code) {
+				$discount_codes = wu_get_discount_codes(
+					[
+						'number' => 1,
+						'active' => 1,
+					]
+				);
+
+				$code = $discount_codes ? current($discount_codes)->get_code() : '';
+			}
+
+			$_REQUEST['discount_code'] = sanitize_text_field($code);
+		}
+
+		/**
+		 * Fires before a checkout form preview is rendered, to set up the request for a state.
+		 *
+		 * @since 2.5.0
+		 * @param string $state The preview state.
+		 */
+		do_action('wu_checkout_form_preview_state', $state);
+
+		return $state;
+	}
+
+	/**
+	 * Renders the steps of the checkout form preview.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array  $settings The steps to render.
+	 * @param string $state    The preview state.
+	 * @return void
+	 */
+	protected function render_preview_steps($settings, $state): void {
+
+		if ('upgrade' === $state && ! wu_request('membership')) {
+			printf('<p class="wu-text-center wu-text-sm wu-text-gray-600">%s</p>', esc_html__('There are no active memberships to preview an upgrade with, so the form is shown to a new customer.', 'ultimate-multisite'));
+		}
 
 		$count = count($settings);
 
@@ -222,25 +395,25 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 				printf('<hr class="sm:wu-bg-transparent wu-hr-text wu-font-semibold wu-my-4 wu-mt-6 wu-text-gray-600 wu-text-sm" data-content="%s">', esc_attr__('Step Separator', 'ultimate-multisite'));
 			}
 		}
-
-		wp_print_footer_scripts();
-
-		echo '</div></body>';
-
-		exit;
 	}
 
 	/**
 	 * Save the editor session.
 	 *
 	 * This is used to edit steps and fields that were not saved.
+	 * Templates previewed on the gallery are saved to a separate key,
+	 * so they never replace the form being edited or its autosave.
 	 *
 	 * @since 2.0.0
 	 * @return void
 	 */
 	public function save_editor_session(): void {
 
-		$settings = wu_request('settings', []);
+		if ( ! current_user_can('wu_edit_checkout_forms')) {
+			wp_send_json_error();
+		}
+
+		$settings = json_decode(wp_unslash((string) wu_request('settings', '')), true);
 
 		$form = wu_get_checkout_form(wu_request('form_id'));
 
@@ -251,16 +424,79 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 
 			$session_data = $session->get($key);
 
+			if (wu_request('template_preview')) {
+				$session_data['wu_checkout_form_editor_preview'] = $settings;
+
+				$session->update($key, $session_data);
+
+				wp_send_json_success(
+					[
+						'revision' => false,
+					]
+				);
+			}
+
 			$session_data['wu_checkout_form_editor'] = $settings;
 
 			$session->update($key, $session_data);
 
-			wp_send_json_success();
+			/*
+			 * Keeps an autosave of unpublished changes, so they survive the session.
+			 */
+			$revision = false;
+
+			if ($form->get_settings_changes($settings)) {
+				$revision = $form->add_revision($settings, '', true);
+			}
+
+			wp_send_json_success(
+				[
+					'revision' => $revision ? $this->get_revision_summary($revision) : false,
+				]
+			);
 		}
 
 		wp_send_json_error();
 	}
 
+	/**
+	 * Returns the details of a revision listed on the editor.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $revision The revision.
+	 * @return array
+	 */
+	public function get_revision_summary($revision) {
+
+		$author = get_userdata(wu_get_isset($revision, 'author_id', 0));
+
+		return [
+			'id'       => $revision['id'],
+			'name'     => $revision['name'],
+			'autosave' => (bool) wu_get_isset($revision, 'autosave', false),
+			'author'   => $author ? $author->display_name : '',
+			'date'     => wu_human_time_diff(wu_get_isset($revision, 'date_created', ''), '-7 days'),
+		];
+	}
+
+	/**
+	 * Returns the steps being edited, from the editor session or the published form.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Checkout_Form $checkout_form The checkout form.
+	 * @return array
+	 */
+	protected function get_editor_settings($checkout_form) {
+
+		$session = \WP_Session_Tokens::get_instance(get_current_user_id());
+
+		$settings = wu_get_isset($session->get(wp_get_session_token()), 'wu_checkout_form_editor', []);
+
+		return $settings ?: $checkout_form->get_settings();
+	}
+
 	/**
 	 * Adds hooks when the page loads.
 	 *
@@ -269,6 +505,8 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 	 */
 	public function page_loaded(): void {
 
+		$this->handle_export();
+
 		parent::page_loaded();
 
 		$object = $this->get_object();
@@ -280,7 +518,7 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 
 			$session_data = $session->get($key);
 
-			unset($session_data['wu_checkout_form_editor']);
+			unset($session_data['wu_checkout_form_editor'], $session_data['wu_checkout_form_editor_preview']);
 
 			$session->update($key, $session_data);
 		}
@@ -289,39 +527,330 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 
 		add_action("wu_edit_{$screen->id}_after_normal", [$this, 'render_steps']);
 
-		add_action('admin_footer', [$this, 'render_js_templates']);
+		add_action('admin_footer', [$this, 'render_js_templates']);
+	}
+
+	/**
+	 * Downloads the checkout form as JSON, when requested.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	protected function handle_export() {
+
+		if ( ! isset($_GET['wu_export_checkout_form'])) { // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+			return;
+		}
+
+		check_admin_referer('wu_export_checkout_form');
+
+		if ( ! current_user_can('wu_read_checkout_forms')) {
+			wp_die(esc_html__('You do not have permission to export checkout forms.', 'ultimate-multisite'));
+		}
+
+		$checkout_form = $this->get_object();
+
+		if ( ! $checkout_form->exists()) {
+			wp_die(esc_html__('This checkout form does not exist.', 'ultimate-multisite'));
+		}
+
+		$transfer = Checkout_Form_Transfer::get_instance();
+
+		nocache_headers();
+
+		header('Content-Disposition: attachment; filename=' . $transfer->get_export_filename($checkout_form));
+		header('Pragma: no-cache');
+		header('Expires: 0');
+		wp_send_json($transfer->export($checkout_form), null, JSON_PRETTY_PRINT);
+
+		exit;
+	}
+
+	// Forms
+
+	/**
+	 * Register ajax forms to handle adding new memberships.
+	 *
+	 * @since 2.0.0
+	 * @return void
+	 */
+	public function register_forms(): void {
+		/*
+		 * Add new Section
+		 */
+		wu_register_form(
+			'add_new_form_step',
+			[
+				'render'     => [$this, 'render_add_new_form_step_modal'],
+				'handler'    => [$this, 'handle_add_new_form_step_modal'],
+				'capability' => 'wu_edit_checkout_forms',
+			]
+		);
+
+		/*
+		 * Add new Field
+		 */
+		wu_register_form(
+			'add_new_form_field',
+			[
+				'render'     => [$this, 'render_add_new_form_field_modal'],
+				'handler'    => [$this, 'handle_add_new_form_field_modal'],
+				'capability' => 'wu_edit_checkout_forms',
+			]
+		);
+
+		/*
+		 * Save a named draft revision
+		 */
+		wu_register_form(
+			'add_checkout_form_revision',
+			[
+				'render'     => [$this, 'render_add_revision_modal'],
+				'handler'    => [$this, 'handle_add_revision_modal'],
+				'capability' => 'wu_edit_checkout_forms',
+			]
+		);
+
+		/*
+		 * Compare and restore a draft revision
+		 */
+		wu_register_form(
+			'restore_checkout_form_revision',
+			[
+				'render'     => [$this, 'render_restore_revision_modal'],
+				'handler'    => [$this, 'handle_restore_revision_modal'],
+				'capability' => 'wu_edit_checkout_forms',
+			]
+		);
+	}
+
+	/**
+	 * Renders the modal to save the steps being edited as a named revision.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function render_add_revision_modal(): void {
+
+		$checkout_form = wu_get_checkout_form_by_slug(wu_request('checkout_form'));
+
+		if ( ! $checkout_form) {
+			return;
+		}
+
+		$fields = [
+			'name'          => [
+				'type'        => 'text',
+				'title'       => __('Revision Name', 'ultimate-multisite'),
+				'placeholder' => __('e.g. Before removing the site fields', 'ultimate-multisite'),
+				'desc'        => __('Saves the steps and fields as they are on the editor, without publishing them.', 'ultimate-multisite'),
+				'html_attr'   => [
+					'required' => 'required',
+				],
+			],
+			'checkout_form' => [
+				'type'  => 'hidden',
+				'value' => $checkout_form->get_slug(),
+			],
+			'submit_button' => [
+				'type'            => 'submit',
+				'title'           => __('Save Draft', 'ultimate-multisite'),
+				'value'           => 'save',
+				'classes'         => 'button button-primary wu-w-full',
+				'wrapper_classes' => 'wu-items-end',
+			],
+		];
+
+		$form = new \WP_Ultimo\UI\Form(
+			'add_checkout_form_revision',
+			$fields,
+			[
+				'views'                 => 'admin-pages/fields',
+				'classes'               => 'wu-modal-form wu-widget-list wu-striped wu-m-0 wu-mt-0',
+				'field_wrapper_classes' => 'wu-w-full wu-box-border wu-items-center wu-flex wu-justify-between wu-p-4 wu-m-0 wu-border-t wu-border-l-0 wu-border-r-0 wu-border-b-0 wu-border-gray-300 wu-border-solid',
+			]
+		);
+
+		$form->render();
+	}
+
+	/**
+	 * Saves the steps being edited as a named revision.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_add_revision_modal(): void {
+
+		$checkout_form = wu_get_checkout_form_by_slug(wu_request('checkout_form'));
+
+		if ( ! $checkout_form) {
+			wp_send_json_error(
+				new \WP_Error(
+					'checkout-form-not-found',
+					__('The checkout form could not be found.', 'ultimate-multisite')
+				)
+			);
+		}
+
+		$revision = $checkout_form->add_revision($this->get_editor_settings($checkout_form), wu_request('name', ''));
+
+		if ( ! $revision) {
+			wp_send_json_error(
+				new \WP_Error(
+					'revision-not-saved',
+					__('Save the checkout form before creating revisions.', 'ultimate-multisite')
+				)
+			);
+		}
+
+		wp_send_json_success(
+			[
+				'send' => [
+					'scope'         => 'wu_checkout_forms_editor_app',
+					'function_name' => 'add_revision',
+					'data'          => $this->get_revision_summary($revision),
+				],
+			]
+		);
+	}
+
+	/**
+	 * Renders the comparison between a revision and the published form.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function render_restore_revision_modal(): void {
+
+		$checkout_form = wu_get_checkout_form_by_slug(wu_request('checkout_form'));
+
+		$revision = $checkout_form ? $checkout_form->get_revision(wu_request('revision')) : false;
+
+		if ( ! $revision) {
+			return;
+		}
+
+		$fields = [
+			'changes'       => [
+				'type'            => 'note',
+				'desc'            => function () use ($checkout_form, $revision) {
+
+					wu_get_template(
+						'base/checkout-forms/revision-changes',
+						[
+							'revision' => $this->get_revision_summary($revision),
+							'changes'  => $checkout_form->get_settings_changes($revision['settings']),
+						]
+					);
+				},
+				'wrapper_classes' => 'wu-w-full',
+			],
+			'delete'        => [
+				'type'      => 'toggle',
+				'title'     => __('Delete Revision', 'ultimate-multisite'),
+				'desc'      => __('Delete this revision instead of restoring it.', 'ultimate-multisite'),
+				'html_attr' => [
+					'v-model' => 'delete',
+				],
+			],
+			'checkout_form' => [
+				'type'  => 'hidden',
+				'value' => $checkout_form->get_slug(),
+			],
+			'revision'      => [
+				'type'  => 'hidden',
+				'value' => $revision['id'],
+			],
+			'submit_button' => [
+				'type'            => 'submit',
+				'title'           => __('Restore on the Editor', 'ultimate-multisite'),
+				'value'           => 'save',
+				'classes'         => 'button button-primary wu-w-full',
+				'wrapper_classes' => 'wu-items-end',
+				'html_attr'       => [
+					'v-show' => '!delete',
+				],
+			],
+			'delete_button' => [
+				'type'            => 'submit',
+				'title'           => __('Delete Revision', 'ultimate-multisite'),
+				'value'           => 'delete',
+				'classes'         => 'button button-primary wu-w-full',
+				'wrapper_classes' => 'wu-items-end',
+				'html_attr'       => [
+					'v-show'  => 'delete',
+					'v-cloak' => 1,
+				],
+			],
+		];
+
+		$form = new \WP_Ultimo\UI\Form(
+			'restore_checkout_form_revision',
+			$fields,
+			[
+				'views'                 => 'admin-pages/fields',
+				'classes'               => 'wu-modal-form wu-widget-list wu-striped wu-m-0 wu-mt-0',
+				'field_wrapper_classes' => 'wu-w-full wu-box-border wu-items-center wu-flex wu-justify-between wu-p-4 wu-m-0 wu-border-t wu-border-l-0 wu-border-r-0 wu-border-b-0 wu-border-gray-300 wu-border-solid',
+				'html_attr'             => [
+					'data-wu-app' => 'restore_checkout_form_revision',
+					'data-state'  => wu_convert_to_state(
+						[
+							'delete' => false,
+						]
+					),
+				],
+			]
+		);
+
+		$form->render();
 	}
 
-	// Forms
-
 	/**
-	 * Register ajax forms to handle adding new memberships.
+	 * Restores a revision on the editor, or deletes it.
 	 *
-	 * @since 2.0.0
+	 * Restored revisions are loaded on the editor only. They are
+	 * published when the checkout form is saved.
+	 *
+	 * @since 2.5.0
 	 * @return void
 	 */
-	public function register_forms(): void {
-		/*
-		 * Add new Section
-		 */
-		wu_register_form(
-			'add_new_form_step',
-			[
-				'render'     => [$this, 'render_add_new_form_step_modal'],
-				'handler'    => [$this, 'handle_add_new_form_step_modal'],
-				'capability' => 'wu_edit_checkout_forms',
-			]
-		);
+	public function handle_restore_revision_modal(): void {
 
-		/*
-		 * Add new Field
-		 */
-		wu_register_form(
-			'add_new_form_field',
+		$checkout_form = wu_get_checkout_form_by_slug(wu_request('checkout_form'));
+
+		$revision = $checkout_form ? $checkout_form->get_revision(wu_request('revision')) : false;
+
+		if ( ! $revision) {
+			wp_send_json_error(
+				new \WP_Error(
+					'revision-not-found',
+					__('The revision could not be found.', 'ultimate-multisite')
+				)
+			);
+		}
+
+		if (wu_request('delete')) {
+			$checkout_form->delete_revision($revision['id']);
+
+			wp_send_json_success(
+				[
+					'send' => [
+						'scope'         => 'wu_checkout_forms_editor_app',
+						'function_name' => 'remove_revision',
+						'data'          => $revision['id'],
+					],
+				]
+			);
+		}
+
+		wp_send_json_success(
 			[
-				'render'     => [$this, 'render_add_new_form_field_modal'],
-				'handler'    => [$this, 'handle_add_new_form_field_modal'],
-				'capability' => 'wu_edit_checkout_forms',
+				'send' => [
+					'scope'         => 'wu_checkout_forms_editor_app',
+					'function_name' => 'restore_revision',
+					'data'          => $revision['settings'],
+				],
 			]
 		);
 	}
@@ -356,6 +885,21 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 		return array_filter($fields);
 	}
 
+	/**
+	 * Returns the field types that can only be added once to a form.
+	 *
+	 * Those are the types that force the id of the field.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_unique_field_types() {
+
+		$field_types = array_filter($this->field_types(), fn($field_type) => isset($field_type['force_attributes']['id']));
+
+		return array_keys($field_types);
+	}
+
 	/**
 	 * Returns the list of fields for the add/edit new field screen.
 	 *
@@ -560,10 +1104,20 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 			}
 		}
 
+		$conditions_fields = $this->get_conditions_fields(
+			'type && require("tab", "advanced")',
+			[
+				'desc'  => __('Only show this field to customers when these conditions are met. Hidden fields are not required.', 'ultimate-multisite'),
+				'match' => __('Show this field when', 'ultimate-multisite'),
+				'empty' => __('This field is always displayed. Add a condition using the button below.', 'ultimate-multisite'),
+			]
+		);
+
 		$fields = array_merge(
 			$fields,
 			$default_fields,
 			$additional_fields,
+			$conditions_fields,
 			[
 				'submit_button' => [
 					'type'              => 'submit',
@@ -583,6 +1137,144 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 		return $fields;
 	}
 
+	/**
+	 * Returns the fields used to build the conditions of a field or step.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $show The v-show expression of the tab the fields are on.
+	 * @param array  $labels The description, match title and empty state texts.
+	 * @return array
+	 */
+	protected function get_conditions_fields($show, $labels) {
+
+		return [
+			'conditions_header' => [
+				'type'              => 'small-header',
+				'title'             => __('Conditional Logic', 'ultimate-multisite'),
+				'desc'              => $labels['desc'],
+				'order'             => 60,
+				'wrapper_html_attr' => [
+					'v-show'  => $show,
+					'v-cloak' => 1,
+				],
+			],
+			'conditions_match'  => [
+				'type'              => 'select',
+				'title'             => $labels['match'],
+				'value'             => 'all',
+				'order'             => 61,
+				'options'           => [
+					'all' => __('All conditions are met', 'ultimate-multisite'),
+					'any' => __('Any condition is met', 'ultimate-multisite'),
+				],
+				'html_attr'         => [
+					'v-model' => 'conditions_match',
+				],
+				'wrapper_html_attr' => [
+					'v-show'  => "{$show} && conditions.length > 1",
+					'v-cloak' => 1,
+				],
+			],
+			'conditions_empty'  => [
+				'type'              => 'note',
+				'desc'              => $labels['empty'],
+				'classes'           => 'wu-text-gray-600 wu-text-xs wu-text-center wu-w-full',
+				'wrapper_classes'   => 'wu-bg-gray-100 wu-items-end',
+				'order'             => 62,
+				'wrapper_html_attr' => [
+					'v-show'  => "{$show} && conditions.length === 0",
+					'v-cloak' => 1,
+				],
+			],
+			'conditions'        => [
+				'type'              => 'group',
+				'tooltip'           => '',
+				'order'             => 63,
+				'wrapper_classes'   => 'wu-relative wu-bg-gray-100 wu-pb-2',
+				'wrapper_html_attr' => [
+					'v-show'  => $show,
+					'v-for'   => '(condition, index) in conditions',
+					'v-cloak' => 1,
+				],
+				'fields'            => [
+					'conditions_remove'   => [
+						'type'            => 'note',
+						'desc'            => function () {
+							printf('<a title="%s" class="wu-no-underline wu-inline-block wu-text-gray-600 wu-mt-2 wu-mr-2" href="#" @click.prevent="() => conditions.splice(index, 1)"><span class="dashicons-wu-squared-cross"></span></a>', esc_html__('Remove', 'ultimate-multisite'));
+						},
+						'wrapper_classes' => 'wu-absolute wu-top-0 wu-right-0',
+					],
+					'conditions_subject'  => [
+						'type'            => 'select',
+						'title'           => __('If', 'ultimate-multisite'),
+						'wrapper_classes' => 'wu-w-5/12 wu-mr-2',
+						'options'         => [Field_Conditions::get_instance(), 'get_subjects'],
+						'html_attr'       => [
+							'v-model'     => 'condition.subject',
+							'v-bind:name' => '"conditions[" + index + "][subject]"',
+						],
+					],
+					'conditions_operator' => [
+						'type'            => 'select',
+						'title'           => '&nbsp;',
+						'wrapper_classes' => 'wu-flex-grow',
+						'options'         => [Field_Conditions::get_instance(), 'get_operators'],
+						'html_attr'       => [
+							'v-model'     => 'condition.operator',
+							'v-bind:name' => '"conditions[" + index + "][operator]"',
+						],
+					],
+					'conditions_value'    => [
+						'type'              => 'text',
+						'title'             => __('Value', 'ultimate-multisite'),
+						'placeholder'       => __('e.g. US, CA', 'ultimate-multisite'),
+						'tooltip'           => __('Separate multiple values with commas. Countries and states use their codes.', 'ultimate-multisite'),
+						'wrapper_classes'   => 'wu-w-full wu-mt-2',
+						'wrapper_html_attr' => [
+							'v-show' => sprintf('condition.subject !== "products" && !%s.includes(condition.operator)', wp_json_encode(Field_Conditions::VALUELESS_OPERATORS)),
+						],
+						'html_attr'         => [
+							'v-model'     => 'condition.value',
+							'v-bind:name' => '"conditions[" + index + "][value]"',
+						],
+					],
+					'conditions_product'  => [
+						'type'              => 'select',
+						'title'             => __('Product', 'ultimate-multisite'),
+						'wrapper_classes'   => 'wu-w-full wu-mt-2',
+						'options'           => [$this, 'get_product_options'],
+						'wrapper_html_attr' => [
+							'v-show' => sprintf('condition.subject === "products" && !%s.includes(condition.operator)', wp_json_encode(Field_Conditions::VALUELESS_OPERATORS)),
+						],
+						'html_attr'         => [
+							'v-model'     => 'condition.value',
+							'v-bind:name' => '"conditions[" + index + "][product]"',
+						],
+					],
+				],
+			],
+			'conditions_repeat' => [
+				'type'              => 'submit',
+				'title'             => __('+ Add condition', 'ultimate-multisite'),
+				'order'             => 64,
+				'classes'           => 'wu-uppercase wu-text-2xs wu-text-blue-700 wu-border-none wu-bg-transparent wu-font-bold wu-text-right wu-w-full wu-cursor-pointer',
+				'wrapper_classes'   => 'wu-bg-gray-100 wu-items-end',
+				'wrapper_html_attr' => [
+					'v-show'  => $show,
+					'v-cloak' => 1,
+				],
+				'html_attr'         => [
+					'v-on:click.prevent' => '() => conditions.push({
+						subject: "country",
+						operator: "in_eu",
+						value: "",
+					})',
+				],
+			],
+		];
+	}
+
 	/**
 	 * Gets the field from the checkout step OR from the session.
 	 *
@@ -730,6 +1422,20 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 			$state['options'] = [];
 		}
 
+		if ( ! wu_get_isset($state, 'recommendation_rules', false)) {
+			$state['recommendation_rules'] = [];
+		}
+
+		if ( ! wu_get_isset($state, 'conditions', false)) {
+			$state['conditions'] = [];
+		}
+
+		if ( ! wu_get_isset($state, 'conditions_match', false)) {
+			$state['conditions_match'] = 'all';
+		}
+
+		$state['recommendation_stats'] = (object) \WP_Ultimo\Checkout\Checkout_Recommendations::get_instance()->get_stats($checkout_form);
+
 		if ( ! wu_get_isset($state, 'save_as', false)) {
 			$state['save_as'] = 'customer_meta';
 		}
@@ -803,6 +1509,10 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 			array_map(fn($item) => wu_request($item, wu_get_isset($data, $item, '')), $all_attributes_list)
 		);
 
+		$data['conditions'] = Field_Conditions::get_instance()->normalize_conditions(wu_get_isset($data, 'conditions', []));
+
+		$data['conditions_match'] = 'any' === wu_get_isset($data, 'conditions_match') ? 'any' : 'all';
+
 		/**
 		 * Auto-assign ID if none is set
 		 */
@@ -847,7 +1557,7 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 		$_step = $this->get_step($checkout_form, $step_name);
 
 		$fields = [
-			'tab'           => [
+			'tab'         => [
 				'type'      => 'tab-select',
 				'value'     => 'content',
 				'order'     => 0,
@@ -862,7 +1572,7 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 			],
 
 			// Content Tab
-			'id'            => [
+			'id'          => [
 				'type'              => 'text',
 				'title'             => __('Step ID', 'ultimate-multisite'),
 				'placeholder'       => __('e.g. step-name', 'ultimate-multisite'),
@@ -878,14 +1588,14 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 					'v-cloak' => 1,
 				],
 			],
-			'original_id'   => [
+			'original_id' => [
 				'type'      => 'hidden',
 				'value'     => wu_request('id', ''),
 				'html_attr' => [
 					'v-bind:value' => 'original_id',
 				],
 			],
-			'name'          => [
+			'name'        => [
 				'type'              => 'text',
 				'title'             => __('Step Title', 'ultimate-multisite'),
 				'placeholder'       => __('e.g. My Extra Step', 'ultimate-multisite'),
@@ -901,7 +1611,7 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 					'v-cloak' => 1,
 				],
 			],
-			'desc'          => [
+			'desc'        => [
 				'type'              => 'textarea',
 				'title'             => __('Step Description', 'ultimate-multisite'),
 				'placeholder'       => __('e.g. This is the last step!', 'ultimate-multisite'),
@@ -919,7 +1629,7 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 			],
 
 			// Visibility Tab
-			'logged'        => [
+			'logged'      => [
 				'type'              => 'select',
 				'value'             => 'always',
 				'title'             => __('Logged Status', 'ultimate-multisite'),
@@ -937,56 +1647,71 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 					'v-cloak' => 1,
 				],
 			],
+		];
 
-			// Style Tab
-			'element_id'    => [
-				'type'              => 'text',
-				'title'             => __('Element ID', 'ultimate-multisite'),
-				'placeholder'       => __('myfield', 'ultimate-multisite'),
-				'desc'              => __('A custom ID to be added to the form element. Do not add the # symbol.', 'ultimate-multisite'),
-				'value'             => '',
-				'html_attr'         => [
-					'v-model' => 'element_id',
+		$conditions_fields = $this->get_conditions_fields(
+			'require("tab", "visibility")',
+			[
+				'desc'  => __('Only show this step to customers when these conditions are met. Fields on hidden steps are not required.', 'ultimate-multisite'),
+				'match' => __('Show this step when', 'ultimate-multisite'),
+				'empty' => __('This step is always displayed. Add a condition using the button below.', 'ultimate-multisite'),
+			]
+		);
+
+		$fields = array_merge(
+			$fields,
+			$conditions_fields,
+			[
+				// Style Tab
+				'element_id'    => [
+					'type'              => 'text',
+					'title'             => __('Element ID', 'ultimate-multisite'),
+					'placeholder'       => __('myfield', 'ultimate-multisite'),
+					'desc'              => __('A custom ID to be added to the form element. Do not add the # symbol.', 'ultimate-multisite'),
+					'value'             => '',
+					'html_attr'         => [
+						'v-model' => 'element_id',
+					],
+					'wrapper_html_attr' => [
+						'v-show'  => 'require("tab", "style")',
+						'v-cloak' => 1,
+					],
 				],
-				'wrapper_html_attr' => [
-					'v-show'  => 'require("tab", "style")',
-					'v-cloak' => 1,
+
+				'classes'       => [
+					'type'              => 'text',
+					'title'             => __('Extra CSS Classes', 'ultimate-multisite'),
+					'placeholder'       => __('custom-field example-class', 'ultimate-multisite'),
+					'desc'              => __('You can enter multiple CSS classes separated by spaces.', 'ultimate-multisite'),
+					'value'             => '',
+					'html_attr'         => [
+						'v-model' => 'classes',
+					],
+					'wrapper_html_attr' => [
+						'v-show'  => 'require("tab", "style")',
+						'v-cloak' => 1,
+					],
 				],
-			],
 
-			'classes'       => [
-				'type'              => 'text',
-				'title'             => __('Extra CSS Classes', 'ultimate-multisite'),
-				'placeholder'       => __('custom-field example-class', 'ultimate-multisite'),
-				'desc'              => __('You can enter multiple CSS classes separated by spaces.', 'ultimate-multisite'),
-				'value'             => '',
-				'html_attr'         => [
-					'v-model' => 'classes',
+				// Submit Button
+				'submit_button' => [
+					'type'              => 'submit',
+					'title'             => empty($_step) ? __('Add Step', 'ultimate-multisite') : __('Save Step', 'ultimate-multisite'),
+					'value'             => 'save',
+					'classes'           => 'button button-primary wu-w-full',
+					'wrapper_classes'   => 'wu-items-end',
+					'wrapper_html_attr' => [],
 				],
-				'wrapper_html_attr' => [
-					'v-show'  => 'require("tab", "style")',
-					'v-cloak' => 1,
+				'step'          => [
+					'type'  => 'hidden',
+					'value' => wu_request('step'),
 				],
-			],
-
-			// Submit Button
-			'submit_button' => [
-				'type'              => 'submit',
-				'title'             => empty($_step) ? __('Add Step', 'ultimate-multisite') : __('Save Step', 'ultimate-multisite'),
-				'value'             => 'save',
-				'classes'           => 'button button-primary wu-w-full',
-				'wrapper_classes'   => 'wu-items-end',
-				'wrapper_html_attr' => [],
-			],
-			'step'          => [
-				'type'  => 'hidden',
-				'value' => wu_request('step'),
-			],
-			'checkout_form' => [
-				'type'  => 'hidden',
-				'value' => wu_request('checkout_form'),
-			],
-		];
+				'checkout_form' => [
+					'type'  => 'hidden',
+					'value' => wu_request('checkout_form'),
+				],
+			]
+		);
 
 		$state = array_map('__return_empty_string', $fields);
 
@@ -998,6 +1723,10 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 
 		$state['logged'] = wu_get_isset($state, 'logged', 'always');
 
+		$state['conditions'] = wu_get_isset($state, 'conditions', []) ?: [];
+
+		$state['conditions_match'] = wu_get_isset($state, 'conditions_match', 'all') ?: 'all';
+
 		if ( ! wu_get_isset($state, 'original_id', false)) {
 			$state['original_id'] = wu_get_isset($state, 'id', '');
 		}
@@ -1049,6 +1778,10 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 			'fields'      => [],
 		];
 
+		$data['conditions'] = Field_Conditions::get_instance()->normalize_conditions(wu_request('conditions', []));
+
+		$data['conditions_match'] = 'any' === wu_request('conditions_match') ? 'any' : 'all';
+
 		wp_send_json_success(
 			[
 				'send' => [
@@ -1060,6 +1793,23 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 		);
 	}
 
+	/**
+	 * Returns the products available on the field conditions.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_product_options() {
+
+		$options = [];
+
+		foreach (wu_get_products() as $product) {
+			$options[ $product->get_id() ] = $product->get_name();
+		}
+
+		return $options;
+	}
+
 	/**
 	 * Get the required fields for a given field-type.
 	 *
@@ -1096,7 +1846,8 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 		wu_get_template(
 			'base/checkout-forms/steps',
 			[
-				'checkout_form' => $this->get_object()->get_slug(),
+				'checkout_form'  => $this->get_object()->get_slug(),
+				'preview_states' => $this->get_preview_states(),
 			]
 		);
 	}
@@ -1135,7 +1886,7 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 
 		wp_enqueue_script('htmlhint');
 
-		WP_Ultimo()->scripts->register_script('wu-checkout-form-editor', wu_get_asset('checkout-forms-editor.js', 'js'), ['jquery', 'wu-vue', 'underscore', 'wu-vue-sortable', 'wu-vue-draggable']);
+		WP_Ultimo()->scripts->register_script('wu-checkout-form-editor', wu_get_asset('checkout-forms-editor.js', 'js'), ['jquery', 'wu-vue', 'underscore', 'wu-vue-sortable', 'wu-vue-draggable', 'wu-mousetrap', 'wp-hooks']);
 
 		$steps = $this->get_object()->get_settings();
 
@@ -1147,6 +1898,9 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 				'checkout_form' => $this->get_object()->get_slug(),
 				'register_page' => wu_get_registration_url(),
 				'steps'         => $steps,
+				'revisions'     => array_map([$this, 'get_revision_summary'], $this->get_object()->get_revisions()),
+				'templates'     => Checkout_Form_Templates::get_instance()->get_templates(),
+				'unique_types'  => $this->get_unique_field_types(),
 				'headers'       => [
 					'order' => __('Order', 'ultimate-multisite'),
 					'name'  => __('Label', 'ultimate-multisite'),
@@ -1214,6 +1968,140 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 		return $new_fields;
 	}
 
+	/**
+	 * Returns the fields of the A/B testing section.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_experiment_fields() {
+
+		$checkout_form = $this->get_object();
+
+		$experiment = $checkout_form->get_experiment();
+
+		$checkout_form_options = [];
+
+		foreach (wu_get_checkout_forms() as $variant_form) {
+			if ($variant_form->get_slug() !== $checkout_form->get_slug()) {
+				$checkout_form_options[ $variant_form->get_slug() ] = $variant_form->get_name();
+			}
+		}
+
+		$results = \WP_Ultimo\Checkout\Checkout_Experiments::get_instance()->get_results($checkout_form);
+
+		return [
+			'experiment[active]'         => [
+				'type'      => 'toggle',
+				'title'     => __('Run A/B Test', 'ultimate-multisite'),
+				'desc'      => __('Visitors of this checkout form are assigned to one of the variants below and keep seeing it on their next visits.', 'ultimate-multisite'),
+				'value'     => $experiment['active'],
+				'html_attr' => [
+					'v-model' => 'experiment_active',
+				],
+			],
+			'experiment[control_weight]' => [
+				'type'              => 'number',
+				'title'             => __('Weight of this Form', 'ultimate-multisite'),
+				'desc'              => __('Share of the traffic kept on this form, relative to the weights of the variants.', 'ultimate-multisite'),
+				'value'             => $experiment['control_weight'],
+				'min'               => 0,
+				'wrapper_html_attr' => [
+					'v-show'  => 'experiment_active',
+					'v-cloak' => '1',
+				],
+			],
+			'experiment_variants'        => [
+				'type'              => 'group',
+				'tooltip'           => '',
+				'wrapper_classes'   => 'wu-relative',
+				'wrapper_html_attr' => [
+					'v-for'   => '(variant, index) in experiment_variants',
+					'v-show'  => 'experiment_active',
+					'v-cloak' => '1',
+				],
+				'fields'            => [
+					'experiment_variants_remove'        => [
+						'type'            => 'note',
+						'desc'            => function () {
+							printf(
+								'<a title="%s" class="wu-no-underline wu-inline-block wu-text-gray-600 wu-mt-2 wu-mr-2" href="#" v-on:click.prevent="() => experiment_variants.splice(index, 1)">
+									<span class="dashicons-wu-squared-cross"></span>
+								</a>',
+								esc_html__('Remove', 'ultimate-multisite')
+							);
+						},
+						'wrapper_classes' => 'wu-absolute wu-top-0 wu-right-0',
+					],
+					'experiment_variants_checkout_form' => [
+						'type'            => 'select',
+						'title'           => __('Variant', 'ultimate-multisite'),
+						'placeholder'     => '',
+						'wrapper_classes' => 'wu-w-2/3 wu-mr-2',
+						'options'         => $checkout_form_options,
+						'html_attr'       => [
+							'v-model'     => 'variant.checkout_form',
+							'v-bind:name' => '"experiment[variants][" + index + "][checkout_form]"',
+						],
+					],
+					'experiment_variants_weight'        => [
+						'type'            => 'number',
+						'title'           => __('Weight', 'ultimate-multisite'),
+						'placeholder'     => '',
+						'wrapper_classes' => 'wu-w-1/3',
+						'min'             => 0,
+						'html_attr'       => [
+							'v-model'     => 'variant.weight',
+							'steps'       => 1,
+							'v-bind:name' => '"experiment[variants][" + index + "][weight]"',
+						],
+					],
+				],
+			],
+			'experiment_repeat'          => [
+				'type'              => 'submit',
+				'title'             => __('Add new Variant', 'ultimate-multisite'),
+				'classes'           => 'button wu-self-end',
+				'wrapper_classes'   => 'wu-bg-whiten wu-items-end',
+				'wrapper_html_attr' => [
+					'v-show'  => 'experiment_active',
+					'v-cloak' => '1',
+				],
+				'html_attr'         => [
+					'v-on:click.prevent' => '() => experiment_variants.push({
+						checkout_form: "",
+						weight: 50,
+					})',
+				],
+			],
+			'experiment_results'         => [
+				'type'              => 'note',
+				'title'             => __('Results', 'ultimate-multisite'),
+				'desc'              => fn() => wu_get_template_contents(
+					'base/checkout-forms/experiment-results',
+					[
+						'results' => $results,
+						'labels'  => \WP_Ultimo\Checkout\Checkout_Experiments::get_instance()->get_significance_labels(),
+					]
+				),
+				'wrapper_html_attr' => [
+					'v-show'  => 'experiment_active',
+					'v-cloak' => '1',
+				],
+			],
+			'reset_experiment_stats'     => [
+				'type'              => 'toggle',
+				'title'             => __('Reset Results', 'ultimate-multisite'),
+				'desc'              => __('Clear the exposures and conversions of this test when saving, e.g. after changing the variants.', 'ultimate-multisite'),
+				'value'             => false,
+				'wrapper_html_attr' => [
+					'v-show'  => 'experiment_active',
+					'v-cloak' => '1',
+				],
+			],
+		];
+	}
+
 	/**
 	 * Returns the values of the thank you page settings.
 	 *
@@ -1310,6 +2198,16 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 							],
 						],
 					],
+					'experiment'   => [
+						'title'  => __('A/B Testing', 'ultimate-multisite'),
+						'desc'   => __('Split the traffic of this checkout form with other checkout forms and compare their conversion rates.', 'ultimate-multisite'),
+						'icon'   => 'dashicons-wu-swap',
+						'state'  => [
+							'experiment_active'   => $this->get_object()->get_experiment()['active'],
+							'experiment_variants' => $this->get_object()->get_experiment()['variants'],
+						],
+						'fields' => $this->get_experiment_fields(),
+					],
 				],
 			]
 		);
@@ -1534,6 +2432,10 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 
 		$object = $this->get_object();
 
+		if (wu_request('reset_experiment_stats') && $object->exists()) {
+			\WP_Ultimo\Checkout\Checkout_Experiments::get_instance()->reset_stats($object);
+		}
+
 		$key = wp_get_session_token();
 
 		if ( ! is_wp_error($object->validate())) {
@@ -1541,9 +2443,14 @@ class Checkout_Form_Edit_Admin_Page extends Edit_Admin_Page {
 
 			$session_data = $session->get($key);
 
-			unset($session_data['wu_checkout_form_editor']);
+			unset($session_data['wu_checkout_form_editor'], $session_data['wu_checkout_form_editor_preview']);
 
 			$session->update($key, $session_data);
+
+			/*
+			 * The autosave of the current admin was just published.
+			 */
+			$object->delete_revision('autosave-' . get_current_user_id());
 		}
 
 		wp_ob_end_flush_all();
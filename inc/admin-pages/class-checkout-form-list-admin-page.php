@@ -12,6 +12,8 @@ namespace WP_Ultimo\Admin_Pages;
 // Exit if accessed directly
 defined('ABSPATH') || exit;
 
+use WP_Ultimo\Checkout\Checkout_Form_Transfer;
+use WP_Ultimo\Exception\Runtime_Exception;
 use WP_Ultimo\Models\Checkout_Form;
 
 /**
@@ -108,6 +110,30 @@ class Checkout_Form_List_Admin_Page extends List_Admin_Page {
 				'capability' => 'wu_edit_checkout_forms',
 			]
 		);
+
+		/*
+		 * Upload a checkout form export
+		 */
+		wu_register_form(
+			'import_checkout_form',
+			[
+				'render'     => [$this, 'render_import_checkout_form_modal'],
+				'handler'    => [$this, 'handle_import_checkout_form_modal'],
+				'capability' => 'wu_edit_checkout_forms',
+			]
+		);
+
+		/*
+		 * Review and confirm an uploaded checkout form
+		 */
+		wu_register_form(
+			'review_checkout_form_import',
+			[
+				'render'     => [$this, 'render_review_checkout_form_import_modal'],
+				'handler'    => [$this, 'handle_review_checkout_form_import_modal'],
+				'capability' => 'wu_edit_checkout_forms',
+			]
+		);
 	}
 
 	/**
@@ -213,6 +239,308 @@ class Checkout_Form_List_Admin_Page extends List_Admin_Page {
 		}
 	}
 
+	/**
+	 * Opens the review of an uploaded checkout form, after the upload redirect.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function page_loaded(): void {
+
+		parent::page_loaded();
+
+		$key = wu_request('import');
+
+		if ( ! $key || ! $this->get_import($key)) {
+			return;
+		}
+
+		add_wubox();
+
+		$form_title = __('Review Import', 'ultimate-multisite');
+		$form_url   = wu_get_form_url(
+			'review_checkout_form_import',
+			[
+				'import' => $key,
+				'width'  => 600,
+			]
+		);
+
+		wp_add_inline_script('wubox', sprintf("document.addEventListener('DOMContentLoaded', function(){wubox.show('%s', '%s');});", esc_js($form_title), $form_url));
+	}
+
+	/**
+	 * Renders the modal to upload a checkout form export.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function render_import_checkout_form_modal(): void {
+
+		$fields = [
+			'import_file_header' => [
+				'type'  => 'header',
+				'title' => __('Upload Checkout Form', 'ultimate-multisite'),
+				// translators: %s is the URL of the JSON Schema.
+				'desc'  => sprintf(__('Select a JSON file exported from the checkout form editor. The format is described by <a href="%s" target="_blank">this JSON Schema</a>. Nothing is saved until you review the import.', 'ultimate-multisite'), esc_url(Checkout_Form_Transfer::get_instance()->get_schema_url())),
+			],
+			'import_file'        => [
+				'type'    => 'html',
+				'content' => '<input type="file" name="import_file" id="import_file" accept=".json" required class="wu-w-full" />',
+			],
+			'submit_button'      => [
+				'type'            => 'submit',
+				'title'           => __('Review Import &rarr;', 'ultimate-multisite'),
+				'value'           => 'save',
+				'classes'         => 'button button-primary wu-w-full',
+				'wrapper_classes' => 'wu-items-end',
+			],
+		];
+
+		$form = new \WP_Ultimo\UI\Form(
+			'import_checkout_form',
+			$fields,
+			[
+				'views'                 => 'admin-pages/fields',
+				'classes'               => 'wu-modal-form wu-widget-list wu-striped wu-m-0 wu-mt-0',
+				'field_wrapper_classes' => 'wu-w-full wu-box-border wu-items-center wu-flex wu-justify-between wu-p-4 wu-m-0 wu-border-t wu-border-l-0 wu-border-r-0 wu-border-b-0 wu-border-gray-300 wu-border-solid',
+				'html_attr'             => [
+					'data-wu-app' => 'import_checkout_form',
+					'data-state'  => wu_convert_to_state(),
+					'enctype'     => 'multipart/form-data',
+				],
+			]
+		);
+
+		$form->render();
+	}
+
+	/**
+	 * Validates the uploaded export and redirects to its review.
+	 *
+	 * The prepared import is kept for an hour, so the review can be
+	 * opened after the redirect without uploading the file again.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 * @throws Runtime_Exception When an error is found in the file.
+	 */
+	public function handle_import_checkout_form_modal(): void {
+
+		try {
+			if ( ! isset($_FILES['import_file']) || empty($_FILES['import_file']['tmp_name'])) { // phpcs:ignore WordPress.Security.NonceVerification.Missing
+				throw new Runtime_Exception('no_file');
+			}
+
+			$file = $_FILES['import_file']; // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+			if (UPLOAD_ERR_OK !== $file['error']) {
+				throw new Runtime_Exception('upload_error');
+			}
+
+			if ('json' !== strtolower(pathinfo($file['name'], PATHINFO_EXTENSION))) {
+				throw new Runtime_Exception('invalid_file_type');
+			}
+
+			$json_content = file_get_contents($file['tmp_name']); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+
+			if (false === $json_content) {
+				throw new Runtime_Exception('read_error');
+			}
+
+			$data = json_decode($json_content, true);
+
+			if (null === $data) {
+				throw new Runtime_Exception('invalid_json');
+			}
+		} catch (Runtime_Exception $e) {
+			wp_send_json_error(new \WP_Error($e->getMessage(), __('Something is wrong with the uploaded file.', 'ultimate-multisite')));
+		}
+
+		$prepared = Checkout_Form_Transfer::get_instance()->prepare_import($data);
+
+		if (is_wp_error($prepared)) {
+			wp_send_json_error($prepared);
+		}
+
+		$key = wp_generate_uuid4();
+
+		set_site_transient(
+			"wu_checkout_form_import_{$key}",
+			[
+				'user_id' => get_current_user_id(),
+				'import'  => $prepared,
+			],
+			HOUR_IN_SECONDS
+		);
+
+		wp_send_json_success(
+			[
+				'redirect_url' => wu_network_admin_url(
+					'wp-ultimo-checkout-forms',
+					[
+						'import' => $key,
+					]
+				),
+			]
+		);
+	}
+
+	/**
+	 * Renders the dry-run review of an uploaded checkout form.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function render_review_checkout_form_import_modal(): void {
+
+		$key = wu_request('import');
+
+		$import = $this->get_import($key);
+
+		if ( ! $import) {
+			return;
+		}
+
+		$existing = wu_get_checkout_form_by_slug($import['checkout_form']['slug']);
+
+		$fields = [
+			'review'        => [
+				'type'            => 'note',
+				'desc'            => function () use ($import, $existing) {
+
+					wu_get_template(
+						'base/checkout-forms/import-review',
+						[
+							'checkout_form' => $import['checkout_form'],
+							'remapped'      => $import['remapped'],
+							'warnings'      => $import['warnings'],
+							'existing'      => $existing,
+							'changes'       => $existing ? $existing->get_settings_changes($import['checkout_form']['settings']) : [],
+						]
+					);
+				},
+				'wrapper_classes' => 'wu-w-full',
+			],
+			'mode'          => [
+				'type'      => 'select',
+				'title'     => __('Import As', 'ultimate-multisite'),
+				'desc'      => __('Replacing keeps the current steps of the existing form as a revision.', 'ultimate-multisite'),
+				'value'     => 'new',
+				'options'   => [
+					'new'     => __('A new checkout form', 'ultimate-multisite'),
+					// translators: %s is the name of the existing checkout form.
+					'replace' => $existing ? sprintf(__('Replace "%s"', 'ultimate-multisite'), $existing->get_name()) : '',
+				],
+				'html_attr' => [
+					'v-model' => 'mode',
+				],
+			],
+			'import'        => [
+				'type'  => 'hidden',
+				'value' => $key,
+			],
+			'submit_button' => [
+				'type'            => 'submit',
+				'title'           => __('Import Checkout Form', 'ultimate-multisite'),
+				'value'           => 'save',
+				'classes'         => 'button button-primary wu-w-full',
+				'wrapper_classes' => 'wu-items-end',
+			],
+		];
+
+		if ( ! $existing) {
+			unset($fields['mode']);
+		}
+
+		$form = new \WP_Ultimo\UI\Form(
+			'review_checkout_form_import',
+			$fields,
+			[
+				'views'                 => 'admin-pages/fields',
+				'classes'               => 'wu-modal-form wu-widget-list wu-striped wu-m-0 wu-mt-0',
+				'field_wrapper_classes' => 'wu-w-full wu-box-border wu-items-center wu-flex wu-justify-between wu-p-4 wu-m-0 wu-border-t wu-border-l-0 wu-border-r-0 wu-border-b-0 wu-border-gray-300 wu-border-solid',
+				'html_attr'             => [
+					'data-wu-app' => 'review_checkout_form_import',
+					'data-state'  => wu_convert_to_state(
+						[
+							'mode' => 'new',
+						]
+					),
+				],
+			]
+		);
+
+		$form->render();
+	}
+
+	/**
+	 * Saves a reviewed import and redirects to the editor.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function handle_review_checkout_form_import_modal(): void {
+
+		$key = wu_request('import');
+
+		$import = $this->get_import($key);
+
+		if ( ! $import) {
+			wp_send_json_error(
+				new \WP_Error(
+					'import-not-found',
+					__('The import expired. Upload the file again.', 'ultimate-multisite')
+				)
+			);
+		}
+
+		$target = 'replace' === wu_request('mode') ? wu_get_checkout_form_by_slug($import['checkout_form']['slug']) : null;
+
+		$checkout_form = Checkout_Form_Transfer::get_instance()->import($import, $target ?: null);
+
+		if (is_wp_error($checkout_form)) {
+			wp_send_json_error($checkout_form);
+		}
+
+		delete_site_transient("wu_checkout_form_import_{$key}");
+
+		wp_send_json_success(
+			[
+				'redirect_url' => wu_network_admin_url(
+					'wp-ultimo-edit-checkout-form',
+					[
+						'id'      => $checkout_form->get_id(),
+						'updated' => 1,
+					]
+				),
+			]
+		);
+	}
+
+	/**
+	 * Returns an import uploaded by the current user.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $key The import key.
+	 * @return array|false
+	 */
+	protected function get_import($key) {
+
+		if ( ! is_string($key) || '' === $key) {
+			return false;
+		}
+
+		$stored = get_site_transient('wu_checkout_form_import_' . sanitize_key($key));
+
+		if ( ! is_array($stored) || get_current_user_id() !== $stored['user_id']) {
+			return false;
+		}
+
+		return $stored['import'];
+	}
+
 	/**
 	 * Returns an array with the labels for the edit page.
 	 *
@@ -275,6 +603,12 @@ class Checkout_Form_List_Admin_Page extends List_Admin_Page {
 				'classes' => 'wubox',
 				'url'     => wu_get_form_url('add_new_checkout_form'),
 			],
+			[
+				'label'   => __('Import Checkout Form', 'ultimate-multisite'),
+				'icon'    => 'wu-upload',
+				'classes' => 'wubox',
+				'url'     => wu_get_form_url('import_checkout_form'),
+			],
 		];
 	}
 
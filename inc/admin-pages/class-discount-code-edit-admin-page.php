@@ -118,14 +118,14 @@ class Discount_Code_Edit_Admin_Page extends Edit_Admin_Page {
 				'icon'   => 'dashicons-wu-lock',
 				'desc'   => __('Rules and limitations to the applicability of this discount code.', 'ultimate-multisite'),
 				'fields' => [
-					'uses'     => [
+					'uses'      => [
 						'title'         => __('Uses', 'ultimate-multisite'),
 						'type'          => 'text-display',
 						// translators: %d is the number of times the coupon was used.
 						'display_value' => sprintf(__('This discount code was used %d times.', 'ultimate-multisite'), $this->get_object()->get_uses()),
 						'tooltip'       => __('The number of times that this discount code was used so far.', 'ultimate-multisite'),
 					],
-					'max_uses' => [
+					'max_uses'  => [
 						'title'       => __('Max Uses', 'ultimate-multisite'),
 						'desc'        => __('Use this option to set a limit on how many times this discount code can be used. Leave blank or 0 for unlimited uses.', 'ultimate-multisite'),
 						'type'        => 'number',
@@ -133,6 +133,12 @@ class Discount_Code_Edit_Admin_Page extends Edit_Admin_Page {
 						'placeholder' => 0,
 						'value'       => $this->get_object()->has_max_uses() ? $this->get_object()->get_max_uses() : __('Unlimited', 'ultimate-multisite'),
 					],
+					'stackable' => [
+						'type'  => 'toggle',
+						'title' => __('Stackable', 'ultimate-multisite'),
+						'desc'  => __('Allow customers to use this discount code together with other stackable codes on the same order.', 'ultimate-multisite'),
+						'value' => $this->get_object()->is_stackable(),
+					],
 				],
 			],
 			'time'     => [
@@ -222,6 +228,41 @@ class Discount_Code_Edit_Admin_Page extends Edit_Admin_Page {
 					$this->get_product_field_list()
 				),
 			],
+			'billing'  => [
+				'title'  => __('Limit Billing Periods', 'ultimate-multisite'),
+				'desc'   => __('Determine if you want this discount code to apply to all billing periods or not, e.g. only to yearly plans.', 'ultimate-multisite'),
+				'icon'   => 'dashicons-wu-calendar1',
+				'state'  => [
+					'limit_billing_periods' => $this->get_object()->get_limit_billing_periods(),
+				],
+				'fields' => [
+					'limit_billing_periods'   => [
+						'type'      => 'toggle',
+						'title'     => __('Select Billing Periods', 'ultimate-multisite'),
+						'desc'      => __('Manually select with which billing periods this discount code can be used.', 'ultimate-multisite'),
+						'value'     => 1,
+						'html_attr' => [
+							'v-model' => 'limit_billing_periods',
+						],
+					],
+					'allowed_billing_periods' => [
+						'type'              => 'select',
+						'title'             => __('Allowed Billing Periods', 'ultimate-multisite'),
+						'desc'              => __('The periods are taken from your plans and their price variations.', 'ultimate-multisite'),
+						'placeholder'       => __('Select billing periods...', 'ultimate-multisite'),
+						'options'           => $this->get_billing_period_options(),
+						'value'             => $this->get_object()->get_allowed_billing_periods(),
+						'wrapper_html_attr' => [
+							'v-show'  => 'limit_billing_periods',
+							'v-cloak' => 1,
+						],
+						'html_attr'         => [
+							'data-selectize' => 1,
+							'multiple'       => true,
+						],
+					],
+				],
+			],
 		];
 
 		$this->add_tabs_widget(
@@ -388,6 +429,39 @@ class Discount_Code_Edit_Admin_Page extends Edit_Admin_Page {
 		);
 	}
 
+	/**
+	 * Returns the billing periods used by the plans, e.g. 1-month => every month.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	protected function get_billing_period_options() {
+
+		$periods = [];
+
+		foreach (wu_get_plans() as $plan) {
+			if ( ! $plan->is_recurring()) {
+				continue;
+			}
+
+			$periods[] = \WP_Ultimo\Models\Discount_Code::get_billing_period_key($plan->get_duration(), $plan->get_duration_unit());
+
+			foreach ($plan->get_price_variations() as $price_variation) {
+				$periods[] = \WP_Ultimo\Models\Discount_Code::get_billing_period_key($price_variation['duration'], $price_variation['duration_unit']);
+			}
+		}
+
+		$periods = array_unique(array_merge($periods, $this->get_object()->get_allowed_billing_periods()));
+
+		$options = [];
+
+		foreach ($periods as $period) {
+			$options[ $period ] = ucfirst(\WP_Ultimo\Models\Discount_Code::get_billing_period_label($period));
+		}
+
+		return $options;
+	}
+
 	/**
 	 * List of products to apply this coupon to.
 	 *
@@ -655,6 +729,21 @@ class Discount_Code_Edit_Admin_Page extends Edit_Admin_Page {
 			$_POST['limit_products'] = false;
 		}
 
+		/*
+		 * Set the limit billing periods and stackable values.
+		 */
+		if ( ! wu_request('limit_billing_periods')) {
+			$_POST['limit_billing_periods'] = false;
+		}
+
+		if ( ! wu_request('allowed_billing_periods')) {
+			$_POST['allowed_billing_periods'] = [];
+		}
+
+		if ( ! wu_request('stackable')) {
+			$_POST['stackable'] = false;
+		}
+
 		/*
 		 * Set the setup fee value to zero if the toggle is disabled.
 		 */
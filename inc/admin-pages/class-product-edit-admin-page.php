@@ -665,6 +665,28 @@ class Product_Edit_Admin_Page extends Edit_Admin_Page {
 							'v-cloak' => 1,
 						],
 					],
+					'min_quantity'                       => [
+						'type'              => 'number',
+						'title'             => __('Minimum Quantity', 'ultimate-multisite'),
+						'desc'              => __('The minimum number of units a customer can buy on a single checkout.', 'ultimate-multisite'),
+						'value'             => $this->get_object()->get_min_quantity(),
+						'min'               => 1,
+						'wrapper_html_attr' => [
+							'v-show'  => 'product_type !== "plan"',
+							'v-cloak' => 1,
+						],
+					],
+					'max_quantity'                       => [
+						'type'              => 'number',
+						'title'             => __('Maximum Quantity', 'ultimate-multisite'),
+						'desc'              => __('The maximum number of units a customer can buy on a single checkout. Leave 1 to sell a single unit, or use 0 for no limit.', 'ultimate-multisite'),
+						'value'             => $this->get_object()->get_max_quantity(),
+						'min'               => 0,
+						'wrapper_html_attr' => [
+							'v-show'  => 'product_type !== "plan"',
+							'v-cloak' => 1,
+						],
+					],
 				],
 			],
 		];
@@ -0,0 +1,656 @@
+<?php
+/**
+ * Captures partial checkouts and handles their recovery.
+ *
+ * @package WP_Ultimo
+ * @subpackage Checkout
+ * @since 2.5.0
+ */
+
+namespace WP_Ultimo\Checkout;
+
+use WP_Ultimo\Database\Memberships\Membership_Status;
+use WP_Ultimo\Database\Payments\Payment_Status;
+use WP_Ultimo\Helpers\Sender;
+use WP_Ultimo\Models\Abandoned_Cart;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Captures partial checkouts and handles their recovery.
+ *
+ * The checkout form sends a beacon with the email address and cart
+ * of the customer as soon as an email address is entered. Carts left
+ * untouched for a while are flagged as abandoned and fire the
+ * checkout_abandoned event, which can be used by system emails to
+ * send recovery campaigns containing a signed recovery link.
+ *
+ * The beacon is sent by visitors, so anyone can store any email address.
+ * Recovery emails are only sent to existing customers, or to visitors
+ * that opted in on the checkout form, and at most once per address in
+ * a given interval.
+ *
+ * @since 2.5.0
+ */
+class Abandoned_Carts {
+
+	use \WP_Ultimo\Traits\Singleton;
+
+	/**
+	 * Maximum number of carts flagged as abandoned per cron run.
+	 *
+	 * @since 2.5.0
+	 * @var int
+	 */
+	const BATCH_SIZE = 50;
+
+	/**
+	 * Minimum interval between two recovery emails sent to the same address.
+	 *
+	 * @since 2.5.0
+	 * @var int
+	 */
+	const EMAIL_INTERVAL = DAY_IN_SECONDS;
+
+	/**
+	 * Initializes the Abandoned_Carts singleton and adds hooks.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function init(): void {
+
+		add_action('wu_register_all_events', [$this, 'register_event']);
+
+		if ( ! $this->is_enabled()) {
+			return;
+		}
+
+		/*
+		 * Stores partial checkouts.
+		 */
+		add_action('wu_ajax_wu_save_partial_checkout', [$this, 'save_partial_checkout']);
+
+		add_action('wu_ajax_nopriv_wu_save_partial_checkout', [$this, 'save_partial_checkout']);
+
+		/*
+		 * Pre-fills the checkout form from recovery links.
+		 */
+		add_action('wu_setup_checkout', [$this, 'maybe_recover_checkout'], 15);
+
+		add_filter('wu_get_checkout_variables', [$this, 'add_checkout_variables']);
+
+		add_filter('wu_checkout_form_final_fields', [$this, 'add_consent_field']);
+
+		add_action('wu_checkout_scripts', [$this, 'register_scripts'], 20);
+
+		/*
+		 * Flags abandoned carts and marks recovered ones.
+		 */
+		add_action('wu_hourly', [$this, 'process_abandoned_carts']);
+
+		add_action('wu_checkout_done', [$this, 'mark_as_recovered'], 10, 3);
+
+		/*
+		 * Gateways finishing off-page do not always reach wu_checkout_done.
+		 */
+		add_action('wu_transition_payment_status', [$this, 'mark_as_recovered_on_payment'], 10, 3);
+
+		add_action('wu_transition_membership_status', [$this, 'mark_as_recovered_on_membership'], 10, 3);
+	}
+
+	/**
+	 * Checks if abandoned cart tracking is enabled.
+	 *
+	 * @since 2.5.0
+	 * @return bool
+	 */
+	public function is_enabled() {
+
+		return (bool) wu_get_setting('enable_abandoned_cart_tracking', false);
+	}
+
+	/**
+	 * Registers the checkout_abandoned event.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function register_event(): void {
+
+		wu_register_event_type(
+			'checkout_abandoned',
+			[
+				'name'            => __('Checkout Abandoned', 'ultimate-multisite'),
+				'desc'            => __('This event is fired when a customer enters an email address on a checkout form and leaves without completing it. Requires abandoned cart tracking to be enabled.', 'ultimate-multisite'),
+				'payload'         => fn() => [
+					'abandoned_cart_id'            => 1,
+					'abandoned_cart_email'         => 'customer@example.com',
+					'abandoned_cart_products'      => __('Premium Plan', 'ultimate-multisite'),
+					'abandoned_cart_checkout_form' => 'main-form',
+					'abandoned_cart_step'          => 'checkout',
+					'abandoned_cart_recovery_url'  => 'https://linktorecovercheckout.com',
+					'abandoned_cart_date_created'  => wu_get_current_time('mysql', true),
+					'customer_id'                  => 0,
+					'customer_name'                => 'customer@example.com',
+					'customer_user_email'          => 'customer@example.com',
+				],
+				'deprecated_args' => [],
+			]
+		);
+	}
+
+	/**
+	 * Returns the checkout data keys stored with abandoned carts.
+	 *
+	 * Passwords and payment details must never be added to this list.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_checkout_data_keys() {
+
+		return apply_filters(
+			'wu_abandoned_cart_checkout_data_keys',
+			[
+				'username',
+				'site_title',
+				'site_url',
+				'template_id',
+				'discount_code',
+				'duration',
+				'duration_unit',
+				'billing_country',
+				'billing_state',
+				'billing_city',
+			]
+		);
+	}
+
+	/**
+	 * Stores the partial checkout sent by the checkout form.
+	 *
+	 * Implements rate limiting to prevent the endpoint from being used to flood the database.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function save_partial_checkout(): void {
+
+		check_ajax_referer('wu_checkout');
+
+		$email_address = sanitize_email(wu_request('email_address', ''));
+
+		if ( ! $email_address && is_user_logged_in()) {
+			$email_address = wp_get_current_user()->user_email;
+		}
+
+		if ( ! is_email($email_address)) {
+			wp_send_json_error(['message' => __('Invalid request', 'ultimate-multisite')]);
+		}
+
+		// Rate limiting: 30 beacons per minute per IP
+		$ip            = wu_get_ip();
+		$transient_key = 'wu_partial_checkout_' . md5($ip);
+		$request_count = (int) get_transient($transient_key);
+
+		if ($request_count > 30) {
+			wp_send_json_error(['message' => __('Too many requests. Please try again later.', 'ultimate-multisite')]);
+		}
+
+		set_transient($transient_key, $request_count + 1, MINUTE_IN_SECONDS);
+
+		$checkout_form = sanitize_key(wu_request('checkout_form', ''));
+
+		$cart = wu_get_pending_abandoned_cart($email_address, $checkout_form);
+
+		if ( ! $cart) {
+			$cart = new Abandoned_Cart(
+				[
+					'email_address' => $email_address,
+					'checkout_form' => $checkout_form,
+					'date_created'  => wu_get_current_time('mysql', true),
+				]
+			);
+		}
+
+		$checkout_data = [];
+
+		foreach ($this->get_checkout_data_keys() as $key) {
+			$value = wu_request($key, null);
+
+			if (null !== $value && '' !== $value) {
+				$checkout_data[ $key ] = sanitize_text_field($value);
+			}
+		}
+
+		$cart->set_recovery_consent(wu_string_to_bool(wu_request('recovery_consent', false)));
+		$cart->set_products(array_map('sanitize_text_field', (array) wu_request('products', [])));
+		$cart->set_checkout_data($checkout_data);
+		$cart->set_step(wu_request('checkout_step', ''));
+		$cart->set_page_url(wu_request('page_url', ''));
+
+		$saved = $cart->save();
+
+		if (is_wp_error($saved)) {
+			wp_send_json_error($saved);
+		}
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * Pre-fills the checkout session with an abandoned cart, when a valid recovery link is used.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function maybe_recover_checkout(): void {
+
+		$token = wu_request('recover_checkout');
+
+		if ( ! $token) {
+			return;
+		}
+
+		$cart = wu_get_abandoned_cart_by_recovery_token(sanitize_text_field($token));
+
+		if ( ! $cart || $cart->is_recovered()) {
+			return;
+		}
+
+		$session = wu_get_session('signup');
+
+		$recovered = array_merge(
+			$cart->get_checkout_data(),
+			[
+				'products'      => $cart->get_products(),
+				'email_address' => $cart->get_email_address(),
+			]
+		);
+
+		/**
+		 * Filters the checkout data restored from an abandoned cart.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param array          $recovered The data added to the checkout session.
+		 * @param Abandoned_Cart $cart      The abandoned cart.
+		 */
+		$recovered = apply_filters('wu_abandoned_cart_recovered_checkout_data', $recovered, $cart);
+
+		$session->set('signup', array_merge((array) $session->get('signup'), $recovered));
+	}
+
+	/**
+	 * Passes the abandoned cart settings to the checkout script.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $variables The checkout variables.
+	 * @return array
+	 */
+	public function add_checkout_variables($variables) {
+
+		$variables['abandoned_cart'] = [
+			'enabled' => true,
+			'email'   => is_user_logged_in() ? wp_get_current_user()->user_email : '',
+		];
+
+		return $variables;
+	}
+
+	/**
+	 * Adds the recovery email opt-in below the email address field.
+	 *
+	 * Visitors are not customers yet, so they only get recovery
+	 * emails when they ask for them.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $fields The checkout form fields.
+	 * @return array
+	 */
+	public function add_consent_field($fields) {
+
+		if (is_user_logged_in() || ! isset($fields['email_address'])) {
+			return $fields;
+		}
+
+		$consent_field = [
+			'recovery_consent' => [
+				'type'      => 'checkbox',
+				'id'        => 'recovery_consent',
+				'name'      => __('Email me a link to finish my order if I leave before completing it.', 'ultimate-multisite'),
+				'value'     => false,
+				'html_attr' => [
+					'v-model' => 'recovery_consent',
+				],
+			],
+		];
+
+		$after    = isset($fields['email_address_conf']) ? 'email_address_conf' : 'email_address';
+		$position = array_search($after, array_keys($fields), true) + 1;
+
+		return array_slice($fields, 0, $position, true) + $consent_field + array_slice($fields, $position, null, true);
+	}
+
+	/**
+	 * Enqueues the script that sends partial checkouts.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function register_scripts(): void {
+
+		wp_enqueue_script('wu-checkout-abandoned-cart', wu_get_asset('checkout-abandoned-cart.js', 'js'), ['wu-checkout'], wu_get_version(), true);
+	}
+
+	/**
+	 * Flags carts left untouched as abandoned and fires the checkout_abandoned event.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function process_abandoned_carts(): void {
+
+		$delay = max(1, (int) wu_get_setting('abandoned_cart_delay', 1));
+
+		$carts = wu_get_abandoned_carts(
+			[
+				'number'     => self::BATCH_SIZE,
+				'status'     => 'pending',
+				'date_query' => [
+					'column'    => 'date_modified',
+					'before'    => "-{$delay} hours",
+					'inclusive' => true,
+				],
+			]
+		);
+
+		foreach ($carts as $cart) {
+
+			/*
+			 * Customers that completed a checkout with the same email
+			 * in the meantime do not need to be bothered.
+			 */
+			if ($this->has_completed_checkout_since($cart)) {
+				$cart->set_status('recovered');
+				$cart->save();
+
+				continue;
+			}
+
+			$cart->set_status('abandoned');
+
+			$saved = $cart->save();
+
+			if (is_wp_error($saved) || ! $this->can_send_recovery_email($cart)) {
+				continue;
+			}
+
+			$payload = $this->get_event_payload($cart);
+
+			wu_do_event('checkout_abandoned', $payload);
+
+			/*
+			 * System emails only target customers, visitors that
+			 * opted in get the customer emails of the event here.
+			 */
+			if ( ! $payload['customer_id']) {
+				$this->send_visitor_recovery_emails($payload);
+			}
+
+			set_transient($this->get_email_transient_key($cart), 1, self::EMAIL_INTERVAL);
+		}
+	}
+
+	/**
+	 * Checks if a recovery email can be sent for the cart.
+	 *
+	 * Visitors need to have opted in, and each address gets at most
+	 * one recovery email per interval, however many carts it has.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param Abandoned_Cart $cart The abandoned cart.
+	 * @return bool
+	 */
+	public function can_send_recovery_email($cart) {
+
+		if ( ! $this->get_customer($cart) && ! $cart->has_recovery_consent()) {
+			return false;
+		}
+
+		return ! get_transient($this->get_email_transient_key($cart));
+	}
+
+	/**
+	 * Returns the transient key used to limit the recovery emails sent to an address.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param Abandoned_Cart $cart The abandoned cart.
+	 * @return string
+	 */
+	protected function get_email_transient_key($cart) {
+
+		return 'wu_abandoned_cart_email_' . md5(strtolower($cart->get_email_address()));
+	}
+
+	/**
+	 * Sends the customer emails of the checkout_abandoned event to a visitor that opted in.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $payload The checkout_abandoned event payload.
+	 * @return void
+	 */
+	protected function send_visitor_recovery_emails($payload): void {
+
+		$emails = wu_get_emails(
+			[
+				'event' => 'checkout_abandoned',
+			]
+		);
+
+		foreach ($emails as $email) {
+			if ('customer' !== $email->get_target()) {
+				continue;
+			}
+
+			$from = [
+				'name'  => $email->get_custom_sender() ? $email->get_custom_sender_name() : wu_get_setting('from_name'),
+				'email' => $email->get_custom_sender() ? $email->get_custom_sender_email() : wu_get_setting('from_email'),
+			];
+
+			$args = [
+				'style'   => $email->get_style(),
+				'content' => $email->get_content(),
+				'subject' => get_network_option(null, 'site_name') . ' - ' . $email->get_title(),
+				'payload' => $payload,
+			];
+
+			if ($email->get_when_to_send()) {
+				$args['schedule'] = $email->get_when_to_send();
+			}
+
+			$to = [
+				[
+					'name'  => $payload['abandoned_cart_email'],
+					'email' => $payload['abandoned_cart_email'],
+				],
+			];
+
+			Sender::send_mail($from, $to, $args);
+		}
+	}
+
+	/**
+	 * Checks if the customer owning the cart paid for anything after the cart was created.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param Abandoned_Cart $cart The abandoned cart.
+	 * @return bool
+	 */
+	protected function has_completed_checkout_since($cart) {
+
+		$customer = $this->get_customer($cart);
+
+		if ( ! $customer) {
+			return false;
+		}
+
+		$payments = wu_get_payments(
+			[
+				'number'      => 1,
+				'customer_id' => $customer->get_id(),
+				'date_query'  => [
+					'column' => 'date_created',
+					'after'  => $cart->get_date_created(),
+				],
+			]
+		);
+
+		return ! empty($payments);
+	}
+
+	/**
+	 * Returns the existing customer for the cart email address, if any.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param Abandoned_Cart $cart The abandoned cart.
+	 * @return \WP_Ultimo\Models\Customer|false
+	 */
+	protected function get_customer($cart) {
+
+		$user = get_user_by('email', $cart->get_email_address());
+
+		return $user ? wu_get_customer_by_user_id($user->ID) : false;
+	}
+
+	/**
+	 * Builds the checkout_abandoned event payload.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param Abandoned_Cart $cart The abandoned cart.
+	 * @return array
+	 */
+	public function get_event_payload($cart) {
+
+		$product_names = [];
+
+		foreach ($cart->get_products() as $product_id_or_slug) {
+			$product = is_numeric($product_id_or_slug) ? wu_get_product($product_id_or_slug) : wu_get_product_by_slug($product_id_or_slug);
+
+			if ($product) {
+				$product_names[] = $product->get_name();
+			}
+		}
+
+		$customer = $this->get_customer($cart);
+
+		return [
+			'abandoned_cart_id'            => $cart->get_id(),
+			'abandoned_cart_email'         => $cart->get_email_address(),
+			'abandoned_cart_products'      => implode(', ', $product_names),
+			'abandoned_cart_checkout_form' => $cart->get_checkout_form(),
+			'abandoned_cart_step'          => $cart->get_step(),
+			'abandoned_cart_recovery_url'  => $cart->get_recovery_url(),
+			'abandoned_cart_date_created'  => $cart->get_date_created(),
+			'customer_id'                  => $customer ? $customer->get_id() : 0,
+			'customer_name'                => $customer ? $customer->get_display_name() : $cart->get_email_address(),
+			'customer_user_email'          => $cart->get_email_address(),
+		];
+	}
+
+	/**
+	 * Marks the carts of a customer as recovered once a checkout is completed.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Payment    $payment The payment created.
+	 * @param \WP_Ultimo\Models\Membership $membership The membership created.
+	 * @param \WP_Ultimo\Models\Customer   $customer The customer.
+	 * @return void
+	 */
+	public function mark_as_recovered($payment, $membership, $customer): void {
+
+		if ( ! $customer) {
+			return;
+		}
+
+		$carts = wu_get_abandoned_carts(
+			[
+				'title'      => $customer->get_email_address(),
+				'status__in' => ['pending', 'abandoned'],
+			]
+		);
+
+		foreach ($carts as $cart) {
+			$cart->set_status('recovered');
+
+			if ($payment) {
+				$cart->set_recovered_payment_id($payment->get_id());
+			}
+
+			$cart->save();
+		}
+	}
+
+	/**
+	 * Marks the carts of a customer as recovered once one of their payments is completed.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $old_status The old payment status.
+	 * @param string $new_status The new payment status.
+	 * @param int    $payment_id The payment ID.
+	 * @return void
+	 */
+	public function mark_as_recovered_on_payment($old_status, $new_status, $payment_id): void {
+
+		if (Payment_Status::COMPLETED !== $new_status) {
+			return;
+		}
+
+		$payment = wu_get_payment($payment_id);
+
+		if ( ! $payment) {
+			return;
+		}
+
+		$this->mark_as_recovered($payment, $payment->get_membership(), $payment->get_customer());
+	}
+
+	/**
+	 * Marks the carts of a customer as recovered once one of their memberships is activated.
+	 *
+	 * Covers free plans and trials, which have no payment to complete.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $old_status The old membership status.
+	 * @param string $new_status The new membership status.
+	 * @param int    $membership_id The membership ID.
+	 * @return void
+	 */
+	public function mark_as_recovered_on_membership($old_status, $new_status, $membership_id): void {
+
+		if ( ! in_array($new_status, [Membership_Status::ACTIVE, Membership_Status::TRIALING], true)) {
+			return;
+		}
+
+		$membership = wu_get_membership($membership_id);
+
+		if ( ! $membership) {
+			return;
+		}
+
+		$this->mark_as_recovered(null, $membership, $membership->get_customer());
+	}
+}
@@ -107,6 +107,22 @@ class Cart implements \JsonSerializable {
 	 */
 	protected $discount_code;
 
+	/**
+	 * Stackable discount codes applied on top of the main one.
+	 *
+	 * @since 2.5.0
+	 * @var \WP_Ultimo\Models\Discount_Code[]
+	 */
+	protected $stacked_discount_codes = [];
+
+	/**
+	 * Validation results of the discount codes requested, keyed by code.
+	 *
+	 * @since 2.5.0
+	 * @var array
+	 */
+	protected $discount_code_results = [];
+
 	/**
 	 * The country of the customer.
 	 *
@@ -267,6 +283,12 @@ class Cart implements \JsonSerializable {
 				 */
 				'products'      => [],
 
+				/*
+				 * The quantity of each product, keyed by product id or slug.
+				 * Products not listed here are added once.
+				 */
+				'quantities'    => [],
+
 				/*
 				 * The duration parameters
 				 * This will dictate which price variations we are going to use.
@@ -360,6 +382,11 @@ class Cart implements \JsonSerializable {
 		 */
 		$this->build_cart();
 
+		/*
+		 * Flags codes that ended up not being applied to any item.
+		 */
+		$this->validate_applied_discount_codes();
+
 		/*
 		 * Also set the auto-renew status.
 		 *
@@ -479,7 +506,7 @@ class Cart implements \JsonSerializable {
 			* Otherwise, we add the products to build the cart.
 			*/
 			foreach ($this->attributes->products as $product_id) {
-				$this->add_product($product_id);
+				$this->add_product($product_id, $this->get_requested_quantity($product_id));
 			}
 
 			/*
@@ -808,7 +835,7 @@ class Cart implements \JsonSerializable {
 		 * Otherwise, we add the products to build the cart.
 		 */
 		foreach ($this->attributes->products as $product_id) {
-			$this->add_product($product_id);
+			$this->add_product($product_id, $this->get_requested_quantity($product_id));
 		}
 
 		/*
@@ -1319,6 +1346,10 @@ class Cart implements \JsonSerializable {
 	/**
 	 * Adds a discount code to the cart.
 	 *
+	 * Several codes can be passed as a comma-separated list. The first
+	 * valid code becomes the main discount code of the order, the next
+	 * ones are only applied if both them and the main code are stackable.
+	 *
 	 * @since 2.0.0
 	 *
 	 * @param int|string $code A valid discount code ID or code.
@@ -1329,32 +1360,162 @@ class Cart implements \JsonSerializable {
 			return false;
 		}
 
-		$code = strtoupper($code);
+		$codes = array_unique(array_filter(array_map('trim', explode(',', strtoupper((string) $code)))));
 
-		$discount_code = wu_get_discount_code_by_code($code);
+		foreach ($codes as $code) {
+			$discount_code = wu_get_discount_code_by_code($code);
 
-		if (empty($discount_code)) {
+			if (empty($discount_code)) {
 
-			// translators: %s is the coupon code being used, all-caps. e.g. PROMO10OFF
-			$this->errors->add('discount_code', sprintf(__('The code %s do not exist or is no longer valid.', 'ultimate-multisite'), $code));
+				// translators: %s is the coupon code being used, all-caps. e.g. PROMO10OFF
+				$this->add_discount_code_error($code, new \WP_Error('discount_code', sprintf(__('The code %s do not exist or is no longer valid.', 'ultimate-multisite'), $code), ['reason' => 'not_found']));
 
-			return false;
+				continue;
+			}
+
+			$is_valid = $discount_code->is_valid();
+
+			if (is_wp_error($is_valid)) {
+				$this->add_discount_code_error($code, $is_valid);
+
+				continue;
+			}
+
+			if ($this->discount_code && ( ! $this->discount_code->is_stackable() || ! $discount_code->is_stackable())) {
+
+				// translators: %s is the coupon code being used, all-caps. e.g. PROMO10OFF
+				$this->add_discount_code_error($code, new \WP_Error('discount_code', sprintf(__('The code %s cannot be combined with other coupon codes.', 'ultimate-multisite'), $code), ['reason' => 'not_stackable']));
+
+				continue;
+			}
+
+			$this->discount_code_results[ $code ] = [
+				'code'    => $code,
+				'valid'   => true,
+				'reason'  => '',
+				'message' => $discount_code->get_discount_description(),
+			];
+
+			/*
+			 * Set the coupon
+			 */
+			if ($this->discount_code) {
+				$this->stacked_discount_codes[] = $discount_code;
+			} else {
+				$this->discount_code = $discount_code;
+			}
 		}
 
-		$is_valid = $discount_code->is_valid();
+		return (bool) $this->discount_code;
+	}
 
-		if (is_wp_error($is_valid)) {
-			$this->errors->merge_from($is_valid);
+	/**
+	 * Records why a discount code was rejected.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string    $code The discount code, all-caps.
+	 * @param \WP_Error $error The validation error, with the reason as data.
+	 * @return void
+	 */
+	protected function add_discount_code_error($code, $error): void {
 
-			return false;
+		$this->errors->merge_from($error);
+
+		$this->discount_code_results[ $code ] = [
+			'code'    => $code,
+			'valid'   => false,
+			'reason'  => wu_get_isset((array) $error->get_error_data(), 'reason', 'invalid'),
+			'message' => $error->get_error_message(),
+		];
+	}
+
+	/**
+	 * Rejects the discount codes that were not applied to any item.
+	 *
+	 * Happens when the code is limited to products that are not in the
+	 * cart, or to billing periods other than the one selected.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	protected function validate_applied_discount_codes(): void {
+
+		$products = $this->get_line_items_by_type('product');
+
+		if (empty($products)) {
+			return;
 		}
 
-		/*
-		 * Set the coupon
-		 */
-		$this->discount_code = $discount_code;
+		foreach ($this->get_discount_codes() as $discount_code) {
+			$code = strtoupper($discount_code->get_code());
 
-		return true;
+			if ( ! isset($this->discount_code_results[ $code ]) || ! $this->discount_code_results[ $code ]['valid']) {
+				continue;
+			}
+
+			$applied = false;
+
+			$error = null;
+
+			foreach ($products as $line_item) {
+				$is_valid = $this->is_discount_code_valid_for_item($discount_code, $line_item);
+
+				if (true === $is_valid) {
+					$applied = true;
+
+					break;
+				}
+
+				$error = $is_valid;
+			}
+
+			if ( ! $applied && $error) {
+				$this->add_discount_code_error($code, $error);
+			}
+		}
+	}
+
+	/**
+	 * Returns the validation results of the discount codes requested.
+	 *
+	 * Accepted codes also carry the discount they apply to the setup
+	 * fees and to the recurring amount of the order, and their pricing
+	 * rules, so the checkout can preview them on the pricing tables.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_discount_code_results() {
+
+		$setup_fee_discount = 0;
+
+		$recurring_discount = 0;
+
+		foreach ($this->get_line_items() as $line_item) {
+			if ($line_item->get_type() === 'fee') {
+				$setup_fee_discount += $line_item->get_discount_total();
+			} elseif ($line_item->is_recurring() && $line_item->should_apply_discount_to_renewals()) {
+				$recurring_discount += $line_item->get_discount_total();
+			}
+		}
+
+		$discounts = [];
+
+		foreach ($this->get_discount_codes() as $discount_code) {
+			$result = wu_get_isset($this->discount_code_results, strtoupper($discount_code->get_code()), []);
+
+			if (wu_get_isset($result, 'valid')) {
+				$discounts[] = $discount_code->get_pricing_rules();
+			}
+		}
+
+		return [
+			'codes'              => array_values($this->discount_code_results),
+			'discounts'          => $discounts,
+			'setup_fee_discount' => round($setup_fee_discount, wu_currency_decimal_filter()),
+			'recurring_discount' => round($recurring_discount, wu_currency_decimal_filter()),
+		];
 	}
 
 	/**
@@ -1567,6 +1728,58 @@ class Cart implements \JsonSerializable {
 		krsort($this->line_items);
 	}
 
+	/**
+	 * Returns the quantity requested for a product.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param int|string $product_id_or_slug The product id or slug.
+	 * @return int
+	 */
+	protected function get_requested_quantity($product_id_or_slug) {
+
+		$quantities = (array) $this->attributes->quantities;
+
+		$quantity = wu_get_isset($quantities, $product_id_or_slug, 1);
+
+		/*
+		 * Products can be added by slug and have their quantity changed by id, or the other way around.
+		 */
+		if ( ! isset($quantities[ $product_id_or_slug ])) {
+			$product = is_numeric($product_id_or_slug) ? wu_get_product($product_id_or_slug) : wu_get_product_by_slug($product_id_or_slug);
+
+			if ($product) {
+				$quantity = wu_get_isset($quantities, $product->get_id(), wu_get_isset($quantities, $product->get_slug(), 1));
+			}
+		}
+
+		return max(1, absint($quantity));
+	}
+
+	/**
+	 * Returns the quantity limits of the products in the cart that can be bought more than once.
+	 *
+	 * @since 2.5.0
+	 * @return array Limits keyed by product id.
+	 */
+	public function get_quantity_limits() {
+
+		$limits = [];
+
+		foreach ($this->products as $product) {
+			if ( ! $product->allows_quantity()) {
+				continue;
+			}
+
+			$limits[ $product->get_id() ] = [
+				'min' => $product->get_min_quantity(),
+				'max' => $product->get_max_quantity(),
+			];
+		}
+
+		return $limits;
+	}
+
 	/**
 	 * Adds a new product to the cart.
 	 *
@@ -1587,6 +1800,11 @@ class Cart implements \JsonSerializable {
 			return false;
 		}
 
+		/*
+		 * Keeps the quantity between the limits set on the product.
+		 */
+		$quantity = $product->clamp_quantity($quantity);
+
 		// Check if this product is already in the cart (prevents duplicates when building from payment/membership)
 		foreach ($this->products as $existing_product) {
 			if ($existing_product->get_id() === $product->get_id()) {
@@ -2307,9 +2525,42 @@ class Cart implements \JsonSerializable {
 		return $this->line_items;
 	}
 
+	/**
+	 * Checks if a discount code can be applied to a line item.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Discount_Code $discount_code The discount code.
+	 * @param \WP_Ultimo\Checkout\Line_Item    $line_item The line item.
+	 * @return true|\WP_Error
+	 */
+	protected function is_discount_code_valid_for_item($discount_code, $line_item) {
+
+		$is_valid = $discount_code->is_valid($line_item->get_product_id());
+
+		if (is_wp_error($is_valid)) {
+			return $is_valid;
+		}
+
+		if ($line_item->get_type() === 'fee') {
+			return $discount_code->is_valid_for_billing_period($this->duration, $this->duration_unit);
+		}
+
+		if ( ! $line_item->is_recurring()) {
+			return true;
+		}
+
+		return $discount_code->is_valid_for_billing_period($line_item->get_duration(), $line_item->get_duration_unit());
+	}
+
 	/**
 	 * Apply discounts to a line item.
 	 *
+	 * When stackable codes are used, each code is applied to what is
+	 * left after the previous ones and the line item gets the combined
+	 * amount. The combined discount only applies to renewals if all the
+	 * codes do.
+	 *
 	 * @since 2.0.0
 	 *
 	 * @param \WP_Ultimo\Checkout\Line_Item $line_item The line item.
@@ -2324,33 +2575,62 @@ class Cart implements \JsonSerializable {
 			return $line_item;
 		}
 
-		if (is_wp_error($this->discount_code->is_valid($line_item->get_product_id()))) {
-			return $line_item;
-		}
+		$discounts = [];
 
-		/**
-		 * Should apply to fees?
-		 */
-		if ($line_item->get_type() === 'fee') {
-			if ($this->discount_code->get_setup_fee_value() <= 0) {
-				return $line_item;
+		foreach ($this->get_discount_codes() as $discount_code) {
+			if (is_wp_error($this->is_discount_code_valid_for_item($discount_code, $line_item))) {
+				continue;
 			}
 
-			$line_item->attributes(
-				[
-					'discount_rate'              => $this->discount_code->get_setup_fee_value(),
-					'discount_type'              => $this->discount_code->get_setup_fee_type(),
+			/**
+			 * Should apply to fees?
+			 */
+			if ($line_item->get_type() === 'fee') {
+				if ($discount_code->get_setup_fee_value() <= 0) {
+					continue;
+				}
+
+				$discounts[] = [
+					'discount_rate'              => $discount_code->get_setup_fee_value(),
+					'discount_type'              => $discount_code->get_setup_fee_type(),
 					'apply_discount_to_renewals' => false,
-					'discount_label'             => strtoupper($this->discount_code->get_code()),
-				]
-			);
+					'discount_label'             => strtoupper($discount_code->get_code()),
+				];
+			} else {
+				$discounts[] = [
+					'discount_rate'              => $discount_code->get_value(),
+					'discount_type'              => $discount_code->get_type(),
+					'apply_discount_to_renewals' => $discount_code->should_apply_to_renewals(),
+					'discount_label'             => strtoupper($discount_code->get_code()),
+				];
+			}
+		}
+
+		if (empty($discounts)) {
+			return $line_item;
+		}
+
+		if (count($discounts) === 1) {
+			$line_item->attributes(current($discounts));
 		} else {
+			$remaining = $line_item->get_quantity() * $line_item->get_unit_price();
+
+			$discount_total = 0;
+
+			foreach ($discounts as $discount) {
+				$amount = min($remaining, wu_get_tax_amount($remaining, $discount['discount_rate'], $discount['discount_type'], false));
+
+				$remaining -= $amount;
+
+				$discount_total += $amount;
+			}
+
 			$line_item->attributes(
 				[
-					'discount_rate'              => $this->discount_code->get_value(),
-					'discount_type'              => $this->discount_code->get_type(),
-					'apply_discount_to_renewals' => $this->discount_code->should_apply_to_renewals(),
-					'discount_label'             => strtoupper($this->discount_code->get_code()),
+					'discount_rate'              => $discount_total,
+					'discount_type'              => 'absolute',
+					'apply_discount_to_renewals' => ! in_array(false, array_column($discounts, 'apply_discount_to_renewals'), true),
+					'discount_label'             => implode(' + ', array_column($discounts, 'discount_label')),
 				]
 			);
 		}
@@ -2509,7 +2789,10 @@ class Cart implements \JsonSerializable {
 			'has_trial'              => $this->has_trial(),
 
 			'line_items'             => $this->get_line_items(),
+			'quantity_limits'        => (object) $this->get_quantity_limits(),
+			'currency'               => $this->get_currency(),
 			'discount_code'          => $this->get_discount_code(),
+			'discount_codes'         => array_map(fn($discount_code) => $discount_code->get_code(), $this->get_discount_codes()),
 			'totals'                 => $this->calculate_totals(),
 
 			'extra'                  => $this->get_extra_params(),
@@ -2601,6 +2884,21 @@ class Cart implements \JsonSerializable {
 		return $this->discount_code;
 	}
 
+	/**
+	 * Get all the discount codes applied, the main one first.
+	 *
+	 * @since 2.5.0
+	 * @return \WP_Ultimo\Models\Discount_Code[]
+	 */
+	public function get_discount_codes() {
+
+		if ( ! is_a($this->discount_code, \WP_Ultimo\Models\Discount_Code::class)) {
+			return [];
+		}
+
+		return array_merge([$this->discount_code], (array) $this->stacked_discount_codes);
+	}
+
 	/**
 	 * Get the value of plan_id
 	 *
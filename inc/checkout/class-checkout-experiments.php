@@ -0,0 +1,413 @@
+<?php
+/**
+ * A/B experiments between checkout forms.
+ *
+ * @package WP_Ultimo
+ * @subpackage Checkout
+ * @since 2.5.0
+ */
+
+namespace WP_Ultimo\Checkout;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * A/B experiments between checkout forms.
+ *
+ * A checkout form running an experiment acts as the control and splits
+ * its traffic with the variant forms, based on their weights. Visitors
+ * are assigned to a variant once and keep it through a cookie set by the
+ * checkout script. Exposures and conversions of each variant are kept on
+ * the control checkout form meta.
+ *
+ * @since 2.5.0
+ */
+class Checkout_Experiments {
+
+	use \WP_Ultimo\Traits\Singleton;
+
+	/**
+	 * Meta key used to store the stats on the control checkout form.
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	const STATS_META_KEY = 'wu_experiment_stats';
+
+	/**
+	 * Prefix of the cookie holding the variant assigned to the visitor.
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	const COOKIE_PREFIX = 'wu_experiment_';
+
+	/**
+	 * Z-score needed to call a difference significant (95% confidence).
+	 *
+	 * @since 2.5.0
+	 * @var float
+	 */
+	const SIGNIFICANCE_Z_SCORE = 1.96;
+
+	/**
+	 * Minimum number of exposures per variant before significance is computed.
+	 *
+	 * @since 2.5.0
+	 * @var int
+	 */
+	const MIN_EXPOSURES = 30;
+
+	/**
+	 * Variants assigned on the current request, keyed by the control slug.
+	 *
+	 * @since 2.5.0
+	 * @var array
+	 */
+	protected $assignments = [];
+
+	/**
+	 * Initializes the Checkout_Experiments singleton and adds hooks.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function init(): void {
+
+		add_filter('wu_checkout_form_slug', [$this, 'maybe_assign_variant']);
+
+		add_action('wu_ajax_wu_track_experiment', [$this, 'track_experiment']);
+
+		add_action('wu_ajax_nopriv_wu_track_experiment', [$this, 'track_experiment']);
+	}
+
+	/**
+	 * Returns the events that can be tracked for a variant.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_events() {
+
+		return [
+			'exposures',
+			'conversions',
+		];
+	}
+
+	/**
+	 * Returns the weight of each variant of an experiment, control included.
+	 *
+	 * Variants pointing to missing or inactive checkout forms are skipped.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Checkout_Form $checkout_form The control checkout form.
+	 * @return array Weights keyed by checkout form slug.
+	 */
+	public function get_variants($checkout_form) {
+
+		$experiment = $checkout_form->get_experiment();
+
+		$variants = [
+			$checkout_form->get_slug() => $experiment['control_weight'],
+		];
+
+		foreach ($experiment['variants'] as $variant) {
+			$variant_form = wu_get_checkout_form_by_slug($variant['checkout_form']);
+
+			if ( ! $variant_form || ! $variant_form->is_active()) {
+				continue;
+			}
+
+			$variants[ $variant['checkout_form'] ] = $variant['weight'];
+		}
+
+		return $variants;
+	}
+
+	/**
+	 * Picks a variant at random, based on the weights.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $variants Weights keyed by checkout form slug.
+	 * @return string|false The checkout form slug, false if all weights are zero.
+	 */
+	public function pick_variant($variants) {
+
+		$total = array_sum($variants);
+
+		if ($total <= 0) {
+			return false;
+		}
+
+		$roll = wp_rand(1, $total);
+
+		foreach ($variants as $slug => $weight) {
+			$roll -= $weight;
+
+			if ($roll <= 0) {
+				return $slug;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Swaps the checkout form for the variant assigned to the visitor.
+	 *
+	 * Returning visitors keep the variant stored on their cookie. The
+	 * cookie itself is written by the checkout script, as headers are
+	 * already sent by the time the checkout form is rendered.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $slug The checkout form slug.
+	 * @return string
+	 */
+	public function maybe_assign_variant($slug) {
+
+		if (isset($this->assignments[ $slug ])) {
+			return $this->assignments[ $slug ];
+		}
+
+		$checkout_form = wu_get_checkout_form_by_slug($slug);
+
+		if ( ! $checkout_form || ! $checkout_form->get_id() || ! $checkout_form->has_experiment()) {
+			return $slug;
+		}
+
+		$variants = $this->get_variants($checkout_form);
+
+		$cookie_name = self::COOKIE_PREFIX . $checkout_form->get_id();
+
+		$variant = isset($_COOKIE[ $cookie_name ]) ? sanitize_title(wp_unslash($_COOKIE[ $cookie_name ])) : '';
+
+		if ( ! isset($variants[ $variant ])) {
+			$variant = $this->pick_variant($variants);
+		}
+
+		if ( ! $variant) {
+			return $slug;
+		}
+
+		$this->assignments[ $slug ] = $variant;
+
+		wp_enqueue_script('wu-checkout-experiments', wu_get_asset('checkout-experiments.js', 'js'), ['wu-checkout', 'wu-cookie-helpers'], wu_get_version(), true);
+
+		wp_localize_script(
+			'wu-checkout-experiments',
+			'wu_checkout_experiment',
+			[
+				'experiment' => $checkout_form->get_id(),
+				'variant'    => $variant,
+				'cookie'     => $cookie_name,
+				'days'       => (int) apply_filters('wu_checkout_experiment_cookie_days', 30, $checkout_form),
+			]
+		);
+
+		return $variant;
+	}
+
+	/**
+	 * Tracks the exposures and conversions sent by the checkout script.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function track_experiment(): void {
+
+		check_ajax_referer('wu_checkout');
+
+		$event = wu_request('event', '');
+
+		if ( ! in_array($event, $this->get_events(), true)) {
+			wp_send_json_error(['message' => __('Invalid request', 'ultimate-multisite')]);
+		}
+
+		// Rate limiting: 30 events per minute per IP
+		$ip            = wu_get_ip();
+		$transient_key = 'wu_track_experiment_' . md5($ip);
+		$request_count = (int) get_transient($transient_key);
+
+		if ($request_count > 30) {
+			wp_send_json_error(['message' => __('Too many requests. Please try again later.', 'ultimate-multisite')]);
+		}
+
+		set_transient($transient_key, $request_count + 1, MINUTE_IN_SECONDS);
+
+		$checkout_form = wu_get_checkout_form(absint(wu_request('experiment', 0)));
+
+		if ( ! $checkout_form || ! $checkout_form->has_experiment()) {
+			wp_send_json_error(['message' => __('Invalid request', 'ultimate-multisite')]);
+		}
+
+		$variant = sanitize_title(wu_request('variant', ''));
+
+		if ( ! array_key_exists($variant, $this->get_variants($checkout_form))) {
+			wp_send_json_error(['message' => __('Invalid request', 'ultimate-multisite')]);
+		}
+
+		$this->increment($checkout_form, $variant, $event);
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * Returns the stats of an experiment.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Checkout_Form $checkout_form The control checkout form.
+	 * @return array Stats keyed by checkout form slug.
+	 */
+	public function get_stats($checkout_form) {
+
+		$stats = $checkout_form ? $checkout_form->get_meta(self::STATS_META_KEY) : [];
+
+		return is_array($stats) ? $stats : [];
+	}
+
+	/**
+	 * Increments the counter of an event for a variant.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Checkout_Form $checkout_form The control checkout form.
+	 * @param string                          $variant The variant checkout form slug.
+	 * @param string                          $event The event, exposures or conversions.
+	 * @return void
+	 */
+	public function increment($checkout_form, $variant, $event): void {
+
+		if ( ! in_array($event, $this->get_events(), true)) {
+			return;
+		}
+
+		$stats = $this->get_stats($checkout_form);
+
+		$variant_stats = wp_parse_args(wu_get_isset($stats, $variant, []), array_fill_keys($this->get_events(), 0));
+
+		++$variant_stats[ $event ];
+
+		$stats[ $variant ] = $variant_stats;
+
+		$checkout_form->update_meta(self::STATS_META_KEY, $stats);
+	}
+
+	/**
+	 * Clears the stats of an experiment.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Checkout_Form $checkout_form The control checkout form.
+	 * @return void
+	 */
+	public function reset_stats($checkout_form): void {
+
+		$checkout_form->delete_meta(self::STATS_META_KEY);
+	}
+
+	/**
+	 * Returns the two-proportion z-score of a variant against the control.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $control The control stats.
+	 * @param array $variant The variant stats.
+	 * @return float|null Null if there is not enough data.
+	 */
+	public function get_z_score($control, $variant) {
+
+		$control_exposures = (int) wu_get_isset($control, 'exposures', 0);
+		$variant_exposures = (int) wu_get_isset($variant, 'exposures', 0);
+
+		if ($control_exposures < self::MIN_EXPOSURES || $variant_exposures < self::MIN_EXPOSURES) {
+			return null;
+		}
+
+		$control_conversions = min((int) wu_get_isset($control, 'conversions', 0), $control_exposures);
+		$variant_conversions = min((int) wu_get_isset($variant, 'conversions', 0), $variant_exposures);
+
+		$pooled = ($control_conversions + $variant_conversions) / ($control_exposures + $variant_exposures);
+
+		$standard_error = sqrt($pooled * (1 - $pooled) * (1 / $control_exposures + 1 / $variant_exposures));
+
+		if ( ! $standard_error) {
+			return null;
+		}
+
+		return ($variant_conversions / $variant_exposures - $control_conversions / $control_exposures) / $standard_error;
+	}
+
+	/**
+	 * Returns the results of an experiment, one row per variant.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Checkout_Form $checkout_form The control checkout form.
+	 * @return array
+	 */
+	public function get_results($checkout_form) {
+
+		$stats = $this->get_stats($checkout_form);
+
+		$control_slug = $checkout_form->get_slug();
+
+		$control = wu_get_isset($stats, $control_slug, []);
+
+		$results = [];
+
+		foreach (array_keys($this->get_variants($checkout_form)) as $slug) {
+			$variant_form = wu_get_checkout_form_by_slug($slug);
+
+			$variant_stats = wp_parse_args(wu_get_isset($stats, $slug, []), array_fill_keys($this->get_events(), 0));
+
+			$is_control = $slug === $control_slug;
+
+			$z_score = $is_control ? null : $this->get_z_score($control, $variant_stats);
+
+			$significance = 'not_enough_data';
+
+			if ($is_control) {
+				$significance = 'control';
+			} elseif (null !== $z_score && abs($z_score) >= self::SIGNIFICANCE_Z_SCORE) {
+				$significance = $z_score > 0 ? 'better' : 'worse';
+			} elseif (null !== $z_score) {
+				$significance = 'inconclusive';
+			}
+
+			$results[] = [
+				'slug'            => $slug,
+				'name'            => $variant_form ? $variant_form->get_name() : $slug,
+				'exposures'       => $variant_stats['exposures'],
+				'conversions'     => $variant_stats['conversions'],
+				'conversion_rate' => $variant_stats['exposures'] ? round($variant_stats['conversions'] / $variant_stats['exposures'] * 100, 2) : 0,
+				'z_score'         => null === $z_score ? null : round($z_score, 2),
+				'significance'    => $significance,
+			];
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Returns the labels of the significance indicator.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_significance_labels() {
+
+		return [
+			'control'         => __('Control', 'ultimate-multisite'),
+			'not_enough_data' => __('Not enough data', 'ultimate-multisite'),
+			'inconclusive'    => __('Inconclusive', 'ultimate-multisite'),
+			'better'          => __('Significantly better', 'ultimate-multisite'),
+			'worse'           => __('Significantly worse', 'ultimate-multisite'),
+		];
+	}
+}
@@ -0,0 +1,325 @@
+<?php
+/**
+ * Ready-made layouts offered on the checkout form editor.
+ *
+ * @package WP_Ultimo
+ * @subpackage Checkout
+ * @since 2.5.0
+ */
+
+namespace WP_Ultimo\Checkout;
+
+use WP_Ultimo\Models\Checkout_Form;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Ready-made layouts offered on the checkout form editor.
+ *
+ * The templates are listed on the editor gallery, where they can be
+ * previewed and inserted into the form being edited. Add-ons can add
+ * templates here, through the wu_checkout_form_templates filter, or on
+ * the editor, through the wu_checkout_form_editor_templates JS filter.
+ *
+ * @since 2.5.0
+ */
+class Checkout_Form_Templates {
+
+	use \WP_Ultimo\Traits\Singleton;
+
+	/**
+	 * Returns the templates available on the editor gallery.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_templates() {
+
+		$templates = [
+			[
+				'id'        => 'single-step',
+				'title'     => __('Single Step', 'ultimate-multisite'),
+				'desc'      => __('Plans, account, site and payment on a single page.', 'ultimate-multisite'),
+				'thumbnail' => wu_get_asset('checkout-forms/form-template-single-step.svg'),
+				'steps'     => $this->get_default_steps('single-step'),
+			],
+			[
+				'id'        => 'multi-step',
+				'title'     => __('Multi-Step', 'ultimate-multisite'),
+				'desc'      => __('Plans, site, account and payment on four short steps.', 'ultimate-multisite'),
+				'thumbnail' => wu_get_asset('checkout-forms/form-template-multi-step.svg'),
+				'steps'     => $this->get_default_steps('multi-step'),
+			],
+			[
+				'id'        => 'template-first',
+				'title'     => __('Three Steps with Template Selection', 'ultimate-multisite'),
+				'desc'      => __('Customers pick a site template, then a plan, then create their account and pay.', 'ultimate-multisite'),
+				'thumbnail' => wu_get_asset('checkout-forms/form-template-template-first.svg'),
+				'steps'     => $this->get_template_first_steps(),
+			],
+			[
+				'id'        => 'pay-first',
+				'title'     => __('Pay First, Then Site', 'ultimate-multisite'),
+				'desc'      => __('Customers pay for a plan without creating a site, and create their site from their dashboard afterwards.', 'ultimate-multisite'),
+				'thumbnail' => wu_get_asset('checkout-forms/form-template-pay-first.svg'),
+				'steps'     => $this->get_pay_first_steps(),
+			],
+		];
+
+		/**
+		 * Filters the templates available on the checkout form editor gallery.
+		 *
+		 * Each template has an id, a title, a desc, a thumbnail URL and the steps it inserts.
+		 *
+		 * @since 2.5.0
+		 * @param array $templates The templates.
+		 */
+		return apply_filters('wu_checkout_form_templates', $templates);
+	}
+
+	/**
+	 * Returns the steps new checkout forms are created with.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $template The template used for new checkout forms.
+	 * @return array
+	 */
+	protected function get_default_steps($template) {
+
+		$checkout_form = new Checkout_Form();
+
+		$checkout_form->use_template($template);
+
+		return $checkout_form->get_settings();
+	}
+
+	/**
+	 * Returns the steps of the template selection first layout.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	protected function get_template_first_steps() {
+
+		return [
+			[
+				'id'     => 'template',
+				'name'   => __('Choose a Template', 'ultimate-multisite'),
+				'desc'   => '',
+				'fields' => [
+					[
+						'step'                        => 'template',
+						'name'                        => __('Templates', 'ultimate-multisite'),
+						'type'                        => 'template_selection',
+						'id'                          => 'template_selection',
+						'template_selection_sites'    => implode(',', wu_get_site_templates(['fields' => 'ids'])),
+						'template_selection_type'     => 'name',
+						'template_selection_template' => 'clean',
+						'cols'                        => 3,
+					],
+					[
+						'step' => 'template',
+						'name' => __('Next Step', 'ultimate-multisite'),
+						'type' => 'submit_button',
+						'id'   => 'next_step_template',
+					],
+				],
+			],
+			[
+				'id'     => 'plan',
+				'name'   => __('Choose a Plan', 'ultimate-multisite'),
+				'desc'   => '',
+				'fields' => [
+					$this->get_pricing_table_field('plan'),
+					[
+						'step' => 'plan',
+						'name' => __('Next Step', 'ultimate-multisite'),
+						'type' => 'submit_button',
+						'id'   => 'next_step_plan',
+					],
+				],
+			],
+			[
+				'id'     => 'checkout',
+				'name'   => __('Create your Account', 'ultimate-multisite'),
+				'desc'   => '',
+				'fields' => array_merge(
+					$this->get_account_fields('checkout'),
+					[
+						[
+							'step'          => 'checkout',
+							'name'          => __('Site Title', 'ultimate-multisite'),
+							'type'          => 'site_title',
+							'id'            => 'site_title',
+							'required'      => true,
+							'placeholder'   => '',
+							'tooltip'       => '',
+							'auto_generate' => false,
+						],
+						[
+							'step'                => 'checkout',
+							'name'                => __('Site URL', 'ultimate-multisite'),
+							'type'                => 'site_url',
+							'id'                  => 'site_url',
+							'required'            => true,
+							'placeholder'         => '',
+							'tooltip'             => '',
+							'auto_generate'       => false,
+							'display_url_preview' => true,
+						],
+					],
+					$this->get_payment_fields('checkout')
+				),
+			],
+		];
+	}
+
+	/**
+	 * Returns the steps of the pay first layout.
+	 *
+	 * There are no site fields, so the membership is created without a
+	 * site and customers add their site from the dashboard after paying.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	protected function get_pay_first_steps() {
+
+		return [
+			[
+				'id'     => 'plan',
+				'name'   => __('Plan and Account', 'ultimate-multisite'),
+				'desc'   => '',
+				'fields' => array_merge(
+					[
+						$this->get_pricing_table_field('plan'),
+					],
+					$this->get_account_fields('plan'),
+					[
+						[
+							'step' => 'plan',
+							'name' => __('Next Step', 'ultimate-multisite'),
+							'type' => 'submit_button',
+							'id'   => 'next_step_plan',
+						],
+					]
+				),
+			],
+			[
+				'id'     => 'payment',
+				'name'   => __('Payment', 'ultimate-multisite'),
+				'desc'   => '',
+				'fields' => $this->get_payment_fields('payment'),
+			],
+		];
+	}
+
+	/**
+	 * Returns a pricing table listing all plans.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $step The step id.
+	 * @return array
+	 */
+	protected function get_pricing_table_field($step) {
+
+		return [
+			'step'                   => $step,
+			'name'                   => __('Plans', 'ultimate-multisite'),
+			'type'                   => 'pricing_table',
+			'id'                     => 'pricing_table',
+			'required'               => true,
+			'pricing_table_products' => implode(',', wu_get_plans(['fields' => 'ids'])),
+			'pricing_table_template' => 'list',
+		];
+	}
+
+	/**
+	 * Returns the email, username and password fields.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $step The step id.
+	 * @return array
+	 */
+	protected function get_account_fields($step) {
+
+		return [
+			[
+				'step'        => $step,
+				'name'        => __('Email', 'ultimate-multisite'),
+				'type'        => 'email',
+				'id'          => 'email_address',
+				'required'    => true,
+				'placeholder' => '',
+				'tooltip'     => '',
+			],
+			[
+				'step'          => $step,
+				'name'          => __('Username', 'ultimate-multisite'),
+				'type'          => 'username',
+				'id'            => 'username',
+				'required'      => true,
+				'placeholder'   => '',
+				'tooltip'       => '',
+				'auto_generate' => false,
+			],
+			[
+				'step'                    => $step,
+				'name'                    => __('Password', 'ultimate-multisite'),
+				'type'                    => 'password',
+				'id'                      => 'password',
+				'required'                => true,
+				'placeholder'             => '',
+				'tooltip'                 => '',
+				'password_strength_meter' => '1',
+				'password_confirm_field'  => '1',
+			],
+		];
+	}
+
+	/**
+	 * Returns the order summary, payment, billing address and submit fields.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $step The step id.
+	 * @return array
+	 */
+	protected function get_payment_fields($step) {
+
+		return [
+			[
+				'step'                   => $step,
+				'name'                   => __('Your Order', 'ultimate-multisite'),
+				'type'                   => 'order_summary',
+				'id'                     => 'order_summary',
+				'order_summary_template' => 'clean',
+				'table_columns'          => 'simple',
+			],
+			[
+				'step' => $step,
+				'name' => __('Payment Method', 'ultimate-multisite'),
+				'type' => 'payment',
+				'id'   => 'payment',
+			],
+			[
+				'step'            => $step,
+				'name'            => __('Billing Address', 'ultimate-multisite'),
+				'type'            => 'billing_address',
+				'id'              => 'billing_address',
+				'required'        => true,
+				'zip_and_country' => '1',
+			],
+			[
+				'step' => $step,
+				'name' => __('Checkout', 'ultimate-multisite'),
+				'type' => 'submit_button',
+				'id'   => 'checkout',
+			],
+		];
+	}
+}
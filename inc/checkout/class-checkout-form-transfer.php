@@ -0,0 +1,611 @@
+<?php
+/**
+ * Import and export of checkout forms.
+ *
+ * @package WP_Ultimo
+ * @subpackage Checkout
+ * @since 2.5.0
+ */
+
+namespace WP_Ultimo\Checkout;
+
+use WP_Ultimo\Managers\Signup_Fields_Manager;
+use WP_Ultimo\Models\Checkout_Form;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Import and export of checkout forms.
+ *
+ * Checkout forms are exported as versioned JSON, described by the schema
+ * shipped in assets/schemas/checkout-form.schema.json. Products and site
+ * templates are referenced by ID inside the field settings, so the export
+ * carries their slugs, and the import remaps them to the IDs of the
+ * products and templates with the same slugs on the destination network.
+ *
+ * @since 2.5.0
+ */
+class Checkout_Form_Transfer {
+
+	use \WP_Ultimo\Traits\Singleton;
+
+	/**
+	 * Identifies the export files.
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	const FORMAT = 'ultimate-multisite-checkout-form';
+
+	/**
+	 * Version of the export format.
+	 *
+	 * Increase it when the structure changes in a way older versions can't read.
+	 *
+	 * @since 2.5.0
+	 * @var int
+	 */
+	const VERSION = 1;
+
+	/**
+	 * Returns the URL of the published JSON Schema.
+	 *
+	 * Not built with wu_get_asset(), which would turn .json into .min.json.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_schema_url() {
+
+		return wu_url('assets/schemas/checkout-form.schema.json');
+	}
+
+	/**
+	 * Exports a checkout form.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param Checkout_Form $checkout_form The checkout form.
+	 * @return array
+	 */
+	public function export($checkout_form) {
+
+		$references = [
+			'products'  => [],
+			'templates' => [],
+		];
+
+		$this->map_references(
+			$checkout_form->get_settings(),
+			function ($type, $id) use (&$references) {
+
+				$slug = 'products' === $type ? $this->get_product_slug($id) : $this->get_template_slug($id);
+
+				if ($slug) {
+					$references[ $type ][ $id ] = $slug;
+				}
+
+				return $id;
+			}
+		);
+
+		$data = [
+			'$schema'        => $this->get_schema_url(),
+			'format'         => self::FORMAT,
+			'version'        => self::VERSION,
+			'plugin_version' => \WP_Ultimo::VERSION,
+			'exported_at'    => gmdate('c'),
+			'checkout_form'  => [
+				'name'              => $checkout_form->get_name(),
+				'slug'              => $checkout_form->get_slug(),
+				'settings'          => $checkout_form->get_settings(),
+				'custom_css'        => (string) $checkout_form->get_custom_css(),
+				'allowed_countries' => array_values(array_filter((array) $checkout_form->get_allowed_countries())),
+			],
+			'references'     => [
+				'products'  => (object) $references['products'],
+				'templates' => (object) $references['templates'],
+			],
+		];
+
+		/**
+		 * Filters the data exported for a checkout form.
+		 *
+		 * @since 2.5.0
+		 * @param array         $data          The export data.
+		 * @param Checkout_Form $checkout_form The checkout form.
+		 */
+		return apply_filters('wu_checkout_form_export', $data, $checkout_form);
+	}
+
+	/**
+	 * Returns the file name used when downloading an export.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param Checkout_Form $checkout_form The checkout form.
+	 * @return string
+	 */
+	public function get_export_filename($checkout_form) {
+
+		return sprintf('checkout-form-%s-%s.json', sanitize_file_name($checkout_form->get_slug()), gmdate('Y-m-d'));
+	}
+
+	/**
+	 * Validates the data of an export against the schema and the registered field types.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed $data The decoded export.
+	 * @return true|\WP_Error
+	 */
+	public function validate($data) {
+
+		$errors = new \WP_Error();
+
+		if ( ! is_array($data) || self::FORMAT !== wu_get_isset($data, 'format')) {
+			$errors->add('invalid_format', __('The file is not a checkout form export.', 'ultimate-multisite'));
+
+			return $errors;
+		}
+
+		if ( ! is_int(wu_get_isset($data, 'version')) || $data['version'] < 1) {
+			$errors->add('invalid_version', __('The export does not have a valid format version.', 'ultimate-multisite'));
+		} elseif ($data['version'] > self::VERSION) {
+			$errors->add('unsupported_version', __('The export was created by a newer version of Ultimate Multisite. Update the plugin before importing it.', 'ultimate-multisite'));
+		}
+
+		$checkout_form = wu_get_isset($data, 'checkout_form');
+
+		if ( ! is_array($checkout_form)) {
+			$errors->add('invalid_structure', __('The export does not contain a checkout form.', 'ultimate-multisite'));
+
+			return $errors;
+		}
+
+		foreach (['name', 'slug'] as $key) {
+			if ( ! is_string(wu_get_isset($checkout_form, $key)) || '' === trim($checkout_form[ $key ])) {
+				// translators: %s is the name of the missing property.
+				$errors->add('invalid_structure', sprintf(__('The checkout form is missing its %s.', 'ultimate-multisite'), $key));
+			}
+		}
+
+		if ( ! is_array(wu_get_isset($checkout_form, 'settings'))) {
+			$errors->add('invalid_structure', __('The checkout form is missing its steps.', 'ultimate-multisite'));
+
+			return $errors;
+		}
+
+		$field_types = Signup_Fields_Manager::get_instance()->get_field_types();
+
+		$step_ids = [];
+
+		$field_ids = [];
+
+		foreach (array_values($checkout_form['settings']) as $step_index => $step) {
+			$step_id = is_array($step) ? wu_get_isset($step, 'id') : null;
+
+			if ( ! is_string($step_id) || '' === $step_id || ! is_array(wu_get_isset($step, 'fields', null))) {
+				// translators: %d is the position of the step.
+				$errors->add('invalid_step', sprintf(__('Step #%d needs an id and a list of fields.', 'ultimate-multisite'), $step_index + 1));
+
+				continue;
+			}
+
+			if (in_array($step_id, $step_ids, true)) {
+				// translators: %s is the step id.
+				$errors->add('duplicate_step', sprintf(__('The step id "%s" is used more than once.', 'ultimate-multisite'), $step_id));
+			}
+
+			$step_ids[] = $step_id;
+
+			foreach (array_values($step['fields']) as $field_index => $field) {
+				$field_id = is_array($field) ? wu_get_isset($field, 'id') : null;
+
+				if ( ! is_string($field_id) || '' === $field_id) {
+					// translators: %1$d is the position of the field, %2$s is the step id.
+					$errors->add('invalid_field', sprintf(__('Field #%1$d of the step "%2$s" needs an id.', 'ultimate-multisite'), $field_index + 1, $step_id));
+
+					continue;
+				}
+
+				$type = wu_get_isset($field, 'type');
+
+				if ( ! is_string($type) || ! isset($field_types[ $type ])) {
+					// translators: %1$s is the field id, %2$s is the step id, %3$s is the field type.
+					$errors->add('unknown_field_type', sprintf(__('The field "%1$s" of the step "%2$s" has a field type that is not available on this network: "%3$s".', 'ultimate-multisite'), $field_id, $step_id, is_scalar($type) ? $type : ''));
+				}
+
+				if (in_array($field_id, $field_ids, true)) {
+					// translators: %s is the field id.
+					$errors->add('duplicate_field', sprintf(__('The field id "%s" is used more than once.', 'ultimate-multisite'), $field_id));
+				}
+
+				$field_ids[] = $field_id;
+			}
+		}
+
+		return $errors->has_errors() ? $errors : true;
+	}
+
+	/**
+	 * Validates an export and remaps its references to this network.
+	 *
+	 * Nothing is saved at this point, the result is what the dry-run
+	 * review shows and what gets passed to import() afterwards.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param mixed $data The decoded export.
+	 * @return array|\WP_Error
+	 */
+	public function prepare_import($data) {
+
+		$valid = $this->validate($data);
+
+		if (is_wp_error($valid)) {
+			return $valid;
+		}
+
+		$references = wp_parse_args(
+			(array) wu_get_isset($data, 'references', []),
+			[
+				'products'  => [],
+				'templates' => [],
+			]
+		);
+
+		$local_ids = [
+			'products'  => [],
+			'templates' => $this->get_template_ids_by_slug(),
+		];
+
+		$remapped = [];
+
+		$warnings = [];
+
+		$settings = $this->map_references(
+			$data['checkout_form']['settings'],
+			function ($type, $id) use ($references, &$local_ids, &$remapped, &$warnings) {
+
+				$slug = wu_get_isset((array) $references[ $type ], $id);
+
+				$key = "{$type}:{$id}";
+
+				if ( ! $slug) {
+					// translators: %s is the referenced ID.
+					$message = 'products' === $type ? __('Product #%s is used by the form but was not part of the export. It was removed.', 'ultimate-multisite') : __('Site template #%s is used by the form but was not part of the export. It was removed.', 'ultimate-multisite');
+
+					$warnings[ $key ] = sprintf($message, $id);
+
+					return false;
+				}
+
+				if ('products' === $type && ! isset($local_ids['products'][ $slug ])) {
+					$product = wu_get_product_by_slug($slug);
+
+					$local_ids['products'][ $slug ] = $product ? $product->get_id() : false;
+				}
+
+				$local_id = wu_get_isset($local_ids[ $type ], $slug, false);
+
+				$remapped[ $key ] = [
+					'type' => $type,
+					'slug' => $slug,
+					'from' => $id,
+					'to'   => $local_id,
+				];
+
+				if ( ! $local_id) {
+					// translators: %s is the product or template slug.
+					$message = 'products' === $type ? __('There is no product with the slug "%s" on this network. It was removed from the form.', 'ultimate-multisite') : __('There is no site template with the slug "%s" on this network. It was removed from the form.', 'ultimate-multisite');
+
+					$warnings[ $key ] = sprintf($message, $slug);
+				}
+
+				return $local_id;
+			}
+		);
+
+		$checkout_form = $data['checkout_form'];
+
+		$prepared = [
+			'checkout_form' => [
+				'name'              => sanitize_text_field($checkout_form['name']),
+				'slug'              => sanitize_title($checkout_form['slug']),
+				'settings'          => $settings,
+				'custom_css'        => is_string(wu_get_isset($checkout_form, 'custom_css')) ? $checkout_form['custom_css'] : '',
+				'allowed_countries' => array_values(array_filter((array) wu_get_isset($checkout_form, 'allowed_countries', []), 'is_string')),
+			],
+			'remapped'      => array_values($remapped),
+			'warnings'      => array_values($warnings),
+		];
+
+		/**
+		 * Filters a checkout form import before it is reviewed and saved.
+		 *
+		 * @since 2.5.0
+		 * @param array $prepared The prepared import.
+		 * @param array $data     The decoded export.
+		 */
+		return apply_filters('wu_checkout_form_prepare_import', $prepared, $data);
+	}
+
+	/**
+	 * Saves a prepared import, as a new checkout form or over an existing one.
+	 *
+	 * When replacing, the current settings of the form are kept as a revision.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array              $prepared The result of prepare_import().
+	 * @param Checkout_Form|null $target   The checkout form to replace, if any.
+	 * @return Checkout_Form|\WP_Error
+	 */
+	public function import($prepared, $target = null) {
+
+		$data = $prepared['checkout_form'];
+
+		if ($target) {
+			$target->add_revision($target->get_settings(), __('Before import', 'ultimate-multisite'));
+
+			$checkout_form = $target;
+		} else {
+			$checkout_form = new Checkout_Form();
+
+			$checkout_form->set_name($data['name']);
+
+			$checkout_form->set_slug($this->get_unique_slug($data['slug']));
+		}
+
+		$checkout_form->set_settings($data['settings']);
+
+		$checkout_form->set_custom_css($data['custom_css']);
+
+		$checkout_form->set_allowed_countries($data['allowed_countries']);
+
+		$status = $checkout_form->save();
+
+		if (is_wp_error($status)) {
+			return $status;
+		}
+
+		/**
+		 * Fires after a checkout form is imported.
+		 *
+		 * @since 2.5.0
+		 * @param Checkout_Form $checkout_form The imported checkout form.
+		 * @param array         $prepared      The prepared import.
+		 */
+		do_action('wu_checkout_form_imported', $checkout_form, $prepared);
+
+		return $checkout_form;
+	}
+
+	/**
+	 * Applies a callback to every product and template ID referenced by the steps and fields.
+	 *
+	 * The callback receives the type (products or templates) and the ID, and
+	 * returns the new ID, or false to remove the reference.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array    $settings The checkout form steps.
+	 * @param callable $callback The callback.
+	 * @return array The steps with the new IDs.
+	 */
+	public function map_references($settings, $callback) {
+
+		foreach ($settings as &$step) {
+			if (is_array(wu_get_isset($step, 'conditions'))) {
+				$step['conditions'] = $this->map_condition_references($step['conditions'], $callback);
+			}
+
+			foreach ($step['fields'] as &$field) {
+				$field = $this->map_field_references($field, $callback);
+			}
+		}
+
+		return $settings;
+	}
+
+	/**
+	 * Applies a callback to the product and template IDs of a single field.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array    $field    The field settings.
+	 * @param callable $callback The callback.
+	 * @return array
+	 */
+	protected function map_field_references($field, $callback) {
+
+		$type = wu_get_isset($field, 'type');
+
+		if ('pricing_table' === $type && ! empty($field['pricing_table_products'])) {
+			$field['pricing_table_products'] = $this->map_id_list($field['pricing_table_products'], 'products', $callback);
+		}
+
+		if ('products' === $type && ! empty($field['products'])) {
+			$field['products'] = $this->map_id_list($field['products'], 'products', $callback);
+		}
+
+		/*
+		 * Order bumps also accept a product slug, which needs no remapping.
+		 */
+		if ('order_bump' === $type && is_numeric(wu_get_isset($field, 'product'))) {
+			$field['product'] = (string) $this->map_id($field['product'], 'products', $callback);
+		}
+
+		if ('recommendations' === $type && is_array(wu_get_isset($field, 'recommendation_rules'))) {
+			foreach ($field['recommendation_rules'] as &$rule) {
+				foreach (['product', 'condition_product'] as $key) {
+					if (is_numeric(wu_get_isset($rule, $key))) {
+						$rule[ $key ] = (string) $this->map_id($rule[ $key ], 'products', $callback);
+					}
+				}
+			}
+		}
+
+		if ('template_selection' === $type && ! empty($field['template_selection_sites'])) {
+			$field['template_selection_sites'] = $this->map_id_list($field['template_selection_sites'], 'templates', $callback);
+		}
+
+		if (is_array(wu_get_isset($field, 'conditions'))) {
+			$field['conditions'] = $this->map_condition_references($field['conditions'], $callback);
+		}
+
+		/**
+		 * Filters the references of a field, for custom field types that use product or template IDs.
+		 *
+		 * @since 2.5.0
+		 * @param array    $field    The field settings, after the built-in remapping.
+		 * @param callable $callback Receives the type (products or templates) and an ID, returns the new ID or false.
+		 */
+		return apply_filters('wu_checkout_form_transfer_field_references', $field, $callback);
+	}
+
+	/**
+	 * Applies a callback to the product IDs of field or step conditions.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array    $conditions The conditions.
+	 * @param callable $callback   The callback.
+	 * @return array
+	 */
+	protected function map_condition_references($conditions, $callback) {
+
+		foreach ($conditions as &$condition) {
+			if ('products' === wu_get_isset($condition, 'subject') && is_numeric(wu_get_isset($condition, 'value'))) {
+				$condition['value'] = (string) $this->map_id($condition['value'], 'products', $callback);
+			}
+		}
+
+		return $conditions;
+	}
+
+	/**
+	 * Maps a single ID.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param int|string $id       The ID.
+	 * @param string     $type     The reference type.
+	 * @param callable   $callback The callback.
+	 * @return int|string Empty string when the reference was removed.
+	 */
+	protected function map_id($id, $type, $callback) {
+
+		$new_id = call_user_func($callback, $type, absint($id));
+
+		return $new_id ? $new_id : '';
+	}
+
+	/**
+	 * Maps a comma-separated list of IDs, dropping the removed ones.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string|array $ids      The IDs.
+	 * @param string       $type     The reference type.
+	 * @param callable     $callback The callback.
+	 * @return string
+	 */
+	protected function map_id_list($ids, $type, $callback) {
+
+		$ids = is_array($ids) ? $ids : explode(',', (string) $ids);
+
+		$new_ids = [];
+
+		foreach (array_filter(array_map('absint', $ids)) as $id) {
+			$new_id = $this->map_id($id, $type, $callback);
+
+			if ($new_id) {
+				$new_ids[] = $new_id;
+			}
+		}
+
+		return implode(',', $new_ids);
+	}
+
+	/**
+	 * Returns the slug of a product.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param int $product_id The product ID.
+	 * @return string|false
+	 */
+	protected function get_product_slug($product_id) {
+
+		$product = wu_get_product($product_id);
+
+		return $product ? $product->get_slug() : false;
+	}
+
+	/**
+	 * Returns the slug of a site template.
+	 *
+	 * Sites don't have slugs, so the path is used on subdirectory installs
+	 * and the first label of the domain on subdomain installs.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param int|\WP_Ultimo\Models\Site $site The site template or its ID.
+	 * @return string|false
+	 */
+	public function get_template_slug($site) {
+
+		$site = is_object($site) ? $site : wu_get_site($site);
+
+		if ( ! $site) {
+			return false;
+		}
+
+		$path = trim($site->get_path(), '/');
+
+		return $path ?: strtok($site->get_domain(), '.');
+	}
+
+	/**
+	 * Returns the IDs of the site templates of the network, keyed by slug.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	protected function get_template_ids_by_slug() {
+
+		$ids = [];
+
+		foreach (wu_get_site_templates() as $site_template) {
+			$ids[ $this->get_template_slug($site_template) ] = $site_template->get_id();
+		}
+
+		return $ids;
+	}
+
+	/**
+	 * Returns a checkout form slug that is not in use yet.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $slug The desired slug.
+	 * @return string
+	 */
+	protected function get_unique_slug($slug) {
+
+		$unique_slug = $slug;
+
+		$suffix = 2;
+
+		while (wu_get_checkout_form_by_slug($unique_slug)) {
+			$unique_slug = "{$slug}-{$suffix}";
+
+			++$suffix;
+		}
+
+		return $unique_slug;
+	}
+}
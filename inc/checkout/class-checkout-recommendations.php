@@ -0,0 +1,356 @@
+<?php
+/**
+ * Rule-based product recommendations on the checkout form.
+ *
+ * @package WP_Ultimo
+ * @subpackage Checkout
+ * @since 2.5.0
+ */
+
+namespace WP_Ultimo\Checkout;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Rule-based product recommendations on the checkout form.
+ *
+ * Rules are configured on the Recommendations checkout field, e.g.
+ * "if plan X is in the cart, offer add-on Y". They are evaluated on the
+ * front-end every time the cart changes. This class prepares the rules
+ * for the checkout script and keeps the impressions, clicks and
+ * conversions of each rule on the checkout form meta.
+ *
+ * @since 2.5.0
+ */
+class Checkout_Recommendations {
+
+	use \WP_Ultimo\Traits\Singleton;
+
+	/**
+	 * Meta key used to store the stats on the checkout form.
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	const STATS_META_KEY = 'wu_recommendation_stats';
+
+	/**
+	 * Rules added by the recommendation fields rendered on the current page.
+	 *
+	 * @since 2.5.0
+	 * @var array
+	 */
+	protected $rules = [];
+
+	/**
+	 * Initializes the Checkout_Recommendations singleton and adds hooks.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function init(): void {
+
+		add_action('wu_ajax_wu_track_recommendation', [$this, 'track_recommendation']);
+
+		add_action('wu_ajax_nopriv_wu_track_recommendation', [$this, 'track_recommendation']);
+
+		add_action('wu_checkout_done', [$this, 'track_conversions'], 10, 4);
+	}
+
+	/**
+	 * Returns the conditions available for the recommendation rules.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_conditions() {
+
+		return apply_filters(
+			'wu_checkout_recommendation_conditions',
+			[
+				'product'  => __('Product is in the cart', 'ultimate-multisite'),
+				'duration' => __('Billing period is', 'ultimate-multisite'),
+				'always'   => __('Always', 'ultimate-multisite'),
+			]
+		);
+	}
+
+	/**
+	 * Returns the events that can be tracked for a recommendation.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_events() {
+
+		return [
+			'impressions',
+			'clicks',
+			'conversions',
+		];
+	}
+
+	/**
+	 * Converts the rules saved on the field into the data used by the checkout script.
+	 *
+	 * Rules offering products that no longer exist are skipped.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $rules The rules saved on the field editor.
+	 * @return array
+	 */
+	public function prepare_rules($rules) {
+
+		$prepared = [];
+
+		foreach ((array) $rules as $rule) {
+			$product = wu_get_product(wu_get_isset($rule, 'product', 0));
+
+			if ( ! $product) {
+				continue;
+			}
+
+			$condition = wu_get_isset($rule, 'condition', 'product');
+
+			$condition_product = 'product' === $condition ? wu_get_product(wu_get_isset($rule, 'condition_product', 0)) : false;
+
+			if ('product' === $condition && ! $condition_product) {
+				continue;
+			}
+
+			$duration      = (int) wu_get_isset($rule, 'condition_duration', 1);
+			$duration_unit = wu_get_isset($rule, 'condition_duration_unit', 'month');
+
+			/*
+			 * Offers for a billing period show the price of that period.
+			 */
+			$variation = 'duration' === $condition ? $product->get_as_variation($duration, $duration_unit) : false;
+
+			$price_product = $variation ?: $product;
+
+			$image = $product->get_featured_image('thumbnail');
+
+			$prepared[] = [
+				'id'                => $this->get_rule_id($rule),
+				'condition'         => $condition,
+				'condition_product' => $condition_product ? [$condition_product->get_id(), $condition_product->get_slug()] : [],
+				'duration'          => $duration,
+				'duration_unit'     => $duration_unit,
+				'product'           => $product->get_id(),
+				'product_slug'      => $product->get_slug(),
+				'product_type'      => $product->get_type(),
+				'headline'          => wu_get_isset($rule, 'headline', '') ?: $product->get_name(),
+				'description'       => wu_get_isset($rule, 'description', '') ?: wp_strip_all_tags($product->get_description()),
+				'price'             => $price_product->get_price_description(),
+				'image'             => $image ?: '',
+			];
+		}
+
+		/**
+		 * Filters the recommendation rules sent to the checkout form.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param array $prepared The prepared rules.
+		 * @param array $rules    The rules saved on the field editor.
+		 */
+		return apply_filters('wu_checkout_recommendation_rules', $prepared, $rules);
+	}
+
+	/**
+	 * Returns the id of a rule, used to track its stats.
+	 *
+	 * Rules created on the editor get a random id. Older ones fall back
+	 * to a hash of what they offer and when.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $rule The rule.
+	 * @return string
+	 */
+	public function get_rule_id($rule) {
+
+		$id = sanitize_key(wu_get_isset($rule, 'id', ''));
+
+		if ($id) {
+			return $id;
+		}
+
+		$condition_keys = ['condition', 'condition_product', 'condition_duration', 'condition_duration_unit', 'product'];
+
+		return substr(md5(wp_json_encode(array_intersect_key($rule, array_flip($condition_keys)))), 0, 12);
+	}
+
+	/**
+	 * Adds the rules of a field to the checkout script.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $rules The prepared rules.
+	 * @return void
+	 */
+	public function add_rules($rules): void {
+
+		$this->rules = array_merge($this->rules, $rules);
+
+		wp_enqueue_script('wu-checkout-recommendations', wu_get_asset('checkout-recommendations.js', 'js'), ['wu-checkout'], wu_get_version(), true);
+
+		wp_localize_script(
+			'wu-checkout-recommendations',
+			'wu_checkout_recommendations',
+			[
+				'rules' => $this->rules,
+			]
+		);
+	}
+
+	/**
+	 * Records an impression or a click sent by the checkout form.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function track_recommendation(): void {
+
+		check_ajax_referer('wu_checkout');
+
+		$event = wu_request('event', '');
+
+		if ( ! in_array($event, ['impressions', 'clicks'], true)) {
+			wp_send_json_error(['message' => __('Invalid request', 'ultimate-multisite')]);
+		}
+
+		// Rate limiting: 60 events per minute per IP
+		$ip            = wu_get_ip();
+		$transient_key = 'wu_track_recommendation_' . md5($ip);
+		$request_count = (int) get_transient($transient_key);
+
+		if ($request_count > 60) {
+			wp_send_json_error(['message' => __('Too many requests. Please try again later.', 'ultimate-multisite')]);
+		}
+
+		set_transient($transient_key, $request_count + 1, MINUTE_IN_SECONDS);
+
+		$checkout_form = wu_get_checkout_form_by_slug(sanitize_key(wu_request('checkout_form', '')));
+
+		if ( ! $checkout_form) {
+			wp_send_json_error(['message' => __('Invalid request', 'ultimate-multisite')]);
+		}
+
+		$recommendations = array_intersect(
+			array_map('sanitize_key', (array) wu_request('recommendations', [])),
+			array_column($this->get_form_rules($checkout_form), 'id')
+		);
+
+		foreach ($recommendations as $recommendation) {
+			$this->increment($checkout_form, $recommendation, $event);
+		}
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * Counts the accepted recommendations that made it to the order as conversions.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Payment    $payment    The payment created.
+	 * @param \WP_Ultimo\Models\Membership $membership The membership created.
+	 * @param \WP_Ultimo\Models\Customer   $customer   The customer.
+	 * @param Cart                         $cart       The cart.
+	 * @return void
+	 */
+	public function track_conversions($payment, $membership, $customer, $cart): void {
+
+		$accepted = array_filter(array_map('sanitize_key', explode(',', (string) wu_request('accepted_recommendations', ''))));
+
+		if (empty($accepted) || ! $cart) {
+			return;
+		}
+
+		$checkout_form = wu_get_checkout_form_by_slug(sanitize_key(wu_request('checkout_form', '')));
+
+		if ( ! $checkout_form) {
+			return;
+		}
+
+		$product_ids = array_map(fn($product) => $product->get_id(), $cart->get_all_products());
+
+		foreach ($this->get_form_rules($checkout_form) as $rule) {
+			if (in_array($rule['id'], $accepted, true) && in_array((int) $rule['product'], $product_ids, true)) {
+				$this->increment($checkout_form, $rule['id'], 'conversions');
+			}
+		}
+	}
+
+	/**
+	 * Returns the rules saved on all the recommendation fields of a checkout form.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Checkout_Form $checkout_form The checkout form.
+	 * @return array
+	 */
+	public function get_form_rules($checkout_form) {
+
+		$rules = [];
+
+		foreach ($checkout_form->get_all_fields_by_type('recommendations') as $field) {
+			foreach ((array) wu_get_isset($field, 'recommendation_rules', []) as $rule) {
+				$rules[] = array_merge(
+					$rule,
+					[
+						'id'      => $this->get_rule_id($rule),
+						'product' => (int) wu_get_isset($rule, 'product', 0),
+					]
+				);
+			}
+		}
+
+		return $rules;
+	}
+
+	/**
+	 * Returns the stats of the recommendations of a checkout form.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Checkout_Form $checkout_form The checkout form.
+	 * @return array Stats keyed by rule id.
+	 */
+	public function get_stats($checkout_form) {
+
+		$stats = $checkout_form ? $checkout_form->get_meta(self::STATS_META_KEY) : [];
+
+		return is_array($stats) ? $stats : [];
+	}
+
+	/**
+	 * Increments a counter of a recommendation.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Checkout_Form $checkout_form  The checkout form.
+	 * @param string                          $recommendation The rule id.
+	 * @param string                          $event          One of impressions, clicks or conversions.
+	 * @return void
+	 */
+	public function increment($checkout_form, $recommendation, $event): void {
+
+		if ( ! in_array($event, $this->get_events(), true)) {
+			return;
+		}
+
+		$stats = $this->get_stats($checkout_form);
+
+		$rule_stats = wp_parse_args(wu_get_isset($stats, $recommendation, []), array_fill_keys($this->get_events(), 0));
+
+		++$rule_stats[ $event ];
+
+		$stats[ $recommendation ] = $rule_stats;
+
+		$checkout_form->update_meta(self::STATS_META_KEY, $stats);
+	}
+}
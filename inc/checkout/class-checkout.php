@@ -200,6 +200,13 @@ class Checkout {
 
 		add_action('wu_ajax_nopriv_wu_create_order', [$this, 'create_order']);
 
+		/*
+		 * Tells the customer if the discount codes entered can be used.
+		 */
+		add_action('wu_ajax_wu_validate_discount_code', [$this, 'validate_discount_code']);
+
+		add_action('wu_ajax_nopriv_wu_validate_discount_code', [$this, 'validate_discount_code']);
+
 		/*
 		 * Validates form and process preflight.
 		 */
@@ -214,6 +221,13 @@ class Checkout {
 
 		add_action('wu_ajax_nopriv_wu_check_user_exists', [$this, 'check_user_exists']);
 
+		/*
+		 * Check if a site URL is available (for the site URL field)
+		 */
+		add_action('wu_ajax_wu_check_site_url', [$this, 'check_site_url']);
+
+		add_action('wu_ajax_nopriv_wu_check_site_url', [$this, 'check_site_url']);
+
 		/*
 		 * Handle inline login during checkout
 		 */
@@ -396,7 +410,7 @@ class Checkout {
 		if ( ! $checkout_form_slug && is_a($element, \WP_Ultimo\UI\Checkout_Element::class)) {
 			$pre_loaded_checkout_form_slug = $element->get_pre_loaded_attribute('slug', $checkout_form_slug);
 
-			$checkout_form_slug = $pre_loaded_checkout_form_slug ?: $checkout_form_slug;
+			$checkout_form_slug = $pre_loaded_checkout_form_slug ? apply_filters('wu_checkout_form_slug', $pre_loaded_checkout_form_slug, $element) : $checkout_form_slug;
 		}
 
 		$this->checkout_form = wu_get_checkout_form_by_slug($checkout_form_slug);
@@ -451,7 +465,7 @@ class Checkout {
 		// $this->detect_pending_payments();
 
 		if ($this->checkout_form) {
-			$this->steps = $this->checkout_form->get_steps_to_show();
+			$this->steps = Field_Conditions::get_instance()->get_visible_steps($this->checkout_form->get_steps_to_show(), $this);
 
 			$first_step = current($this->steps);
 
@@ -696,6 +710,7 @@ class Checkout {
 				'wu_cart_parameters',
 				[
 					'products'      => $this->request_or_session('products', []),
+					'quantities'    => $this->request_or_session('quantities', []),
 					'discount_code' => $this->request_or_session('discount_code'),
 					'country'       => $this->request_or_session('billing_country'),
 					'state'         => $this->request_or_session('billing_state'),
@@ -1600,25 +1615,24 @@ class Checkout {
 	}
 
 	/**
-	 * Creates an order object to display the order summary tables.
+	 * Builds the cart of the order being displayed on the checkout form.
 	 *
-	 * @since 2.0.0
-	 * @return void
+	 * @since 2.5.0
+	 * @return Cart
 	 */
-	public function create_order(): void {
-
-		$this->setup_checkout();
+	protected function get_order_cart() {
 
 		// Set billing address to be used on the order
 		$country = ! empty($this->request_or_session('country')) ? $this->request_or_session('country') : $this->request_or_session('billing_country', '');
 		$state   = ! empty($this->request_or_session('state')) ? $this->request_or_session('state') : $this->request_or_session('billing_state', '');
 		$city    = ! empty($this->request_or_session('city')) ? $this->request_or_session('city') : $this->request_or_session('billing_city', '');
 
-		$cart = new Cart(
+		return new Cart(
 			apply_filters(
 				'wu_cart_parameters',
 				[
 					'products'      => $this->request_or_session('products', []),
+					'quantities'    => $this->request_or_session('quantities', []),
 					'discount_code' => $this->request_or_session('discount_code'),
 					'country'       => $country,
 					'state'         => $state,
@@ -1633,6 +1647,52 @@ class Checkout {
 				$this
 			)
 		);
+	}
+
+	/**
+	 * Validates the discount codes entered on the checkout form.
+	 *
+	 * Returns, for each code, if it was accepted and, if not, the reason,
+	 * along with the discount applied to the setup fees and recurring amount.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function validate_discount_code(): void {
+
+		check_ajax_referer('wu_checkout');
+
+		// Rate limiting: 20 attempts per minute per IP, to prevent guessing codes
+		$ip            = wu_get_ip();
+		$transient_key = 'wu_validate_discount_code_' . md5($ip);
+		$request_count = (int) get_transient($transient_key);
+
+		if ($request_count > 20) {
+			wp_send_json_error(['message' => __('Too many requests. Please try again later.', 'ultimate-multisite')]);
+		}
+
+		set_transient($transient_key, $request_count + 1, MINUTE_IN_SECONDS);
+
+		$this->setup_checkout();
+
+		$cart = $this->get_order_cart();
+
+		wp_send_json_success($cart->get_discount_code_results());
+	}
+
+	/**
+	 * Creates an order object to display the order summary tables.
+	 *
+	 * @since 2.0.0
+	 * @return void
+	 */
+	public function create_order(): void {
+
+		$this->setup_checkout();
+
+		$state = ! empty($this->request_or_session('state')) ? $this->request_or_session('state') : $this->request_or_session('billing_state', '');
+
+		$cart = $this->get_order_cart();
 
 		/**
 		 * Calculate state and city options, if necessary.
@@ -1643,13 +1703,14 @@ class Checkout {
 
 		wp_send_json_success(
 			[
-				'order'  => $cart->done(),
-				'states' => wu_key_map_to_array($country_data->get_states_as_options(), 'code', 'name'),
-				'cities' => wu_key_map_to_array($country_data->get_cities_as_options($state), 'code', 'name'),
-				'labels' => [
+				'order'            => $cart->done(),
+				'states'           => wu_key_map_to_array($country_data->get_states_as_options(), 'code', 'name'),
+				'cities'           => wu_key_map_to_array($country_data->get_cities_as_options($state), 'code', 'name'),
+				'labels'           => [
 					'state_field' => $country_data->get_administrative_division_name(null, true),
 					'city_field'  => $country_data->get_municipality_name(null, true),
 				],
+				'display_currency' => wu_get_display_currency(wu_request('display_currency')),
 			]
 		);
 	}
@@ -1706,6 +1767,196 @@ class Checkout {
 		);
 	}
 
+	/**
+	 * Checks if a site URL is available.
+	 *
+	 * Used to display the availability of the site URL while the customer types.
+	 * Implements rate limiting to prevent the endpoint from being used to list sites.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function check_site_url(): void {
+
+		check_ajax_referer('wu_checkout');
+
+		$site_url    = sanitize_text_field(wu_request('site_url'));
+		$site_domain = sanitize_text_field(wu_request('site_domain'));
+
+		if (empty($site_url)) {
+			wp_send_json_error(['message' => __('Invalid request', 'ultimate-multisite')]);
+		}
+
+		// Rate limiting: 30 checks per minute per IP
+		$ip            = wu_get_ip();
+		$transient_key = 'wu_check_site_url_' . md5($ip);
+		$check_count   = (int) get_transient($transient_key);
+
+		if ($check_count > 30) {
+			wp_send_json_error(['message' => __('Too many requests. Please try again later.', 'ultimate-multisite')]);
+		}
+
+		set_transient($transient_key, $check_count + 1, MINUTE_IN_SECONDS);
+
+		wp_send_json_success($this->get_site_url_availability($site_url, $site_domain));
+	}
+
+	/**
+	 * Returns the availability of a site URL.
+	 *
+	 * The status is one of:
+	 * - available: the site URL can be used;
+	 * - taken: a site already uses the URL;
+	 * - reserved: the URL is on the network list of banned names;
+	 * - invalid: WordPress would reject the URL for another reason.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string      $site_url    The subdomain or subdirectory.
+	 * @param string|bool $site_domain The base domain selected, if any.
+	 * @return array
+	 */
+	public function get_site_url_availability($site_url, $site_domain = false) {
+
+		$site_url = strtolower((string) preg_replace('/[^A-Za-z0-9-]+/', '', (string) $site_url));
+
+		$availability = [
+			'status'      => 'available',
+			'message'     => __('This site URL is available!', 'ultimate-multisite'),
+			'suggestions' => [],
+		];
+
+		if ($this->is_site_url_reserved($site_url)) {
+			$availability = [
+				'status'      => 'reserved',
+				'message'     => __('This site URL is reserved. Please choose another one.', 'ultimate-multisite'),
+				'suggestions' => $this->get_site_url_suggestions($site_url, $site_domain),
+			];
+		} elseif ($this->is_site_url_taken($site_url, $site_domain)) {
+			$availability = [
+				'status'      => 'taken',
+				'message'     => __('This site URL is already taken.', 'ultimate-multisite'),
+				'suggestions' => $this->get_site_url_suggestions($site_url, $site_domain),
+			];
+		} else {
+			/*
+			 * Same check used by the unique_site validation rule.
+			 */
+			$results = wpmu_validate_blog_signup($site_url, 'Test Title');
+
+			if ($results['errors']->has_errors()) {
+				$availability = [
+					'status'      => 'invalid',
+					'message'     => $results['errors']->get_error_message(),
+					'suggestions' => [],
+				];
+			}
+		}
+
+		/**
+		 * Filters the availability of a site URL.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param array       $availability The status, message and suggestions.
+		 * @param string      $site_url     The subdomain or subdirectory.
+		 * @param string|bool $site_domain  The base domain selected, if any.
+		 * @param Checkout    $checkout     The checkout class.
+		 */
+		return apply_filters('wu_site_url_availability', $availability, $site_url, $site_domain, $this);
+	}
+
+	/**
+	 * Checks if a site URL is on the network list of banned names.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $site_url The subdomain or subdirectory.
+	 * @return bool
+	 */
+	protected function is_site_url_reserved($site_url) {
+
+		$reserved = (array) get_site_option('illegal_names', []);
+
+		if ( ! is_subdomain_install()) {
+			$reserved = array_merge($reserved, get_subdirectory_reserved_names());
+		}
+
+		return in_array($site_url, $reserved, true);
+	}
+
+	/**
+	 * Checks if a site already uses the site URL.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string      $site_url    The subdomain or subdirectory.
+	 * @param string|bool $site_domain The base domain selected, if any.
+	 * @return bool
+	 */
+	protected function is_site_url_taken($site_url, $site_domain = false) {
+
+		$d = wu_get_site_domain_and_path($site_url, $site_domain);
+
+		return (bool) domain_exists($d->domain, $d->path, get_current_network_id());
+	}
+
+	/**
+	 * Returns available alternatives to a site URL.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string      $site_url    The subdomain or subdirectory.
+	 * @param string|bool $site_domain The base domain selected, if any.
+	 * @param int         $limit       Maximum number of suggestions.
+	 * @return array
+	 */
+	public function get_site_url_suggestions($site_url, $site_domain = false, $limit = 3) {
+
+		// Leaves room for the suffixes within the 63 characters limit.
+		$base = substr($site_url, 0, 55);
+
+		$candidates = [
+			"{$base}-site",
+			"{$base}-online",
+			$base . gmdate('Y'),
+		];
+
+		foreach (range(2, 9) as $number) {
+			$candidates[] = "{$base}{$number}";
+		}
+
+		/**
+		 * Filters the site URLs tried as suggestions.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param array  $candidates The site URLs to try, in order of preference.
+		 * @param string $site_url   The site URL the customer wanted.
+		 */
+		$candidates = apply_filters('wu_site_url_suggestion_candidates', $candidates, $site_url);
+
+		$suggestions = [];
+
+		foreach ($candidates as $candidate) {
+			if (count($suggestions) >= $limit) {
+				break;
+			}
+
+			if ($this->is_site_url_reserved($candidate) || $this->is_site_url_taken($candidate, $site_domain)) {
+				continue;
+			}
+
+			$results = wpmu_validate_blog_signup($candidate, 'Test Title');
+
+			if ( ! $results['errors']->has_errors()) {
+				$suggestions[] = $candidate;
+			}
+		}
+
+		return $suggestions;
+	}
+
 	/**
 	 * Handles inline login during checkout.
 	 *
@@ -1817,6 +2068,11 @@ class Checkout {
 			'sign_in'              => __('Sign in', 'ultimate-multisite'),
 			'forgot_password'      => __('Forgot password?', 'ultimate-multisite'),
 			'cancel'               => __('Cancel', 'ultimate-multisite'),
+			// translators: %s is the list of error messages.
+			'form_errors'          => __('Please fix the following errors: %s', 'ultimate-multisite'),
+			// translators: %s is the new order total.
+			'order_updated'        => __('Order summary updated. Total: %s', 'ultimate-multisite'),
+			'login_prompt'         => __('An account with these details already exists. You can sign in with your password below.', 'ultimate-multisite'),
 		];
 
 		/*
@@ -1866,6 +2122,7 @@ class Checkout {
 			'city'               => $this->request_or_session('billing_city'),
 			'duration'           => $duration,
 			'duration_unit'      => $duration_unit,
+			'email_address'      => $this->request_or_session('email_address', ''),
 			'site_title'         => $this->request_or_session('site_title'),
 			'site_url'           => $this->request_or_session('site_url'),
 			'site_domain'        => $this->request_or_session('site_domain', preg_replace('#^https?://#', '', $site_domain)),
@@ -1874,6 +2131,9 @@ class Checkout {
 			'needs_billing_info' => true,
 			'auto_renew'         => true,
 			'products'           => array_unique($products),
+			'quantities'         => (object) array_map('absint', (array) $this->request_or_session('quantities', [])),
+			'draft'              => $this->get_draft_settings(),
+			'field_conditions'   => Field_Conditions::get_instance()->get_client_settings($this->checkout_form),
 		];
 
 		/*
@@ -1939,9 +2199,15 @@ class Checkout {
 		$variables['order'] = (new Cart($variables))->done();
 
 		if ( ! empty($variables['order']->discount_code)) {
-			$variables['discount_code'] = $variables['order']->discount_code->get_code();
+			$variables['discount_code'] = implode(',', $variables['order']->discount_codes);
 		}
 
+		/*
+		 * Currency the prices are displayed in, e.g. when coming from a pricing page link.
+		 * Kept out of the cart, as payments are always charged in the site currency.
+		 */
+		$variables['display_currency'] = wu_request('currency') ? wu_get_display_currency(wu_request('currency')) : '';
+
 		/**
 		 * Allow plugin developers to filter the pre-sets of a checkout page.
 		 *
@@ -1956,6 +2222,65 @@ class Checkout {
 		return apply_filters('wu_get_checkout_variables', $variables, $this);
 	}
 
+	/**
+	 * Returns the settings used by the front-end to persist checkout drafts.
+	 *
+	 * The form version changes every time the checkout form is edited,
+	 * which invalidates drafts saved against an older layout.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_draft_settings() {
+
+		$form_slug = $this->checkout_form ? $this->checkout_form->get_slug() : 'default';
+
+		$form_version = $this->checkout_form ? md5((string) wp_json_encode($this->checkout_form->get_settings())) : '';
+
+		$draft_settings = [
+			'enabled'      => (bool) wu_get_setting('enable_checkout_drafts', true),
+			'storage'      => wu_get_setting('checkout_drafts_storage', 'local'),
+			'expiration'   => max(1, (int) wu_get_setting('checkout_drafts_expiration', 3)) * DAY_IN_SECONDS,
+			'key'          => 'wu_checkout_draft_' . $form_slug,
+			'form_version' => $form_version,
+		];
+
+		/**
+		 * Allow plugin developers to filter the checkout draft settings.
+		 *
+		 * @since 2.5.0
+		 * @param array    $draft_settings The draft settings.
+		 * @param Checkout $checkout The checkout class.
+		 * @return array The new draft settings.
+		 */
+		return apply_filters('wu_checkout_draft_settings', $draft_settings, $this);
+	}
+
+	/**
+	 * Returns the settings used by the checkout analytics script.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_analytics_settings() {
+
+		$analytics_settings = [
+			'adapter'  => wu_get_setting('checkout_analytics_adapter', 'datalayer'),
+			'currency' => wu_get_setting('currency_symbol', 'USD'),
+			'form'     => $this->checkout_form ? $this->checkout_form->get_slug() : '',
+		];
+
+		/**
+		 * Filters the settings used by the checkout analytics script.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param array    $analytics_settings The built-in adapter, default currency and form slug.
+		 * @param Checkout $checkout           The checkout class.
+		 */
+		return apply_filters('wu_checkout_analytics_settings', $analytics_settings, $this);
+	}
+
 	/**
 	 * Returns the validation rules for the fields.
 	 *
@@ -2039,6 +2364,33 @@ class Checkout {
 			$validation_rules = array_filter($validation_rules, fn($rule) => in_array($rule, $fields_available, true), ARRAY_FILTER_USE_KEY);
 		}
 
+		$validation_rules = $this->add_step_field_rules($validation_rules);
+
+		/*
+		 * Fields hidden by their conditions are not validated.
+		 */
+		$validation_rules = Field_Conditions::get_instance()->remove_hidden_field_rules($validation_rules, $this);
+
+		/**
+		 * Allow plugin developers to filter the validation rules.
+		 *
+		 * @since 2.0.20
+		 * @param array    $validation_rules The validation rules to be used.
+		 * @param Checkout $checkout The checkout class.
+		 */
+		return apply_filters('wu_checkout_validation_rules', $validation_rules, $this);
+	}
+
+	/**
+	 * Adds the rules declared by the fields of the current step.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $validation_rules The validation rules.
+	 * @return array
+	 */
+	protected function add_step_field_rules($validation_rules) {
+
 		// We'll use this to validate product fields
 		$product_fields = [
 			'pricing_table',
@@ -2048,7 +2400,7 @@ class Checkout {
 		/**
 		 * Add the additional required fields.
 		 */
-		foreach ($this->step['fields'] as $field) {
+		foreach (wu_get_isset($this->step, 'fields', []) as $field) {
 			/*
 			 * General required fields
 			 */
@@ -2068,14 +2420,44 @@ class Checkout {
 			}
 		}
 
+		return $validation_rules;
+	}
+
+	/**
+	 * Returns the validation settings used by the client-side validation.
+	 *
+	 * The rules are the same ones used by the server, so customers see
+	 * errors as they type. Rules that depend on the database (unique,
+	 * site_template, etc) are skipped by the client and left to the
+	 * server, which remains authoritative.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_client_validation_settings() {
+
+		$validation_rules = $this->add_step_field_rules($this->validation_rules());
+
+		/** This filter is documented in inc/checkout/class-checkout.php */
+		$validation_rules = apply_filters('wu_checkout_validation_rules', $validation_rules, $this);
+
+		$validator = new \WP_Ultimo\Helpers\Validator();
+
+		$settings = [
+			'rules'    => array_filter($validation_rules),
+			'messages' => $validator->get_error_messages(),
+			'aliases'  => $this->get_validation_aliases(),
+		];
+
 		/**
-		 * Allow plugin developers to filter the validation rules.
+		 * Filters the client-side validation settings.
 		 *
-		 * @since 2.0.20
-		 * @param array    $validation_rules The validation rules to be used.
+		 * @since 2.5.0
+		 *
+		 * @param array    $settings The rules, messages and aliases.
 		 * @param Checkout $checkout The checkout class.
 		 */
-		return apply_filters('wu_checkout_validation_rules', $validation_rules, $this);
+		return apply_filters('wu_checkout_client_validation_settings', $settings, $this);
 	}
 
 	/**
@@ -2102,6 +2484,27 @@ class Checkout {
 			$rules = $this->get_validation_rules();
 		}
 
+		$validator->validate($stack, $rules, $this->get_validation_aliases());
+
+		if ($validator->fails()) {
+			$errors = $validator->get_errors();
+
+			$errors->remove('valid_password');
+
+			return $errors;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Returns the field labels used on validation error messages.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_validation_aliases() {
+
 		$base_aliases = [];
 
 		$checkout_form_fields = $this->checkout_form ? $this->checkout_form->get_all_fields() : [];
@@ -2136,19 +2539,7 @@ class Checkout {
 		 * @param array    $validation_aliases The array with id => alias.
 		 * @param Checkout $checkout The checkout class.
 		 */
-		$validation_aliases = apply_filters('wu_checkout_validation_aliases', $validation_aliases, $this);
-
-		$validator->validate($stack, $rules, $validation_aliases);
-
-		if ($validator->fails()) {
-			$errors = $validator->get_errors();
-
-			$errors->remove('valid_password');
-
-			return $errors;
-		}
-
-		return true;
+		return apply_filters('wu_checkout_validation_aliases', $validation_aliases, $this);
 	}
 
 	/**
@@ -2568,13 +2959,25 @@ class Checkout {
 		// Enqueue password styles (includes dashicons as dependency).
 		wp_enqueue_style('wu-password');
 
-		wp_register_script('wu-checkout', wu_get_asset('checkout.js', 'js'), ['jquery-core', 'wu-vue', 'moment', 'wu-block-ui', 'wu-functions', 'password-strength-meter', 'wu-password-strength', 'underscore', 'wp-polyfill', 'wp-hooks', 'wu-cookie-helpers', 'wu-password-toggle'], wu_get_version(), true);
+		wp_register_script('wu-checkout', wu_get_asset('checkout.js', 'js'), ['jquery-core', 'wu-vue', 'moment', 'wu-block-ui', 'wu-functions', 'password-strength-meter', 'wu-password-strength', 'wu-checkout-validation', 'wu-pricing', 'underscore', 'wp-polyfill', 'wp-hooks', 'wu-cookie-helpers', 'wu-password-toggle'], wu_get_version(), true);
 
 		wp_set_script_translations('wu-password-toggle', 'ultimate-multisite');
 
 		wp_localize_script('wu-checkout', 'wu_checkout', $this->get_checkout_variables());
 
 		wp_enqueue_script('wu-checkout');
+
+		wp_enqueue_script('wu-checkout-draft', wu_get_asset('checkout-draft.js', 'js'), ['wu-checkout'], wu_get_version(), true);
+
+		wp_enqueue_script('wu-checkout-router', wu_get_asset('checkout-router.js', 'js'), ['wu-checkout'], wu_get_version(), true);
+
+		if (wu_get_setting('enable_checkout_analytics', false)) {
+			wp_register_script('wu-checkout-analytics', wu_get_asset('checkout-analytics.js', 'js'), ['wu-checkout'], wu_get_version(), true);
+
+			wp_localize_script('wu-checkout-analytics', 'wu_checkout_analytics_settings', $this->get_analytics_settings());
+
+			wp_enqueue_script('wu-checkout-analytics');
+		}
 	}
 
 	/**
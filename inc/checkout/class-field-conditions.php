@@ -0,0 +1,483 @@
+<?php
+/**
+ * Conditional visibility of checkout form fields.
+ *
+ * @package WP_Ultimo
+ * @subpackage Checkout
+ * @since 2.5.0
+ */
+
+namespace WP_Ultimo\Checkout;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Conditional visibility of checkout form fields.
+ *
+ * Fields can carry a list of conditions, built on the field edit modal.
+ * Conditions are evaluated reactively by the checkout app, through a
+ * v-show added to the field wrapper, and again on the server, so hidden
+ * fields are not required when the form is submitted.
+ *
+ * Steps carry the same conditions, built on the step edit modal. Steps
+ * are rendered by the server, so hidden steps are left out of the flow
+ * and the fields they contain are not validated.
+ *
+ * @since 2.5.0
+ */
+class Field_Conditions {
+
+	use \WP_Ultimo\Traits\Singleton;
+
+	/**
+	 * Operators that do not need a value to compare against.
+	 *
+	 * @since 2.5.0
+	 * @var array
+	 */
+	const VALUELESS_OPERATORS = [
+		'empty',
+		'not_empty',
+		'in_eu',
+		'not_in_eu',
+	];
+
+	/**
+	 * Returns the values conditions can be based on.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_subjects() {
+
+		$subjects = [
+			'country'        => __('Billing Country', 'ultimate-multisite'),
+			'state'          => __('Billing State', 'ultimate-multisite'),
+			'products'       => __('Products in the Cart', 'ultimate-multisite'),
+			'has_plan'       => __('Plan in the Cart (yes or no)', 'ultimate-multisite'),
+			'billing_period' => __('Billing Period (e.g. 1-year)', 'ultimate-multisite'),
+			'gateway'        => __('Payment Gateway', 'ultimate-multisite'),
+		];
+
+		/**
+		 * Filters the values checkout field conditions can be based on.
+		 *
+		 * Values of custom subjects are read from the checkout app data
+		 * with the same name on the client, and can be provided on the
+		 * server through the wu_checkout_field_condition_value filter.
+		 *
+		 * @since 2.5.0
+		 * @param array $subjects The subjects, keyed by name.
+		 */
+		return apply_filters('wu_checkout_field_condition_subjects', $subjects);
+	}
+
+	/**
+	 * Returns the operators available for the conditions.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_operators() {
+
+		return [
+			'equals'     => __('is', 'ultimate-multisite'),
+			'not_equals' => __('is not', 'ultimate-multisite'),
+			'in'         => __('is one of', 'ultimate-multisite'),
+			'not_in'     => __('is not one of', 'ultimate-multisite'),
+			'empty'      => __('is empty', 'ultimate-multisite'),
+			'not_empty'  => __('is not empty', 'ultimate-multisite'),
+			'in_eu'      => __('is in the EU', 'ultimate-multisite'),
+			'not_in_eu'  => __('is not in the EU', 'ultimate-multisite'),
+		];
+	}
+
+	/**
+	 * Returns the country codes of the European Union member states.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_eu_countries() {
+
+		$countries = ['AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'];
+
+		/**
+		 * Filters the countries matched by the "is in the EU" condition.
+		 *
+		 * @since 2.5.0
+		 * @param array $countries The country codes.
+		 */
+		return apply_filters('wu_checkout_field_condition_eu_countries', $countries);
+	}
+
+	/**
+	 * Sanitizes the conditions saved on the field edit modal.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $conditions The conditions.
+	 * @return array
+	 */
+	public function normalize_conditions($conditions) {
+
+		$normalized = [];
+
+		$subjects = $this->get_subjects();
+
+		$operators = $this->get_operators();
+
+		foreach ((array) $conditions as $condition) {
+			if ( ! is_array($condition)) {
+				continue;
+			}
+
+			$subject  = sanitize_key(wu_get_isset($condition, 'subject', ''));
+			$operator = sanitize_key(wu_get_isset($condition, 'operator', ''));
+
+			if ( ! isset($subjects[ $subject ]) || ! isset($operators[ $operator ])) {
+				continue;
+			}
+
+			$value = 'products' === $subject ? wu_get_isset($condition, 'product', '') : wu_get_isset($condition, 'value', '');
+
+			$normalized[] = [
+				'subject'  => $subject,
+				'operator' => $operator,
+				'value'    => in_array($operator, self::VALUELESS_OPERATORS, true) ? '' : sanitize_text_field($value),
+			];
+		}
+
+		return $normalized;
+	}
+
+	/**
+	 * Checks if a field, or step, has conditions.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $field The field, or step, attributes.
+	 * @return bool
+	 */
+	public function has_conditions($field) {
+
+		return ! empty(wu_get_isset($field, 'conditions', [])) && is_array($field['conditions']);
+	}
+
+	/**
+	 * Returns the v-show expression used by the checkout app.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $field The field attributes.
+	 * @return string
+	 */
+	public function get_expression($field) {
+
+		if ( ! $this->has_conditions($field)) {
+			return '';
+		}
+
+		return sprintf('check_conditions(%s, %s)', wp_json_encode(array_values($field['conditions'])), wp_json_encode($this->get_match($field)));
+	}
+
+	/**
+	 * Adds the conditions of a field to the wrappers of the fields it renders.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $fields_array The fields rendered by the signup field.
+	 * @param array $field The signup field attributes.
+	 * @return array
+	 */
+	public function add_to_fields($fields_array, $field) {
+
+		$expression = $this->get_expression($field);
+
+		if ( ! $expression) {
+			return $fields_array;
+		}
+
+		foreach ($fields_array as &$field_array) {
+			$wrapper_html_attr = wu_get_isset($field_array, 'wrapper_html_attr', []);
+
+			$show = wu_get_isset($wrapper_html_attr, 'v-show');
+
+			$wrapper_html_attr['v-show'] = $show ? "({$show}) && {$expression}" : $expression;
+
+			$field_array['wrapper_html_attr'] = $wrapper_html_attr;
+		}
+
+		return $fields_array;
+	}
+
+	/**
+	 * Returns if all (or any) conditions need to be met.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $field The field attributes.
+	 * @return string Either all or any.
+	 */
+	public function get_match($field) {
+
+		return 'any' === wu_get_isset($field, 'conditions_match', 'all') ? 'any' : 'all';
+	}
+
+	/**
+	 * Checks if the conditions of a field, or step, are met.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $field The field, or step, attributes.
+	 * @param array $values The current values, keyed by subject.
+	 * @return bool
+	 */
+	public function is_visible($field, $values) {
+
+		if ( ! $this->has_conditions($field)) {
+			return true;
+		}
+
+		$results = array_map(fn($condition) => $this->is_met($condition, wu_get_isset($values, wu_get_isset($condition, 'subject'), '')), $field['conditions']);
+
+		return 'any' === $this->get_match($field) ? in_array(true, $results, true) : ! in_array(false, $results, true);
+	}
+
+	/**
+	 * Checks a single condition against a value.
+	 *
+	 * Mirrors the check_conditions method of the checkout app.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array        $condition The condition.
+	 * @param string|array $value The current value of the subject.
+	 * @return bool
+	 */
+	public function is_met($condition, $value) {
+
+		$values = array_map('strtolower', array_map('strval', (array) $value));
+
+		$values = array_values(array_filter($values, fn($item) => '' !== $item));
+
+		$expected = array_filter(array_map('trim', explode(',', strtolower((string) wu_get_isset($condition, 'value', '')))), 'strlen');
+
+		switch (wu_get_isset($condition, 'operator')) {
+			case 'empty':
+				return empty($values);
+			case 'not_empty':
+				return ! empty($values);
+			case 'in_eu':
+			case 'not_in_eu':
+				$in_eu = ! empty(array_intersect($values, array_map('strtolower', $this->get_eu_countries())));
+
+				return 'in_eu' === $condition['operator'] ? $in_eu : ! $in_eu;
+			case 'equals':
+			case 'in':
+				return ! empty(array_intersect($values, $expected));
+			case 'not_equals':
+			case 'not_in':
+				return empty(array_intersect($values, $expected));
+		}
+
+		return true;
+	}
+
+	/**
+	 * Returns the current value of each subject, from the request or the session.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param Checkout $checkout The checkout class.
+	 * @return array
+	 */
+	public function get_values($checkout) {
+
+		$products = [];
+
+		$has_plan = false;
+
+		foreach (array_filter((array) $checkout->request_or_session('products', [])) as $product_id_or_slug) {
+			$product = is_numeric($product_id_or_slug) ? wu_get_product($product_id_or_slug) : wu_get_product_by_slug($product_id_or_slug);
+
+			if ( ! $product) {
+				continue;
+			}
+
+			$products[] = $product->get_id();
+
+			$has_plan = $has_plan || 'plan' === $product->get_type();
+		}
+
+		$duration = $checkout->request_or_session('duration');
+
+		$values = [
+			'country'        => $checkout->request_or_session('billing_country', ''),
+			'state'          => $checkout->request_or_session('billing_state', ''),
+			'products'       => $products,
+			'has_plan'       => $has_plan ? 'yes' : 'no',
+			'billing_period' => $duration ? absint($duration) . '-' . $checkout->request_or_session('duration_unit', 'month') : '',
+			'gateway'        => $checkout->request_or_session('gateway', ''),
+		];
+
+		foreach (array_keys($this->get_subjects()) as $subject) {
+
+			/**
+			 * Filters the value of a condition subject on the server.
+			 *
+			 * @since 2.5.0
+			 * @param mixed    $value The value.
+			 * @param string   $subject The subject.
+			 * @param Checkout $checkout The checkout class.
+			 */
+			$values[ $subject ] = apply_filters('wu_checkout_field_condition_value', wu_get_isset($values, $subject, ''), $subject, $checkout);
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Returns the names of the inputs rendered by a field.
+	 *
+	 * Composite fields render more than one input, e.g. the billing
+	 * address, and all of them are hidden with the field.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $field The field attributes.
+	 * @return array
+	 */
+	public function get_field_inputs($field) {
+
+		$type_inputs = [
+			'email'              => ['email_address', 'email_address_conf', 'email_address_confirmation'],
+			'password'           => ['password', 'password_conf', 'valid_password'],
+			'site_url'           => ['site_url', 'site_domain'],
+			'template_selection' => ['template_id'],
+			'billing_address'    => [
+				'company_name',
+				'billing_email',
+				'billing_address_line_1',
+				'billing_address_line_2',
+				'billing_country',
+				'billing_state',
+				'billing_city',
+				'billing_zip_code',
+			],
+		];
+
+		$inputs = wu_get_isset($type_inputs, wu_get_isset($field, 'type', ''), []);
+
+		/**
+		 * Filters the names of the inputs rendered by a checkout field.
+		 *
+		 * Inputs listed here are hidden, and not validated, when the
+		 * conditions of the field are not met.
+		 *
+		 * @since 2.5.0
+		 * @param array $inputs The input names.
+		 * @param array $field The field attributes.
+		 */
+		$inputs = apply_filters('wu_checkout_field_condition_inputs', $inputs, $field);
+
+		return array_values(array_unique(array_merge([$field['id']], (array) $inputs)));
+	}
+
+	/**
+	 * Returns the settings used by the checkout app to evaluate conditions.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Checkout_Form|false $checkout_form The checkout form.
+	 * @return array
+	 */
+	public function get_client_settings($checkout_form) {
+
+		$fields = [];
+
+		foreach ($checkout_form ? $checkout_form->get_all_fields() : [] as $field) {
+			if ( ! $this->has_conditions($field) || ! wu_get_isset($field, 'id')) {
+				continue;
+			}
+
+			/*
+			 * Keyed by input name, as that is what the client-side validation checks.
+			 */
+			foreach ($this->get_field_inputs($field) as $input) {
+				$fields[ $input ] = [
+					'conditions' => array_values($field['conditions']),
+					'match'      => $this->get_match($field),
+				];
+			}
+		}
+
+		return [
+			'eu_countries' => $this->get_eu_countries(),
+			'fields'       => (object) $fields,
+		];
+	}
+
+	/**
+	 * Removes the validation rules of the fields hidden by their conditions.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array    $validation_rules The validation rules.
+	 * @param Checkout $checkout The checkout class.
+	 * @return array
+	 */
+	public function remove_hidden_field_rules($validation_rules, $checkout) {
+
+		if ( ! $checkout->checkout_form) {
+			return $validation_rules;
+		}
+
+		$values = null;
+
+		foreach ($checkout->checkout_form->get_settings() as $step) {
+			$step_has_conditions = $this->has_conditions($step);
+
+			foreach (wu_get_isset($step, 'fields', []) as $field) {
+				if ( ! wu_get_isset($field, 'id') || ( ! $step_has_conditions && ! $this->has_conditions($field))) {
+					continue;
+				}
+
+				if (null === $values) {
+					$values = $this->get_values($checkout);
+				}
+
+				if ( ! $this->is_visible($step, $values) || ! $this->is_visible($field, $values)) {
+					foreach ($this->get_field_inputs($field) as $input) {
+						unset($validation_rules[ $input ]);
+					}
+				}
+			}
+		}
+
+		return $validation_rules;
+	}
+
+	/**
+	 * Removes the steps hidden by their conditions.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array    $steps The steps.
+	 * @param Checkout $checkout The checkout class.
+	 * @return array
+	 */
+	public function get_visible_steps($steps, $checkout) {
+
+		$steps = (array) $steps;
+
+		if (empty(array_filter($steps, [$this, 'has_conditions']))) {
+			return $steps;
+		}
+
+		$values = $this->get_values($checkout);
+
+		return array_values(array_filter($steps, fn($step) => $this->is_visible($step, $values)));
+	}
+}
@@ -230,7 +230,7 @@ class Legacy_Checkout {
 		wp_enqueue_script('wu-legacy-signup');
 
 		// Register coupon code script
-		wp_register_script('wu-coupon-code', wu_get_asset('coupon-code.js', 'js'), ['wu-vue', 'wu-functions', 'wu-block-ui', 'wu-accounting'], \WP_Ultimo::VERSION, true);
+		wp_register_script('wu-coupon-code', wu_get_asset('coupon-code.js', 'js'), ['wu-pricing', 'wu-functions'], \WP_Ultimo::VERSION, true);
 
 		// Check if coupon is present and enqueue script
 		if (isset($_GET['coupon']) && wu_get_coupon(sanitize_text_field(wp_unslash($_GET['coupon']))) !== false && isset($_GET['step']) && 'plan' === $_GET['step']) { // phpcs:ignore WordPress.Security.NonceVerification
@@ -240,17 +240,10 @@ class Legacy_Checkout {
 				'wu-coupon-code',
 				'wu_coupon_data',
 				[
-					'coupon'                   => $coupon,
-					'type'                     => get_post_meta($coupon->id, 'wpu_type', true),
-					'value'                    => get_post_meta($coupon->id, 'wpu_value', true),
-					'applies_to_setup_fee'     => get_post_meta($coupon->id, 'wpu_applies_to_setup_fee', true),
-					'setup_fee_discount_value' => get_post_meta($coupon->id, 'wpu_setup_fee_discount_value', true),
-					'setup_fee_discount_type'  => get_post_meta($coupon->id, 'wpu_setup_fee_discount_type', true),
-					'allowed_plans'            => get_post_meta($coupon->id, 'wpu_allowed_plans', true),
-					'allowed_freqs'            => get_post_meta($coupon->id, 'wpu_allowed_freqs', true),
-					'off_text'                 => __('OFF', 'ultimate-multisite'),
-					'free_text'                => __('Free!', 'ultimate-multisite'),
-					'no_setup_fee_text'        => __('No Setup Fee', 'ultimate-multisite'),
+					'discount'          => $coupon->get_pricing_rules(),
+					'off_text'          => __('OFF', 'ultimate-multisite'),
+					'free_text'         => __('Free!', 'ultimate-multisite'),
+					'no_setup_fee_text' => __('No Setup Fee', 'ultimate-multisite'),
 				]
 			);
 
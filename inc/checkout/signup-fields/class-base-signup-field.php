@@ -408,6 +408,8 @@ abstract class Base_Signup_Field {
 			'from_request',
 			'width',
 			'logged',
+			'conditions',
+			'conditions_match',
 		];
 
 		$field_keys = array_keys($this->get_fields());
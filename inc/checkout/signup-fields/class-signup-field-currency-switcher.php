@@ -0,0 +1,208 @@
+<?php
+/**
+ * Lets customers pick the currency prices are displayed in.
+ *
+ * @package WP_Ultimo
+ * @subpackage Checkout
+ * @since 2.5.0
+ */
+
+namespace WP_Ultimo\Checkout\Signup_Fields;
+
+use WP_Ultimo\Checkout\Signup_Fields\Base_Signup_Field;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Lets customers pick the currency prices are displayed in.
+ *
+ * Prices are converted using the fixed exchange rates from the
+ * settings. Payments are still charged in the site currency.
+ *
+ * @package WP_Ultimo
+ * @subpackage Checkout
+ * @since 2.5.0
+ */
+class Signup_Field_Currency_Switcher extends Base_Signup_Field {
+
+	/**
+	 * Returns the type of the field.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_type() {
+
+		return 'currency_switcher';
+	}
+
+	/**
+	 * Returns if this field should be present on the checkout flow or not.
+	 *
+	 * @since 2.5.0
+	 * @return boolean
+	 */
+	public function is_required() {
+
+		return false;
+	}
+
+	/**
+	 * Requires the title of the field/element type.
+	 *
+	 * This is used on the Field/Element selection screen.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_title() {
+
+		return __('Currency Switcher', 'ultimate-multisite');
+	}
+
+	/**
+	 * Returns the description of the field/element.
+	 *
+	 * This is used as the title attribute of the selector.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_description() {
+
+		return __('Lets customers see prices in other currencies, using the exchange rates from the settings.', 'ultimate-multisite');
+	}
+
+	/**
+	 * Returns the tooltip of the field/element.
+	 *
+	 * This is used as the tooltip attribute of the selector.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_tooltip() {
+
+		return __('Lets customers see prices in other currencies, using the exchange rates from the settings.', 'ultimate-multisite');
+	}
+
+	/**
+	 * Returns the icon to be used on the selector.
+	 *
+	 * Can be either a dashicon class or a wu-dashicon class.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_icon() {
+
+		return 'dashicons-wu-credit';
+	}
+
+	/**
+	 * Returns the default values for the field-elements.
+	 *
+	 * This is passed through a wp_parse_args before we send the values
+	 * to the method that returns the actual fields for the checkout form.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function defaults() {
+
+		return [
+			'name' => __('Currency', 'ultimate-multisite'),
+		];
+	}
+
+	/**
+	 * List of keys of the default fields we want to display on the builder.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function default_fields() {
+
+		return [
+			'name',
+			'tooltip',
+		];
+	}
+
+	/**
+	 * If you want to force a particular attribute to a value, declare it here.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function force_attributes() {
+
+		return [
+			'id' => 'display_currency',
+		];
+	}
+
+	/**
+	 * Returns the list of additional fields specific to this type.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_fields() {
+
+		$editor_fields = [];
+
+		if ( ! wu_is_currency_switcher_enabled()) {
+			$editor_fields['currency_switcher_note'] = [
+				'type'  => 'note',
+				'order' => 12,
+				'desc'  => sprintf(
+					// translators: %s is the link to the settings page.
+					__('Add the exchange rates on the <a href="%s" target="_blank">General settings</a> to enable this field.', 'ultimate-multisite'),
+					esc_url(wu_network_admin_url('wp-ultimo-settings', ['tab' => 'general']))
+				),
+			];
+		}
+
+		return $editor_fields;
+	}
+
+	/**
+	 * Returns the field/element actual field array to be used on the checkout form.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $attributes Attributes saved on the editor form.
+	 * @return array An array of fields, not the field itself.
+	 */
+	public function to_fields_array($attributes) {
+
+		/*
+		 * Nothing to switch to.
+		 */
+		if ( ! wu_is_currency_switcher_enabled()) {
+			return [];
+		}
+
+		$options = [];
+
+		foreach (wu_get_switcher_currencies() as $currency) {
+			$options[ $currency['code'] ] = sprintf('%s (%s)', $currency['name'], $currency['symbol']);
+		}
+
+		return [
+			'display_currency' => [
+				'type'            => 'select',
+				'id'              => 'display_currency',
+				'name'            => $attributes['name'],
+				'tooltip'         => $attributes['tooltip'],
+				'options'         => $options,
+				'wrapper_classes' => wu_get_isset($attributes, 'element_classes', ''),
+				'html_attr'       => [
+					'v-model' => 'display_currency',
+				],
+			],
+		];
+	}
+}
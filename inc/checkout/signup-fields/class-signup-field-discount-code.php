@@ -195,6 +195,13 @@ class Signup_Field_Discount_Code extends Base_Signup_Field {
 			],
 		];
 
+		$checkout_fields['discount_code_results'] = [
+			'type'            => 'note',
+			'id'              => 'discount_code_results',
+			'wrapper_classes' => wu_get_isset($attributes, 'wrapper_element_classes', ''),
+			'desc'            => fn() => wu_get_template_contents('checkout/partials/discount-code-results'),
+		];
+
 		return $checkout_fields;
 	}
 }
@@ -0,0 +1,380 @@
+<?php
+/**
+ * Offers products to the customer based on what is in the cart.
+ *
+ * @package WP_Ultimo
+ * @subpackage Checkout
+ * @since 2.5.0
+ */
+
+namespace WP_Ultimo\Checkout\Signup_Fields;
+
+use WP_Ultimo\Checkout\Signup_Fields\Base_Signup_Field;
+use WP_Ultimo\Checkout\Checkout_Recommendations;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Offers products to the customer based on what is in the cart.
+ *
+ * Each rule offers a product when its condition is met, e.g. when a
+ * given plan is in the cart or when the customer is billed yearly.
+ * Offers are displayed as cards that can be added to the cart or
+ * dismissed.
+ *
+ * @package WP_Ultimo
+ * @subpackage Checkout
+ * @since 2.5.0
+ */
+class Signup_Field_Recommendations extends Base_Signup_Field {
+
+	/**
+	 * Returns the type of the field.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_type() {
+
+		return 'recommendations';
+	}
+
+	/**
+	 * Returns if this field should be present on the checkout flow or not.
+	 *
+	 * @since 2.5.0
+	 * @return boolean
+	 */
+	public function is_required() {
+
+		return false;
+	}
+
+	/**
+	 * Requires the title of the field/element type.
+	 *
+	 * This is used on the Field/Element selection screen.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_title() {
+
+		return __('Recommendations', 'ultimate-multisite');
+	}
+
+	/**
+	 * Returns the description of the field/element.
+	 *
+	 * This is used as the title attribute of the selector.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_description() {
+
+		return __('Offers products to the customer based on rules, such as the plan in the cart or the billing period.', 'ultimate-multisite');
+	}
+
+	/**
+	 * Returns the tooltip of the field/element.
+	 *
+	 * This is used as the tooltip attribute of the selector.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_tooltip() {
+
+		return __('Offers products to the customer based on rules, such as the plan in the cart or the billing period.', 'ultimate-multisite');
+	}
+
+	/**
+	 * Returns the icon to be used on the selector.
+	 *
+	 * Can be either a dashicon class or a wu-dashicon class.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_icon() {
+
+		return 'dashicons-wu-gift';
+	}
+
+	/**
+	 * Returns the default values for the field-elements.
+	 *
+	 * This is passed through a wp_parse_args before we send the values
+	 * to the method that returns the actual fields for the checkout form.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function defaults() {
+
+		return [
+			'recommendation_rules' => [],
+		];
+	}
+
+	/**
+	 * List of keys of the default fields we want to display on the builder.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function default_fields() {
+
+		return [
+			'name',
+		];
+	}
+
+	/**
+	 * If you want to force a particular attribute to a value, declare it here.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function force_attributes() {
+
+		return [];
+	}
+
+	/**
+	 * Returns the products that can be used on the rules.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_product_options() {
+
+		$options = [];
+
+		foreach (wu_get_products() as $product) {
+			$options[ $product->get_id() ] = $product->get_name();
+		}
+
+		return $options;
+	}
+
+	/**
+	 * Returns the list of additional fields specific to this type.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_fields() {
+
+		$editor_fields = [];
+
+		$editor_fields['recommendation_rules_header'] = [
+			'type'  => 'small-header',
+			'title' => __('Rules', 'ultimate-multisite'),
+			'desc'  => __('Each rule offers a product when its condition is met. Offers for products already in the cart are not displayed.', 'ultimate-multisite'),
+			'order' => 90,
+		];
+
+		$editor_fields['recommendation_rules_empty'] = [
+			'type'              => 'note',
+			'desc'              => __('Add the first rule using the button below.', 'ultimate-multisite'),
+			'classes'           => 'wu-text-gray-600 wu-text-xs wu-text-center wu-w-full',
+			'wrapper_classes'   => 'wu-bg-gray-100 wu-items-end',
+			'order'             => 90.5,
+			'wrapper_html_attr' => [
+				'v-if'    => 'recommendation_rules.length === 0',
+				'v-cloak' => '1',
+			],
+		];
+
+		$editor_fields['recommendation_rules'] = [
+			'type'              => 'group',
+			'tooltip'           => '',
+			'order'             => 91,
+			'wrapper_classes'   => 'wu-relative wu-bg-gray-100 wu-pb-2 wu-flex-wrap',
+			'wrapper_html_attr' => [
+				'v-if'    => 'recommendation_rules.length',
+				'v-for'   => '(rule, index) in recommendation_rules',
+				'v-cloak' => '1',
+			],
+			'fields'            => [
+				'recommendation_rules_remove'            => [
+					'type'            => 'note',
+					'desc'            => function () {
+						printf('<a title="%s" class="wu-no-underline wu-inline-block wu-text-gray-600 wu-mt-2 wu-mr-2" href="#" @click.prevent="() => recommendation_rules.splice(index, 1)"><span class="dashicons-wu-squared-cross"></span></a>', esc_html__('Remove', 'ultimate-multisite'));
+					},
+					'wrapper_classes' => 'wu-absolute wu-top-0 wu-right-0',
+				],
+				'recommendation_rules_id'                => [
+					'type'      => 'hidden',
+					'html_attr' => [
+						'v-model'     => 'rule.id',
+						'v-bind:name' => '"recommendation_rules[" + index + "][id]"',
+					],
+				],
+				'recommendation_rules_condition'         => [
+					'type'            => 'select',
+					'title'           => __('When', 'ultimate-multisite'),
+					'wrapper_classes' => 'wu-w-4/12 wu-mr-2',
+					'options'         => [Checkout_Recommendations::get_instance(), 'get_conditions'],
+					'html_attr'       => [
+						'v-model'     => 'rule.condition',
+						'v-bind:name' => '"recommendation_rules[" + index + "][condition]"',
+					],
+				],
+				'recommendation_rules_condition_product' => [
+					'type'              => 'select',
+					'title'             => __('Product', 'ultimate-multisite'),
+					'wrapper_classes'   => 'wu-flex-grow',
+					'options'           => [$this, 'get_product_options'],
+					'wrapper_html_attr' => [
+						'v-show' => 'rule.condition === "product"',
+					],
+					'html_attr'         => [
+						'v-model'     => 'rule.condition_product',
+						'v-bind:name' => '"recommendation_rules[" + index + "][condition_product]"',
+					],
+				],
+				'recommendation_rules_duration'          => [
+					'type'              => 'number',
+					'title'             => __('Duration', 'ultimate-multisite'),
+					'placeholder'       => '',
+					'wrapper_classes'   => 'wu-w-3/12 wu-mr-2',
+					'min'               => 1,
+					'wrapper_html_attr' => [
+						'v-show' => 'rule.condition === "duration"',
+					],
+					'html_attr'         => [
+						'v-model'     => 'rule.condition_duration',
+						'steps'       => 1,
+						'v-bind:name' => '"recommendation_rules[" + index + "][condition_duration]"',
+					],
+				],
+				'recommendation_rules_duration_unit'     => [
+					'type'              => 'select',
+					'title'             => '&nbsp',
+					'placeholder'       => '',
+					'wrapper_classes'   => 'wu-flex-grow',
+					'options'           => [
+						'day'   => __('Days', 'ultimate-multisite'),
+						'week'  => __('Weeks', 'ultimate-multisite'),
+						'month' => __('Months', 'ultimate-multisite'),
+						'year'  => __('Years', 'ultimate-multisite'),
+					],
+					'wrapper_html_attr' => [
+						'v-show' => 'rule.condition === "duration"',
+					],
+					'html_attr'         => [
+						'v-model'     => 'rule.condition_duration_unit',
+						'v-bind:name' => '"recommendation_rules[" + index + "][condition_duration_unit]"',
+					],
+				],
+				'recommendation_rules_product'           => [
+					'type'            => 'select',
+					'title'           => __('Offer', 'ultimate-multisite'),
+					'wrapper_classes' => 'wu-w-full wu-mt-2',
+					'options'         => [$this, 'get_product_options'],
+					'html_attr'       => [
+						'v-model'     => 'rule.product',
+						'v-bind:name' => '"recommendation_rules[" + index + "][product]"',
+					],
+				],
+				'recommendation_rules_headline'          => [
+					'type'            => 'text',
+					'title'           => __('Headline', 'ultimate-multisite'),
+					'placeholder'     => __('e.g. Add daily backups for peace of mind', 'ultimate-multisite'),
+					'tooltip'         => __('Leave blank to use the product name.', 'ultimate-multisite'),
+					'wrapper_classes' => 'wu-w-full wu-mt-2',
+					'html_attr'       => [
+						'v-model'     => 'rule.headline',
+						'v-bind:name' => '"recommendation_rules[" + index + "][headline]"',
+					],
+				],
+				'recommendation_rules_description'       => [
+					'type'            => 'text',
+					'title'           => __('Description', 'ultimate-multisite'),
+					'placeholder'     => '',
+					'tooltip'         => __('Leave blank to use the product description.', 'ultimate-multisite'),
+					'wrapper_classes' => 'wu-w-full wu-mt-2',
+					'html_attr'       => [
+						'v-model'     => 'rule.description',
+						'v-bind:name' => '"recommendation_rules[" + index + "][description]"',
+					],
+				],
+				'recommendation_rules_stats'             => [
+					'type'            => 'note',
+					'desc'            => function () {
+						printf(
+							'<span v-if="rule.id && recommendation_stats[rule.id]">%s</span><span v-else>%s</span>',
+							// translators: %1$s, %2$s and %3$s are the number of impressions, clicks and conversions, respectively.
+							sprintf(esc_html__('Shown %1$s times, added %2$s times, purchased %3$s times.', 'ultimate-multisite'), '{{ recommendation_stats[rule.id].impressions }}', '{{ recommendation_stats[rule.id].clicks }}', '{{ recommendation_stats[rule.id].conversions }}'),
+							esc_html__('Not shown to customers yet.', 'ultimate-multisite')
+						);
+					},
+					'classes'         => 'wu-text-gray-600 wu-text-xs',
+					'wrapper_classes' => 'wu-w-full wu-mt-2',
+				],
+			],
+		];
+
+		$editor_fields['repeat'] = [
+			'order'             => 92,
+			'type'              => 'submit',
+			'title'             => __('+ Add rule', 'ultimate-multisite'),
+			'classes'           => 'wu-uppercase wu-text-2xs wu-text-blue-700 wu-border-none wu-bg-transparent wu-font-bold wu-text-right wu-w-full wu-cursor-pointer',
+			'wrapper_classes'   => 'wu-bg-gray-100 wu-items-end',
+			'wrapper_html_attr' => [
+				'v-cloak' => '1',
+			],
+			'html_attr'         => [
+				'v-on:click.prevent' => '() => recommendation_rules.push({
+					id: Math.random().toString(36).slice(2, 14),
+					condition: "product",
+					condition_product: "",
+					condition_duration: 1,
+					condition_duration_unit: "year",
+					product: "",
+					headline: "",
+					description: "",
+				})',
+			],
+		];
+
+		return $editor_fields;
+	}
+
+	/**
+	 * Returns the field/element actual field array to be used on the checkout form.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $attributes Attributes saved on the editor form.
+	 * @return array An array of fields, not the field itself.
+	 */
+	public function to_fields_array($attributes) {
+
+		$rules = Checkout_Recommendations::get_instance()->prepare_rules(wu_get_isset($attributes, 'recommendation_rules', []));
+
+		if (empty($rules)) {
+			return [];
+		}
+
+		Checkout_Recommendations::get_instance()->add_rules($rules);
+
+		return [
+			$attributes['id'] => [
+				'type'            => 'note',
+				'id'              => $attributes['id'],
+				'wrapper_classes' => wu_get_isset($attributes, 'element_classes', ''),
+				'desc'            => fn() => wu_get_template_contents(
+					'checkout/partials/recommendations',
+					[
+						'title' => wu_get_isset($attributes, 'name', ''),
+					]
+				),
+			],
+		];
+	}
+}
@@ -122,6 +122,7 @@ class Signup_Field_Site_Url extends Base_Signup_Field {
 			'display_url_preview'       => true,
 			'enable_domain_selection'   => false,
 			'display_field_attachments' => true,
+			'check_availability'        => true,
 			'available_domains'         => $current_site->domain . PHP_EOL,
 		];
 	}
@@ -222,6 +223,21 @@ class Signup_Field_Site_Url extends Base_Signup_Field {
 					'v-model' => 'display_url_preview',
 				],
 			],
+			'check_availability'            => [
+				'order'             => 19.5,
+				'type'              => 'toggle',
+				'title'             => __('Check Availability', 'ultimate-multisite'),
+				'desc'              => __('Tells the customer if the site URL is available while they type, suggesting alternatives when it is not.', 'ultimate-multisite'),
+				'tooltip'           => '',
+				'value'             => 1,
+				'tab'               => 'content',
+				'wrapper_html_attr' => [
+					'v-show' => '!auto_generate_site_url',
+				],
+				'html_attr'         => [
+					'v-model' => 'check_availability',
+				],
+			],
 			'enable_domain_selection'       => [
 				'order'             => 20,
 				'type'              => 'toggle',
@@ -329,6 +345,21 @@ class Signup_Field_Site_Url extends Base_Signup_Field {
 			],
 		];
 
+		if (wu_get_isset($attributes, 'check_availability', true)) {
+			$checkout_fields['site_url']['html_attr']['v-init:check_site_url_availability'] = 'true';
+
+			$checkout_fields['site_url_availability'] = [
+				'type'              => 'html',
+				'id'                => 'site_url_availability',
+				'content'           => [$this, 'render_availability_status'],
+				'wrapper_classes'   => '',
+				'wrapper_html_attr' => [
+					'v-if'    => 'checking_site_url || site_url_availability.status',
+					'v-cloak' => true,
+				],
+			];
+		}
+
 		if ($attributes['display_field_attachments']) {
 			$checkout_fields['site_url']['classes'] .= ' xs:wu-rounded-none';
 
@@ -390,6 +421,17 @@ class Signup_Field_Site_Url extends Base_Signup_Field {
 		return $checkout_fields;
 	}
 
+	/**
+	 * Renders the availability status of the site URL.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function render_availability_status(): string {
+
+		return wu_get_template_contents('checkout/partials/site-url-availability');
+	}
+
 	/**
 	 * Get the domain options.
 	 *
@@ -113,6 +113,7 @@ class Signup_Field_Template_Selection extends Base_Signup_Field {
 			'template_selection_template'               => 'clean',
 			'cols'                                      => 3,
 			'hide_template_selection_when_pre_selected' => false,
+			'template_selection_per_page'               => 12,
 		];
 	}
 
@@ -259,6 +260,21 @@ class Signup_Field_Template_Selection extends Base_Signup_Field {
 			],
 		];
 
+		$editor_fields['template_selection_per_page'] = [
+			'type'              => 'number',
+			'title'             => __('Templates per Page', 'ultimate-multisite'),
+			'desc'              => __('Splits long lists of templates into pages. Use 0 to show all templates at once.', 'ultimate-multisite'),
+			'value'             => 12,
+			'min'               => 0,
+			'order'             => 25,
+			'wrapper_html_attr' => [
+				'v-show' => 'template_selection_template === \'clean\'',
+			],
+			'html_attr'         => [
+				'v-model' => 'template_selection_per_page',
+			],
+		];
+
 		// phpcs:disable
 		// @todo: re-add developer notes.
 		// $editor_fields['_dev_note_develop_your_own_template_1'] = array(
@@ -324,6 +340,8 @@ class Signup_Field_Template_Selection extends Base_Signup_Field {
 			wp_enqueue_style('legacy-shortcodes', wu_get_asset('legacy-shortcodes.css', 'css'), ['dashicons'], wu_get_version());
 		}
 
+		wp_enqueue_script('wu-template-gallery');
+
 		$site_list = $this->site_list($attributes);
 
 		$customer_sites = [];
@@ -354,6 +372,7 @@ class Signup_Field_Template_Selection extends Base_Signup_Field {
 			'cols'           => $attributes['cols'],
 			'categories'     => $attributes['template_selection_categories'] ?? \WP_Ultimo\Models\Site::get_all_categories($sites),
 			'customer_sites' => $customer_sites,
+			'per_page'       => (int) wu_get_isset($attributes, 'template_selection_per_page', 12),
 		];
 
 		$template_class = Field_Templates_Manager::get_instance()->get_template_class('template_selection', $attributes['template_selection_template']);
@@ -64,7 +64,9 @@ class Light_Ajax {
 				'wu_create_order',
 				'wu_validate_form',
 				'wu_check_user_exists',
+				'wu_check_site_url',
 				'wu_inline_login',
+				'wu_save_partial_checkout',
 
 			]
 		);
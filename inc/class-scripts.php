@@ -167,6 +167,7 @@ class Scripts {
 				$this->get_password_requirements(),
 				[
 					'i18n' => [
+						'strength_label'   => __('Password strength:', 'ultimate-multisite'),
 						'empty'            => __('Strength indicator', 'ultimate-multisite'),
 						'super_strong'     => __('Super Strong', 'ultimate-multisite'),
 						'required'         => __('Required:', 'ultimate-multisite'),
@@ -181,6 +182,26 @@ class Scripts {
 			)
 		);
 
+		/*
+		 * Adds the client-side validation engine
+		 */
+		$this->register_script('wu-checkout-validation', wu_get_asset('checkout-validation.js', 'js'), ['jquery-core', 'underscore', 'wp-hooks']);
+
+		/*
+		 * Adds the template selection gallery shared by the checkout and the template switching
+		 */
+		$this->register_script('wu-template-gallery', wu_get_asset('checkout-template-gallery.js', 'js'), ['wu-vue', 'underscore', 'wp-hooks', 'wu-cookie-helpers']);
+
+		/*
+		 * Adds the pricing core shared by the checkout and the legacy pricing tables
+		 */
+		$this->register_script('wu-pricing', wu_get_asset('pricing.js', 'js'), []);
+
+		/*
+		 * Adds keyboard shortcuts
+		 */
+		$this->register_script('wu-mousetrap', wu_get_asset('lib/mousetrap.js', 'js'), ['jquery']);
+
 		/*
 		 * Adds Input Masking
 		 */
@@ -202,6 +223,8 @@ class Scripts {
 				'decimal_separator'  => wu_get_setting('decimal_separator', '.'),
 				'thousand_separator' => wu_get_setting('thousand_separator', ','),
 				'precision'          => wu_get_setting('precision', 2),
+				'currencies'         => wu_get_switcher_currencies(),
+				'locale'             => str_replace('_', '-', get_locale()),
 				'use_container'      => get_user_setting('wu_use_container', false),
 				'disable_image_zoom' => wu_get_setting('disable_image_zoom', false),
 			]
@@ -708,6 +708,37 @@ class Settings implements \WP_Ultimo\Interfaces\Singleton {
 			120
 		);
 
+		$this->add_field(
+			'general',
+			'enable_currency_switcher',
+			[
+				'title'   => __('Enable Currency Switcher', 'ultimate-multisite'),
+				'desc'    => __('Allow customers to see prices on the checkout and pricing tables converted to other currencies. Payments are still charged in the currency selected above.', 'ultimate-multisite'),
+				'type'    => 'toggle',
+				'default' => 0,
+			],
+			130
+		);
+
+		$this->add_field(
+			'general',
+			'exchange_rates',
+			[
+				'title'       => __('Exchange Rates', 'ultimate-multisite'),
+				'desc'        => __('One currency per line, with the value of one unit of the currency selected above. Prices are converted using these fixed rates.', 'ultimate-multisite'),
+				'type'        => 'textarea',
+				'placeholder' => "EUR = 0.92\nGBP = 0.79\nBRL = 5.10",
+				'default'     => '',
+				'html_attr'   => [
+					'rows' => 5,
+				],
+				'require'     => [
+					'enable_currency_switcher' => 1,
+				],
+			],
+			140
+		);
+
 		/*
 		 * Login & Registration
 		 * This section holds the Login & Registration settings of the Ultimate Multisite Plugin.
@@ -889,6 +920,136 @@ class Settings implements \WP_Ultimo\Interfaces\Singleton {
 			]
 		);
 
+		$this->add_field(
+			'login-and-registration',
+			'checkout_drafts_header',
+			[
+				'title' => __('Checkout Drafts', 'ultimate-multisite'),
+				'desc'  => __('Keep the progress of customers on the checkout form between page reloads and visits.', 'ultimate-multisite'),
+				'type'  => 'header',
+			]
+		);
+
+		$this->add_field(
+			'login-and-registration',
+			'enable_checkout_drafts',
+			[
+				'title'   => __('Save Checkout Progress', 'ultimate-multisite'),
+				'desc'    => __('Saves non-sensitive checkout data (selected products, template, site URL, email address, billing location, discount code and billing period) in the browser of the customer, so they can continue where they left off. Passwords and payment details are never saved.', 'ultimate-multisite'),
+				'type'    => 'toggle',
+				'default' => 1,
+			]
+		);
+
+		$this->add_field(
+			'login-and-registration',
+			'checkout_drafts_storage',
+			[
+				'title'   => __('Checkout Progress Storage', 'ultimate-multisite'),
+				'desc'    => __('Local storage keeps the progress across browser sessions. Session storage discards it when the browser tab is closed.', 'ultimate-multisite'),
+				'type'    => 'select',
+				'default' => 'local',
+				'options' => [
+					'local'   => __('Local Storage', 'ultimate-multisite'),
+					'session' => __('Session Storage', 'ultimate-multisite'),
+				],
+				'require' => [
+					'enable_checkout_drafts' => 1,
+				],
+			]
+		);
+
+		$this->add_field(
+			'login-and-registration',
+			'checkout_drafts_expiration',
+			[
+				'title'   => __('Checkout Progress Expiration (in days)', 'ultimate-multisite'),
+				'desc'    => __('Saved checkout progress older than this is discarded.', 'ultimate-multisite'),
+				'type'    => 'number',
+				'default' => 3,
+				'min'     => 1,
+				'require' => [
+					'enable_checkout_drafts' => 1,
+				],
+			]
+		);
+
+		$this->add_field(
+			'login-and-registration',
+			'abandoned_carts_header',
+			[
+				'title' => __('Abandoned Checkouts', 'ultimate-multisite'),
+				'desc'  => __('Capture checkouts left unfinished and send recovery links to customers.', 'ultimate-multisite'),
+				'type'  => 'header',
+			]
+		);
+
+		$this->add_field(
+			'login-and-registration',
+			'enable_abandoned_cart_tracking',
+			[
+				'title'   => __('Track Abandoned Checkouts', 'ultimate-multisite'),
+				'desc'    => __('Records the email address and cart of customers as soon as they enter an email address on the checkout form. Unfinished checkouts fire the "Checkout Abandoned" event, which can be used by system emails to send a link that pre-fills the checkout form. Visitors that are not customers yet only get these emails if they opt in on the form. Make sure your privacy policy covers this.', 'ultimate-multisite'),
+				'type'    => 'toggle',
+				'default' => 0,
+			]
+		);
+
+		$this->add_field(
+			'login-and-registration',
+			'abandoned_cart_delay',
+			[
+				'title'   => __('Abandonment Delay (in hours)', 'ultimate-multisite'),
+				'desc'    => __('How long a checkout needs to stay untouched before being considered abandoned.', 'ultimate-multisite'),
+				'type'    => 'number',
+				'default' => 1,
+				'min'     => 1,
+				'require' => [
+					'enable_abandoned_cart_tracking' => 1,
+				],
+			]
+		);
+
+		$this->add_field(
+			'login-and-registration',
+			'checkout_analytics_header',
+			[
+				'title' => __('Checkout Analytics', 'ultimate-multisite'),
+				'desc'  => __('Send standard ecommerce events from the checkout form to your analytics tools.', 'ultimate-multisite'),
+				'type'  => 'header',
+			]
+		);
+
+		$this->add_field(
+			'login-and-registration',
+			'enable_checkout_analytics',
+			[
+				'title'   => __('Enable Checkout Analytics', 'ultimate-multisite'),
+				'desc'    => __('Sends the view_item, add_to_cart, remove_from_cart, begin_checkout, add_payment_info and purchase events, with the order totals, as customers go through the checkout form.', 'ultimate-multisite'),
+				'type'    => 'toggle',
+				'default' => 0,
+			]
+		);
+
+		$this->add_field(
+			'login-and-registration',
+			'checkout_analytics_adapter',
+			[
+				'title'   => __('Send Events To', 'ultimate-multisite'),
+				'desc'    => __('Use the data layer if you load Google Analytics through Google Tag Manager, and gtag.js if you added the Google Analytics tag directly. Choose "Custom adapters only" if your events are handled by custom code.', 'ultimate-multisite'),
+				'type'    => 'select',
+				'default' => 'datalayer',
+				'options' => [
+					'datalayer' => __('Data layer (Google Tag Manager)', 'ultimate-multisite'),
+					'gtag'      => __('gtag.js (Google Analytics 4)', 'ultimate-multisite'),
+					'none'      => __('Custom adapters only', 'ultimate-multisite'),
+				],
+				'require' => [
+					'enable_checkout_analytics' => 1,
+				],
+			]
+		);
+
 		$this->add_field(
 			'login-and-registration',
 			'other_header',
@@ -343,6 +343,7 @@ final class WP_Ultimo {
 		require_once wu_path('inc/functions/mock.php');
 		require_once wu_path('inc/functions/model.php');
 		require_once wu_path('inc/functions/broadcast.php');
+		require_once wu_path('inc/functions/abandoned-cart.php');
 		require_once wu_path('inc/functions/email.php');
 		require_once wu_path('inc/functions/checkout-form.php');
 		require_once wu_path('inc/functions/customer.php');
@@ -572,6 +573,12 @@ final class WP_Ultimo {
 
 		\WP_Ultimo\Checkout\Checkout_Pages::get_instance();
 
+		\WP_Ultimo\Checkout\Abandoned_Carts::get_instance();
+
+		\WP_Ultimo\Checkout\Checkout_Recommendations::get_instance();
+
+		\WP_Ultimo\Checkout\Checkout_Experiments::get_instance();
+
 		add_action(
 			'init',
 			function () {
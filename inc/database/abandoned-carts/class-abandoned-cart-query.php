@@ -0,0 +1,82 @@
+<?php
+/**
+ * Class used for querying abandoned carts.
+ *
+ * @package WP_Ultimo
+ * @subpackage Database\Abandoned_Carts
+ * @since 2.5.0
+ */
+
+namespace WP_Ultimo\Database\Abandoned_Carts;
+
+use WP_Ultimo\Database\Posts\Post_Query;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Class used for querying abandoned carts.
+ *
+ * @since 2.5.0
+ */
+class Abandoned_Cart_Query extends Post_Query {
+
+	/**
+	 * Name for a single item
+	 *
+	 * @since  2.5.0
+	 * @access public
+	 * @var string
+	 */
+	protected $item_name = 'post';
+
+	/**
+	 * Plural version for a group of items.
+	 *
+	 * @since  2.5.0
+	 * @access public
+	 * @var string
+	 */
+	protected $item_name_plural = 'posts';
+
+	/**
+	 * Callback function for turning IDs into objects
+	 *
+	 * @since  2.5.0
+	 * @access public
+	 * @var mixed
+	 */
+	protected $item_shape = \WP_Ultimo\Models\Abandoned_Cart::class;
+
+	/**
+	 * Group to cache queries and queried items in.
+	 *
+	 * @since  2.5.0
+	 * @access public
+	 * @var string
+	 */
+	protected $cache_group = 'abandoned_carts';
+
+	/**
+	 * If we should use a global cache group.
+	 *
+	 * @since 2.5.0
+	 * @var bool
+	 */
+	protected $global_cache = true;
+
+	/**
+	 * Modifies the query call to add our type.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $query Query parameters being passed.
+	 * @return array
+	 */
+	public function query($query = []) {
+
+		$query['type__in'] = ['abandoned_cart'];
+
+		return parent::query($query);
+	}
+}
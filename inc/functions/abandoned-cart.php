@@ -0,0 +1,127 @@
+<?php
+/**
+ * Abandoned Cart Functions
+ *
+ * @package WP_Ultimo\Functions
+ * @since   2.5.0
+ */
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+use WP_Ultimo\Models\Abandoned_Cart;
+
+/**
+ * Queries abandoned carts.
+ *
+ * @since 2.5.0
+ *
+ * @param array $query Query arguments.
+ * @return Abandoned_Cart[]
+ */
+function wu_get_abandoned_carts($query = []) {
+
+	$query['type__in'] = ['abandoned_cart'];
+
+	return Abandoned_Cart::query($query);
+}
+
+/**
+ * Gets an abandoned cart based on the ID.
+ *
+ * @since 2.5.0
+ *
+ * @param integer $abandoned_cart_id ID of the abandoned cart to retrieve.
+ * @return Abandoned_Cart|false
+ */
+function wu_get_abandoned_cart($abandoned_cart_id) {
+
+	return Abandoned_Cart::get_by_id($abandoned_cart_id);
+}
+
+/**
+ * Gets the open abandoned cart of an email address on a checkout form.
+ *
+ * @since 2.5.0
+ *
+ * @param string $email_address The email address.
+ * @param string $checkout_form The checkout form slug.
+ * @return Abandoned_Cart|false
+ */
+function wu_get_pending_abandoned_cart($email_address, $checkout_form = '') {
+
+	$carts = wu_get_abandoned_carts(
+		[
+			'number'     => 1,
+			'title'      => $email_address,
+			'status__in' => ['pending', 'abandoned'],
+			'meta_query' => [ // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+				[
+					'key'   => Abandoned_Cart::META_CHECKOUT_FORM,
+					'value' => sanitize_key($checkout_form),
+				],
+			],
+		]
+	);
+
+	return ! empty($carts) ? current($carts) : false;
+}
+
+/**
+ * Gets an abandoned cart from a signed recovery token.
+ *
+ * @since 2.5.0
+ *
+ * @param string $token The recovery token, as generated by Abandoned_Cart::get_recovery_token().
+ * @return Abandoned_Cart|false
+ */
+function wu_get_abandoned_cart_by_recovery_token($token) {
+
+	$parts = explode('.', (string) $token, 2);
+
+	if (count($parts) !== 2) {
+		return false;
+	}
+
+	[$hash, $signature] = $parts;
+
+	$cart = Abandoned_Cart::get_by_hash($hash);
+
+	if ( ! $cart || ! $cart->is_valid_recovery_signature($signature)) {
+		return false;
+	}
+
+	return $cart;
+}
+
+/**
+ * Creates a new abandoned cart.
+ *
+ * @since 2.5.0
+ *
+ * @param array $abandoned_cart_data Abandoned cart attributes.
+ * @return \WP_Error|Abandoned_Cart
+ */
+function wu_create_abandoned_cart($abandoned_cart_data) {
+
+	$abandoned_cart_data = wp_parse_args(
+		$abandoned_cart_data,
+		[
+			'email_address' => '',
+			'products'      => [],
+			'checkout_data' => [],
+			'checkout_form' => '',
+			'step'          => '',
+			'page_url'      => '',
+			'status'        => 'pending',
+			'date_created'  => wu_get_current_time('mysql', true),
+			'date_modified' => wu_get_current_time('mysql', true),
+		]
+	);
+
+	$abandoned_cart = new Abandoned_Cart($abandoned_cart_data);
+
+	$saved = $abandoned_cart->save();
+
+	return is_wp_error($saved) ? $saved : $abandoned_cart;
+}
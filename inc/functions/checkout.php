@@ -9,6 +9,7 @@
 // Exit if accessed directly
 defined('ABSPATH') || exit;
 
+use WP_Ultimo\Checkout\Field_Conditions;
 use WP_Ultimo\Managers\Signup_Fields_Manager;
 
 /**
@@ -125,6 +126,11 @@ function wu_create_checkout_fields($fields = []) {
 
 		$field_array = $field_class->to_fields_array($field);
 
+		/*
+		 * Hide the field while its conditions are not met.
+		 */
+		$field_array = Field_Conditions::get_instance()->add_to_fields($field_array, $field);
+
 		/**
 		 * Fires before a field is added to the checkout form.
 		 *
@@ -471,3 +471,131 @@ function wu_stripe_get_currency_multiplier($currency = 'USD') {
 
 	return apply_filters('wu_stripe_get_currency_multiplier', $multiplier, $currency);
 }
+
+/**
+ * Returns the fixed exchange rates defined by the network admin, keyed by currency code.
+ *
+ * Rates convert from the site currency, which is always present with a rate of 1.
+ *
+ * @since 2.5.0
+ * @return array
+ */
+function wu_get_exchange_rates() {
+
+	$base_currency = wu_get_setting('currency_symbol', 'USD');
+
+	$rates = [
+		$base_currency => 1.0,
+	];
+
+	if (wu_get_setting('enable_currency_switcher', false)) {
+		$currencies = wu_get_currencies();
+
+		$lines = preg_split('/\r\n|\r|\n/', (string) wu_get_setting('exchange_rates', ''));
+
+		foreach ($lines as $line) {
+			$parts = array_map('trim', explode('=', $line));
+
+			if (count($parts) !== 2) {
+				continue;
+			}
+
+			$currency = strtoupper($parts[0]);
+
+			$rate = (float) str_replace(',', '.', $parts[1]);
+
+			if ($currency === $base_currency || ! isset($currencies[ $currency ]) || $rate <= 0) {
+				continue;
+			}
+
+			$rates[ $currency ] = $rate;
+		}
+	}
+
+	/**
+	 * Filters the exchange rates used to display prices in other currencies.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array  $rates         The rates, keyed by currency code.
+	 * @param string $base_currency The site currency.
+	 */
+	return apply_filters('wu_exchange_rates', $rates, $base_currency);
+}
+
+/**
+ * Checks if customers can switch the currency prices are displayed in.
+ *
+ * @since 2.5.0
+ * @return bool
+ */
+function wu_is_currency_switcher_enabled() {
+
+	return count(wu_get_exchange_rates()) > 1;
+}
+
+/**
+ * Returns a valid display currency, falling back to the site currency.
+ *
+ * @since 2.5.0
+ *
+ * @param string $currency The currency code requested.
+ * @return string
+ */
+function wu_get_display_currency($currency = '') {
+
+	$currency = strtoupper((string) $currency);
+
+	if (isset(wu_get_exchange_rates()[ $currency ])) {
+		return $currency;
+	}
+
+	return wu_get_setting('currency_symbol', 'USD');
+}
+
+/**
+ * Converts an amount in the site currency to another currency, using the fixed exchange rates.
+ *
+ * Converted amounts are for display only: payments are still charged in the site currency.
+ *
+ * @since 2.5.0
+ *
+ * @param float  $amount   The amount, in the site currency.
+ * @param string $currency The currency code to convert to.
+ * @return float
+ */
+function wu_convert_currency($amount, $currency) {
+
+	$rates = wu_get_exchange_rates();
+
+	$currency = wu_get_display_currency($currency);
+
+	$precision = wu_is_zero_decimal_currency($currency) ? 0 : (int) wu_get_setting('precision', 2);
+
+	return round(wu_to_float($amount) * $rates[ $currency ], $precision);
+}
+
+/**
+ * Returns the currencies customers can switch to, with the data needed to convert and format prices.
+ *
+ * @since 2.5.0
+ * @return array
+ */
+function wu_get_switcher_currencies() {
+
+	$currencies = wu_get_currencies();
+
+	$switcher_currencies = [];
+
+	foreach (wu_get_exchange_rates() as $currency => $rate) {
+		$switcher_currencies[ $currency ] = [
+			'code'      => $currency,
+			'name'      => wu_get_isset($currencies, $currency, $currency),
+			'symbol'    => wu_get_currency_symbol($currency),
+			'rate'      => $rate,
+			'precision' => wu_is_zero_decimal_currency($currency) ? 0 : (int) wu_get_setting('precision', 2),
+		];
+	}
+
+	return $switcher_currencies;
+}
@@ -96,11 +96,18 @@ class Base_Stripe_Gateway extends Base_Gateway {
 	 */
 	protected function get_stripe_client(): StripeClient {
 		if (! isset($this->stripe_client)) {
-			$this->stripe_client = new StripeClient(
-				[
-					'api_key' => $this->secret_key,
-				]
-			);
+			$client_args = [
+				'api_key' => $this->secret_key,
+			];
+
+			/*
+			 * Allows pointing the gateway to a local Stripe mock server, such as stripe-mock.
+			 */
+			if (defined('WU_STRIPE_API_BASE') && WU_STRIPE_API_BASE) {
+				$client_args['api_base'] = WU_STRIPE_API_BASE;
+			}
+
+			$this->stripe_client = new StripeClient($client_args);
 		}
 
 		return $this->stripe_client;
@@ -1575,14 +1582,16 @@ class Base_Stripe_Gateway extends Base_Gateway {
 			/*
 			 * Update remote payment methods.
 			 */
-			$this->get_stripe_client()->customers->update(
-				$s_customer->id,
-				[
-					'invoice_settings' => [
-						'default_payment_method' => $payment_intent->payment_method,
-					],
-				]
-			);
+			if ($this->should_set_default_payment_method()) {
+				$this->get_stripe_client()->customers->update(
+					$s_customer->id,
+					[
+						'invoice_settings' => [
+							'default_payment_method' => $payment_intent->payment_method,
+						],
+					]
+				);
+			}
 
 			/*
 			 * De-dupe payment methods.
@@ -1606,7 +1615,7 @@ class Base_Stripe_Gateway extends Base_Gateway {
 					/*
 					 * Detach if the fingerprint matches but payment method ID is different.
 					 */
-					if ($existing_method->card->fingerprint === $payment_method->card->fingerprint && $existing_method->id !== $payment_method->id) {
+					if ( ! empty($payment_method->card) && $existing_method->card->fingerprint === $payment_method->card->fingerprint && $existing_method->id !== $payment_method->id) {
 						$existing_method->detach();
 					}
 				}
@@ -2433,17 +2442,152 @@ class Base_Stripe_Gateway extends Base_Gateway {
 
 		$saved_payment_methods = $this->get_user_saved_payment_methods();
 
+		$default_payment_method = $this->get_default_payment_method_id();
+
 		foreach ($saved_payment_methods as $saved_payment_method) {
-			$options[ $saved_payment_method->id ] = sprintf(
-				// translators: 1 is the card brand (e.g. VISA), and 2 is the last 4 digits.
-				__('%1$s ending in %2$s', 'ultimate-multisite'),
-				strtoupper((string) $saved_payment_method->card->brand),
-				$saved_payment_method->card->last4
-			);
+			$label = $this->get_payment_method_label($saved_payment_method);
+
+			if ($saved_payment_method->id === $default_payment_method) {
+				// translators: %s is the payment method description, e.g. VISA ending in 4242.
+				$options = [$saved_payment_method->id => sprintf(__('%s (default)', 'ultimate-multisite'), $label)] + $options;
+
+				continue;
+			}
+
+			$options[ $saved_payment_method->id ] = $label;
 		}
 
 		return $options;
 	}
+
+	/**
+	 * Returns a human-readable description of a saved payment method.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \Stripe\PaymentMethod $payment_method The Stripe payment method.
+	 * @return string
+	 */
+	public function get_payment_method_label($payment_method) {
+
+		switch ($payment_method->type) {
+			case 'sepa_debit':
+				// translators: %s is the last 4 digits of the IBAN.
+				$label = sprintf(__('SEPA Direct Debit ending in %s', 'ultimate-multisite'), $payment_method->sepa_debit->last4);
+				break;
+			case 'link':
+				// translators: %s is the email address of the Link account.
+				$label = sprintf(__('Link (%s)', 'ultimate-multisite'), $payment_method->link->email);
+				break;
+			default:
+				$label = sprintf(
+					// translators: 1 is the card brand (e.g. VISA), and 2 is the last 4 digits.
+					__('%1$s ending in %2$s', 'ultimate-multisite'),
+					strtoupper((string) $payment_method->card->brand),
+					$payment_method->card->last4
+				);
+		}
+
+		/**
+		 * Filters the description of a saved payment method.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param string                $label          The description.
+		 * @param \Stripe\PaymentMethod $payment_method The Stripe payment method.
+		 * @param Base_Stripe_Gateway   $gateway        The gateway.
+		 */
+		return apply_filters('wu_stripe_payment_method_label', $label, $payment_method, $this);
+	}
+
+	/**
+	 * Returns the Stripe customer id of the current customer.
+	 *
+	 * @since 2.5.0
+	 * @return string|false
+	 */
+	protected function get_current_stripe_customer_id() {
+
+		$customer = wu_get_current_customer();
+
+		if ( ! $customer) {
+			return false;
+		}
+
+		$stripe_customer_id = \WP_Ultimo\Models\Membership::query(
+			[
+				'customer_id' => $customer->get_id(),
+				'search'      => 'cus_*',
+				'fields'      => ['gateway_customer_id'],
+			]
+		);
+
+		return current(array_column($stripe_customer_id, 'gateway_customer_id'));
+	}
+
+	/**
+	 * Returns the id of the default payment method of the current customer on Stripe.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_default_payment_method_id() {
+
+		static $default_payment_methods = [];
+
+		$stripe_customer_id = $this->get_current_stripe_customer_id();
+
+		if (empty($stripe_customer_id)) {
+			return '';
+		}
+
+		if (isset($default_payment_methods[ $stripe_customer_id ])) {
+			return $default_payment_methods[ $stripe_customer_id ];
+		}
+
+		$default_payment_methods[ $stripe_customer_id ] = '';
+
+		try {
+			$this->setup_api_keys();
+
+			$s_customer = $this->get_stripe_client()->customers->retrieve($stripe_customer_id);
+
+			$default_payment_method = $s_customer->invoice_settings->default_payment_method ?? '';
+
+			$default_payment_methods[ $stripe_customer_id ] = is_object($default_payment_method) ? $default_payment_method->id : (string) $default_payment_method;
+		} catch (\Throwable $exception) {
+
+			// Not critical, the first saved method will be selected.
+		}
+
+		return $default_payment_methods[ $stripe_customer_id ];
+	}
+
+	/**
+	 * Checks if the payment method used on the checkout should become the default one.
+	 *
+	 * First-time customers always get their payment method set as the default.
+	 * Customers with saved payment methods decide it on the checkout form.
+	 *
+	 * @since 2.5.0
+	 * @return boolean
+	 */
+	protected function should_set_default_payment_method() {
+
+		$set_default = wu_request('set_default_payment_method', null);
+
+		$should_set_default = null === $set_default ? true : (bool) $set_default;
+
+		/**
+		 * Filters if the payment method used on the checkout should become the default one.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param boolean             $should_set_default If it should be set as default.
+		 * @param Base_Stripe_Gateway $gateway            The gateway.
+		 */
+		return (bool) apply_filters('wu_stripe_should_set_default_payment_method', $should_set_default, $this);
+	}
 	/**
 	 * Add credit card fields.
 	 *
@@ -2498,28 +2642,43 @@ class Base_Stripe_Gateway extends Base_Gateway {
 			return;
 		}
 
-		wp_register_script('wu-stripe-sdk', 'https://js.stripe.com/v3/', false, 'v3', true);
+		/*
+		 * Allows loading a local Stripe.js mock on automated tests.
+		 */
+		$stripe_js_url = defined('WU_STRIPE_JS_URL') && WU_STRIPE_JS_URL ? WU_STRIPE_JS_URL : 'https://js.stripe.com/v3/';
 
-		wp_register_script("wu-{$this->get_id()}", wu_get_asset("gateways/{$this->get_id()}.js", 'js'), ['wu-checkout', 'wu-stripe-sdk'], wu_get_version(), true);
+		wp_register_script('wu-stripe-sdk', $stripe_js_url, false, 'v3', true);
 
-		$saved_cards = $this->get_saved_card_options();
+		wp_register_script("wu-{$this->get_id()}", wu_get_asset("gateways/{$this->get_id()}.js", 'js'), ['wu-checkout', 'wu-stripe-sdk'], wu_get_version(), true);
 
 		$obj_name = 'wu_' . str_replace('-', '_', (string) $this->get_id());
 
-		wp_localize_script(
-			"wu-{$this->get_id()}",
-			$obj_name,
-			[
-				'pk_key'                  => $this->publishable_key,
-				'request_billing_address' => $this->request_billing_address,
-				'add_new_card'            => empty($saved_cards),
-				'payment_method'          => empty($saved_cards) ? 'add-new' : current(array_keys($saved_cards)),
-			]
-		);
+		wp_localize_script("wu-{$this->get_id()}", $obj_name, $this->get_script_settings());
 
 		wp_enqueue_script("wu-{$this->get_id()}");
 	}
 
+	/**
+	 * Returns the settings passed to the gateway script.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	protected function get_script_settings() {
+
+		$saved_cards = $this->get_saved_card_options();
+
+		/*
+		 * The default payment method comes first.
+		 */
+		return [
+			'pk_key'                  => $this->publishable_key,
+			'request_billing_address' => $this->request_billing_address,
+			'add_new_card'            => empty($saved_cards),
+			'payment_method'          => empty($saved_cards) ? 'add-new' : current(array_keys($saved_cards)),
+		];
+	}
+
 	/**
 	 * Maybe create a new tax rate on Stripe
 	 *
@@ -95,6 +95,14 @@ class PayPal_Gateway extends Base_Gateway {
 	 */
 	protected $signature;
 
+	/**
+	 * PayPal REST app client ID, used by the Smart Buttons.
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	protected $client_id;
+
 	/**
 	 * Backwards compatibility for the old notify ajax url.
 	 *
@@ -162,6 +170,7 @@ class PayPal_Gateway extends Base_Gateway {
 			$this->username  = wu_get_setting('paypal_test_username', '');
 			$this->password  = wu_get_setting('paypal_test_password', '');
 			$this->signature = wu_get_setting('paypal_test_signature', '');
+			$this->client_id = wu_get_setting('paypal_test_client_id', '');
 
 			return;
 		}
@@ -176,6 +185,7 @@ class PayPal_Gateway extends Base_Gateway {
 		$this->username  = wu_get_setting('paypal_live_username', '');
 		$this->password  = wu_get_setting('paypal_live_password', '');
 		$this->signature = wu_get_setting('paypal_live_signature', '');
+		$this->client_id = wu_get_setting('paypal_live_client_id', '');
 	}
 
 	/**
@@ -324,6 +334,168 @@ class PayPal_Gateway extends Base_Gateway {
 				],
 			]
 		);
+
+		wu_register_settings_field(
+			'payment-gateways',
+			'paypal_smart_buttons',
+			[
+				'title'     => __('PayPal Smart Buttons', 'ultimate-multisite'),
+				'desc'      => __('Renders the PayPal buttons inside the checkout form, so customers approve the payment on a PayPal pop-up instead of being redirected away. Requires the Client ID of a PayPal REST app on the same account.', 'ultimate-multisite'),
+				'type'      => 'toggle',
+				'default'   => 0,
+				'html_attr' => [
+					'v-model' => 'paypal_smart_buttons',
+				],
+				'require'   => [
+					'active_gateways' => 'paypal',
+				],
+			]
+		);
+
+		wu_register_settings_field(
+			'payment-gateways',
+			'paypal_test_client_id',
+			[
+				'title'       => __('PayPal Test Client ID', 'ultimate-multisite'),
+				'desc'        => '',
+				'tooltip'     => __('Make sure you are placing the TEST client ID, not the live one.', 'ultimate-multisite'),
+				'placeholder' => __('e.g. AeDj3Jx8xK5mTz...', 'ultimate-multisite'),
+				'type'        => 'text',
+				'default'     => '',
+				'capability'  => 'manage_api_keys',
+				'require'     => [
+					'active_gateways'      => 'paypal',
+					'paypal_sandbox_mode'  => 1,
+					'paypal_smart_buttons' => 1,
+				],
+			]
+		);
+
+		wu_register_settings_field(
+			'payment-gateways',
+			'paypal_live_client_id',
+			[
+				'title'       => __('PayPal Live Client ID', 'ultimate-multisite'),
+				'desc'        => '',
+				'tooltip'     => __('Make sure you are placing the LIVE client ID, not the test one.', 'ultimate-multisite'),
+				'placeholder' => __('e.g. AeDj3Jx8xK5mTz...', 'ultimate-multisite'),
+				'type'        => 'text',
+				'default'     => '',
+				'capability'  => 'manage_api_keys',
+				'require'     => [
+					'active_gateways'      => 'paypal',
+					'paypal_sandbox_mode'  => 0,
+					'paypal_smart_buttons' => 1,
+				],
+			]
+		);
+	}
+
+	/**
+	 * Checks if the checkout should use the PayPal Smart Buttons instead of the redirect flow.
+	 *
+	 * @since 2.5.0
+	 * @return boolean
+	 */
+	public function should_use_smart_buttons() {
+
+		$use_smart_buttons = wu_get_setting('paypal_smart_buttons', false) && ! empty($this->client_id);
+
+		/**
+		 * Filters if the PayPal Smart Buttons should be used on the checkout.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param boolean        $use_smart_buttons If the Smart Buttons should be used.
+		 * @param PayPal_Gateway $gateway           The gateway.
+		 */
+		return (bool) apply_filters('wu_paypal_use_smart_buttons', $use_smart_buttons, $this);
+	}
+
+	/**
+	 * Register the PayPal Smart Buttons script.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function register_scripts() {
+
+		$active_gateways = (array) wu_get_setting('active_gateways', []);
+
+		if ( ! in_array($this->get_id(), $active_gateways, true) || ! $this->should_use_smart_buttons()) {
+			return;
+		}
+
+		wp_register_script('wu-paypal', wu_get_asset('gateways/paypal.js', 'js'), ['wu-checkout'], wu_get_version(), true);
+
+		wp_localize_script('wu-paypal', 'wu_paypal', $this->get_script_settings());
+
+		wp_enqueue_script('wu-paypal');
+	}
+
+	/**
+	 * Returns the settings passed to the PayPal script.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	protected function get_script_settings() {
+
+		/*
+		 * Allows loading a local PayPal SDK mock on automated tests.
+		 */
+		$sdk_url = defined('WU_PAYPAL_SDK_URL') && WU_PAYPAL_SDK_URL ? WU_PAYPAL_SDK_URL : 'https://www.paypal.com/sdk/js';
+
+		/**
+		 * Filters the settings passed to the PayPal Smart Buttons script.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param array          $settings The script settings.
+		 * @param PayPal_Gateway $gateway  The gateway.
+		 */
+		return apply_filters(
+			'wu_paypal_script_settings',
+			[
+				'sdk_url'   => $sdk_url,
+				'client_id' => $this->client_id,
+				'currency'  => strtoupper((string) wu_get_setting('currency_symbol', 'USD')),
+				'style'     => [
+					'layout' => 'vertical',
+					'label'  => 'paypal',
+				],
+				'i18n'      => [
+					'use_button'  => __('Please use the PayPal button to complete the payment.', 'ultimate-multisite'),
+					'cancelled'   => __('The PayPal payment was cancelled. You can try again whenever you are ready.', 'ultimate-multisite'),
+					'error'       => __('Something went wrong with PayPal. Please try again or use another payment method.', 'ultimate-multisite'),
+					'load_failed' => __('The PayPal buttons could not be loaded. Please reload the page and try again.', 'ultimate-multisite'),
+				],
+			],
+			$this
+		);
+	}
+
+	/**
+	 * Creates the Express Checkout token for the Smart Buttons.
+	 *
+	 * The token is handed back to the PayPal script, which opens
+	 * the PayPal pop-up with it, instead of redirecting the customer.
+	 *
+	 * @since 2.5.0
+	 * @return array|void
+	 */
+	public function run_preflight() {
+
+		if ( ! $this->should_use_smart_buttons()) {
+			return;
+		}
+
+		$token = $this->create_express_checkout($this->payment, $this->membership, $this->customer, $this->order, $this->order->get_cart_type());
+
+		return [
+			'paypal_token'     => $token,
+			'paypal_recurring' => $this->order->should_auto_renew() && $this->order->has_recurring(),
+		];
 	}
 
 	/**
@@ -422,6 +594,41 @@ class PayPal_Gateway extends Base_Gateway {
 	 * @return void
 	 */
 	public function process_checkout($payment, $membership, $customer, $cart, $type): void {
+		/*
+		 * With the Smart Buttons, the customer already approved
+		 * the payment on the PayPal pop-up, and the checkout
+		 * form was resubmitted with the token and payer id.
+		 */
+		if ($this->should_use_smart_buttons() && wu_request('token') && wu_request('payer_id')) {
+			$this->process_smart_buttons_approval($payment, $membership, $customer, $cart);
+
+			return;
+		}
+
+		$token = $this->create_express_checkout($payment, $membership, $customer, $cart, $type);
+
+		/*
+		 * Redirect to the PayPal checkout URL.
+		 */
+		wp_redirect($this->checkout_url . $token);
+
+		exit;
+	}
+
+	/**
+	 * Sets up the Express Checkout on PayPal.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Payment    $payment The payment associated with the checkout.
+	 * @param \WP_Ultimo\Models\Membership $membership The membership.
+	 * @param \WP_Ultimo\Models\Customer   $customer The customer checking out.
+	 * @param \WP_Ultimo\Checkout\Cart     $cart The cart object.
+	 * @param string                       $type The checkout type. Can be 'new', 'retry', 'upgrade', 'downgrade', 'addon'.
+	 * @throws \Exception When PayPal refuses the request.
+	 * @return string The Express Checkout token.
+	 */
+	protected function create_express_checkout($payment, $membership, $customer, $cart, $type) {
 		/*
 		 * To make our lives easier, let's
 		 * set a couple of variables based on the order.
@@ -642,17 +849,13 @@ class PayPal_Gateway extends Base_Gateway {
 			}
 
 			if ('failure' === strtolower((string) $body['ACK']) || 'failurewithwarning' === strtolower((string) $body['ACK'])) {
-				wp_die(esc_html($body['L_LONGMESSAGE0']), esc_html($body['L_ERRORCODE0']));
-			} else {
-				/*
-				 * We do have a valid token.
-				 *
-				 * Redirect to the PayPal checkout URL.
-				 */
-				wp_redirect($this->checkout_url . $body['TOKEN']);
-
-				exit;
+				throw new \Exception(esc_html($body['L_LONGMESSAGE0']));
 			}
+
+			/*
+			 * We do have a valid token.
+			 */
+			return $body['TOKEN'];
 		}
 
 		/*
@@ -661,6 +864,43 @@ class PayPal_Gateway extends Base_Gateway {
 		throw new \Exception(esc_html__('Something has gone wrong, please try again', 'ultimate-multisite'));
 	}
 
+	/**
+	 * Finishes a checkout approved on the Smart Buttons pop-up.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param \WP_Ultimo\Models\Payment    $payment The payment associated with the checkout.
+	 * @param \WP_Ultimo\Models\Membership $membership The membership.
+	 * @param \WP_Ultimo\Models\Customer   $customer The customer checking out.
+	 * @param \WP_Ultimo\Checkout\Cart     $cart The cart object.
+	 * @throws \Exception When the token is not valid for this payment.
+	 * @return void
+	 */
+	protected function process_smart_buttons_approval($payment, $membership, $customer, $cart) {
+
+		$details = $this->get_checkout_details(sanitize_text_field(wu_request('token')));
+
+		if ( ! is_array($details)) {
+			throw new \Exception(esc_html__('PayPal token no longer valid.', 'ultimate-multisite'));
+		}
+
+		/*
+		 * Makes sure the token was created for this payment.
+		 * The custom key is payment_id|membership_id|customer_id.
+		 */
+		$custom = explode('|', (string) wu_get_isset($details, 'PAYMENTREQUEST_0_CUSTOM', ''));
+
+		if (absint($custom[0]) !== absint($payment->get_id())) {
+			throw new \Exception(esc_html__('The PayPal payment does not match this order.', 'ultimate-multisite'));
+		}
+
+		if ($cart->should_auto_renew() && $cart->has_recurring()) {
+			$this->create_recurring_profile($details, $cart, $payment, $membership, $customer);
+		} else {
+			$this->complete_single_payment($details, $cart, $payment, $membership, $customer);
+		}
+	}
+
 	/**
 	 * Process a cancellation.
 	 *
@@ -795,6 +1035,12 @@ class PayPal_Gateway extends Base_Gateway {
 	 */
 	public function fields() {
 
+		if ($this->should_use_smart_buttons()) {
+			$message = __('Click the PayPal button below to complete the purchase.', 'ultimate-multisite');
+
+			return sprintf('<p class="wu-mb-4">%s</p><div id="paypal-button-container"></div><div id="paypal-errors" role="alert"></div>', $message);
+		}
+
 		$message = __('You will be redirected to PayPal to complete the purchase.', 'ultimate-multisite');
 
 		return sprintf('<p class="wu-p-4 wu-bg-yellow-200">%s</p>', $message);
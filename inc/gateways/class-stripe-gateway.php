@@ -15,6 +15,7 @@ use Stripe\PaymentMethod;
 use WP_Ultimo\Database\Payments\Payment_Status;
 use WP_Ultimo\Database\Memberships\Membership_Status;
 use WP_Ultimo\Gateways\Base_Stripe_Gateway;
+use WP_Ultimo\Checkout\Checkout;
 use Stripe;
 
 // Exit if accessed directly
@@ -195,6 +196,36 @@ class Stripe_Gateway extends Base_Stripe_Gateway {
 			]
 		);
 
+		wu_register_settings_field(
+			'payment-gateways',
+			'stripe_payment_method_types',
+			[
+				'title'   => __('Stripe Payment Methods', 'ultimate-multisite'),
+				'desc'    => __('Payment methods offered on the checkout. They also need to be enabled on your Stripe dashboard. SEPA Direct Debit, iDEAL and Bancontact are only offered when the currency is Euro.', 'ultimate-multisite'),
+				'type'    => 'multiselect',
+				'columns' => 2,
+				'options' => [$this, 'get_payment_method_type_options'],
+				'default' => ['card'],
+				'require' => [
+					'active_gateways' => 'stripe',
+				],
+			]
+		);
+
+		wu_register_settings_field(
+			'payment-gateways',
+			'stripe_payment_request_button',
+			[
+				'title'   => __('Apple Pay and Google Pay Button', 'ultimate-multisite'),
+				'desc'    => __('Displays an express payment button above the payment form when the customer device supports Apple Pay or Google Pay. Apple Pay requires your domains to be verified on Stripe.', 'ultimate-multisite'),
+				'type'    => 'toggle',
+				'default' => 1,
+				'require' => [
+					'active_gateways' => 'stripe',
+				],
+			]
+		);
+
 		$webhook_message = sprintf('<span class="wu-p-2 wu-bg-blue-100 wu-text-blue-600 wu-rounded wu-mt-3 wu-mb-0 wu-block wu-text-xs">%s</span>', __('Whenever you change your Stripe settings, Ultimate Multisite will automatically check the webhook URLs on your Stripe account to make sure we get notified about changes in subscriptions and payments.', 'ultimate-multisite'));
 
 		wu_register_settings_field(
@@ -287,10 +318,13 @@ class Stripe_Gateway extends Base_Stripe_Gateway {
 		];
 
 		/*
-		 * Maybe use an existing payment method.
+		 * Maybe use an existing payment method,
+		 * or the one created by the Apple Pay / Google Pay button.
 		 */
-		if (wu_request('payment_method', 'add-new') !== 'add-new') {
-			$intent_args['payment_method'] = sanitize_text_field(wu_request('payment_method'));
+		$payment_method = wu_request('stripe_wallet_payment_method') ?: wu_request('payment_method', 'add-new');
+
+		if ('add-new' !== $payment_method) {
+			$intent_args['payment_method'] = sanitize_text_field($payment_method);
 		}
 
 		/*
@@ -357,11 +391,12 @@ class Stripe_Gateway extends Base_Stripe_Gateway {
 				$intent_args = wp_parse_args(
 					$intent_args,
 					[
-						'amount'              => $this->order->get_total() * wu_stripe_get_currency_multiplier(),
-						'confirmation_method' => 'automatic',
-						'setup_future_usage'  => 'off_session',
-						'currency'            => strtolower((string) wu_get_setting('currency_symbol', 'USD')),
-						'confirm'             => false,
+						'amount'               => $this->order->get_total() * wu_stripe_get_currency_multiplier(),
+						'confirmation_method'  => 'automatic',
+						'setup_future_usage'   => 'off_session',
+						'currency'             => strtolower((string) wu_get_setting('currency_symbol', 'USD')),
+						'confirm'              => false,
+						'payment_method_types' => $this->get_payment_method_types(),
 					]
 				);
 
@@ -415,7 +450,8 @@ class Stripe_Gateway extends Base_Stripe_Gateway {
 				$intent_args = wp_parse_args(
 					$intent_args,
 					[
-						'usage' => 'off_session',
+						'usage'                => 'off_session',
+						'payment_method_types' => $this->get_payment_method_types(),
 					]
 				);
 
@@ -469,9 +505,179 @@ class Stripe_Gateway extends Base_Stripe_Gateway {
 		return [
 			'stripe_client_secret' => sanitize_text_field($intent->client_secret),
 			'stripe_intent_type'   => sanitize_text_field($intent->object),
+			'stripe_payment_hash'  => $this->payment->get_hash(),
+		];
+	}
+
+	/**
+	 * Finishes checkouts of payment methods that redirect the customer.
+	 *
+	 * Methods such as iDEAL and Bancontact send the customer to their bank
+	 * to authorize the payment. Stripe sends them back to the confirmation URL
+	 * with the intent id, and we process the checkout from here, as the
+	 * checkout form is no longer around to be resubmitted.
+	 *
+	 * @since 2.5.0
+	 * @return void|\WP_Error
+	 */
+	public function process_confirmation() {
+
+		$payment = $this->payment;
+
+		if (empty($payment)) {
+			return new \WP_Error('no-payment', __('Pending payment does not exist.', 'ultimate-multisite'));
+		}
+
+		$payment_intent_id  = (string) $payment->get_meta('stripe_payment_intent_id');
+		$returned_intent_id = sanitize_text_field(wu_request('payment_intent', wu_request('setup_intent', '')));
+
+		if (empty($payment_intent_id) || $payment_intent_id !== $returned_intent_id) {
+			return new \WP_Error('invalid-intent', __('The payment could not be verified. Please try again or contact support if the issue persists.', 'ultimate-multisite'));
+		}
+
+		if ('failed' === wu_request('redirect_status')) {
+			return new \WP_Error('payment-failed', __('The payment was not authorized. Please go back and try again with another payment method.', 'ultimate-multisite'));
+		}
+
+		$cart       = $payment->get_meta('wu_original_cart');
+		$membership = $payment->get_membership();
+		$customer   = $payment->get_customer();
+
+		if (empty($cart) || empty($membership) || empty($customer)) {
+			return new \WP_Error('no-membership', __('Missing membership or customer data.', 'ultimate-multisite'));
+		}
+
+		/*
+		 * The webhook might have beaten us to it,
+		 * or the customer is reloading the page.
+		 */
+		if ($payment->get_status() === Payment_Status::PENDING) {
+			$cart->set_membership($membership);
+			$cart->set_customer($customer);
+			$cart->set_payment($payment);
+
+			$this->order = $cart;
+
+			$this->process_checkout($payment, $membership, $customer, $cart, $cart->get_cart_type());
+
+			/*
+			 * The checkout form did not finish this order, so
+			 * we run what it runs after every checkout processing.
+			 */
+			do_action('wu_checkout_done', $payment, $membership, $customer, $cart, $cart->get_cart_type(), Checkout::get_instance());
+		}
+
+		$this->return_url = remove_query_arg(
+			[
+				'payment_intent',
+				'payment_intent_client_secret',
+				'setup_intent',
+				'setup_intent_client_secret',
+				'redirect_status',
+			],
+			wu_get_current_url()
+		);
+
+		wp_safe_redirect($this->get_return_url());
+
+		exit;
+	}
+
+	/**
+	 * Returns the payment method types that can be offered on the checkout.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_payment_method_type_options() {
+
+		return [
+			'card'       => __('Cards, Apple Pay and Google Pay', 'ultimate-multisite'),
+			'link'       => __('Link', 'ultimate-multisite'),
+			'sepa_debit' => __('SEPA Direct Debit', 'ultimate-multisite'),
+			'ideal'      => __('iDEAL', 'ultimate-multisite'),
+			'bancontact' => __('Bancontact', 'ultimate-multisite'),
 		];
 	}
 
+	/**
+	 * Returns the payment method types enabled for the Payment Element and the intents.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_payment_method_types() {
+
+		$enabled_types = (array) wu_get_setting('stripe_payment_method_types', ['card']);
+
+		$types = array_values(array_intersect(array_keys($this->get_payment_method_type_options()), $enabled_types));
+
+		/*
+		 * Those are Euro-only payment methods.
+		 */
+		if ('EUR' !== strtoupper((string) wu_get_setting('currency_symbol', 'USD'))) {
+			$types = array_values(array_diff($types, ['sepa_debit', 'ideal', 'bancontact']));
+		}
+
+		if (empty($types)) {
+			$types = ['card'];
+		}
+
+		/**
+		 * Filters the payment method types offered by Stripe.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param array          $types          Stripe payment method types, e.g. card or sepa_debit.
+		 * @param Stripe_Gateway $stripe_gateway The gateway.
+		 */
+		return apply_filters('wu_stripe_payment_method_types', $types, $this);
+	}
+
+	/**
+	 * Returns the payment method types customers can reuse on the checkout.
+	 *
+	 * iDEAL and Bancontact payments are saved by Stripe as SEPA Direct Debit
+	 * mandates, so they show up as sepa_debit.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_reusable_payment_method_types() {
+
+		$types = array_intersect($this->get_payment_method_types(), ['card', 'link', 'sepa_debit', 'ideal', 'bancontact']);
+
+		if (array_intersect($types, ['ideal', 'bancontact'])) {
+			$types[] = 'sepa_debit';
+		}
+
+		return array_values(array_unique(array_diff($types, ['ideal', 'bancontact'])));
+	}
+
+	/**
+	 * Returns the settings passed to the gateway script.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	protected function get_script_settings() {
+
+		return array_merge(
+			parent::get_script_settings(),
+			[
+				'payment_method_types'   => $this->get_payment_method_types(),
+				'payment_request_button' => (bool) wu_get_setting('stripe_payment_request_button', true),
+				'currency'               => strtolower((string) wu_get_setting('currency_symbol', 'USD')),
+				'country'                => wu_get_setting('company_country', 'US'),
+				'multiplier'             => wu_stripe_get_currency_multiplier(wu_get_setting('currency_symbol', 'USD')),
+				'site_name'              => get_network_option(null, 'site_name'),
+				'i18n'                   => [
+					'payment_incomplete' => __('The payment could not be completed. Please try again or use another payment method.', 'ultimate-multisite'),
+				],
+			]
+		);
+	}
+
 	/**
 	 * Process a checkout.
 	 *
@@ -652,10 +858,10 @@ class Stripe_Gateway extends Base_Stripe_Gateway {
 		$card_options = $this->get_saved_card_options();
 
 		if ($card_options) {
-			$card_options['add-new'] = __('Add new card', 'ultimate-multisite');
+			$card_options['add-new'] = __('Add a new payment method', 'ultimate-multisite');
 
 			$fields = [
-				'payment_method' => [
+				'payment_method'             => [
 					'type'      => 'radio',
 					'title'     => __('Saved Payment Methods', 'ultimate-multisite'),
 					'value'     => wu_request('payment_method'),
@@ -664,6 +870,14 @@ class Stripe_Gateway extends Base_Stripe_Gateway {
 						'v-model' => 'payment_method',
 					],
 				],
+				'set_default_payment_method' => [
+					'type'              => 'toggle',
+					'title'             => __('Make this my default payment method', 'ultimate-multisite'),
+					'value'             => wu_request('set_default_payment_method'),
+					'wrapper_html_attr' => [
+						'v-show' => sprintf('payment_method !== %s', wp_json_encode($this->get_default_payment_method_id())),
+					],
+				],
 			];
 		}
 
@@ -682,17 +896,25 @@ class Stripe_Gateway extends Base_Stripe_Gateway {
 
 		ob_start();
 
+		/*
+		 * Unchecked toggles are not submitted, so we send
+		 * the "off" value explicitly for returning customers.
+		 */
+		if ($card_options) {
+			echo '<input type="hidden" name="set_default_payment_method" value="0">';
+		}
+
 		$stripe_form->render();
 		?>
 
 		<div v-if="payment_method == 'add-new'">
 
-			<div id="card-element" class="wu-mb-4">
-				<!-- A Stripe Element will be inserted here. -->
+			<div id="payment-request-button" class="wu-mb-4">
+				<!-- The Apple Pay / Google Pay button will be inserted here, when available. -->
 			</div>
 
-			<div class="" id="ideal-bank-element">
-				<!-- A Stripe iDEAL Element will be inserted here. -->
+			<div id="payment-element" class="wu-mb-4">
+				<!-- The Stripe Payment Element will be inserted here. -->
 			</div>
 
 			<!-- Used to display Element errors. -->
@@ -763,30 +985,28 @@ class Stripe_Gateway extends Base_Stripe_Gateway {
 
 			$customer_payment_methods = [];
 
-			$stripe_customer_id = \WP_Ultimo\Models\Membership::query(
-				[
-					'customer_id' => $customer_id,
-					'search'      => 'cus_*',
-					'fields'      => ['gateway_customer_id'],
-				]
-			);
+			$stripe_customer_id = $this->get_current_stripe_customer_id();
 
-			$stripe_customer_id = current(array_column($stripe_customer_id, 'gateway_customer_id'));
+			if (empty($stripe_customer_id)) {
+				return [];
+			}
 
 			/**
 			 * Ensure the correct api keys are set
 			 */
 			$this->setup_api_keys();
 
-			$payment_methods = $this->get_stripe_client()->paymentMethods->all(
+			$payment_methods = $this->get_stripe_client()->customers->allPaymentMethods(
+				$stripe_customer_id,
 				[
-					'customer' => $stripe_customer_id,
-					'type'     => 'card',
+					'limit' => 100,
 				]
 			);
 
 			foreach ($payment_methods->data as $payment_method) {
-				$customer_payment_methods[ $payment_method->id ] = $payment_method;
+				if (in_array($payment_method->type, $this->get_reusable_payment_method_types(), true)) {
+					$customer_payment_methods[ $payment_method->id ] = $payment_method;
+				}
 			}
 
 			$existing_payment_methods[ $customer_id ] = $customer_payment_methods;
@@ -56,6 +56,14 @@ class Validator {
 	 */
 	protected $errors;
 
+	/**
+	 * Holds the translatable error messages.
+	 *
+	 * @since 2.5.0
+	 * @var array
+	 */
+	protected $error_messages;
+
 	/**
 	 * Sets up the validation library and makes the error messages translatable.
 	 *
@@ -66,7 +74,7 @@ class Validator {
 		// translators: %s is the field name.
 		$field_required_message = sprintf(__('The %s field is required', 'ultimate-multisite'), ':attribute');
 
-		$validation_error_messages = apply_filters(
+		$this->error_messages = apply_filters(
 			'wu_validator_error_messages',
 			[
 				'required'         => $field_required_message,
@@ -90,7 +98,7 @@ class Validator {
 			$this
 		);
 
-		$this->validator = new Validator_Helper($validation_error_messages);
+		$this->validator = new Validator_Helper($this->error_messages);
 
 		$this->validator->setTranslations(
 			[
@@ -179,6 +187,19 @@ class Validator {
 		}
 	}
 
+	/**
+	 * Returns the error messages, keyed by rule name.
+	 *
+	 * Used to display the same messages on client-side validation.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_error_messages() {
+
+		return $this->error_messages;
+	}
+
 	/**
 	 * Get holds an instance of the validation being performed.
 	 *
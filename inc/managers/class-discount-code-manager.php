@@ -87,22 +87,19 @@ class Discount_Code_Manager extends Base_Manager {
 			return;
 		}
 
-		$discount_code = $original_cart->get_discount_code();
+		foreach ($original_cart->get_discount_codes() as $discount_code) {
 
-		if ( ! $discount_code) {
-			return;
-		}
-
-		/*
-		 * Refetch the object, as the original version
-		 * might be too old and out-of-date by now.
-		 */
-		$discount_code = wu_get_discount_code($discount_code->get_id());
+			/*
+			 * Refetch the object, as the original version
+			 * might be too old and out-of-date by now.
+			 */
+			$discount_code = wu_get_discount_code($discount_code->get_id());
 
-		if ($discount_code) {
-			$discount_code->add_use();
+			if ($discount_code) {
+				$discount_code->add_use();
 
-			$discount_code->save();
+				$discount_code->save();
+			}
 		}
 	}
 }
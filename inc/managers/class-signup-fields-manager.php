@@ -58,9 +58,11 @@ class Signup_Fields_Manager extends Base_Manager {
 			'site_title'         => \WP_Ultimo\Checkout\Signup_Fields\Signup_Field_Site_Title::class,
 			'site_url'           => \WP_Ultimo\Checkout\Signup_Fields\Signup_Field_Site_Url::class,
 			'discount_code'      => \WP_Ultimo\Checkout\Signup_Fields\Signup_Field_Discount_Code::class,
+			'currency_switcher'  => \WP_Ultimo\Checkout\Signup_Fields\Signup_Field_Currency_Switcher::class,
 			'order_summary'      => \WP_Ultimo\Checkout\Signup_Fields\Signup_Field_Order_Summary::class,
 			'payment'            => \WP_Ultimo\Checkout\Signup_Fields\Signup_Field_Payment::class,
 			'order_bump'         => \WP_Ultimo\Checkout\Signup_Fields\Signup_Field_Order_Bump::class,
+			'recommendations'    => \WP_Ultimo\Checkout\Signup_Fields\Signup_Field_Recommendations::class,
 			'billing_address'    => \WP_Ultimo\Checkout\Signup_Fields\Signup_Field_Billing_Address::class,
 			'steps'              => \WP_Ultimo\Checkout\Signup_Fields\Signup_Field_Steps::class,
 			'text'               => \WP_Ultimo\Checkout\Signup_Fields\Signup_Field_Text::class,
@@ -0,0 +1,449 @@
+<?php
+/**
+ * The Abandoned Cart model.
+ *
+ * @package WP_Ultimo
+ * @subpackage Models
+ * @since 2.5.0
+ */
+
+namespace WP_Ultimo\Models;
+
+use WP_Ultimo\Models\Post_Base_Model;
+
+// Exit if accessed directly
+defined('ABSPATH') || exit;
+
+/**
+ * Abandoned Cart model class. Implements the Base Model.
+ *
+ * Holds the partial checkout information sent by the checkout form
+ * once a customer enters their email address, so the cart can be
+ * recovered later on.
+ *
+ * @since 2.5.0
+ */
+class Abandoned_Cart extends Post_Base_Model {
+
+	/**
+	 * Meta key for the checkout data.
+	 */
+	const META_CHECKOUT_DATA = 'wu_checkout_data';
+
+	/**
+	 * Meta key for the products.
+	 */
+	const META_PRODUCTS = 'wu_products';
+
+	/**
+	 * Meta key for the checkout form slug.
+	 */
+	const META_CHECKOUT_FORM = 'wu_checkout_form';
+
+	/**
+	 * Meta key for the checkout step.
+	 */
+	const META_STEP = 'wu_checkout_step';
+
+	/**
+	 * Meta key for the URL of the page holding the checkout form.
+	 */
+	const META_PAGE_URL = 'wu_page_url';
+
+	/**
+	 * Meta key for the payment created when the cart was recovered.
+	 */
+	const META_RECOVERED_PAYMENT_ID = 'wu_recovered_payment_id';
+
+	/**
+	 * Meta key for the date the visitor opted in to recovery emails.
+	 */
+	const META_RECOVERY_CONSENT = 'wu_recovery_consent';
+
+	/**
+	 * Post model.
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	public $model = 'abandoned_cart';
+
+	/**
+	 * Callback function for turning IDs into objects
+	 *
+	 * @since 2.5.0
+	 * @var mixed
+	 */
+	protected $query_class = \WP_Ultimo\Database\Abandoned_Carts\Abandoned_Cart_Query::class;
+
+	/**
+	 * Post type.
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	protected $type = 'abandoned_cart';
+
+	/**
+	 * Set the allowed status to prevent saving wrong status.
+	 *
+	 * - pending: the customer may still be filling the checkout form;
+	 * - abandoned: the customer left and the abandonment event was fired;
+	 * - recovered: the customer finished the checkout afterwards.
+	 *
+	 * @since 2.5.0
+	 * @var array
+	 */
+	protected $allowed_status = ['pending', 'abandoned', 'recovered'];
+
+	/**
+	 * Abandoned cart status.
+	 *
+	 * @since 2.5.0
+	 * @var string
+	 */
+	protected $status = 'pending';
+
+	/**
+	 * Set the validation rules for this particular model.
+	 *
+	 * @since 2.5.0
+	 * @link https://github.com/rakit/validation
+	 * @return array
+	 */
+	public function validation_rules() {
+
+		return [
+			'title'  => 'required|email',
+			'status' => 'required|in:pending,abandoned,recovered|default:pending',
+			'type'   => 'required|in:abandoned_cart|default:abandoned_cart',
+		];
+	}
+
+	/**
+	 * Get the email address of the customer.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_email_address() {
+
+		return $this->get_title();
+	}
+
+	/**
+	 * Set the email address of the customer.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $email_address The email address entered on the checkout form.
+	 * @return void
+	 */
+	public function set_email_address($email_address): void {
+
+		$this->set_title(sanitize_email($email_address));
+	}
+
+	/**
+	 * Get the non-sensitive checkout data (site URL, billing location, etc).
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_checkout_data() {
+
+		return (array) $this->get_meta(self::META_CHECKOUT_DATA, []);
+	}
+
+	/**
+	 * Set the non-sensitive checkout data.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $checkout_data The checkout data.
+	 * @return void
+	 */
+	public function set_checkout_data($checkout_data): void {
+
+		$this->meta[ self::META_CHECKOUT_DATA ] = (array) $checkout_data;
+	}
+
+	/**
+	 * Get the products on the cart.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_products() {
+
+		return (array) $this->get_meta(self::META_PRODUCTS, []);
+	}
+
+	/**
+	 * Set the products on the cart.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $products List of product IDs or slugs.
+	 * @return void
+	 */
+	public function set_products($products): void {
+
+		$this->meta[ self::META_PRODUCTS ] = array_values(array_filter((array) $products));
+	}
+
+	/**
+	 * Get the slug of the checkout form used.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_checkout_form() {
+
+		return $this->get_meta(self::META_CHECKOUT_FORM, '');
+	}
+
+	/**
+	 * Set the slug of the checkout form used.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $checkout_form The checkout form slug.
+	 * @return void
+	 */
+	public function set_checkout_form($checkout_form): void {
+
+		$this->meta[ self::META_CHECKOUT_FORM ] = sanitize_key($checkout_form);
+	}
+
+	/**
+	 * Get the checkout step the customer was on.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_step() {
+
+		return $this->get_meta(self::META_STEP, '');
+	}
+
+	/**
+	 * Set the checkout step the customer was on.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $step The step id.
+	 * @return void
+	 */
+	public function set_step($step): void {
+
+		$this->meta[ self::META_STEP ] = sanitize_key($step);
+	}
+
+	/**
+	 * Get the URL of the page holding the checkout form.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_page_url() {
+
+		return $this->get_meta(self::META_PAGE_URL, '');
+	}
+
+	/**
+	 * Set the URL of the page holding the checkout form.
+	 *
+	 * Only URLs on allowed hosts are kept.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $page_url The page URL.
+	 * @return void
+	 */
+	public function set_page_url($page_url): void {
+
+		$this->meta[ self::META_PAGE_URL ] = wp_validate_redirect(esc_url_raw($page_url), '');
+	}
+
+	/**
+	 * Get the ID of the payment created when the cart was recovered.
+	 *
+	 * @since 2.5.0
+	 * @return int
+	 */
+	public function get_recovered_payment_id() {
+
+		return (int) $this->get_meta(self::META_RECOVERED_PAYMENT_ID, 0);
+	}
+
+	/**
+	 * Set the ID of the payment created when the cart was recovered.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param int $payment_id The payment ID.
+	 * @return void
+	 */
+	public function set_recovered_payment_id($payment_id): void {
+
+		$this->meta[ self::META_RECOVERED_PAYMENT_ID ] = absint($payment_id);
+	}
+
+	/**
+	 * Get the date the visitor opted in to recovery emails, if they did.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_recovery_consent() {
+
+		return (string) $this->get_meta(self::META_RECOVERY_CONSENT, '');
+	}
+
+	/**
+	 * Checks if the visitor opted in to recovery emails.
+	 *
+	 * @since 2.5.0
+	 * @return bool
+	 */
+	public function has_recovery_consent() {
+
+		return '' !== $this->get_recovery_consent();
+	}
+
+	/**
+	 * Records if the visitor opted in to recovery emails.
+	 *
+	 * The date of the first opt-in is kept, opting out clears it.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param bool $consent If the visitor opted in.
+	 * @return void
+	 */
+	public function set_recovery_consent($consent): void {
+
+		if ( ! $consent) {
+			$this->meta[ self::META_RECOVERY_CONSENT ] = '';
+
+			return;
+		}
+
+		if ( ! $this->has_recovery_consent()) {
+			$this->meta[ self::META_RECOVERY_CONSENT ] = wu_get_current_time('mysql', true);
+		}
+	}
+
+	/**
+	 * Adds checks to prevent saving the model with the wrong type.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $type The type being set.
+	 * @return void
+	 */
+	public function set_type($type): void {
+
+		$this->type = 'abandoned_cart';
+	}
+
+	/**
+	 * Adds checks to prevent saving the model with the wrong status.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $status The status being set.
+	 * @return void
+	 */
+	public function set_status($status): void {
+
+		if ( ! in_array($status, $this->allowed_status, true)) {
+			$status = 'pending';
+		}
+
+		$this->status = $status;
+	}
+
+	/**
+	 * Checks if the cart was already recovered.
+	 *
+	 * @since 2.5.0
+	 * @return bool
+	 */
+	public function is_recovered() {
+
+		return 'recovered' === $this->get_status();
+	}
+
+	/**
+	 * Returns the signature used to validate recovery links.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	protected function get_recovery_signature() {
+
+		return wp_hash($this->get_id() . '|' . $this->get_email_address() . '|' . $this->get_date_created(), 'nonce');
+	}
+
+	/**
+	 * Returns the signed token used on recovery links.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_recovery_token() {
+
+		return $this->get_hash() . '.' . $this->get_recovery_signature();
+	}
+
+	/**
+	 * Checks if a recovery signature is valid for this cart.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $signature The signature to check.
+	 * @return bool
+	 */
+	public function is_valid_recovery_signature($signature) {
+
+		return is_string($signature) && hash_equals($this->get_recovery_signature(), $signature);
+	}
+
+	/**
+	 * Returns the URL that pre-fills the checkout form with this cart.
+	 *
+	 * @since 2.5.0
+	 * @return string
+	 */
+	public function get_recovery_url() {
+
+		$page_url = $this->get_page_url() ?: wu_get_registration_url();
+
+		$url = add_query_arg('recover_checkout', $this->get_recovery_token(), $page_url);
+
+		/**
+		 * Filters the recovery URL of an abandoned cart.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param string         $url  The recovery URL.
+		 * @param Abandoned_Cart $cart The abandoned cart.
+		 */
+		return apply_filters('wu_abandoned_cart_recovery_url', $url, $this);
+	}
+
+	/**
+	 * Save the abandoned cart, refreshing the modification date.
+	 *
+	 * @since 2.5.0
+	 * @return bool|\WP_Error
+	 */
+	public function save() {
+
+		$this->set_date_modified(wu_get_current_time('mysql', true));
+
+		return parent::save();
+	}
+}
@@ -32,6 +32,16 @@ class Checkout_Form extends Base_Model {
 	 */
 	const META_CONVERSION_SNIPPETS = 'wu_conversion_snippets';
 
+	/**
+	 * Meta key for the A/B experiment settings.
+	 */
+	const META_EXPERIMENT = 'wu_experiment';
+
+	/**
+	 * Meta key for the draft revisions of the steps and fields.
+	 */
+	const META_REVISIONS = 'wu_revisions';
+
 	/**
 	 * @var array<string, int>|array<string, string>
 	 */
@@ -101,6 +111,14 @@ class Checkout_Form extends Base_Model {
 	 */
 	protected $conversion_snippets;
 
+	/**
+	 * A/B experiment settings.
+	 *
+	 * @since 2.5.0
+	 * @var array
+	 */
+	protected $experiment;
+
 	/**
 	 * Set a template to use.
 	 *
@@ -148,6 +166,7 @@ class Checkout_Form extends Base_Model {
 			'allowed_countries'   => 'default:',
 			'thank_you_page_id'   => 'integer',
 			'conversion_snippets' => 'nullable|default:',
+			'experiment'          => 'default:',
 			'template'            => 'in:blank,single-step,multi-step',
 		];
 	}
@@ -1145,6 +1164,301 @@ class Checkout_Form extends Base_Model {
 		$this->conversion_snippets = $conversion_snippets;
 	}
 
+	/**
+	 * Get the A/B experiment settings.
+	 *
+	 * The variants are other checkout forms that get a share of the
+	 * traffic of this one, which acts as the control.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_experiment() {
+
+		if (null === $this->experiment) {
+			$this->experiment = $this->get_meta(self::META_EXPERIMENT, []);
+		}
+
+		$experiment = wp_parse_args(
+			is_array($this->experiment) ? $this->experiment : [],
+			[
+				'active'         => false,
+				'control_weight' => 50,
+				'variants'       => [],
+			]
+		);
+
+		$experiment['active'] = (bool) $experiment['active'];
+
+		$experiment['control_weight'] = absint($experiment['control_weight']);
+
+		$experiment['variants'] = array_values(
+			array_filter(
+				array_map(
+					fn($variant) => [
+						'checkout_form' => sanitize_title(wu_get_isset($variant, 'checkout_form', '')),
+						'weight'        => absint(wu_get_isset($variant, 'weight', 0)),
+					],
+					(array) $experiment['variants']
+				),
+				fn($variant) => $variant['checkout_form'] && $variant['checkout_form'] !== $this->get_slug()
+			)
+		);
+
+		return $experiment;
+	}
+
+	/**
+	 * Set the A/B experiment settings.
+	 *
+	 * @since 2.5.0
+	 * @param array $experiment The experiment settings, with the active flag, the control weight and the variants.
+	 * @return void
+	 */
+	public function set_experiment($experiment): void {
+
+		$this->meta[ self::META_EXPERIMENT ] = $experiment;
+
+		$this->experiment = $experiment;
+	}
+
+	/**
+	 * Checks if this checkout form is running an A/B experiment.
+	 *
+	 * @since 2.5.0
+	 * @return boolean
+	 */
+	public function has_experiment() {
+
+		$experiment = $this->get_experiment();
+
+		return $experiment['active'] && ! empty($experiment['variants']);
+	}
+
+	/**
+	 * Get the draft revisions of the steps and fields, newest first.
+	 *
+	 * Revisions are saved from the editor, either by name or as the
+	 * autosave of each admin, and are kept apart from the published
+	 * settings until one of them is restored and the form is saved.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_revisions() {
+
+		$revisions = $this->get_meta(self::META_REVISIONS, []);
+
+		return array_values(array_filter(is_array($revisions) ? $revisions : [], fn($revision) => is_array($revision) && ! empty($revision['id'])));
+	}
+
+	/**
+	 * Get a draft revision by its id.
+	 *
+	 * @since 2.5.0
+	 * @param string $revision_id The revision id.
+	 * @return array|false
+	 */
+	public function get_revision($revision_id) {
+
+		foreach ($this->get_revisions() as $revision) {
+			if ($revision['id'] === $revision_id) {
+				return $revision;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Saves a draft revision of the steps and fields.
+	 *
+	 * Each admin has a single autosave, which is replaced every time.
+	 * Only the most recent revisions are kept.
+	 *
+	 * @since 2.5.0
+	 * @param array  $settings The steps and fields.
+	 * @param string $name The revision name.
+	 * @param bool   $autosave If this is the autosave of the current admin.
+	 * @return array|false The revision, false if the form was not saved yet.
+	 */
+	public function add_revision($settings, $name = '', $autosave = false) {
+
+		if ( ! $this->exists()) {
+			return false;
+		}
+
+		$author_id = get_current_user_id();
+
+		$revision = [
+			'id'           => $autosave ? "autosave-{$author_id}" : uniqid('revision-'),
+			'name'         => $autosave ? __('Autosave', 'ultimate-multisite') : sanitize_text_field($name),
+			'autosave'     => (bool) $autosave,
+			'author_id'    => $author_id,
+			'date_created' => wu_get_current_time('mysql', true),
+			'settings'     => (array) $settings,
+		];
+
+		$revisions = array_filter($this->get_revisions(), fn($item) => $item['id'] !== $revision['id']);
+
+		array_unshift($revisions, $revision);
+
+		/**
+		 * Filters the number of draft revisions kept for each checkout form.
+		 *
+		 * @since 2.5.0
+		 * @param int           $max_revisions The number of revisions.
+		 * @param Checkout_Form $checkout_form The checkout form.
+		 */
+		$max_revisions = (int) apply_filters('wu_checkout_form_max_revisions', 20, $this);
+
+		$this->update_meta(self::META_REVISIONS, array_slice($revisions, 0, max(1, $max_revisions)));
+
+		return $revision;
+	}
+
+	/**
+	 * Deletes a draft revision.
+	 *
+	 * @since 2.5.0
+	 * @param string $revision_id The revision id.
+	 * @return void
+	 */
+	public function delete_revision($revision_id): void {
+
+		$revisions = $this->get_revisions();
+
+		$remaining = array_filter($revisions, fn($revision) => $revision['id'] !== $revision_id);
+
+		if (count($remaining) !== count($revisions)) {
+			$this->update_meta(self::META_REVISIONS, array_values($remaining));
+		}
+	}
+
+	/**
+	 * Lists the differences between a set of steps and the published ones.
+	 *
+	 * Each change has an action (added, removed, changed or reordered),
+	 * the step and field names and, for changed fields, the attributes
+	 * that were modified.
+	 *
+	 * @since 2.5.0
+	 * @param array $settings The steps and fields to compare.
+	 * @return array
+	 */
+	public function get_settings_changes($settings) {
+
+		$changes = [];
+
+		$published = array_column($this->get_settings(), null, 'id');
+
+		$draft = array_column(array_filter((array) $settings, 'is_array'), null, 'id');
+
+		$change = fn($action, $step, $field = [], $attributes = []) => [
+			'action'     => $action,
+			'step'       => wu_get_isset($step, 'name', $step['id']),
+			'field'      => $field ? wu_get_isset($field, 'name', $field['id']) : '',
+			'attributes' => $attributes,
+		];
+
+		foreach ($draft as $step_id => $step) {
+			if ( ! isset($published[ $step_id ])) {
+				$changes[] = $change('added', $step);
+
+				continue;
+			}
+
+			$published_step = $published[ $step_id ];
+
+			$step_attributes = $this->get_changed_attributes(array_diff_key($published_step, ['fields' => 1]), array_diff_key($step, ['fields' => 1]));
+
+			if ($step_attributes) {
+				$changes[] = $change('changed', $step, [], $step_attributes);
+			}
+
+			$published_fields = array_column(array_filter((array) wu_get_isset($published_step, 'fields', []), 'is_array'), null, 'id');
+
+			$draft_fields = array_column(array_filter((array) wu_get_isset($step, 'fields', []), 'is_array'), null, 'id');
+
+			foreach ($draft_fields as $field_id => $field) {
+				if ( ! isset($published_fields[ $field_id ])) {
+					$changes[] = $change('added', $step, $field);
+
+					continue;
+				}
+
+				$field_attributes = $this->get_changed_attributes($published_fields[ $field_id ], $field);
+
+				if ($field_attributes) {
+					$changes[] = $change('changed', $step, $field, $field_attributes);
+				}
+			}
+
+			foreach (array_diff_key($published_fields, $draft_fields) as $field) {
+				$changes[] = $change('removed', $published_step, $field);
+			}
+
+			if (array_values(array_intersect(array_keys($draft_fields), array_keys($published_fields))) !== array_values(array_intersect(array_keys($published_fields), array_keys($draft_fields)))) {
+				$changes[] = $change('reordered', $step);
+			}
+		}
+
+		foreach (array_diff_key($published, $draft) as $step) {
+			$changes[] = $change('removed', $step);
+		}
+
+		if (array_values(array_intersect(array_keys($draft), array_keys($published))) !== array_values(array_intersect(array_keys($published), array_keys($draft)))) {
+			$changes[] = [
+				'action'     => 'reordered',
+				'step'       => '',
+				'field'      => '',
+				'attributes' => [],
+			];
+		}
+
+		return $changes;
+	}
+
+	/**
+	 * Returns the keys of the attributes that differ between two steps or fields.
+	 *
+	 * Values are compared loosely, as the editor sends booleans and
+	 * numbers as strings.
+	 *
+	 * @since 2.5.0
+	 * @param array $old_attributes The published attributes.
+	 * @param array $new_attributes The draft attributes.
+	 * @return array
+	 */
+	protected function get_changed_attributes($old_attributes, $new_attributes) {
+
+		$normalize = function ($value) use (&$normalize) {
+
+			if (is_array($value)) {
+				return array_map($normalize, $value);
+			}
+
+			if (is_bool($value) || 'true' === $value || 'false' === $value) {
+				return (string) (int) wu_string_to_bool($value);
+			}
+
+			return (string) $value;
+		};
+
+		$changed = [];
+
+		foreach (array_keys(array_merge($old_attributes, $new_attributes)) as $key) {
+			$old_value = $normalize(wu_get_isset($old_attributes, $key, ''));
+			$new_value = $normalize(wu_get_isset($new_attributes, $key, ''));
+
+			if ($old_value !== $new_value && ! (empty($old_value) && empty($new_value))) {
+				$changed[] = $key;
+			}
+		}
+
+		return $changed;
+	}
+
 	/**
 	 * Save (create or update) the model on the database.
 	 *
@@ -33,6 +33,21 @@ class Discount_Code extends Base_Model {
 	 */
 	const META_LIMIT_PRODUCTS = 'wu_limit_products';
 
+	/**
+	 * Meta key for limit billing periods.
+	 */
+	const META_LIMIT_BILLING_PERIODS = 'wu_limit_billing_periods';
+
+	/**
+	 * Meta key for allowed billing periods.
+	 */
+	const META_ALLOWED_BILLING_PERIODS = 'wu_allowed_billing_periods';
+
+	/**
+	 * Meta key for the stackable flag.
+	 */
+	const META_STACKABLE = 'wu_stackable';
+
 	/**
 	 * Name of the discount code.
 	 *
@@ -137,6 +152,30 @@ class Discount_Code extends Base_Model {
 	 */
 	protected $allowed_products;
 
+	/**
+	 * If we should check for billing periods or not.
+	 *
+	 * @since 2.5.0
+	 * @var bool
+	 */
+	protected $limit_billing_periods;
+
+	/**
+	 * Holds the list of allowed billing periods, e.g. 1-year.
+	 *
+	 * @since 2.5.0
+	 * @var array
+	 */
+	protected $allowed_billing_periods;
+
+	/**
+	 * If this code can be combined with other stackable codes.
+	 *
+	 * @since 2.5.0
+	 * @var bool
+	 */
+	protected $stackable;
+
 	/**
 	 * Start date for the coupon code to be considered valid.
 	 *
@@ -182,18 +221,21 @@ class Discount_Code extends Base_Model {
 	public function validation_rules() {
 
 		return [
-			'name'              => 'required|min:2',
-			'code'              => 'required|min:2|max:20|alpha_dash',
-			'uses'              => 'integer|default:0',
-			'max_uses'          => 'integer|min:0|default:0',
-			'active'            => 'default:1',
-			'apply_to_renewals' => 'default:0',
-			'type'              => 'default:absolute|in:percentage,absolute',
-			'value'             => 'required|numeric',
-			'setup_fee_type'    => 'in:percentage,absolute',
-			'setup_fee_value'   => 'numeric',
-			'allowed_products'  => 'array',
-			'limit_products'    => 'default:0',
+			'name'                    => 'required|min:2',
+			'code'                    => 'required|min:2|max:20|alpha_dash',
+			'uses'                    => 'integer|default:0',
+			'max_uses'                => 'integer|min:0|default:0',
+			'active'                  => 'default:1',
+			'apply_to_renewals'       => 'default:0',
+			'type'                    => 'default:absolute|in:percentage,absolute',
+			'value'                   => 'required|numeric',
+			'setup_fee_type'          => 'in:percentage,absolute',
+			'setup_fee_value'         => 'numeric',
+			'allowed_products'        => 'array',
+			'limit_products'          => 'default:0',
+			'limit_billing_periods'   => 'default:0',
+			'allowed_billing_periods' => 'array',
+			'stackable'               => 'default:0',
 		];
 	}
 
@@ -468,6 +510,9 @@ class Discount_Code extends Base_Model {
 	/**
 	 * Checks if a given coupon code is valid and can be applied.
 	 *
+	 * The reason of the rejection is passed as the error data, so the
+	 * checkout can tell the customer what went wrong.
+	 *
 	 * @since 2.0.0
 	 * @param int|\WP_Ultimo\Models\Product $product Product to check against.
 	 * @return true|\WP_Error
@@ -475,14 +520,14 @@ class Discount_Code extends Base_Model {
 	public function is_valid($product = false) {
 
 		if ($this->is_active() === false) {
-			return new \WP_Error('discount_code', __('This coupon code is not valid.', 'ultimate-multisite'));
+			return new \WP_Error('discount_code', __('This coupon code is not valid.', 'ultimate-multisite'), ['reason' => 'inactive']);
 		}
 
 		/*
 		 * Check for uses
 		 */
 		if ($this->has_max_uses() && $this->get_uses() >= $this->get_max_uses()) {
-			return new \WP_Error('discount_code', __('This discount code was already redeemed the maximum amount of times allowed.', 'ultimate-multisite'));
+			return new \WP_Error('discount_code', __('This discount code was already redeemed the maximum amount of times allowed.', 'ultimate-multisite'), ['reason' => 'max_uses']);
 		}
 
 		/*
@@ -497,7 +542,7 @@ class Discount_Code extends Base_Model {
 			$start_date_instance = wu_date($start_date);
 
 			if ($now < $start_date_instance) {
-				return new \WP_Error('discount_code', __('This coupon code is not valid.', 'ultimate-multisite'));
+				return new \WP_Error('discount_code', __('This coupon code is not available yet.', 'ultimate-multisite'), ['reason' => 'not_started']);
 			}
 		}
 
@@ -505,7 +550,7 @@ class Discount_Code extends Base_Model {
 			$expiration_date_instance = wu_date($expiration_date);
 
 			if ($now > $expiration_date_instance) {
-				return new \WP_Error('discount_code', __('This coupon code is not valid.', 'ultimate-multisite'));
+				return new \WP_Error('discount_code', __('This coupon code has expired.', 'ultimate-multisite'), ['reason' => 'expired']);
 			}
 		}
 
@@ -523,13 +568,78 @@ class Discount_Code extends Base_Model {
 			$allowed = $this->get_limit_products() && in_array($product_id, $this->get_allowed_products()); // phpcs:ignore
 
 			if (false === $allowed) {
-				return new \WP_Error('discount_code', __('This coupon code is not valid.', 'ultimate-multisite'));
+				return new \WP_Error('discount_code', __('This coupon code is not valid for the selected products.', 'ultimate-multisite'), ['reason' => 'product']);
 			}
 		}
 
 		return true;
 	}
 
+	/**
+	 * Checks if this coupon code can be used with a given billing period.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param int    $duration The billing period duration.
+	 * @param string $duration_unit The billing period unit, e.g. month.
+	 * @return true|\WP_Error
+	 */
+	public function is_valid_for_billing_period($duration, $duration_unit) {
+
+		if ( ! $this->get_limit_billing_periods() || ! $duration || ! $duration_unit) {
+			return true;
+		}
+
+		if (in_array(self::get_billing_period_key($duration, $duration_unit), $this->get_allowed_billing_periods(), true)) {
+			return true;
+		}
+
+		$allowed = array_map([self::class, 'get_billing_period_label'], $this->get_allowed_billing_periods());
+
+		return new \WP_Error(
+			'discount_code',
+			// translators: %s is the list of billing periods allowed, e.g. every year.
+			sprintf(__('This coupon code is only valid when billed %s.', 'ultimate-multisite'), implode(' ' . __('or', 'ultimate-multisite') . ' ', $allowed)),
+			['reason' => 'billing_period']
+		);
+	}
+
+	/**
+	 * Returns the key used to store a billing period, e.g. 1-year.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param int    $duration The billing period duration.
+	 * @param string $duration_unit The billing period unit, e.g. month.
+	 * @return string
+	 */
+	public static function get_billing_period_key($duration, $duration_unit): string {
+
+		return absint($duration) . '-' . sanitize_key($duration_unit);
+	}
+
+	/**
+	 * Returns a billing period key in a human-friendly way, e.g. every 3 months.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param string $billing_period The billing period key, e.g. 3-month.
+	 * @return string
+	 */
+	public static function get_billing_period_label($billing_period): string {
+
+		[$duration, $duration_unit] = array_pad(explode('-', (string) $billing_period, 2), 2, '');
+
+		$duration = absint($duration);
+
+		return sprintf(
+			// translators: %1$s the duration, and %2$s the duration unit (day, week, month, etc)
+			_n('every %2$s', 'every %1$s %2$s', $duration, 'ultimate-multisite'), // phpcs:ignore
+			$duration,
+			wu_get_translatable_string($duration <= 1 ? $duration_unit : $duration_unit . 's')
+		);
+	}
+
 	/**
 	 * Checks if this discount applies just for the first payment.
 	 *
@@ -685,6 +795,30 @@ class Discount_Code extends Base_Model {
 		return $array;
 	}
 
+	/**
+	 * Returns the rules the client-side pricing core needs to preview this discount.
+	 *
+	 * @see assets/js/pricing.js
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_pricing_rules() {
+
+		return [
+			'code'                    => strtoupper($this->get_code()),
+			'type'                    => $this->get_type(),
+			'value'                   => $this->get_value(),
+			'setup_fee_type'          => $this->get_setup_fee_type(),
+			'setup_fee_value'         => $this->get_setup_fee_value(),
+			'apply_to_renewals'       => $this->should_apply_to_renewals(),
+			'limit_products'          => $this->get_limit_products(),
+			'allowed_products'        => array_values(array_map('absint', $this->get_allowed_products())),
+			'limit_billing_periods'   => $this->get_limit_billing_periods(),
+			'allowed_billing_periods' => array_values($this->get_allowed_billing_periods()),
+		];
+	}
+
 	/**
 	 * Save (create or update) the model on the database.
 	 *
@@ -766,4 +900,91 @@ class Discount_Code extends Base_Model {
 
 		$this->limit_products = $this->meta[ self::META_LIMIT_PRODUCTS ];
 	}
+
+	/**
+	 * Get if we should check for billing periods or not.
+	 *
+	 * @since 2.5.0
+	 * @return bool
+	 */
+	public function get_limit_billing_periods() {
+
+		if (null === $this->limit_billing_periods) {
+			$this->limit_billing_periods = $this->get_meta(self::META_LIMIT_BILLING_PERIODS, false);
+		}
+
+		return (bool) $this->limit_billing_periods;
+	}
+
+	/**
+	 * Set if we should check for billing periods or not.
+	 *
+	 * @since 2.5.0
+	 * @param bool $limit_billing_periods This discount code will be limited to certain billing periods? If set to true, you must define a list of allowed billing periods.
+	 * @return void
+	 */
+	public function set_limit_billing_periods($limit_billing_periods): void {
+
+		$this->meta[ self::META_LIMIT_BILLING_PERIODS ] = (bool) $limit_billing_periods;
+
+		$this->limit_billing_periods = $this->meta[ self::META_LIMIT_BILLING_PERIODS ];
+	}
+
+	/**
+	 * Get the list of allowed billing periods.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	public function get_allowed_billing_periods() {
+
+		if (null === $this->allowed_billing_periods) {
+			$this->allowed_billing_periods = $this->get_meta(self::META_ALLOWED_BILLING_PERIODS, []);
+		}
+
+		return (array) $this->allowed_billing_periods;
+	}
+
+	/**
+	 * Set the list of allowed billing periods.
+	 *
+	 * @since 2.5.0
+	 * @param array $allowed_billing_periods The billing periods that accept this discount code, e.g. 1-year.
+	 * @return void
+	 */
+	public function set_allowed_billing_periods($allowed_billing_periods): void {
+
+		$this->meta[ self::META_ALLOWED_BILLING_PERIODS ] = array_values(array_filter((array) $allowed_billing_periods));
+
+		$this->allowed_billing_periods = $this->meta[ self::META_ALLOWED_BILLING_PERIODS ];
+	}
+
+	/**
+	 * Checks if this code can be combined with other stackable codes.
+	 *
+	 * @since 2.5.0
+	 * @return bool
+	 */
+	public function is_stackable() {
+
+		if (null === $this->stackable) {
+			$this->stackable = $this->get_meta(self::META_STACKABLE, false);
+		}
+
+		return (bool) $this->stackable;
+	}
+
+	/**
+	 * Set if this code can be combined with other stackable codes.
+	 *
+	 * @since 2.5.0
+	 * @param bool $stackable If this code can be used together with other stackable codes on the same order.
+	 * @return void
+	 */
+	public function set_stackable($stackable): void {
+
+		$this->meta[ self::META_STACKABLE ] = (bool) $stackable;
+
+		$this->stackable = $this->meta[ self::META_STACKABLE ];
+	}
 }
@@ -75,6 +75,16 @@ class Product extends Base_Model implements Limitable {
 	 */
 	const META_LEGACY_OPTIONS = 'legacy_options';
 
+	/**
+	 * Meta key for the minimum quantity.
+	 */
+	const META_MIN_QUANTITY = 'wu_min_quantity';
+
+	/**
+	 * Meta key for the maximum quantity.
+	 */
+	const META_MAX_QUANTITY = 'wu_max_quantity';
+
 	/**
 	 * The product name.
 	 *
@@ -319,6 +329,22 @@ class Product extends Base_Model implements Limitable {
 	 */
 	protected $legacy_options;
 
+	/**
+	 * Minimum quantity that can be bought on a single checkout.
+	 *
+	 * @since 2.5.0
+	 * @var int
+	 */
+	protected $min_quantity;
+
+	/**
+	 * Maximum quantity that can be bought on a single checkout. 0 means unlimited.
+	 *
+	 * @since 2.5.0
+	 * @var int
+	 */
+	protected $max_quantity;
+
 	/**
 	 * Query Class to the static query methods.
 	 *
@@ -382,6 +408,8 @@ class Product extends Base_Model implements Limitable {
 			'contact_us_link'     => 'url:http,https',
 			'customer_role'       => 'alpha_dash',
 			'network_id'          => 'integer|nullable',
+			'min_quantity'        => 'integer|min:1|default:1',
+			'max_quantity'        => 'integer|min:0|default:1',
 		];
 	}
 
@@ -1469,6 +1497,107 @@ class Product extends Base_Model implements Limitable {
 		$this->available_addons = $this->meta[ self::META_AVAILABLE_ADDONS ];
 	}
 
+	/**
+	 * Get the minimum quantity that can be bought on a single checkout.
+	 *
+	 * Plans can only be bought once.
+	 *
+	 * @since 2.5.0
+	 * @return int
+	 */
+	public function get_min_quantity() {
+
+		if (wu_is_plan_type($this->get_type())) {
+			return 1;
+		}
+
+		if (null === $this->min_quantity) {
+			$this->min_quantity = $this->get_meta(self::META_MIN_QUANTITY, 1);
+		}
+
+		return max(1, (int) $this->min_quantity);
+	}
+
+	/**
+	 * Set the minimum quantity that can be bought on a single checkout.
+	 *
+	 * @since 2.5.0
+	 * @param int $min_quantity The minimum quantity.
+	 * @return void
+	 */
+	public function set_min_quantity($min_quantity): void {
+
+		$this->meta[ self::META_MIN_QUANTITY ] = max(1, absint($min_quantity));
+
+		$this->min_quantity = $this->meta[ self::META_MIN_QUANTITY ];
+	}
+
+	/**
+	 * Get the maximum quantity that can be bought on a single checkout.
+	 *
+	 * Plans can only be bought once. 0 means unlimited.
+	 *
+	 * @since 2.5.0
+	 * @return int
+	 */
+	public function get_max_quantity() {
+
+		if (wu_is_plan_type($this->get_type())) {
+			return 1;
+		}
+
+		if (null === $this->max_quantity) {
+			$this->max_quantity = $this->get_meta(self::META_MAX_QUANTITY, 1);
+		}
+
+		return absint($this->max_quantity);
+	}
+
+	/**
+	 * Set the maximum quantity that can be bought on a single checkout.
+	 *
+	 * @since 2.5.0
+	 * @param int $max_quantity The maximum quantity. 0 means unlimited.
+	 * @return void
+	 */
+	public function set_max_quantity($max_quantity): void {
+
+		$this->meta[ self::META_MAX_QUANTITY ] = absint($max_quantity);
+
+		$this->max_quantity = $this->meta[ self::META_MAX_QUANTITY ];
+	}
+
+	/**
+	 * Checks if customers can pick how many of this product they want.
+	 *
+	 * @since 2.5.0
+	 * @return bool
+	 */
+	public function allows_quantity() {
+
+		return $this->get_max_quantity() !== 1 || $this->get_min_quantity() > 1;
+	}
+
+	/**
+	 * Keeps a quantity between the product limits.
+	 *
+	 * @since 2.5.0
+	 * @param int $quantity The quantity requested.
+	 * @return int
+	 */
+	public function clamp_quantity($quantity) {
+
+		$quantity = max($this->get_min_quantity(), absint($quantity));
+
+		$max_quantity = $this->get_max_quantity();
+
+		if ($max_quantity) {
+			$quantity = min($max_quantity, $quantity);
+		}
+
+		return $quantity;
+	}
+
 	/**
 	 * Get the shareable link for this product, depending on the permalinks structure.
 	 *
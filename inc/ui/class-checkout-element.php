@@ -12,6 +12,7 @@ namespace WP_Ultimo\UI;
 use Psr\Log\LogLevel;
 use ScssPhp\ScssPhp\Compiler;
 use ScssPhp\ScssPhp\Exception\SassException;
+use WP_Ultimo\Checkout\Field_Conditions;
 use WP_Ultimo\Database\Memberships\Membership_Status;
 
 // Exit if accessed directly
@@ -248,7 +249,7 @@ class Checkout_Element extends Base_Element {
 	 * @return void
 	 */
 	public function register_scripts() {
-		$slug          = $this->get_pre_loaded_attribute('slug');
+		$slug          = apply_filters('wu_checkout_form_slug', $this->get_pre_loaded_attribute('slug'), $this);
 		$checkout_form = wu_get_checkout_form_by_slug($slug);
 
 		if (! $checkout_form) {
@@ -528,6 +529,17 @@ class Checkout_Element extends Base_Element {
 			return;
 		}
 
+		/**
+		 * Allow developers to swap the checkout form being displayed.
+		 *
+		 * Used by the A/B experiments to display the variant assigned to the visitor.
+		 *
+		 * @since 2.5.0
+		 * @param string           $slug    The checkout form slug.
+		 * @param Checkout_Element $element The checkout element.
+		 */
+		$slug = apply_filters('wu_checkout_form_slug', $slug, $this);
+
 		$checkout_form = wu_get_checkout_form_by_slug($slug);
 
 		if ( ! $checkout_form) {
@@ -562,7 +574,7 @@ class Checkout_Element extends Base_Element {
 
 		$checkout_form->get_steps_to_show();
 
-		$this->steps = $checkout_form->get_steps_to_show();
+		$this->steps = Field_Conditions::get_instance()->get_visible_steps($checkout_form->get_steps_to_show(), $checkout);
 
 		$step = $checkout_form->get_step($atts['step'], true);
 
@@ -611,8 +623,25 @@ class Checkout_Element extends Base_Element {
 			],
 		];
 
+		/*
+		 * And their quantities.
+		 */
+		$final_fields['quantities'] = [
+			'type'      => 'hidden',
+			'html_attr' => [
+				'v-for'        => '(quantity, product_id) in quantities',
+				'v-bind:id'    => '"quantities-" + product_id',
+				'v-bind:name'  => '"quantities[" + product_id + "]"',
+				'v-bind:value' => 'quantity',
+			],
+		];
+
 		$this->inject_inline_auto_submittable_field($auto_submittable_field);
 
+		$this->inject_inline_validation_settings($checkout->get_client_validation_settings());
+
+		$this->inject_inline_router_settings();
+
 		$final_fields = apply_filters('wu_checkout_form_final_fields', $final_fields, $this);
 
 		wu_get_template(
@@ -620,7 +649,7 @@ class Checkout_Element extends Base_Element {
 			[
 				'step'               => $this->step,
 				'step_name'          => $this->step_name,
-				'checkout_form_name' => $atts['slug'],
+				'checkout_form_name' => $slug,
 				'errors'             => $checkout->errors,
 				'display_title'      => $atts['display_title'],
 				'final_fields'       => $final_fields,
@@ -664,6 +693,85 @@ class Checkout_Element extends Base_Element {
 		}
 	}
 
+	/**
+	 * Injects the client-side validation settings of the current step.
+	 *
+	 * @since 2.5.0
+	 *
+	 * @param array $validation_settings The rules, messages and aliases.
+	 * @return void
+	 */
+	public function inject_inline_validation_settings($validation_settings): void {
+
+		$callback = function () use ($validation_settings) {
+
+			wp_add_inline_script(
+				'wu-checkout',
+				sprintf('window.wu_checkout_validation = %s;', wp_json_encode($validation_settings)),
+				'before'
+			);
+		};
+
+		if (wu_is_block_theme() && ! is_admin()) {
+			add_action('wu_checkout_scripts', $callback, 100);
+		} else {
+			call_user_func($callback);
+		}
+	}
+
+	/**
+	 * Injects the steps used by the client-side step router.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function inject_inline_router_settings(): void {
+
+		$steps = array_map(
+			fn($step) => [
+				'id'         => $step['id'],
+				'name'       => wu_get_isset($step, 'name', ''),
+				'element_id' => wu_get_isset($step, 'element_id') ?: "wu-step-{$step['id']}",
+				'conditions' => array_values((array) wu_get_isset($step, 'conditions', [])),
+				'match'      => Field_Conditions::get_instance()->get_match($step),
+			],
+			array_values((array) $this->steps)
+		);
+
+		/**
+		 * Filters the settings of the client-side step router.
+		 *
+		 * @since 2.5.0
+		 *
+		 * @param array            $router_settings The steps, current step and query var used on URLs.
+		 * @param Checkout_Element $element         The checkout element.
+		 */
+		$router_settings = apply_filters(
+			'wu_checkout_router_settings',
+			[
+				'steps'        => $steps,
+				'current_step' => $this->step_name,
+				'query_var'    => 'step',
+			],
+			$this
+		);
+
+		$callback = function () use ($router_settings) {
+
+			wp_add_inline_script(
+				'wu-checkout',
+				sprintf('window.wu_checkout_router_settings = %s;', wp_json_encode($router_settings)),
+				'before'
+			);
+		};
+
+		if (wu_is_block_theme() && ! is_admin()) {
+			add_action('wu_checkout_scripts', $callback, 100);
+		} else {
+			call_user_func($callback);
+		}
+	}
+
 	/**
 	 * The content to be output on the screen.
 	 *
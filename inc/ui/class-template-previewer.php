@@ -67,6 +67,8 @@ class Template_Previewer {
 
 			add_filter('wu_is_toolbox_enabled', '__return_false');
 
+			add_action('wp_enqueue_scripts', [$this, 'register_frame_scripts']);
+
 			return;
 		}
 
@@ -179,6 +181,10 @@ class Template_Previewer {
 				'current_template' => wu_request($this->get_preview_parameter(), false),
 				'current_url'      => wu_get_current_url(),
 				'query_parameter'  => $this->get_preview_parameter(),
+				'open'             => (bool) wu_request('open'),
+				'templates'        => $this->get_templates_data(),
+				'compare'          => array_values(array_filter(array_map('absint', explode(',', (string) wu_request('compare', ''))))),
+				'max_compare'      => 3,
 			]
 		);
 
@@ -200,6 +206,45 @@ class Template_Previewer {
 		wp_enqueue_style('dashicons');
 	}
 
+	/**
+	 * Register the scripts loaded on templates shown inside the previewer.
+	 *
+	 * Reports the scroll position to the previewer, so it can keep the
+	 * templates being compared side by side scrolled together.
+	 *
+	 * @since 2.5.0
+	 * @return void
+	 */
+	public function register_frame_scripts(): void {
+
+		if (Site_Type::SITE_TEMPLATE !== wu_get_current_site()->get_type()) {
+			return;
+		}
+
+		wp_enqueue_script('wu-template-previewer-frame', wu_get_asset('template-previewer-frame.js', 'js'), [], wu_get_version(), true);
+	}
+
+	/**
+	 * Returns the templates available on the previewer, for the compare mode.
+	 *
+	 * @since 2.5.0
+	 * @return array
+	 */
+	protected function get_templates_data() {
+
+		return array_values(
+			array_map(
+				fn($site) => [
+					'id'         => $site->get_id(),
+					'title'      => $site->get_title(),
+					'url'        => $site->get_active_site_url(),
+					'select_url' => wu_get_registration_url('?template_selection=' . $site->get_id()),
+				],
+				(array) $this->available_templates
+			)
+		);
+	}
+
 	/**
 	 * Remove the unnecessary styles added by themes and other plugins.
 	 *
@@ -315,6 +360,8 @@ class Template_Previewer {
 
 		$render_parameters['templates'] = array_filter((array) $render_parameters['templates'], fn($site) => $site->is_active());
 
+		$this->available_templates = $render_parameters['templates'];
+
 		$render_parameters = array_merge($render_parameters, $settings);
 
 		wu_get_template('ui/template-previewer', $render_parameters);
@@ -0,0 +1,106 @@
+<?php
+
+namespace WP_Ultimo\Checkout;
+
+use WP_Ultimo\Models\Email;
+use WP_UnitTestCase;
+
+/**
+ * Test class for the abandoned cart recovery.
+ */
+class Abandoned_Carts_Test extends WP_UnitTestCase {
+
+	/**
+	 * Creates a saved abandoned cart.
+	 *
+	 * @param string $email_address The email address typed on the form.
+	 * @param bool   $consent       If the visitor opted in to recovery emails.
+	 * @return \WP_Ultimo\Models\Abandoned_Cart
+	 */
+	protected function create_cart($email_address, $consent = false) {
+
+		$cart = wu_create_abandoned_cart(
+			[
+				'email_address'    => $email_address,
+				'products'         => ['premium'],
+				'checkout_form'    => 'main-form',
+				'recovery_consent' => $consent,
+			]
+		);
+
+		$this->assertNotWPError($cart);
+
+		return $cart;
+	}
+
+	/**
+	 * Test visitors only get recovery emails when they opted in.
+	 */
+	public function test_visitors_need_consent(): void {
+
+		$abandoned_carts = Abandoned_Carts::get_instance();
+
+		$this->assertFalse($abandoned_carts->can_send_recovery_email($this->create_cart('someone@example.com')));
+
+		$this->assertTrue($abandoned_carts->can_send_recovery_email($this->create_cart('optin@example.com', true)));
+	}
+
+	/**
+	 * Test an address gets a single recovery email per interval.
+	 */
+	public function test_one_email_per_address_per_interval(): void {
+
+		$cart = $this->create_cart('Interval@example.com', true);
+
+		set_transient('wu_abandoned_cart_email_' . md5('interval@example.com'), 1, Abandoned_Carts::EMAIL_INTERVAL);
+
+		$this->assertFalse(Abandoned_Carts::get_instance()->can_send_recovery_email($cart));
+	}
+
+	/**
+	 * Test customer emails are not sent to addresses without a customer.
+	 */
+	public function test_customer_emails_require_a_customer(): void {
+
+		$email = new Email();
+
+		$email->set_target('customer');
+
+		$payload = Abandoned_Carts::get_instance()->get_event_payload($this->create_cart('stranger@example.com'));
+
+		$this->assertSame(0, $payload['customer_id']);
+		$this->assertEmpty($email->get_target_list($payload));
+	}
+
+	/**
+	 * Test completing a payment marks the carts of the customer as recovered.
+	 */
+	public function test_completed_payment_marks_cart_recovered(): void {
+
+		$customer = wu_create_customer(
+			[
+				'username' => 'cartcustomer',
+				'email'    => 'cartcustomer@example.com',
+				'password' => 'password123',
+			]
+		);
+
+		$cart = $this->create_cart('cartcustomer@example.com');
+
+		$payment = wu_create_payment(
+			[
+				'customer_id' => $customer->get_id(),
+				'gateway'     => 'manual',
+				'status'      => 'completed',
+				'total'       => 10,
+			]
+		);
+
+		Abandoned_Carts::get_instance()->mark_as_recovered_on_payment('pending', 'completed', $payment->get_id());
+
+		$cart = wu_get_abandoned_cart($cart->get_id());
+
+		$this->assertTrue($cart->is_recovered());
+		$this->assertEquals($payment->get_id(), $cart->get_recovered_payment_id());
+	}
+}
@@ -667,6 +667,162 @@ class Cart_Test extends WP_UnitTestCase {
 		$this->assertInstanceOf(Cart::class, $cart);
 	}
 
+	/**
+	 * Test that add-on quantities are clamped to the limits set on the product.
+	 */
+	public function test_add_on_quantities_are_clamped() {
+		$plan = wu_create_product(
+			[
+				'name'          => 'Quantity Plan',
+				'slug'          => 'quantity-plan',
+				'amount'        => 10,
+				'duration'      => 1,
+				'duration_unit' => 'month',
+				'type'          => 'plan',
+				'pricing_type'  => 'paid',
+				'active'        => true,
+			]
+		);
+
+		$addon = wu_create_product(
+			[
+				'name'          => 'Quantity Add-on',
+				'slug'          => 'quantity-addon',
+				'amount'        => 5,
+				'duration'      => 1,
+				'duration_unit' => 'month',
+				'type'          => 'service',
+				'pricing_type'  => 'paid',
+				'active'        => true,
+				'max_quantity'  => 3,
+			]
+		);
+
+		$cart = new Cart(
+			[
+				'products'   => [$plan->get_id(), $addon->get_id()],
+				'quantities' => [
+					$plan->get_id()  => 2,
+					$addon->get_id() => 5,
+				],
+			]
+		);
+
+		$quantities = [];
+
+		foreach ($cart->get_line_items_by_type('product') as $line_item) {
+			$quantities[ $line_item->get_product_id() ] = $line_item->get_quantity();
+		}
+
+		$this->assertEquals(1, $quantities[ $plan->get_id() ]);
+		$this->assertEquals(3, $quantities[ $addon->get_id() ]);
+
+		$limits = $cart->get_quantity_limits();
+
+		$this->assertArrayNotHasKey($plan->get_id(), $limits);
+		$this->assertEquals(
+			[
+				'min' => 1,
+				'max' => 3,
+			],
+			$limits[ $addon->get_id() ]
+		);
+	}
+
+	/**
+	 * Test that stackable discount codes are combined and the others are rejected with a reason.
+	 */
+	public function test_stackable_discount_codes() {
+		$plan = wu_create_product(
+			[
+				'name'          => 'Discount Plan',
+				'slug'          => 'discount-plan',
+				'amount'        => 100,
+				'duration'      => 1,
+				'duration_unit' => 'month',
+				'type'          => 'plan',
+				'pricing_type'  => 'paid',
+				'active'        => true,
+			]
+		);
+
+		foreach (['STACKA', 'STACKB', 'SOLO'] as $code) {
+			wu_create_discount_code(
+				[
+					'name'              => $code,
+					'code'              => $code,
+					'value'             => 10,
+					'type'              => 'percentage',
+					'apply_to_renewals' => true,
+					'stackable'         => 'SOLO' !== $code,
+					'max_uses'          => 0,
+				]
+			);
+		}
+
+		$cart = new Cart(
+			[
+				'products'      => [$plan->get_id()],
+				'discount_code' => 'stacka, stackb, solo, missing',
+			]
+		);
+
+		$this->assertEquals(['STACKA', 'STACKB'], array_map(fn($discount_code) => $discount_code->get_code(), $cart->get_discount_codes()));
+		$this->assertEquals(19, $cart->get_total_discounts() * -1);
+
+		$results = $cart->get_discount_code_results();
+
+		$reasons = array_column($results['codes'], 'reason', 'code');
+
+		$this->assertEquals('', $reasons['STACKA']);
+		$this->assertEquals('not_stackable', $reasons['SOLO']);
+		$this->assertEquals('not_found', $reasons['MISSING']);
+		$this->assertEquals(19, $results['recurring_discount']);
+	}
+
+	/**
+	 * Test that codes limited to other billing periods are rejected with a reason.
+	 */
+	public function test_discount_code_limited_to_billing_period() {
+		$plan = wu_create_product(
+			[
+				'name'          => 'Monthly Discount Plan',
+				'slug'          => 'monthly-discount-plan',
+				'amount'        => 50,
+				'duration'      => 1,
+				'duration_unit' => 'month',
+				'type'          => 'plan',
+				'pricing_type'  => 'paid',
+				'active'        => true,
+			]
+		);
+
+		wu_create_discount_code(
+			[
+				'name'                    => 'Yearly Only',
+				'code'                    => 'YEARLYONLY',
+				'value'                   => 20,
+				'type'                    => 'percentage',
+				'limit_billing_periods'   => true,
+				'allowed_billing_periods' => ['1-year'],
+				'max_uses'                => 0,
+			]
+		);
+
+		$cart = new Cart(
+			[
+				'products'      => [$plan->get_id()],
+				'discount_code' => 'YEARLYONLY',
+			]
+		);
+
+		$results = $cart->get_discount_code_results();
+
+		$this->assertEquals(0, $cart->get_total_discounts());
+		$this->assertFalse($results['codes'][0]['valid']);
+		$this->assertEquals('billing_period', $results['codes'][0]['reason']);
+	}
+
 	public static function tear_down_after_class() {
 		global $wpdb;
 		self::$customer->delete();
@@ -0,0 +1,146 @@
+<?php
+
+namespace WP_Ultimo\Checkout;
+
+use WP_UnitTestCase;
+
+/**
+ * Test class for the checkout form A/B experiments.
+ */
+class Checkout_Experiments_Test extends WP_UnitTestCase {
+
+	/**
+	 * Creates a control form running an experiment against a variant form.
+	 *
+	 * @return \WP_Ultimo\Models\Checkout_Form
+	 */
+	protected function create_experiment() {
+		wu_create_checkout_form(
+			[
+				'name'     => 'Variant Form',
+				'slug'     => 'experiment-variant',
+				'settings' => [],
+			]
+		);
+
+		$control = wu_create_checkout_form(
+			[
+				'name'     => 'Control Form',
+				'slug'     => 'experiment-control',
+				'settings' => [],
+			]
+		);
+
+		$control->set_experiment(
+			[
+				'active'         => '1',
+				'control_weight' => '50',
+				'variants'       => [
+					[
+						'checkout_form' => 'experiment-variant',
+						'weight'        => '50',
+					],
+					[
+						'checkout_form' => 'missing-form',
+						'weight'        => '50',
+					],
+					[
+						'checkout_form' => 'experiment-control',
+						'weight'        => '50',
+					],
+				],
+			]
+		);
+
+		$control->save();
+
+		return $control;
+	}
+
+	/**
+	 * Test that the experiment settings are normalized.
+	 */
+	public function test_get_experiment_skips_the_control_form() {
+		$control = $this->create_experiment();
+
+		$experiment = $control->get_experiment();
+
+		$this->assertTrue($control->has_experiment());
+		$this->assertSame(50, $experiment['control_weight']);
+		$this->assertCount(2, $experiment['variants']);
+		$this->assertSame('experiment-variant', $experiment['variants'][0]['checkout_form']);
+	}
+
+	/**
+	 * Test that variants pointing to missing forms are ignored.
+	 */
+	public function test_get_variants_skips_missing_forms() {
+		$control = $this->create_experiment();
+
+		$this->assertSame(
+			[
+				'experiment-control' => 50,
+				'experiment-variant' => 50,
+			],
+			Checkout_Experiments::get_instance()->get_variants($control)
+		);
+	}
+
+	/**
+	 * Test that variants without weight are never picked.
+	 */
+	public function test_pick_variant_respects_weights() {
+		$experiments = Checkout_Experiments::get_instance();
+
+		$this->assertSame('b', $experiments->pick_variant(['a' => 0, 'b' => 10]));
+		$this->assertFalse($experiments->pick_variant(['a' => 0]));
+	}
+
+	/**
+	 * Test the significance indicator of the results.
+	 */
+	public function test_get_results_significance() {
+		$control = $this->create_experiment();
+
+		$control->update_meta(
+			Checkout_Experiments::STATS_META_KEY,
+			[
+				'experiment-control' => [
+					'exposures'   => 1000,
+					'conversions' => 50,
+				],
+				'experiment-variant' => [
+					'exposures'   => 1000,
+					'conversions' => 90,
+				],
+			]
+		);
+
+		$results = Checkout_Experiments::get_instance()->get_results($control);
+
+		$this->assertSame('control', $results[0]['significance']);
+		$this->assertEquals(5, $results[0]['conversion_rate']);
+		$this->assertSame('better', $results[1]['significance']);
+		$this->assertGreaterThan(Checkout_Experiments::SIGNIFICANCE_Z_SCORE, $results[1]['z_score']);
+	}
+
+	/**
+	 * Test that small samples are not flagged as significant.
+	 */
+	public function test_z_score_needs_enough_exposures() {
+		$experiments = Checkout_Experiments::get_instance();
+
+		$this->assertNull(
+			$experiments->get_z_score(
+				[
+					'exposures'   => 10,
+					'conversions' => 1,
+				],
+				[
+					'exposures'   => 10,
+					'conversions' => 9,
+				]
+			)
+		);
+	}
+}
@@ -0,0 +1,53 @@
+<?php
+
+namespace WP_Ultimo\Checkout;
+
+use WP_Ultimo\Managers\Signup_Fields_Manager;
+use WP_UnitTestCase;
+
+/**
+ * Test class for the checkout form editor templates.
+ */
+class Checkout_Form_Templates_Test extends WP_UnitTestCase {
+
+	/**
+	 * Test that the templates use registered field types and unique ids.
+	 */
+	public function test_templates_are_valid() {
+
+		$field_types = Signup_Fields_Manager::get_instance()->get_field_types();
+
+		$templates = Checkout_Form_Templates::get_instance()->get_templates();
+
+		$this->assertEquals(['single-step', 'multi-step', 'template-first', 'pay-first'], wp_list_pluck($templates, 'id'));
+
+		foreach ($templates as $template) {
+			$this->assertNotEmpty($template['steps'], $template['id']);
+
+			$this->assertCount(count($template['steps']), array_unique(wp_list_pluck($template['steps'], 'id')), $template['id']);
+
+			$fields = array_merge(...wp_list_pluck($template['steps'], 'fields'));
+
+			$this->assertCount(count($fields), array_unique(wp_list_pluck($fields, 'id')), $template['id']);
+
+			foreach ($fields as $field) {
+				$this->assertArrayHasKey($field['type'], $field_types, $template['id']);
+			}
+		}
+	}
+
+	/**
+	 * Test that the pay first template leaves the site to be created later.
+	 */
+	public function test_pay_first_has_no_site_fields() {
+
+		$templates = wp_list_filter(Checkout_Form_Templates::get_instance()->get_templates(), ['id' => 'pay-first']);
+
+		$fields = array_merge(...wp_list_pluck(current($templates)['steps'], 'fields'));
+
+		$types = wp_list_pluck($fields, 'type');
+
+		$this->assertNotContains('site_url', $types);
+		$this->assertContains('payment', $types);
+	}
+}
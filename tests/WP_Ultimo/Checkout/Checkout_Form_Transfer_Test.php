@@ -0,0 +1,148 @@
+<?php
+
+namespace WP_Ultimo\Checkout;
+
+use WP_Ultimo\Models\Checkout_Form;
+use WP_UnitTestCase;
+
+/**
+ * Test class for the import and export of checkout forms.
+ */
+class Checkout_Form_Transfer_Test extends WP_UnitTestCase {
+
+	/**
+	 * Returns a checkout form using the given products on a pricing table.
+	 *
+	 * @param string $product_ids Comma-separated product IDs.
+	 * @param string $type        The type of the second field.
+	 * @return Checkout_Form
+	 */
+	protected function get_checkout_form($product_ids, $type = 'email') {
+
+		$checkout_form = new Checkout_Form();
+
+		$checkout_form->set_name('Transfer');
+
+		$checkout_form->set_slug('transfer');
+
+		$checkout_form->set_settings(
+			[
+				[
+					'id'         => 'checkout',
+					'name'       => 'Checkout',
+					'conditions' => [
+						[
+							'subject'  => 'products',
+							'operator' => 'not_equals',
+							'value'    => explode(',', $product_ids)[0],
+						],
+					],
+					'fields'     => [
+						[
+							'id'                     => 'pricing_table',
+							'type'                   => 'pricing_table',
+							'pricing_table_products' => $product_ids,
+						],
+						[
+							'id'         => 'email_address',
+							'type'       => $type,
+							'conditions' => [
+								[
+									'subject'  => 'products',
+									'operator' => 'equals',
+									'value'    => explode(',', $product_ids)[0],
+								],
+							],
+						],
+					],
+				],
+			]
+		);
+
+		return $checkout_form;
+	}
+
+	/**
+	 * Test that the export lists the slugs of the referenced products.
+	 */
+	public function test_export() {
+
+		$product = wu_create_product(
+			[
+				'name'         => 'Transfer Plan',
+				'slug'         => 'transfer-plan',
+				'amount'       => 10,
+				'type'         => 'plan',
+				'pricing_type' => 'paid',
+			]
+		);
+
+		$data = json_decode(wp_json_encode(Checkout_Form_Transfer::get_instance()->export($this->get_checkout_form((string) $product->get_id()))), true);
+
+		$this->assertSame(Checkout_Form_Transfer::FORMAT, $data['format']);
+		$this->assertSame(Checkout_Form_Transfer::VERSION, $data['version']);
+		$this->assertSame('transfer', $data['checkout_form']['slug']);
+		$this->assertSame([$product->get_id() => 'transfer-plan'], $data['references']['products']);
+		$this->assertTrue(Checkout_Form_Transfer::get_instance()->validate($data));
+	}
+
+	/**
+	 * Test that the schema URL points to the file shipped with the plugin.
+	 */
+	public function test_schema_url() {
+
+		$this->assertStringEndsWith('assets/schemas/checkout-form.schema.json', Checkout_Form_Transfer::get_instance()->get_schema_url());
+	}
+
+	/**
+	 * Test that product IDs are remapped by slug, and unknown products are removed.
+	 */
+	public function test_prepare_import_remaps_references() {
+
+		$product = wu_create_product(
+			[
+				'name'         => 'Remapped Plan',
+				'slug'         => 'remapped-plan',
+				'amount'       => 10,
+				'type'         => 'plan',
+				'pricing_type' => 'paid',
+			]
+		);
+
+		$data = json_decode(wp_json_encode(Checkout_Form_Transfer::get_instance()->export($this->get_checkout_form('9001,9002,9003'))), true);
+
+		$data['references']['products'] = [
+			9001 => 'remapped-plan',
+			9002 => 'missing-plan',
+		];
+
+		$prepared = Checkout_Form_Transfer::get_instance()->prepare_import($data);
+
+		$step = $prepared['checkout_form']['settings'][0];
+
+		$fields = $step['fields'];
+
+		$this->assertSame((string) $product->get_id(), $step['conditions'][0]['value']);
+		$this->assertSame((string) $product->get_id(), $fields[0]['pricing_table_products']);
+		$this->assertSame((string) $product->get_id(), $fields[1]['conditions'][0]['value']);
+		$this->assertCount(2, $prepared['remapped']);
+		$this->assertCount(2, $prepared['warnings']);
+	}
+
+	/**
+	 * Test that field types that are not registered are rejected.
+	 */
+	public function test_validate_rejects_unknown_field_types() {
+
+		$data = json_decode(wp_json_encode(Checkout_Form_Transfer::get_instance()->export($this->get_checkout_form('', 'not_a_field_type'))), true);
+
+		$result = Checkout_Form_Transfer::get_instance()->validate($data);
+
+		$this->assertWPError($result);
+		$this->assertContains('unknown_field_type', $result->get_error_codes());
+
+		$data['version'] = Checkout_Form_Transfer::VERSION + 1;
+
+		$this->assertContains('unsupported_version', Checkout_Form_Transfer::get_instance()->prepare_import($data)->get_error_codes());
+	}
+}
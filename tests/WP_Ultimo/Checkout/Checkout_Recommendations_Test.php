@@ -0,0 +1,114 @@
+<?php
+
+namespace WP_Ultimo\Checkout;
+
+use WP_UnitTestCase;
+
+/**
+ * Test class for the checkout recommendation rules and stats.
+ */
+class Checkout_Recommendations_Test extends WP_UnitTestCase {
+
+	/**
+	 * Test that rules offering missing products are skipped.
+	 */
+	public function test_prepare_rules_skips_missing_products() {
+		$plan = wu_create_product(
+			[
+				'name'          => 'Recommendation Plan',
+				'slug'          => 'recommendation-plan',
+				'amount'        => 10,
+				'duration'      => 1,
+				'duration_unit' => 'month',
+				'type'          => 'plan',
+				'pricing_type'  => 'paid',
+				'active'        => true,
+			]
+		);
+
+		$addon = wu_create_product(
+			[
+				'name'          => 'Recommendation Add-on',
+				'slug'          => 'recommendation-addon',
+				'amount'        => 5,
+				'duration'      => 1,
+				'duration_unit' => 'month',
+				'type'          => 'service',
+				'pricing_type'  => 'paid',
+				'active'        => true,
+			]
+		);
+
+		$rules = Checkout_Recommendations::get_instance()->prepare_rules(
+			[
+				[
+					'id'                => 'abc123',
+					'condition'         => 'product',
+					'condition_product' => $plan->get_id(),
+					'product'           => $addon->get_id(),
+				],
+				[
+					'id'        => 'missing',
+					'condition' => 'always',
+					'product'   => 999999,
+				],
+			]
+		);
+
+		$this->assertCount(1, $rules);
+		$this->assertSame('abc123', $rules[0]['id']);
+		$this->assertSame([$plan->get_id(), 'recommendation-plan'], $rules[0]['condition_product']);
+		$this->assertSame('Recommendation Add-on', $rules[0]['headline']);
+	}
+
+	/**
+	 * Test that rules without an id get a stable one.
+	 */
+	public function test_rule_id_fallback_is_stable() {
+		$recommendations = Checkout_Recommendations::get_instance();
+
+		$rule = [
+			'condition'               => 'duration',
+			'condition_duration'      => 1,
+			'condition_duration_unit' => 'year',
+			'product'                 => 2,
+			'headline'                => 'Save with yearly backups',
+		];
+
+		$id = $recommendations->get_rule_id($rule);
+
+		$this->assertSame($id, $recommendations->get_rule_id(array_merge($rule, ['headline' => 'New headline'])));
+		$this->assertNotSame($id, $recommendations->get_rule_id(array_merge($rule, ['product' => 3])));
+	}
+
+	/**
+	 * Test the stats counters.
+	 */
+	public function test_increment_stats() {
+		$checkout_form = wu_create_checkout_form(
+			[
+				'name'     => 'Recommendations Form',
+				'slug'     => 'recommendations-form',
+				'settings' => [],
+			]
+		);
+
+		$recommendations = Checkout_Recommendations::get_instance();
+
+		$recommendations->increment($checkout_form, 'abc123', 'impressions');
+		$recommendations->increment($checkout_form, 'abc123', 'impressions');
+		$recommendations->increment($checkout_form, 'abc123', 'conversions');
+		$recommendations->increment($checkout_form, 'abc123', 'invalid');
+
+		$stats = $recommendations->get_stats($checkout_form);
+
+		$this->assertSame(
+			[
+				'impressions' => 2,
+				'clicks'      => 0,
+				'conversions' => 1,
+			],
+			$stats['abc123']
+		);
+	}
+}
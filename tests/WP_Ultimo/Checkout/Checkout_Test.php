@@ -46,6 +46,69 @@ class Checkout_Test extends WP_UnitTestCase {
 		$this->assertTrue(true); // Placeholder
 	}
 
+	/**
+	 * Test the draft settings passed to the front-end.
+	 */
+	public function test_get_draft_settings() {
+		$checkout = Checkout::get_instance();
+
+		$settings = $checkout->get_draft_settings();
+
+		$this->assertArrayHasKey('enabled', $settings);
+		$this->assertArrayHasKey('form_version', $settings);
+		$this->assertStringStartsWith('wu_checkout_draft_', $settings['key']);
+		$this->assertContains($settings['storage'], ['local', 'session']);
+		$this->assertGreaterThanOrEqual(DAY_IN_SECONDS, $settings['expiration']);
+	}
+
+	/**
+	 * Test the validation settings passed to the client-side validation.
+	 */
+	public function test_get_client_validation_settings() {
+		$checkout = Checkout::get_instance();
+
+		$settings = $checkout->get_client_validation_settings();
+
+		$this->assertArrayHasKey('rules', $settings);
+		$this->assertArrayHasKey('messages', $settings);
+		$this->assertArrayHasKey('aliases', $settings);
+		$this->assertStringContainsString('email', $settings['rules']['email_address']);
+		$this->assertArrayNotHasKey('gateway', $settings['rules']);
+		$this->assertArrayHasKey('required', $settings['messages']);
+		$this->assertArrayHasKey('password_conf', $settings['aliases']);
+	}
+
+	/**
+	 * Test the availability of site URLs.
+	 */
+	public function test_get_site_url_availability() {
+		$checkout = Checkout::get_instance();
+
+		$this->assertEquals('available', $checkout->get_site_url_availability('freshsiteurl')['status']);
+
+		update_site_option('illegal_names', ['reservedname']);
+
+		$reserved = $checkout->get_site_url_availability('reservedname');
+
+		$this->assertEquals('reserved', $reserved['status']);
+		$this->assertNotEmpty($reserved['suggestions']);
+
+		$d = wu_get_site_domain_and_path('takensiteurl');
+
+		self::factory()->blog->create(
+			[
+				'domain' => $d->domain,
+				'path'   => $d->path,
+			]
+		);
+
+		$taken = $checkout->get_site_url_availability('takensiteurl');
+
+		$this->assertEquals('taken', $taken['status']);
+		$this->assertNotContains('takensiteurl', $taken['suggestions']);
+		$this->assertContains('takensiteurl-site', $taken['suggestions']);
+	}
+
 	public static function tear_down_after_class() {
 		self::$customer->delete();
 		parent::tear_down_after_class();
@@ -0,0 +1,191 @@
+<?php
+
+namespace WP_Ultimo\Checkout;
+
+use WP_UnitTestCase;
+
+/**
+ * Test class for the conditional visibility of checkout form fields.
+ */
+class Field_Conditions_Test extends WP_UnitTestCase {
+
+	/**
+	 * Test that unknown subjects and operators are dropped and products are stored as the value.
+	 */
+	public function test_normalize_conditions() {
+
+		$conditions = Field_Conditions::get_instance()->normalize_conditions(
+			[
+				[
+					'subject'  => 'country',
+					'operator' => 'in_eu',
+					'value'    => 'ignored',
+				],
+				[
+					'subject'  => 'products',
+					'operator' => 'equals',
+					'value'    => 'US',
+					'product'  => '12',
+				],
+				[
+					'subject'  => 'unknown',
+					'operator' => 'equals',
+				],
+				'not-a-condition',
+			]
+		);
+
+		$this->assertEquals(
+			[
+				[
+					'subject'  => 'country',
+					'operator' => 'in_eu',
+					'value'    => '',
+				],
+				[
+					'subject'  => 'products',
+					'operator' => 'equals',
+					'value'    => '12',
+				],
+			],
+			$conditions
+		);
+	}
+
+	/**
+	 * Test the operators against single and multiple values.
+	 */
+	public function test_is_met() {
+
+		$field_conditions = Field_Conditions::get_instance();
+
+		$this->assertTrue($field_conditions->is_met(['operator' => 'in_eu'], 'DE'));
+		$this->assertFalse($field_conditions->is_met(['operator' => 'in_eu'], 'US'));
+		$this->assertTrue($field_conditions->is_met(['operator' => 'not_in_eu'], 'US'));
+		$this->assertTrue($field_conditions->is_met(['operator' => 'in', 'value' => 'us, ca'], 'CA'));
+		$this->assertFalse($field_conditions->is_met(['operator' => 'not_in', 'value' => 'US,CA'], 'us'));
+		$this->assertTrue($field_conditions->is_met(['operator' => 'equals', 'value' => '12'], [3, 12]));
+		$this->assertTrue($field_conditions->is_met(['operator' => 'empty'], ''));
+		$this->assertTrue($field_conditions->is_met(['operator' => 'not_empty'], ['3']));
+	}
+
+	/**
+	 * Test that all or any conditions need to be met.
+	 */
+	public function test_is_visible() {
+
+		$field = [
+			'conditions' => [
+				[
+					'subject'  => 'country',
+					'operator' => 'in_eu',
+					'value'    => '',
+				],
+				[
+					'subject'  => 'has_plan',
+					'operator' => 'equals',
+					'value'    => 'yes',
+				],
+			],
+		];
+
+		$values = [
+			'country'  => 'FR',
+			'has_plan' => 'no',
+		];
+
+		$this->assertFalse(Field_Conditions::get_instance()->is_visible($field, $values));
+
+		$field['conditions_match'] = 'any';
+
+		$this->assertTrue(Field_Conditions::get_instance()->is_visible($field, $values));
+
+		$this->assertTrue(Field_Conditions::get_instance()->is_visible(['id' => 'no_conditions'], $values));
+	}
+
+	/**
+	 * Test that the conditions are added to the v-show of the field wrappers.
+	 */
+	public function test_add_to_fields() {
+
+		$field = [
+			'conditions' => [
+				[
+					'subject'  => 'gateway',
+					'operator' => 'equals',
+					'value'    => 'stripe',
+				],
+			],
+		];
+
+		$fields = Field_Conditions::get_instance()->add_to_fields(
+			[
+				'company' => [
+					'type'              => 'text',
+					'wrapper_html_attr' => [
+						'v-show' => 'order',
+					],
+				],
+			],
+			$field
+		);
+
+		$this->assertStringStartsWith('(order) && check_conditions(', $fields['company']['wrapper_html_attr']['v-show']);
+		$this->assertStringEndsWith(', "all")', $fields['company']['wrapper_html_attr']['v-show']);
+	}
+
+	/**
+	 * Test that composite fields list all the inputs they render.
+	 */
+	public function test_get_field_inputs() {
+
+		$field_conditions = Field_Conditions::get_instance();
+
+		$inputs = $field_conditions->get_field_inputs(
+			[
+				'id'   => 'billing_address',
+				'type' => 'billing_address',
+			]
+		);
+
+		$this->assertContains('billing_zip_code', $inputs);
+		$this->assertContains('billing_country', $inputs);
+
+		$this->assertContains('email_address_confirmation', $field_conditions->get_field_inputs(['id' => 'email_address', 'type' => 'email']));
+		$this->assertContains('password_conf', $field_conditions->get_field_inputs(['id' => 'password', 'type' => 'password']));
+
+		$this->assertEquals(['company'], $field_conditions->get_field_inputs(['id' => 'company', 'type' => 'text']));
+	}
+
+	/**
+	 * Test that steps hidden by their conditions are left out of the flow.
+	 */
+	public function test_get_visible_steps() {
+
+		$_REQUEST['billing_country'] = 'US';
+
+		$steps = [
+			[
+				'id'     => 'account',
+				'fields' => [],
+			],
+			[
+				'id'         => 'vat',
+				'fields'     => [],
+				'conditions' => [
+					[
+						'subject'  => 'country',
+						'operator' => 'in_eu',
+						'value'    => '',
+					],
+				],
+			],
+		];
+
+		$visible_steps = Field_Conditions::get_instance()->get_visible_steps($steps, Checkout::get_instance());
+
+		unset($_REQUEST['billing_country']);
+
+		$this->assertSame(['account'], array_column($visible_steps, 'id'));
+	}
+}
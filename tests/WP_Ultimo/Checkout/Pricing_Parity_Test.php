@@ -0,0 +1,111 @@
+<?php
+
+namespace WP_Ultimo\Checkout;
+
+use WP_UnitTestCase;
+
+/**
+ * Runs the client-side pricing core cases through the server cart.
+ *
+ * The same cases are checked against assets/js/pricing.js by
+ * tests/js/pricing.test.js, so both ends are held to the same results.
+ */
+class Pricing_Parity_Test extends WP_UnitTestCase {
+
+	/**
+	 * Loads the shared pricing cases.
+	 *
+	 * @return array
+	 */
+	public function pricingCasesProvider(): array {
+
+		$cases = json_decode(file_get_contents(dirname(__DIR__, 2) . '/js/fixtures/pricing-cases.json'), true); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+
+		return array_combine(array_column($cases, 'name'), array_map(fn($pricing_case) => [$pricing_case], $cases));
+	}
+
+	/**
+	 * Test that the cart gets the same results as the pricing core.
+	 *
+	 * @dataProvider pricingCasesProvider
+	 *
+	 * @param array $pricing_case The pricing case.
+	 */
+	public function test_cart_matches_pricing_core($pricing_case) {
+
+		$product_ids = [];
+
+		foreach ($pricing_case['products'] as $index => $product) {
+			$product = wu_create_product(
+				[
+					'name'          => "Parity Product {$index}",
+					'slug'          => "parity-product-{$index}",
+					'amount'        => $product['amount'],
+					'setup_fee'     => $product['setup_fee'],
+					'duration'      => $product['duration'],
+					'duration_unit' => $product['duration_unit'],
+					'type'          => $product['type'],
+					'pricing_type'  => 'paid',
+					'recurring'     => true,
+					'active'        => true,
+				]
+			);
+
+			$product_ids[ $index ] = $product->get_id();
+		}
+
+		foreach ($pricing_case['discount_codes'] as $discount_code) {
+			wu_create_discount_code(
+				[
+					'name'                    => $discount_code['code'],
+					'code'                    => $discount_code['code'],
+					'type'                    => $discount_code['type'],
+					'value'                   => $discount_code['value'],
+					'setup_fee_type'          => $discount_code['setup_fee_type'],
+					'setup_fee_value'         => $discount_code['setup_fee_value'],
+					'apply_to_renewals'       => $discount_code['apply_to_renewals'],
+					'limit_products'          => wu_get_isset($discount_code, 'limit_products', false),
+					'allowed_products'        => array_map(fn($index) => $product_ids[ $index ], wu_get_isset($discount_code, 'allowed_products', [])),
+					'limit_billing_periods'   => wu_get_isset($discount_code, 'limit_billing_periods', false),
+					'allowed_billing_periods' => wu_get_isset($discount_code, 'allowed_billing_periods', []),
+					'stackable'               => true,
+					'max_uses'                => 0,
+					'active'                  => true,
+				]
+			);
+		}
+
+		$cart = new Cart(
+			[
+				'products'      => array_values($product_ids),
+				'duration'      => $pricing_case['cart']['duration'],
+				'duration_unit' => $pricing_case['cart']['duration_unit'],
+				'discount_code' => implode(',', array_column($pricing_case['discount_codes'], 'code')),
+			]
+		);
+
+		foreach ($pricing_case['expected']['line_items'] as $expected) {
+			$line_items = array_filter(
+				$cart->get_line_items(),
+				fn($line_item) => $line_item->get_type() === $expected['type'] && (int) $line_item->get_product_id() === $product_ids[ $expected['product'] ]
+			);
+
+			$this->assertCount(1, $line_items);
+
+			$line_item = current($line_items);
+
+			$this->assertEquals($expected['subtotal'], round($line_item->get_subtotal(), 2));
+			$this->assertEquals($expected['discount_total'], round($line_item->get_discount_total(), 2));
+			$this->assertEquals($expected['total'], round($line_item->get_total(), 2));
+
+			if (isset($expected['discount_label'])) {
+				$this->assertEquals($expected['discount_label'], $line_item->get_discount_label());
+			}
+		}
+
+		$results = $cart->get_discount_code_results();
+
+		$this->assertEquals($pricing_case['expected']['setup_fee_discount'], $results['setup_fee_discount']);
+		$this->assertEquals($pricing_case['expected']['recurring_discount'], $results['recurring_discount']);
+	}
+}
@@ -0,0 +1,37 @@
+<?php
+
+namespace WP_Ultimo;
+
+class Currency_Functions_Test extends \WP_UnitTestCase {
+
+	public function set_up(): void {
+		parent::set_up();
+
+		wu_save_setting('currency_symbol', 'USD');
+		wu_save_setting('enable_currency_switcher', true);
+		wu_save_setting('exchange_rates', "EUR = 0.5\nGBP=0,25\nXXX = 2\nUSD = 3\nJPY = -1");
+	}
+
+	public function test_wu_get_exchange_rates(): void {
+		$this->assertSame(
+			[
+				'USD' => 1.0,
+				'EUR' => 0.5,
+				'GBP' => 0.25,
+			],
+			wu_get_exchange_rates()
+		);
+
+		wu_save_setting('enable_currency_switcher', false);
+
+		$this->assertSame(['USD' => 1.0], wu_get_exchange_rates());
+		$this->assertFalse(wu_is_currency_switcher_enabled());
+	}
+
+	public function test_wu_convert_currency(): void {
+		$this->assertEquals(5.0, wu_convert_currency(10, 'EUR'));
+		$this->assertEquals(10.0, wu_convert_currency(10, 'BRL'));
+		$this->assertEquals('EUR', wu_get_display_currency('eur'));
+		$this->assertEquals('USD', wu_get_display_currency('BRL'));
+	}
+}
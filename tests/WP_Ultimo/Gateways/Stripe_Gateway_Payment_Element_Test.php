@@ -0,0 +1,116 @@
+<?php
+/**
+ * Tests for the Stripe Payment Element support.
+ *
+ * @package WP_Ultimo\Gateways
+ * @since 2.5.0
+ */
+
+namespace WP_Ultimo\Gateways;
+
+/**
+ * Unit tests for the Stripe payment method types, saved methods and redirect confirmations.
+ */
+class Stripe_Gateway_Payment_Element_Test extends \WP_UnitTestCase {
+
+	/**
+	 * @var \WP_Ultimo\Gateways\Stripe_Gateway
+	 */
+	private $gateway;
+
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->gateway = new Stripe_Gateway();
+
+		wu_save_setting('stripe_payment_method_types', ['card', 'link', 'sepa_debit', 'ideal']);
+	}
+
+	public function tearDown(): void {
+		unset($_REQUEST['payment_intent'], $_REQUEST['redirect_status']);
+
+		wu_save_setting('currency_symbol', 'USD');
+
+		parent::tearDown();
+	}
+
+	public function test_euro_only_types_are_removed_for_other_currencies(): void {
+		wu_save_setting('currency_symbol', 'USD');
+
+		$this->assertSame(['card', 'link'], $this->gateway->get_payment_method_types());
+
+		wu_save_setting('currency_symbol', 'EUR');
+
+		$this->assertSame(['card', 'link', 'sepa_debit', 'ideal'], $this->gateway->get_payment_method_types());
+	}
+
+	public function test_falls_back_to_cards(): void {
+		wu_save_setting('currency_symbol', 'USD');
+		wu_save_setting('stripe_payment_method_types', ['ideal']);
+
+		$this->assertSame(['card'], $this->gateway->get_payment_method_types());
+	}
+
+	public function test_ideal_is_saved_as_sepa_debit(): void {
+		wu_save_setting('currency_symbol', 'EUR');
+		wu_save_setting('stripe_payment_method_types', ['card', 'ideal']);
+
+		$this->assertSame(['card', 'sepa_debit'], $this->gateway->get_reusable_payment_method_types());
+	}
+
+	public function test_payment_method_label(): void {
+		$card = \Stripe\PaymentMethod::constructFrom(
+			[
+				'id'   => 'pm_card',
+				'type' => 'card',
+				'card' => [
+					'brand' => 'visa',
+					'last4' => '4242',
+				],
+			]
+		);
+
+		$sepa_debit = \Stripe\PaymentMethod::constructFrom(
+			[
+				'id'         => 'pm_sepa',
+				'type'       => 'sepa_debit',
+				'sepa_debit' => [
+					'last4' => '3000',
+				],
+			]
+		);
+
+		$this->assertSame('VISA ending in 4242', $this->gateway->get_payment_method_label($card));
+		$this->assertSame('SEPA Direct Debit ending in 3000', $this->gateway->get_payment_method_label($sepa_debit));
+	}
+
+	public function test_confirmation_requires_the_payment_intent(): void {
+		$payment = wu_create_payment(
+			[
+				'status'   => 'pending',
+				'gateway'  => 'stripe',
+				'total'    => 10,
+				'subtotal' => 10,
+			]
+		);
+
+		$payment->update_meta('stripe_payment_intent_id', 'pi_123');
+
+		$this->gateway->set_payment($payment);
+
+		$_REQUEST['payment_intent'] = 'pi_456';
+
+		$result = $this->gateway->process_confirmation();
+
+		$this->assertWPError($result);
+		$this->assertSame('invalid-intent', $result->get_error_code());
+
+		$_REQUEST['payment_intent']  = 'pi_123';
+		$_REQUEST['redirect_status'] = 'failed';
+
+		$result = $this->gateway->process_confirmation();
+
+		$this->assertWPError($result);
+		$this->assertSame('payment-failed', $result->get_error_code());
+	}
+}
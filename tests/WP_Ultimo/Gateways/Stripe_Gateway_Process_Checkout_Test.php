@@ -434,6 +434,97 @@ class Stripe_Gateway_Process_Checkout_Test extends \WP_UnitTestCase {
 		$second_product->delete();
 	}
 
+	/**
+	 * Test orders finished by redirect payment methods run the checkout done hook.
+	 */
+	public function test_process_confirmation_fires_checkout_done(): void {
+		$customer = self::$customer;
+
+		$product = wu_create_product(
+			[
+				'name'          => 'Redirect Product',
+				'slug'          => 'redirect-product',
+				'amount'        => 50.00,
+				'recurring'     => true,
+				'duration'      => 1,
+				'duration_unit' => 'month',
+				'type'          => 'plan',
+				'pricing_type'  => 'paid',
+				'active'        => true,
+			]
+		);
+
+		$membership = wu_create_membership(
+			[
+				'customer_id' => $customer->get_id(),
+				'plan_id'     => $product->get_id(),
+				'status'      => Membership_Status::PENDING,
+				'recurring'   => true,
+			]
+		);
+
+		$cart = new \WP_Ultimo\Checkout\Cart(
+			[
+				'cart_type'     => 'new',
+				'products'      => [$product->get_id()],
+				'duration'      => 1,
+				'duration_unit' => 'month',
+				'country'       => 'NL',
+				'currency'      => 'EUR',
+			]
+		);
+
+		$payment = wu_create_payment(
+			[
+				'customer_id'   => $customer->get_id(),
+				'membership_id' => $membership->get_id(),
+				'gateway'       => 'stripe',
+				'status'        => 'pending',
+				'total'         => $product->get_amount(),
+				'meta'          => ['stripe_payment_intent_id' => 'pi_1234567890'],
+			]
+		);
+
+		$payment->update_meta('wu_original_cart', $cart);
+
+		$this->gateway->set_payment($payment);
+
+		$_REQUEST['payment_intent']  = 'pi_1234567890';
+		$_REQUEST['redirect_status'] = 'succeeded';
+
+		$checkout_done = [];
+
+		$record = function ($payment, $membership, $customer, $cart, $type) use (&$checkout_done) {
+			$checkout_done = [$payment->get_id(), $membership->get_id(), $customer->get_id(), $type];
+		};
+
+		$stop_redirect = function () {
+			throw new \Exception('redirected');
+		};
+
+		add_action('wu_checkout_done', $record, 10, 5);
+		add_filter('wp_redirect', $stop_redirect);
+
+		try {
+			$this->gateway->process_confirmation();
+
+			$this->fail('The customer should be redirected.');
+		} catch (\Exception $e) {
+			$this->assertSame('redirected', $e->getMessage());
+		} finally {
+			remove_action('wu_checkout_done', $record, 10);
+			remove_filter('wp_redirect', $stop_redirect);
+
+			unset($_REQUEST['payment_intent'], $_REQUEST['redirect_status']);
+		}
+
+		$this->assertSame([$payment->get_id(), $membership->get_id(), $customer->get_id(), 'new'], $checkout_done);
+
+		$payment->delete();
+		$membership->delete();
+		$product->delete();
+	}
+
 	/**
 	 * Tear down the test environment after all tests in the class have run.
 	 *
@@ -0,0 +1,104 @@
+<?php
+
+namespace WP_Ultimo\Models;
+
+use WP_UnitTestCase;
+
+/**
+ * Test class for Abandoned Cart model functionality.
+ *
+ * Tests status handling, meta accessors and signed recovery tokens.
+ */
+class Abandoned_Cart_Test extends WP_UnitTestCase {
+
+	/**
+	 * Creates a saved abandoned cart.
+	 *
+	 * @return Abandoned_Cart
+	 */
+	protected function create_cart() {
+
+		$cart = wu_create_abandoned_cart(
+			[
+				'email_address' => 'customer@example.com',
+				'products'      => ['premium'],
+				'checkout_form' => 'main-form',
+				'checkout_data' => ['site_url' => 'mysite'],
+			]
+		);
+
+		$this->assertNotWPError($cart);
+
+		return $cart;
+	}
+
+	/**
+	 * Test the email address is stored as the title.
+	 */
+	public function test_email_address_is_stored_as_title(): void {
+		$cart = new Abandoned_Cart();
+		$cart->set_email_address('customer@example.com');
+
+		$this->assertEquals('customer@example.com', $cart->get_email_address());
+		$this->assertEquals('customer@example.com', $cart->get_title());
+	}
+
+	/**
+	 * Test invalid statuses fall back to pending.
+	 */
+	public function test_invalid_status_falls_back_to_pending(): void {
+		$cart = new Abandoned_Cart();
+
+		$cart->set_status('abandoned');
+		$this->assertEquals('abandoned', $cart->get_status());
+
+		$cart->set_status('publish');
+		$this->assertEquals('pending', $cart->get_status());
+	}
+
+	/**
+	 * Test the type cannot be changed.
+	 */
+	public function test_type_is_always_abandoned_cart(): void {
+		$cart = new Abandoned_Cart();
+		$cart->set_type('broadcast_email');
+
+		$this->assertEquals('abandoned_cart', $cart->get_type());
+	}
+
+	/**
+	 * Test a saved cart can be found by its recovery token.
+	 */
+	public function test_get_by_recovery_token(): void {
+		$cart = $this->create_cart();
+
+		$found = wu_get_abandoned_cart_by_recovery_token($cart->get_recovery_token());
+
+		$this->assertInstanceOf(Abandoned_Cart::class, $found);
+		$this->assertEquals($cart->get_id(), $found->get_id());
+		$this->assertEquals(['premium'], $found->get_products());
+		$this->assertEquals(['site_url' => 'mysite'], $found->get_checkout_data());
+	}
+
+	/**
+	 * Test tampered recovery tokens are rejected.
+	 */
+	public function test_tampered_recovery_token_is_rejected(): void {
+		$cart = $this->create_cart();
+
+		[$hash] = explode('.', $cart->get_recovery_token());
+
+		$this->assertFalse(wu_get_abandoned_cart_by_recovery_token($hash . '.invalid'));
+		$this->assertFalse(wu_get_abandoned_cart_by_recovery_token($hash));
+		$this->assertFalse($cart->is_valid_recovery_signature(null));
+	}
+
+	/**
+	 * Test the recovery URL carries the token.
+	 */
+	public function test_recovery_url_contains_token(): void {
+		$cart = $this->create_cart();
+
+		$this->assertStringContainsString('recover_checkout=' . rawurlencode($cart->get_recovery_token()), $cart->get_recovery_url());
+	}
+}
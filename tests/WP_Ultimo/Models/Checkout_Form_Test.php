@@ -534,4 +534,112 @@ class Checkout_Form_Test extends WP_UnitTestCase {
 		$steps_to_show = $checkout_form->get_steps_to_show();
 		$this->assertIsArray($steps_to_show);
 	}
+
+	/**
+	 * Test that revisions are kept newest first, with a single autosave per admin.
+	 */
+	public function test_revisions(): void {
+		$checkout_form = wu_create_checkout_form(
+			[
+				'name'     => 'Revisions Form',
+				'slug'     => 'revisions-form',
+				'settings' => [],
+			]
+		);
+
+		$first = $checkout_form->add_revision([['id' => 'checkout', 'fields' => []]], 'First');
+
+		$checkout_form->add_revision([], '', true);
+
+		$autosave = $checkout_form->add_revision([['id' => 'checkout', 'fields' => []]], '', true);
+
+		$revisions = $checkout_form->get_revisions();
+
+		$this->assertCount(2, $revisions);
+		$this->assertEquals($autosave['id'], $revisions[0]['id']);
+		$this->assertEquals('First', $checkout_form->get_revision($first['id'])['name']);
+
+		$checkout_form->delete_revision($first['id']);
+
+		$this->assertFalse($checkout_form->get_revision($first['id']));
+	}
+
+	/**
+	 * Test the differences between draft and published steps.
+	 */
+	public function test_get_settings_changes(): void {
+		$checkout_form = new Checkout_Form();
+
+		$checkout_form->set_settings(
+			[
+				[
+					'id'     => 'checkout',
+					'name'   => 'Checkout',
+					'fields' => [
+						[
+							'id'       => 'email',
+							'name'     => 'Email',
+							'required' => true,
+						],
+						[
+							'id'   => 'company',
+							'name' => 'Company',
+						],
+					],
+				],
+			]
+		);
+
+		$this->assertEmpty(
+			$checkout_form->get_settings_changes(
+				[
+					[
+						'id'     => 'checkout',
+						'name'   => 'Checkout',
+						'fields' => [
+							[
+								'id'       => 'email',
+								'name'     => 'Email',
+								'required' => 'true',
+							],
+							[
+								'id'   => 'company',
+								'name' => 'Company',
+							],
+						],
+					],
+				]
+			)
+		);
+
+		$changes = $checkout_form->get_settings_changes(
+			[
+				[
+					'id'     => 'checkout',
+					'name'   => 'Checkout',
+					'fields' => [
+						[
+							'id'       => 'email',
+							'name'     => 'Email Address',
+							'required' => true,
+						],
+						[
+							'id'   => 'phone',
+							'name' => 'Phone',
+						],
+					],
+				],
+				[
+					'id'     => 'billing',
+					'name'   => 'Billing',
+					'fields' => [],
+				],
+			]
+		);
+
+		$this->assertEquals(['changed', 'added', 'removed', 'added'], array_column($changes, 'action'));
+		$this->assertEquals(['name'], $changes[0]['attributes']);
+		$this->assertEquals('Company', $changes[2]['field']);
+		$this->assertEquals('Billing', $changes[3]['step']);
+	}
 }
@@ -70,7 +70,8 @@ class Discount_Code_Test extends WP_UnitTestCase {
 
 		$this->assertInstanceOf(WP_Error::class, $result);
 		$this->assertEquals('discount_code', $result->get_error_code());
-		$this->assertEquals('This coupon code is not valid.', $result->get_error_message());
+		$this->assertEquals('This coupon code is not available yet.', $result->get_error_message());
+		$this->assertEquals(['reason' => 'not_started'], $result->get_error_data());
 	}
 
 	/**
@@ -85,7 +86,8 @@ class Discount_Code_Test extends WP_UnitTestCase {
 
 		$this->assertInstanceOf(WP_Error::class, $result);
 		$this->assertEquals('discount_code', $result->get_error_code());
-		$this->assertEquals('This coupon code is not valid.', $result->get_error_message());
+		$this->assertEquals('This coupon code has expired.', $result->get_error_message());
+		$this->assertEquals(['reason' => 'expired'], $result->get_error_data());
 	}
 
 	/**
@@ -118,7 +120,8 @@ class Discount_Code_Test extends WP_UnitTestCase {
 
 		$this->assertInstanceOf(WP_Error::class, $result);
 		$this->assertEquals('discount_code', $result->get_error_code());
-		$this->assertEquals('This coupon code is not valid.', $result->get_error_message());
+		$this->assertEquals('This coupon code is not valid for the selected products.', $result->get_error_message());
+		$this->assertEquals(['reason' => 'product'], $result->get_error_data());
 	}
 
 	/**
@@ -133,4 +136,33 @@ class Discount_Code_Test extends WP_UnitTestCase {
 
 		$this->assertTrue($result);
 	}
+
+	/**
+	 * Tests that a discount code limited to billing periods rejects other periods.
+	 */
+	public function test_is_valid_for_billing_period(): void {
+		$discount_code = new Discount_Code();
+		$discount_code->set_active(true);
+		$discount_code->set_limit_billing_periods(true);
+		$discount_code->set_allowed_billing_periods(['1-year']);
+
+		$this->assertTrue($discount_code->is_valid_for_billing_period(1, 'year'));
+
+		$result = $discount_code->is_valid_for_billing_period(1, 'month');
+
+		$this->assertInstanceOf(WP_Error::class, $result);
+		$this->assertEquals('This coupon code is only valid when billed every year.', $result->get_error_message());
+		$this->assertEquals(['reason' => 'billing_period'], $result->get_error_data());
+	}
+
+	/**
+	 * Tests that billing periods are not checked when the limit is disabled.
+	 */
+	public function test_is_valid_for_billing_period_without_limits(): void {
+		$discount_code = new Discount_Code();
+		$discount_code->set_active(true);
+		$discount_code->set_allowed_billing_periods(['1-year']);
+
+		$this->assertTrue($discount_code->is_valid_for_billing_period(1, 'month'));
+	}
 }
@@ -0,0 +1,101 @@
+/**
+ * Minimal Stripe.js v3 replacement used by the e2e tests.
+ *
+ * Every call is recorded on window.wuStripeMock.calls, and the results
+ * of submit/confirm can be changed through window.wuStripeMock.results.
+ */
+(function () {
+  const mock = {
+    calls: [],
+    results: {
+      submit: {},
+      confirmPayment: { paymentIntent: { id: 'pi_mock', status: 'succeeded' } },
+      confirmSetup: { setupIntent: { id: 'seti_mock', status: 'succeeded' } },
+      canMakePayment: { applePay: false, googlePay: true },
+    },
+    handlers: {},
+  };
+
+  const record = (name, args) => {
+    mock.calls.push({ name, args: JSON.parse(JSON.stringify(args || null, (key, value) => (key === 'elements' ? '[elements]' : value))) });
+  };
+
+  const createElement = (type, options) => {
+    record('create', [type, options]);
+
+    return {
+      type,
+      mount(selector) {
+        record('mount', [type, selector]);
+
+        const container = document.querySelector(selector);
+
+        if (container) {
+          const iframe = document.createElement('iframe');
+
+          iframe.setAttribute('data-mock-element', type);
+
+          container.appendChild(iframe);
+        }
+      },
+      unmount() {
+        record('unmount', [type]);
+
+        document.querySelectorAll(`iframe[data-mock-element="${type}"]`).forEach((iframe) => iframe.remove());
+      },
+      on(event, handler) {
+        mock.handlers[`${type}:${event}`] = handler;
+      },
+      update(updateOptions) {
+        record('element.update', [type, updateOptions]);
+      },
+    };
+  };
+
+  window.wuStripeMock = mock;
+
+  window.Stripe = function (publicKey) {
+    record('Stripe', [publicKey]);
+
+    return {
+      elements(options) {
+        record('elements', [options]);
+
+        return {
+          create: createElement,
+          update(updateOptions) {
+            record('elements.update', [updateOptions]);
+          },
+          submit() {
+            record('submit', []);
+
+            return Promise.resolve(mock.results.submit);
+          },
+        };
+      },
+      paymentRequest(options) {
+        record('paymentRequest', [options]);
+
+        return {
+          canMakePayment: () => Promise.resolve(mock.results.canMakePayment),
+          update(updateOptions) {
+            record('paymentRequest.update', [updateOptions]);
+          },
+          on(event, handler) {
+            mock.handlers[`paymentRequest:${event}`] = handler;
+          },
+        };
+      },
+      confirmPayment(args) {
+        record('confirmPayment', [args]);
+
+        return Promise.resolve(mock.results.confirmPayment);
+      },
+      confirmSetup(args) {
+        record('confirmSetup', [args]);
+
+        return Promise.resolve(mock.results.confirmSetup);
+      },
+    };
+  };
+}());
@@ -0,0 +1,124 @@
+/**
+ * E2E tests for the accessibility of the checkout form
+ *
+ * This test suite runs axe against the checkout steps and covers
+ * how errors, focus, the inline login prompt, the template selection
+ * and the password strength meter are exposed to assistive technology.
+ */
+
+describe("Checkout Accessibility", () => {
+  const testData = {
+    customer: {
+      username: `a11yuser_${Date.now()}`,
+      email: `a11yuser_${Date.now()}@example.com`,
+      password: 'ValidPassword123!'
+    }
+  };
+
+  beforeEach(() => {
+    cy.visitCheckoutForm('registration');
+    cy.injectAxe();
+  });
+
+  it("Should have no WCAG 2.2 AA violations on the first step", () => {
+    cy.get('#wu_form').should('be.visible');
+
+    cy.checkA11y('.wu-styling');
+  });
+
+  it("Should announce errors and focus the first invalid field", () => {
+    cy.selectPricingPlan(0);
+
+    cy.injectAxe();
+
+    cy.proceedToNextStep();
+
+    cy.get('.wu-checkout-live-region[role="alert"]')
+      .should('not.be.empty');
+
+    cy.focused()
+      .should('have.attr', 'aria-invalid', 'true')
+      .invoke('attr', 'aria-describedby')
+      .should('match', /wu-error-/);
+
+    cy.checkA11y('.wu-styling');
+  });
+
+  it("Should move the focus to the new step", () => {
+    cy.selectPricingPlan(0);
+
+    cy.location('search').should('include', 'step=');
+
+    cy.focused().then(($focused) => {
+      expect($focused.is('.wu-checkout-section-title') || $focused.is('[id^="wu-step-"]'), 'focus is on the step').to.be.true;
+    });
+  });
+
+  it("Should label the password strength feedback", () => {
+    cy.selectPricingPlan(0);
+
+    cy.get('body').then(($body) => {
+      if ($body.find('#pass-strength-result').length === 0) {
+        return;
+      }
+
+      cy.get('#pass-strength-result')
+        .should('have.attr', 'role', 'status')
+        .and('have.attr', 'aria-live', 'polite');
+
+      cy.get('#field-password')
+        .type(testData.customer.password)
+        .invoke('attr', 'aria-describedby')
+        .should('include', 'pass-strength-result');
+
+      cy.get('#pass-strength-result .wu-password-strength-label')
+        .should('exist');
+    });
+  });
+
+  it("Should open the inline login prompt as a dialog that closes with Escape", () => {
+    cy.selectPricingPlan(0);
+
+    cy.get('body').then(($body) => {
+      if ($body.find('#field-username').length === 0) {
+        return;
+      }
+
+      cy.get('#field-username').clear().type('admin');
+
+      cy.get('body').then(($updated) => {
+        if ($updated.find('#wu-inline-login-prompt-username').length === 0) {
+          return;
+        }
+
+        cy.get('#wu-inline-login-prompt-username')
+          .should('have.attr', 'role', 'dialog')
+          .and('have.attr', 'aria-labelledby', 'wu-inline-login-title-username');
+
+        cy.get('.wu-checkout-live-region[role="status"]')
+          .should('not.be.empty');
+
+        cy.get('#wu-inline-login-password-username').type('{esc}');
+
+        cy.get('#wu-inline-login-prompt-username').should('not.exist');
+
+        cy.focused().should('have.id', 'field-username');
+      });
+    });
+  });
+
+  it("Should expose the selected site template", () => {
+    cy.get('body').then(($body) => {
+      if ($body.find('#wu-site-template-container button.wu-site-template-selector').length === 0) {
+        return;
+      }
+
+      cy.get('#wu-site-template-container button.wu-site-template-selector')
+        .first()
+        .click()
+        .should('have.attr', 'aria-pressed', 'true');
+
+      cy.checkA11y('#wu-site-template-container');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * E2E tests for the Stripe gateway script (Payment Element and wallets).
+ *
+ * Stripe.js is replaced by the fixtures/stripe-js-mock.js mock. To run the
+ * whole flow without reaching Stripe, point the PHP client to stripe-mock
+ * (https://github.com/stripe/stripe-mock) on wp-config.php:
+ *
+ *     define('WU_STRIPE_API_BASE', 'http://localhost:12111');
+ *
+ * WU_STRIPE_JS_URL can be used instead of the intercept below when the
+ * mock is served by the test environment.
+ */
+
+describe("Stripe Payment Element", () => {
+  const testCustomer = {
+    username: `stripeuser_${Date.now()}`,
+    email: `stripeuser_${Date.now()}@example.com`,
+    password: 'StripePass123!',
+  };
+
+  const testSite = {
+    title: 'Stripe Test Site',
+    path: `stripesite_${Date.now()}`
+  };
+
+  const mockCalls = (name) => cy.window().then((win) => win.wuStripeMock.calls.filter((call) => call.name === name));
+
+  beforeEach(() => {
+    cy.intercept('https://js.stripe.com/v3/*', { fixture: 'stripe-js-mock.js', headers: { 'content-type': 'application/javascript' } });
+
+    cy.visitCheckoutForm('registration');
+    cy.selectPricingPlan(0);
+    cy.fillAccountDetails(testCustomer);
+    cy.proceedToNextStep();
+    cy.fillSiteDetails(testSite);
+    cy.proceedToNextStep();
+
+    cy.get('body').then(($body) => {
+      if ($body.find('[name*="billing"]').length > 0) {
+        cy.fillBillingAddress();
+      }
+    });
+
+    cy.selectPaymentGateway('stripe');
+  });
+
+  it("Should mount the Payment Element instead of the card element", () => {
+    cy.get('#payment-element iframe[data-mock-element="payment"]').should('exist');
+
+    mockCalls('create').then((calls) => {
+      expect(calls.map((call) => call.args[0])).to.include('payment');
+      expect(calls.map((call) => call.args[0])).not.to.include('card');
+    });
+
+    mockCalls('elements').then((calls) => {
+      expect(calls[0].args[0].paymentMethodTypes).to.be.an('array').that.is.not.empty;
+    });
+  });
+
+  it("Should keep the Payment Element in sync with the order total", () => {
+    cy.wait(1000);
+
+    mockCalls('elements.update').then((calls) => {
+      const options = calls[calls.length - 1].args[0];
+
+      expect(options.mode).to.be.oneOf(['payment', 'setup']);
+
+      if (options.mode === 'payment') {
+        expect(options.amount).to.be.greaterThan(0);
+      }
+    });
+  });
+
+  it("Should block the submission when the Payment Element is invalid", () => {
+    cy.window().then((win) => {
+      win.wuStripeMock.results.submit = {
+        error: { message: 'Your card number is incomplete.' },
+      };
+    });
+
+    cy.completeCheckout();
+
+    cy.contains('Your card number is incomplete.').should('be.visible');
+
+    mockCalls('confirmPayment').should('have.length', 0);
+    mockCalls('confirmSetup').should('have.length', 0);
+  });
+
+  it("Should show the error when the 3DS challenge fails", () => {
+    cy.window().then((win) => {
+      win.wuStripeMock.results.confirmPayment = win.wuStripeMock.results.confirmSetup = {
+        error: { message: 'We are unable to authenticate your payment method.' },
+      };
+    });
+
+    cy.completeCheckout();
+
+    cy.contains('We are unable to authenticate your payment method.', { timeout: 30000 }).should('be.visible');
+  });
+
+  it("Should submit the order with the wallet payment method", () => {
+    cy.get('#payment-request-button iframe[data-mock-element="paymentRequestButton"]').should('exist');
+
+    cy.window().then((win) => {
+      const event = {
+        paymentMethod: { id: 'pm_card_visa' },
+        complete: cy.stub().as('complete'),
+      };
+
+      win.wuStripeMock.handlers['paymentRequest:paymentmethod'](event);
+    });
+
+    cy.get('#wu_form [name="stripe_wallet_payment_method"]').should('have.value', 'pm_card_visa');
+
+    cy.get('@complete', { timeout: 30000 }).should('have.been.called');
+
+    mockCalls('confirmPayment').then((calls) => {
+      calls.forEach((call) => expect(call.args[0].confirmParams.payment_method).to.equal('pm_card_visa'));
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Cypress custom commands for automated accessibility checks
+ */
+
+/**
+ * Inject axe-core into the page under test
+ */
+Cypress.Commands.add("injectAxe", () => {
+  cy.readFile("node_modules/axe-core/axe.min.js").then((source) => {
+    cy.window({ log: false }).then((win) => {
+      win.eval(source);
+    });
+  });
+});
+
+/**
+ * Run axe against the page, or part of it, and fail on WCAG 2.2 AA violations
+ * @param {string|null} context - Selector of the element to check, defaults to the whole page
+ * @param {object} options - Options passed to axe.run
+ */
+Cypress.Commands.add("checkA11y", (context = null, options = {}) => {
+  cy.window({ log: false }).then((win) => {
+    const runOptions = Object.assign({
+      runOnly: {
+        type: 'tag',
+        values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa']
+      }
+    }, options);
+
+    return win.axe.run(context ? win.document.querySelector(context) : win.document, runOptions);
+  }).then(({ violations }) => {
+    violations.forEach((violation) => {
+      Cypress.log({
+        name: 'a11y',
+        message: `${violation.id}: ${violation.help} (${violation.nodes.length})`,
+        consoleProps: () => violation
+      });
+    });
+
+    expect(violations.map((violation) => violation.id), 'accessibility violations').to.be.empty;
+  });
+});
@@ -2,6 +2,7 @@ import "./login";
 import "./wizard";
 import "./checkout";
 import "./domain-mapping";
+import "./accessibility";
 
 Cypress.Commands.add("wpCli", (command, options = {}) => {
   cy.exec(`npm run env run tests-cli wp ${command}`, options);
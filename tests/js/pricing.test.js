@@ -0,0 +1,158 @@
+/**
+ * Tests for the shared pricing core.
+ *
+ * The cases are shared with Pricing_Parity_Test, that runs them through
+ * the server-side cart, so both ends are held to the same results.
+ *
+ * Run with: npm run test:js
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const pricing = require('../../assets/js/pricing.js');
+const cases = require('./fixtures/pricing-cases.json');
+
+/**
+ * Builds the line items the server cart adds for the products of a case.
+ *
+ * @param {Object} pricing_case The pricing case.
+ * @return {Array} The line items.
+ */
+const get_line_items = function(pricing_case) {
+
+	const line_items = [];
+
+	pricing_case.products.forEach(function(product, index) {
+
+		line_items.push({
+			product_id: index,
+			type: 'product',
+			quantity: 1,
+			unit_price: product.amount,
+			recurring: true,
+			duration: product.duration,
+			duration_unit: product.duration_unit,
+		});
+
+		if (product.setup_fee > 0) {
+
+			line_items.push({
+				product_id: index,
+				type: 'fee',
+				quantity: 1,
+				unit_price: product.setup_fee,
+				recurring: false,
+			});
+
+		} // end if;
+
+	});
+
+	return line_items;
+
+};
+
+describe('wu_pricing matches the server cart', function() {
+
+	cases.forEach(function(pricing_case) {
+
+		it(pricing_case.name, function() {
+
+			const line_items = get_line_items(pricing_case).map((line_item) => pricing.apply_discounts(line_item, pricing_case.discount_codes, pricing_case.cart));
+
+			pricing_case.expected.line_items.forEach(function(expected) {
+
+				const line_item = line_items.find((item) => item.product_id === expected.product && item.type === expected.type);
+
+				assert.ok(line_item, 'Line item is missing.');
+
+				assert.strictEqual(pricing.round(line_item.subtotal), expected.subtotal);
+
+				assert.strictEqual(pricing.round(line_item.discount_total), expected.discount_total);
+
+				assert.strictEqual(pricing.round(line_item.total), expected.total);
+
+				if (expected.discount_label) {
+
+					assert.strictEqual(line_item.discount_label, expected.discount_label);
+
+				} // end if;
+
+			});
+
+			const totals = pricing.get_discount_totals(line_items);
+
+			assert.strictEqual(totals.setup_fee_discount, pricing_case.expected.setup_fee_discount);
+
+			assert.strictEqual(totals.recurring_discount, pricing_case.expected.recurring_discount);
+
+		});
+
+	});
+
+});
+
+describe('wu_pricing', function() {
+
+	it('calculates exclusive and inclusive taxes like wu_get_tax_amount', function() {
+
+		assert.strictEqual(pricing.get_amount(100, 10, 'percentage'), 10);
+
+		assert.strictEqual(pricing.round(pricing.get_amount(110, 10, 'percentage', true)), 10);
+
+		assert.strictEqual(pricing.get_amount(100, 7, 'absolute'), 7);
+
+	});
+
+	it('adds taxes after discounts', function() {
+
+		const line_item = pricing.recalculate_totals({
+			quantity: 2,
+			unit_price: 50,
+			discount_rate: 10,
+			discount_type: 'percentage',
+			tax_rate: 20,
+			tax_type: 'percentage',
+		});
+
+		assert.strictEqual(line_item.subtotal, 100);
+
+		assert.strictEqual(line_item.discount_total, 10);
+
+		assert.strictEqual(line_item.tax_total, 18);
+
+		assert.strictEqual(line_item.total, 108);
+
+	});
+
+	it('ignores taxes for tax exempt customers', function() {
+
+		const line_item = pricing.recalculate_totals({
+			unit_price: 100,
+			tax_rate: 20,
+			tax_type: 'percentage',
+			tax_exempt: true,
+		});
+
+		assert.strictEqual(line_item.tax_total, 0);
+
+		assert.strictEqual(line_item.total, 100);
+
+	});
+
+	it('splits the total of a billing period', function() {
+
+		assert.strictEqual(pricing.get_amount_per_period(90, 3), 30);
+
+	});
+
+	it('parses formatted money strings', function() {
+
+		assert.strictEqual(pricing.parse_money('1.234,50', { thousand_separator: '.', decimal_separator: ',' }), 1234.5);
+
+		assert.strictEqual(pricing.parse_money('1,234,567.25'), 1234567.25);
+
+		assert.strictEqual(pricing.parse_money('Free!'), 0);
+
+	});
+
+});
@@ -0,0 +1,53 @@
+<?php
+/**
+ * A/B experiment results view.
+ *
+ * @since 2.5.0
+ */
+defined('ABSPATH') || exit;
+
+$significance_classes = [
+	'control'         => 'wu-bg-gray-200 wu-text-gray-700',
+	'not_enough_data' => 'wu-bg-gray-200 wu-text-gray-700',
+	'inconclusive'    => 'wu-bg-yellow-200 wu-text-yellow-700',
+	'better'          => 'wu-bg-green-200 wu-text-green-700',
+	'worse'           => 'wu-bg-red-200 wu-text-red-700',
+];
+
+?>
+<table class="wp-list-table widefat fixed striped wu-mt-2">
+
+	<thead>
+		<tr>
+			<th class="wu-w-4/12"><?php esc_html_e('Variant', 'ultimate-multisite'); ?></th>
+			<th class="wu-w-2/12"><?php esc_html_e('Exposures', 'ultimate-multisite'); ?></th>
+			<th class="wu-w-2/12"><?php esc_html_e('Conversions', 'ultimate-multisite'); ?></th>
+			<th class="wu-w-2/12"><?php esc_html_e('Rate', 'ultimate-multisite'); ?></th>
+			<th class="wu-w-2/12"><?php esc_html_e('Significance', 'ultimate-multisite'); ?></th>
+		</tr>
+	</thead>
+
+	<tbody>
+
+		<?php foreach ($results as $result) : ?>
+
+			<tr>
+				<td>
+					<span class="wu-block wu-font-semibold"><?php echo esc_html($result['name']); ?></span>
+					<code class="wu-text-2xs"><?php echo esc_html($result['slug']); ?></code>
+				</td>
+				<td><?php echo esc_html(number_format_i18n($result['exposures'])); ?></td>
+				<td><?php echo esc_html(number_format_i18n($result['conversions'])); ?></td>
+				<td><?php echo esc_html(number_format_i18n($result['conversion_rate'], 2)); ?>%</td>
+				<td>
+					<span class="wu-inline-block wu-py-1 wu-px-2 wu-rounded-sm wu-text-xs <?php echo esc_attr($significance_classes[ $result['significance'] ]); ?>" <?php echo null !== $result['z_score'] ? 'title="z = ' . esc_attr($result['z_score']) . '"' : ''; ?>>
+						<?php echo esc_html($labels[ $result['significance'] ]); ?>
+					</span>
+				</td>
+			</tr>
+
+		<?php endforeach; ?>
+
+	</tbody>
+
+</table>
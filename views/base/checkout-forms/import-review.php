@@ -0,0 +1,91 @@
+<?php
+/**
+ * Dry-run review of a checkout form import.
+ *
+ * @since 2.5.0
+ */
+defined('ABSPATH') || exit;
+
+$field_count = array_sum(array_map(fn($step) => count($step['fields']), $checkout_form['settings']));
+
+?>
+<div class="wu-w-full">
+
+	<span class="wu-block wu-font-semibold"><?php echo esc_html($checkout_form['name']); ?></span>
+
+	<span class="wu-block wu-text-xs wu-text-gray-600">
+		<?php // translators: %1$s is the slug, %2$d is the number of steps, %3$d is the number of fields. ?>
+		<?php echo esc_html(sprintf(__('Slug "%1$s" with %2$d step(s) and %3$d field(s).', 'ultimate-multisite'), $checkout_form['slug'], count($checkout_form['settings']), $field_count)); ?>
+	</span>
+
+	<?php if ($warnings) : ?>
+
+		<ul class="wu-mt-2 wu-mb-0 wu-p-4 wu-bg-yellow-200 wu-text-yellow-700 wu-text-xs wu-rounded">
+
+			<?php foreach ($warnings as $warning) : ?>
+
+				<li class="wu-m-0"><?php echo esc_html($warning); ?></li>
+
+			<?php endforeach; ?>
+
+		</ul>
+
+	<?php endif; ?>
+
+	<?php if ($remapped) : ?>
+
+		<table class="wp-list-table widefat fixed striped wu-mt-2">
+
+			<thead>
+				<tr>
+					<th class="wu-w-6/12"><?php esc_html_e('Reference', 'ultimate-multisite'); ?></th>
+					<th class="wu-w-3/12"><?php esc_html_e('Exported ID', 'ultimate-multisite'); ?></th>
+					<th class="wu-w-3/12"><?php esc_html_e('ID Here', 'ultimate-multisite'); ?></th>
+				</tr>
+			</thead>
+
+			<tbody>
+
+				<?php foreach ($remapped as $reference) : ?>
+
+					<tr>
+						<td>
+							<?php echo esc_html('products' === $reference['type'] ? __('Product', 'ultimate-multisite') : __('Site Template', 'ultimate-multisite')); ?>
+							<code class="wu-text-2xs"><?php echo esc_html($reference['slug']); ?></code>
+						</td>
+						<td><?php echo esc_html($reference['from']); ?></td>
+						<td><?php echo $reference['to'] ? esc_html($reference['to']) : esc_html__('Not found', 'ultimate-multisite'); ?></td>
+					</tr>
+
+				<?php endforeach; ?>
+
+			</tbody>
+
+		</table>
+
+	<?php endif; ?>
+
+	<?php if ($existing) : ?>
+
+		<span class="wu-block wu-font-semibold wu-mt-4">
+			<?php // translators: %s is the name of the existing checkout form. ?>
+			<?php echo esc_html(sprintf(__('Changes to "%s"', 'ultimate-multisite'), $existing->get_name())); ?>
+		</span>
+
+		<span class="wu-block wu-text-xs wu-text-gray-600">
+			<?php esc_html_e('A checkout form with the same slug already exists. This is what replacing it would change.', 'ultimate-multisite'); ?>
+		</span>
+
+		<?php
+		wu_get_template(
+			'base/checkout-forms/settings-changes',
+			[
+				'changes'       => $changes,
+				'empty_message' => __('The imported form has the same steps and fields as the existing one.', 'ultimate-multisite'),
+			]
+		);
+		?>
+
+	<?php endif; ?>
+
+</div>
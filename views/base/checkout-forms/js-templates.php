@@ -75,6 +75,13 @@ defined('ABSPATH') || exit;
 					>
 			<?php wu_tooltip('Logged-in users only', 'dashicons-wu-eye'); ?>
 			</span>
+
+			<span
+						v-if="field.conditions && field.conditions.length"
+						class="wu-px-1 wu-ml-1 wu-text-xs wu-align-text-bottom wu-inline-block wu-rounded wu-bg-blue-100 wu-text-blue-600"
+					>
+			<?php wu_tooltip(__('Shown only when its conditions are met', 'ultimate-multisite'), 'dashicons-wu-flow-branch'); ?>
+			</span>
 			<!-- Visibility - End -->
 
 				</span>
@@ -0,0 +1,29 @@
+<?php
+/**
+ * Differences between a draft revision and the published checkout form.
+ *
+ * @since 2.5.0
+ */
+defined('ABSPATH') || exit;
+
+?>
+<div class="wu-w-full">
+
+	<span class="wu-block wu-font-semibold"><?php echo esc_html($revision['name']); ?></span>
+
+	<span class="wu-block wu-text-xs wu-text-gray-600">
+		<?php // translators: %1$s is the revision date, %2$s is the author name. ?>
+		<?php echo esc_html(sprintf(__('Saved %1$s by %2$s. Compared against the published form.', 'ultimate-multisite'), $revision['date'], $revision['author'])); ?>
+	</span>
+
+	<?php
+	wu_get_template(
+		'base/checkout-forms/settings-changes',
+		[
+			'changes'       => $changes,
+			'empty_message' => __('This revision has the same steps and fields as the published form.', 'ultimate-multisite'),
+		]
+	);
+	?>
+
+</div>
@@ -0,0 +1,68 @@
+<?php
+/**
+ * List of differences between two versions of the steps of a checkout form.
+ *
+ * @since 2.5.0
+ */
+defined('ABSPATH') || exit;
+
+$action_labels = [
+	'added'     => __('Added', 'ultimate-multisite'),
+	'removed'   => __('Removed', 'ultimate-multisite'),
+	'changed'   => __('Changed', 'ultimate-multisite'),
+	'reordered' => __('Reordered', 'ultimate-multisite'),
+];
+
+$action_classes = [
+	'added'     => 'wu-bg-green-200 wu-text-green-700',
+	'removed'   => 'wu-bg-red-200 wu-text-red-700',
+	'changed'   => 'wu-bg-yellow-200 wu-text-yellow-700',
+	'reordered' => 'wu-bg-gray-200 wu-text-gray-700',
+];
+
+?>
+<?php if (empty($changes)) : ?>
+
+	<div class="wu-mt-2 wu-p-4 wu-bg-gray-100 wu-text-gray-600 wu-text-xs wu-text-center wu-rounded">
+		<?php echo esc_html($empty_message); ?>
+	</div>
+
+<?php else : ?>
+
+	<table class="wp-list-table widefat fixed striped wu-mt-2">
+
+		<thead>
+			<tr>
+				<th class="wu-w-2/12"><?php esc_html_e('Change', 'ultimate-multisite'); ?></th>
+				<th class="wu-w-4/12"><?php esc_html_e('Step', 'ultimate-multisite'); ?></th>
+				<th class="wu-w-6/12"><?php esc_html_e('Field', 'ultimate-multisite'); ?></th>
+			</tr>
+		</thead>
+
+		<tbody>
+
+			<?php foreach ($changes as $change) : ?>
+
+				<tr>
+					<td>
+						<span class="wu-inline-block wu-py-1 wu-px-2 wu-rounded-sm wu-text-xs <?php echo esc_attr($action_classes[ $change['action'] ]); ?>">
+							<?php echo esc_html($action_labels[ $change['action'] ]); ?>
+						</span>
+					</td>
+					<td><?php echo esc_html($change['step'] ? $change['step'] : __('All steps', 'ultimate-multisite')); ?></td>
+					<td>
+						<?php echo esc_html($change['field'] ? $change['field'] : '—'); ?>
+
+						<?php if ($change['attributes']) : ?>
+							<code class="wu-block wu-text-2xs wu-mt-1"><?php echo esc_html(implode(', ', $change['attributes'])); ?></code>
+						<?php endif; ?>
+					</td>
+				</tr>
+
+			<?php endforeach; ?>
+
+		</tbody>
+
+	</table>
+
+<?php endif; ?>
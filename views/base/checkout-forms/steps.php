@@ -28,6 +28,61 @@ defined('ABSPATH') || exit;
 
 		<ul class="wu-m-0 wu-overflow-hidden wu-flex wu-justify-end">
 
+			<li class="wu-m-0 wu-ml-4" v-show="!preview">
+			<a
+				title="<?php esc_attr_e('Undo (Ctrl+Z)', 'ultimate-multisite'); ?>"
+				href="#"
+				type="button"
+				class="wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none"
+				:class="can_undo ? 'wu-text-gray-600 hover:wu-text-gray-800' : 'wu-text-gray-500 wu-cursor-not-allowed'"
+				@click.prevent="undo()"
+			>
+				<span class="dashicons-wu-ccw wu-align-middle"></span>
+				<?php esc_html_e('Undo', 'ultimate-multisite'); ?>
+			</a>
+			</li>
+
+			<li class="wu-m-0 wu-ml-4" v-show="!preview">
+			<a
+				title="<?php esc_attr_e('Redo (Ctrl+Shift+Z)', 'ultimate-multisite'); ?>"
+				href="#"
+				type="button"
+				class="wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none"
+				:class="can_redo ? 'wu-text-gray-600 hover:wu-text-gray-800' : 'wu-text-gray-500 wu-cursor-not-allowed'"
+				@click.prevent="redo()"
+			>
+				<span class="dashicons-wu-cw wu-align-middle"></span>
+				<?php esc_html_e('Redo', 'ultimate-multisite'); ?>
+			</a>
+			</li>
+
+			<li class="wu-m-0 wu-ml-4" v-show="!preview">
+			<a
+				title="<?php esc_attr_e('Revisions', 'ultimate-multisite'); ?>"
+				href="#"
+				type="button"
+				class="wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none wu-text-gray-600 hover:wu-text-gray-800"
+				@click.prevent="show_revisions = !show_revisions"
+			>
+				<span class="dashicons-wu-back-in-time wu-align-middle"></span>
+				<?php // translators: %s is the number of revisions. ?>
+				<?php echo esc_html(sprintf(__('Revisions (%s)', 'ultimate-multisite'), '{{ revisions.length }}')); ?>
+			</a>
+			</li>
+
+			<li class="wu-m-0 wu-ml-4" v-show="!preview">
+			<a
+				title="<?php esc_attr_e('Templates', 'ultimate-multisite'); ?>"
+				href="#"
+				type="button"
+				class="wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none wu-text-gray-600 hover:wu-text-gray-800"
+				@click.prevent="show_templates = !show_templates"
+			>
+				<span class="dashicons-wu-layout wu-align-middle"></span>
+				<?php esc_html_e('Templates', 'ultimate-multisite'); ?>
+			</a>
+			</li>
+
 			<li class="wu-m-0 wu-ml-4">
 			<a
 				title="<?php esc_attr_e('Preview', 'ultimate-multisite'); ?>"
@@ -60,6 +115,135 @@ defined('ABSPATH') || exit;
 
 	</div>
 
+	<!-- Revisions -->
+	<div v-show="show_revisions && !preview" v-cloak class="wu-bg-gray-100 wu-px-4 wu-py-3 wu-border-t wu-border-l-0 wu-border-r-0 wu-border-b-0 wu-border-gray-300 wu-border-solid">
+
+		<div class="wu-flex wu-items-center wu-justify-between">
+
+		<span class="wu-text-gray-600 wu-my-1 wu-text-2xs wu-uppercase wu-font-semibold">
+			<?php esc_html_e('Draft revisions are not published until you restore one and save the checkout form.', 'ultimate-multisite'); ?>
+		</span>
+
+		<a
+			title="<?php esc_attr_e('Save Draft', 'ultimate-multisite'); ?>"
+			href="<?php echo esc_url(wu_get_form_url('add_checkout_form_revision', array('checkout_form' => $checkout_form))); ?>"
+			class="wubox wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none wu-text-gray-600 hover:wu-text-gray-800"
+		>
+			<span class="dashicons-wu-circle-with-plus wu-align-middle"></span>
+			<?php esc_html_e('Save Draft', 'ultimate-multisite'); ?>
+		</a>
+
+		</div>
+
+		<ul class="wu-m-0 wu-mt-2">
+
+		<li v-if="!revisions.length" class="wu-m-0 wu-py-2 wu-text-xs wu-text-gray-600">
+			<?php esc_html_e('No revisions yet. Unpublished changes are saved automatically.', 'ultimate-multisite'); ?>
+		</li>
+
+		<li v-for="revision in revisions" :key="revision.id" class="wu-m-0 wu-py-2 wu-flex wu-items-center wu-justify-between wu-border-t wu-border-l-0 wu-border-r-0 wu-border-b-0 wu-border-gray-300 wu-border-solid">
+
+			<span class="wu-text-xs">
+			<span class="wu-font-semibold wu-text-gray-700">{{ revision.name }}</span>
+			<span class="wu-text-gray-600">&middot; {{ revision.date }} &middot; {{ revision.author }}</span>
+			</span>
+
+			<a
+			title="<?php esc_attr_e('Compare and Restore', 'ultimate-multisite'); ?>"
+			:href="'<?php // phpcs:ignore Squiz.PHP.EmbeddedPhp
+			echo esc_attr(
+				wu_get_form_url(
+					'restore_checkout_form_revision',
+					[
+						'checkout_form' => $checkout_form,
+						'width'         => 600,
+						'revision'      => '',
+					]
+				)
+			);
+			?>=' + revision.id" <?php // phpcs:ignore Squiz.PHP.EmbeddedPhp ?>
+			class="wubox wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none wu-text-gray-600 hover:wu-text-gray-800"
+			>
+			<?php esc_html_e('Compare and Restore', 'ultimate-multisite'); ?>
+			</a>
+
+		</li>
+
+		</ul>
+
+	</div>
+	<!-- /Revisions -->
+
+	<!-- Templates -->
+	<div v-show="show_templates && !preview" v-cloak class="wu-bg-gray-100 wu-px-4 wu-py-3 wu-border-t wu-border-l-0 wu-border-r-0 wu-border-b-0 wu-border-gray-300 wu-border-solid">
+
+		<span class="wu-block wu-text-gray-600 wu-my-1 wu-text-2xs wu-uppercase wu-font-semibold">
+			<?php esc_html_e('Start from a ready-made layout. Replacing the steps can be undone, adding keeps your steps and skips fields the form already has.', 'ultimate-multisite'); ?>
+		</span>
+
+		<ul class="wu-m-0 wu-mt-2 wu-grid wu-grid-cols-2 lg:wu-grid-cols-4 wu-gap-4">
+
+		<li v-for="template in available_templates" :key="template.id" class="wu-m-0 wu-flex wu-flex-col wu-bg-white wu-rounded wu-border wu-border-solid wu-border-gray-300 wu-overflow-hidden">
+
+			<img v-if="template.thumbnail" :src="template.thumbnail" alt="" class="wu-block wu-w-full wu-h-auto wu-bg-gray-100">
+
+			<div class="wu-p-3 wu-flex-grow">
+			<span class="wu-block wu-font-semibold wu-text-sm wu-text-gray-800">{{ template.title }}</span>
+			<span class="wu-block wu-mt-1 wu-text-xs wu-text-gray-600">{{ template.desc }}</span>
+			</div>
+
+			<div class="wu-px-3 wu-pb-3 wu-flex wu-flex-wrap wu-items-center wu-justify-between">
+
+			<a
+				href="#"
+				class="wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none wu-text-gray-600 hover:wu-text-gray-800"
+				@click.prevent="preview_template(template)"
+			>
+				<span class="dashicons-wu-eye wu-align-middle"></span>
+				<?php esc_html_e('Preview', 'ultimate-multisite'); ?>
+			</a>
+
+			<span>
+				<a
+				href="#"
+				class="wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none wu-text-gray-600 hover:wu-text-gray-800"
+				@click.prevent="use_template(template, 'append')"
+				>
+				<?php esc_html_e('Add Steps', 'ultimate-multisite'); ?>
+				</a>
+
+				<a
+				href="#"
+				class="wu-ml-2 wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none wu-text-blue-600"
+				@click.prevent="use_template(template)"
+				>
+				<?php esc_html_e('Use', 'ultimate-multisite'); ?>
+				</a>
+			</span>
+
+			</div>
+
+		</li>
+
+		</ul>
+
+	</div>
+	<!-- /Templates -->
+
+	<div v-show="template_skipped" v-cloak class="wu-flex wu-items-center wu-justify-between wu-bg-yellow-200 wu-text-yellow-700 wu-text-xs wu-px-4 wu-py-2">
+
+		<span>
+		<?php // translators: %s is the number of fields. ?>
+		<?php echo esc_html(sprintf(__('%s field(s) of the template were already on the form and were not added again.', 'ultimate-multisite'), '{{ template_skipped }}')); ?>
+		</span>
+
+		<a href="#" class="wu-no-underline wu-text-yellow-700" @click.prevent="template_skipped = 0">
+		<span class="dashicons-wu-cross wu-align-middle"></span>
+		<span class="screen-reader-text"><?php esc_html_e('Dismiss', 'ultimate-multisite'); ?></span>
+		</a>
+
+	</div>
+
 	</div>
 	<!-- /Add new Step Section -->
 
@@ -114,6 +298,14 @@ defined('ABSPATH') || exit;
 				<?php echo wp_kses_post(__('This step is only visible for <strong>logged-in users</strong>', 'ultimate-multisite')); ?>
 				</span>
 
+			</div>
+
+			<div v-if="step.conditions && step.conditions.length" class="wu-py-2 wu-px-4 wu--mx-3 wu-bg-blue-100 wu-text-blue-600 wu-border-solid wu-border-0 wu-border-b wu-border-gray-400">
+
+				<span class="dashicons-wu-flow-branch wu-mr-1 wu-align-middle"></span>
+
+				<?php esc_html_e('This step is only shown when its conditions are met', 'ultimate-multisite'); ?>
+
 			</div>
 			<!-- Visibility - End -->
 
@@ -218,17 +410,115 @@ defined('ABSPATH') || exit;
 	<!-- Preview Block -->
 	<div v-show="preview">
 
-		<div v-show="!loading_preview && !preview_error" class="wu-text-center wu-mt-3">
+		<!-- Template Preview -->
+		<div v-if="template_preview" class="wu-flex wu-items-center wu-justify-between wu-mt-3 wu-p-3 wu-bg-blue-100 wu-text-blue-700 wu-text-xs wu-rounded">
 
-		<a @click.prevent="get_preview('user')" href="#" class="wu-m-2 wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none wu-text-gray-600 hover:wu-text-gray-800">
-			<?php esc_html_e('See as existing user', 'ultimate-multisite'); ?>
-		</a>
+		<span>
+			<?php // translators: %s is the name of the template. ?>
+			<?php echo esc_html(sprintf(__('Previewing the "%s" template. Your form is restored when you leave the preview.', 'ultimate-multisite'), '{{ template_preview.title }}')); ?>
+		</span>
 
-		<a @click.prevent="get_preview('visitor')" href="#" class="wu-m-2 wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none wu-text-gray-600 hover:wu-text-gray-800">
-			<?php esc_html_e('See as visitor', 'ultimate-multisite'); ?>
-		</a>
+		<span>
+			<a href="#" class="wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-text-blue-700" @click.prevent="discard_template_preview()">
+			<?php esc_html_e('Back to my Form', 'ultimate-multisite'); ?>
+			</a>
+
+			<a href="#" class="button button-primary wu-ml-2" @click.prevent="use_template(template_preview)">
+			<?php esc_html_e('Use this Template', 'ultimate-multisite'); ?>
+			</a>
+		</span>
 
 		</div>
+		<!-- /Template Preview -->
+
+		<!-- Preview Toolbar -->
+		<div class="wu-flex wu-flex-wrap wu-items-center wu-justify-between wu-mt-3">
+
+		<div class="wu-flex wu-items-center" role="group" aria-label="<?php esc_attr_e('Device', 'ultimate-multisite'); ?>">
+
+			<?php
+
+			$devices = [
+				'desktop' => [__('Desktop', 'ultimate-multisite'), 'dashicons-desktop'],
+				'tablet'  => [__('Tablet', 'ultimate-multisite'), 'dashicons-tablet'],
+				'mobile'  => [__('Mobile', 'ultimate-multisite'), 'dashicons-smartphone'],
+			];
+
+			?>
+
+			<?php foreach ($devices as $device => [$device_label, $device_icon]) : ?>
+
+			<a
+				href="#"
+				title="<?php echo esc_attr($device_label); ?>"
+				class="wu-mx-1 wu-p-1 wu-rounded wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none"
+				:class="preview_device === '<?php echo esc_js($device); ?>' ? 'wu-bg-gray-300 wu-text-gray-800' : 'wu-text-gray-600 hover:wu-text-gray-800'"
+				:aria-pressed="preview_device === '<?php echo esc_js($device); ?>' ? 'true' : 'false'"
+				@click.prevent="preview_device = '<?php echo esc_js($device); ?>'"
+			>
+				<span class="dashicons <?php echo esc_attr($device_icon); ?>"></span>
+				<span class="screen-reader-text"><?php echo esc_html($device_label); ?></span>
+			</a>
+
+			<?php endforeach; ?>
+
+		</div>
+
+		<div class="wu-flex wu-flex-wrap wu-items-center wu-justify-center">
+
+			<a
+				href="#"
+				class="wu-m-2 wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none"
+				:class="preview_step === '' ? 'wu-text-gray-800' : 'wu-text-gray-600 hover:wu-text-gray-800'"
+				@click.prevent="set_preview_step('')"
+			>
+				<?php esc_html_e('All Steps', 'ultimate-multisite'); ?>
+			</a>
+
+			<a
+				v-for="step in steps"
+				:key="step.id"
+				href="#"
+				class="wu-m-2 wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none"
+				:class="preview_step === step.id ? 'wu-text-gray-800' : 'wu-text-gray-600 hover:wu-text-gray-800'"
+				@click.prevent="set_preview_step(step.id)"
+			>
+				{{ step.name ? step.name : step.id }}
+			</a>
+
+		</div>
+
+		<div class="wu-flex wu-items-center">
+
+			<label for="wu-preview-state" class="wu-mr-2 wu-uppercase wu-text-2xs wu-font-semibold wu-text-gray-600">
+				<?php esc_html_e('Preview as', 'ultimate-multisite'); ?>
+			</label>
+
+			<select id="wu-preview-state" v-model="preview_state" @change="load_preview()" class="wu-text-xs">
+
+				<?php foreach ($preview_states as $state => $state_label) : ?>
+
+					<option value="<?php echo esc_attr($state); ?>"><?php echo esc_html($state_label); ?></option>
+
+				<?php endforeach; ?>
+
+			</select>
+
+			<input
+				v-show="preview_state === 'coupon'"
+				v-cloak
+				v-model.lazy="preview_coupon"
+				@change="load_preview()"
+				type="text"
+				class="wu-ml-2 wu-text-xs wu-w-auto"
+				placeholder="<?php esc_attr_e('Any active code', 'ultimate-multisite'); ?>"
+				aria-label="<?php esc_attr_e('Coupon code', 'ultimate-multisite'); ?>"
+			>
+
+		</div>
+
+		</div>
+		<!-- /Preview Toolbar -->
 
 		<!-- Preview Loading -->
 		<div v-show="loading_preview" class="wu-block wu-p-4 wu-py-8 wu-bg-white wu-text-center wu-my-4 wu-border wu-border-solid wu-rounded wu-border-gray-400">
@@ -252,9 +542,22 @@ defined('ABSPATH') || exit;
 
 		<!-- Preview Proper -->
 		<!-- <div v-show="!loading_preview && !preview_error" class="wu-block wu-p-8 wu-bg-white wu-my-4 wu-border wu-border-solid wu-rounded wu-border-gray-400" v-html="preview_content"></div> -->
-		<div v-show="!loading_preview && !preview_error" id="wu-iframe-content" class="wu-w-full wu-relative">
+		<div
+			v-show="!loading_preview && !preview_error"
+			id="wu-iframe-content"
+			class="wu-w-full wu-relative wu-mx-auto wu-checkout-preview-frame"
+			:class="'wu-checkout-preview-frame-' + preview_device"
+		>
 
-		<iframe id="wp-ultimo-checkout-preview" v-bind:src="iframe_preview_url" referrerpolicy="unsafe-url" class="wu-w-full wu-h-full wu-m-0 wu-mt-4 wu-mb-2 wu-p-0 wu-overflow-hidden wu-border-radius wu-border wu-border-solid wu-rounded wu-border-gray-400">
+		<iframe
+			id="wp-ultimo-checkout-preview"
+			v-bind:src="iframe_preview_url"
+			v-on:load="loading_preview = false"
+			:style="preview_height ? { height: preview_height + 'px' } : {}"
+			title="<?php esc_attr_e('Checkout Form Preview', 'ultimate-multisite'); ?>"
+			referrerpolicy="unsafe-url"
+			class="wu-w-full wu-h-full wu-m-0 wu-mt-4 wu-mb-2 wu-p-0 wu-overflow-hidden wu-border-radius wu-border wu-border-solid wu-rounded wu-border-gray-400"
+		>
 			<?php esc_html_e('Your browser doesn\'t support iframes', 'ultimate-multisite'); ?>
 		</iframe>
 
@@ -292,7 +595,7 @@ defined('ABSPATH') || exit;
 				href="#"
 				type="button"
 				class="wu-uppercase wu-text-2xs wu-font-semibold wu-no-underline wu-outline-none hover:wu-shadow-none focus:wu-shadow-none wu-text-gray-600 hover:wu-text-gray-800"
-				@click.prevent="get_preview('user')"
+				@click.prevent="get_preview()"
 			>
 				<span class="dashicons-wu-eye wu-align-middle"></span>
 				<span v-show="!preview"><?php esc_html_e('Preview', 'ultimate-multisite'); ?></span>
@@ -10,6 +10,8 @@ defined('ABSPATH') || exit;
 
 <span 
 	v-cloak 
+	id="wu-error-<?php echo esc_attr($field->id); ?>"
+	tabindex="-1"
 	class="wu-block wu-bg-red-100 wu-p-2 wu-mb-4" 
 	v-if="get_error('<?php echo esc_attr($field->id); ?>')" 
 	v-html="get_error('<?php echo esc_attr($field->id); ?>').message"
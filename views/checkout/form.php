@@ -22,6 +22,28 @@ defined('ABSPATH') || exit;
 		 */
 		do_action('wu_checkout_errors', $checkout_form_name);
 
+		/**
+		 * Announces errors and order changes to screen readers.
+		 *
+		 * @since 2.5.0
+		 */
+		?>
+
+		<div class="wu-checkout-live-region" role="status" aria-live="polite" aria-atomic="true" v-text="a11y_message"></div>
+
+		<div class="wu-checkout-live-region" role="alert" aria-atomic="true" v-text="a11y_alert"></div>
+
+		<?php
+
+		/**
+		 * Offer to resume a checkout saved on the browser.
+		 *
+		 * @since 2.5.0
+		 */
+		if (wu_get_setting('enable_checkout_drafts', true)) {
+			wu_get_template('checkout/partials/draft-resume-prompt');
+		}
+
 		/**
 		 * Instantiate the form for the order details.
 		 *
@@ -0,0 +1,49 @@
+<?php
+/**
+ * Template File: Discount Code Results
+ *
+ * Displays if each discount code entered was accepted, the reason why
+ * it was not, and the discount applied to the setup fees and recurring amount.
+ *
+ * @since 2.5.0
+ */
+defined('ABSPATH') || exit;
+
+?>
+
+<div v-if="toggle_discount_code && discount_code_results" class="wu-discount-code-results wu-w-full wu-mt-2" aria-live="polite" v-cloak>
+
+	<div
+		v-for="result in discount_code_results.codes"
+		:key="result.code"
+		class="wu-flex wu-items-center wu-justify-between wu-text-sm wu-rounded wu-px-3 wu-py-2 wu-mb-1"
+		:class="result.valid ? 'wu-bg-green-100 wu-text-green-800' : 'wu-bg-red-100 wu-text-red-800'"
+	>
+
+		<span>
+			<strong>{{ result.code }}</strong>
+			<span v-if="result.message">&mdash; {{ result.message }}</span>
+		</span>
+
+		<a
+			href="#"
+			class="wu-no-underline wu-ml-2 wu-text-current"
+			:aria-label="'<?php echo esc_js(__('Remove code', 'ultimate-multisite')); ?> ' + result.code"
+			@click.prevent="remove_discount_code(result.code)"
+		>
+			<span class="dashicons-wu-cross" aria-hidden="true"></span>
+		</a>
+
+	</div>
+
+	<p v-if="discount_code_results.setup_fee_discount > 0" class="wu-text-sm wu-text-gray-700 wu-my-1">
+		<?php esc_html_e('Setup fee discount:', 'ultimate-multisite'); ?>
+		<strong>-{{ wu_format_money(discount_code_results.setup_fee_discount) }}</strong>
+	</p>
+
+	<p v-if="discount_code_results.recurring_discount > 0" class="wu-text-sm wu-text-gray-700 wu-my-1">
+		<?php esc_html_e('Recurring discount:', 'ultimate-multisite'); ?>
+		<strong>-{{ wu_format_money(discount_code_results.recurring_discount) }}</strong>
+	</p>
+
+</div>
@@ -0,0 +1,40 @@
+<?php
+/**
+ * Template File: Checkout Draft Resume Prompt
+ *
+ * Offers customers the option to continue a checkout they started earlier.
+ * Visibility and actions are controlled by assets/js/checkout-draft.js.
+ *
+ * @since 2.5.0
+ */
+defined('ABSPATH') || exit;
+
+?>
+
+<div id="wu-checkout-draft-prompt" class="wu-bg-blue-50 wu-border wu-border-blue-200 wu-rounded wu-p-4 wu-mb-4" v-if="draft_available" v-cloak>
+	<div class="wu-flex wu-flex-wrap wu-items-center wu-justify-between wu-gap-2">
+		<p class="wu-m-0 wu-text-sm wu-text-blue-900">
+			<strong><?php esc_html_e('Welcome back!', 'ultimate-multisite'); ?></strong>
+			<?php esc_html_e('You have an unfinished checkout.', 'ultimate-multisite'); ?>
+			<span v-if="draft_saved_at" class="wu-text-gray-600">({{ $moment(draft_saved_at).fromNow() }})</span>
+		</p>
+
+		<div class="wu-flex wu-items-center wu-gap-2">
+			<button
+				type="button"
+				id="wu-checkout-draft-discard"
+				class="wu-text-sm wu-text-gray-600 hover:wu-text-gray-800 wu-border-0 wu-bg-transparent wu-cursor-pointer wu-p-0"
+			>
+				<?php esc_html_e('Start over', 'ultimate-multisite'); ?>
+			</button>
+
+			<button
+				type="button"
+				id="wu-checkout-draft-restore"
+				class="wu-bg-blue-600 wu-text-white wu-px-4 wu-py-2 wu-rounded hover:wu-bg-blue-700 wu-border-0 wu-text-sm wu-font-medium wu-cursor-pointer"
+			>
+				<?php esc_html_e('Continue where you left off', 'ultimate-multisite'); ?>
+			</button>
+		</div>
+	</div>
+</div>
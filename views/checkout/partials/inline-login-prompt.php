@@ -3,6 +3,8 @@
  * Template File: Inline Login Prompt
  *
  * Displays an inline login prompt when a user enters an existing email/username.
+ * It is a non-modal dialog: customers can keep filling the form, and Escape
+ * closes it, giving focus back to the field that opened it.
  *
  * @since 2.0.20
  * @param string $field_type The field type ('email' or 'username').
@@ -11,9 +13,13 @@ defined('ABSPATH') || exit;
 
 ?>
 
-<div id="wu-inline-login-prompt-<?php echo esc_attr($field_type); ?>" class="wu-bg-blue-50 wu-border wu-border-blue-200 wu-rounded wu-p-4 wu-mt-2 wu-mb-4">
+<div
+	id="wu-inline-login-prompt-<?php echo esc_attr($field_type); ?>"
+	role="dialog"
+	aria-labelledby="wu-inline-login-title-<?php echo esc_attr($field_type); ?>"
+	class="wu-bg-blue-50 wu-border wu-border-blue-200 wu-rounded wu-p-4 wu-mt-2 wu-mb-4">
 	<div class="wu-flex wu-items-center wu-justify-between wu-mb-3">
-		<p class="wu-m-0 wu-font-semibold wu-text-blue-900 wu-text-sm">
+		<p id="wu-inline-login-title-<?php echo esc_attr($field_type); ?>" class="wu-m-0 wu-font-semibold wu-text-blue-900 wu-text-sm">
 			<?php esc_html_e('Already have an account?', 'ultimate-multisite'); ?>
 		</p>
 		<button
@@ -39,7 +45,7 @@ defined('ABSPATH') || exit;
 		/>
 	</div>
 
-	<div id="wu-login-error-<?php echo esc_attr($field_type); ?>" class="wu-bg-red-100 wu-text-red-800 wu-p-3 wu-rounded wu-text-sm wu-mb-3" style="display: none;">
+	<div id="wu-login-error-<?php echo esc_attr($field_type); ?>" role="alert" class="wu-bg-red-100 wu-text-red-800 wu-p-3 wu-rounded wu-text-sm wu-mb-3" style="display: none;">
 	</div>
 
 	<div class="wu-flex wu-flex-wrap wu-items-center wu-justify-between wu-gap-2">
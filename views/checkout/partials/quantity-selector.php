@@ -0,0 +1,21 @@
+<?php
+/**
+ * Template File: Quantity Selector
+ *
+ * Displays the buttons to change the quantity of a product line item on the order summary.
+ *
+ * @since 2.5.0
+ */
+defined('ABSPATH') || exit;
+
+?>
+
+<span v-if="line_item.type == 'product' && order.quantity_limits[line_item.product_id]" class="wu-checkout-quantity wu-inline-flex wu-items-center wu-ml-3 wu-text-xs">
+
+	<button class="wu-cursor-pointer wu-border wu-border-solid wu-border-gray-300 wu-rounded wu-bg-white wu-px-2" v-on:click.prevent="change_quantity(line_item.product_id, -1)" :disabled="!can_change_quantity(line_item.product_id, -1)" aria-label="<?php esc_attr_e('Decrease quantity', 'ultimate-multisite'); ?>">&minus;</button>
+
+	<span class="wu-mx-2" aria-live="polite">{{ line_item.quantity }}</span>
+
+	<button class="wu-cursor-pointer wu-border wu-border-solid wu-border-gray-300 wu-rounded wu-bg-white wu-px-2" v-on:click.prevent="change_quantity(line_item.product_id, 1)" :disabled="!can_change_quantity(line_item.product_id, 1)" aria-label="<?php esc_attr_e('Increase quantity', 'ultimate-multisite'); ?>">+</button>
+
+</span>
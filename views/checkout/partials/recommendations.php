@@ -0,0 +1,63 @@
+<?php
+/**
+ * Template File: Recommendations
+ *
+ * Displays the products recommended by the rules matching the current cart.
+ *
+ * @since 2.5.0
+ */
+defined('ABSPATH') || exit;
+
+?>
+
+<div class="wu-checkout-recommendations" v-cloak>
+
+	<input type="hidden" name="accepted_recommendations" :value="accepted_recommendations.join(',')">
+
+	<?php if ($title) : ?>
+
+		<span v-show="recommendations.length" class="wu-block wu-font-semibold wu-text-gray-900 wu-mb-2">
+			<?php echo esc_html($title); ?>
+		</span>
+
+	<?php endif; ?>
+
+	<div
+		v-for="recommendation in recommendations"
+		:key="recommendation.id"
+		class="wu-checkout-recommendation wu-relative wu-flex wu-rounded-lg wu-border wu-border-gray-300 wu-bg-white wu-border-solid wu-shadow-sm wu-px-6 wu-py-4 wu-mb-4 wu-items-center wu-justify-between"
+	>
+
+		<div class="wu-flex wu-items-center">
+
+			<div v-if="recommendation.image" class="wu-w-thumb wu-h-thumb wu-rounded wu-overflow-hidden wu-text-center wu-inline-block wu-mr-4">
+				<img :src="recommendation.image" :alt="recommendation.headline" class="wu-h-full">
+			</div>
+
+			<div class="wu-text-sm">
+				<span class="wu-font-semibold wu-block wu-text-gray-900">{{ recommendation.headline }}</span>
+				<p v-if="recommendation.description" class="wu-text-gray-600 wu-my-1">{{ recommendation.description }}</p>
+				<p class="wu-text-gray-600 wu-my-1">{{ recommendation.price }}</p>
+			</div>
+
+		</div>
+
+		<div class="wu-ml-2 wu-mr-4">
+			<button class="button btn" data-action="add-recommendation" :value="recommendation.id">
+				<?php esc_html_e('Add to Cart', 'ultimate-multisite'); ?>
+			</button>
+		</div>
+
+		<button
+			class="wu-absolute wu-top-0 wu-right-0 wu-m-2 wu-p-0 wu-border-none wu-bg-transparent wu-text-gray-600 wu-cursor-pointer"
+			data-action="dismiss-recommendation"
+			:value="recommendation.id"
+			title="<?php esc_attr_e('Dismiss', 'ultimate-multisite'); ?>"
+			aria-label="<?php esc_attr_e('Dismiss', 'ultimate-multisite'); ?>"
+		>
+			<span class="dashicons-wu-cross" aria-hidden="true"></span>
+		</button>
+
+	</div>
+
+</div>
@@ -0,0 +1,47 @@
+<?php
+/**
+ * Template File: Site URL Availability
+ *
+ * Displays if the site URL entered is available, with alternatives when it is not.
+ *
+ * @since 2.5.0
+ */
+defined('ABSPATH') || exit;
+
+?>
+
+<div id="wu-site-url-availability" class="wu-text-sm wu--mt-2 wu-mb-4" role="status" aria-live="polite">
+
+	<span v-if="checking_site_url" class="wu-text-gray-600">
+		<?php esc_html_e('Checking availability...', 'ultimate-multisite'); ?>
+	</span>
+
+	<span v-else-if="site_url_availability.status === 'available'" class="wu-text-green-700">
+		<span class="dashicons-wu-check wu-align-middle"></span>
+		{{ site_url_availability.message }}
+	</span>
+
+	<div v-else class="wu-text-red-700">
+
+		<span class="dashicons-wu-circle-with-cross wu-align-middle"></span>
+		{{ site_url_availability.message }}
+
+		<div v-if="site_url_availability.suggestions.length" class="wu-mt-2 wu-text-gray-700">
+
+			<?php esc_html_e('Try one of these:', 'ultimate-multisite'); ?>
+
+			<button
+				v-for="suggestion in site_url_availability.suggestions"
+				:key="suggestion"
+				type="button"
+				class="wu-ml-1 wu-font-mono wu-text-sm wu-cursor-pointer wu-border wu-border-solid wu-border-gray-300 wu-rounded wu-bg-white wu-px-2 wu-py-1"
+				v-on:click.prevent="use_site_url_suggestion(suggestion)"
+			>
+				{{ suggestion }}
+			</button>
+
+		</div>
+
+	</div>
+
+</div>
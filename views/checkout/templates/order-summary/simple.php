@@ -7,7 +7,7 @@
 defined('ABSPATH') || exit;
 
 ?>
-<div id="wu-order-summary-content" class="wu-relative">
+<div id="wu-order-summary-content" class="wu-relative" :aria-busy="order ? 'false' : 'true'">
 
 	<div v-show="!order" class="wu-bg-gray-100 wu-p-4 wu-text-center wu-border wu-border-solid wu-border-gray-300">
 
@@ -85,6 +85,8 @@ defined('ABSPATH') || exit;
 
 			</small>
 
+			<?php wu_get_template('checkout/partials/quantity-selector'); ?>
+
 			</td>
 
 			<td class="wu-py-2 col-description" v-show="!line_item.recurring">
@@ -101,6 +103,8 @@ defined('ABSPATH') || exit;
 
 			</small>
 
+			<?php wu_get_template('checkout/partials/quantity-selector'); ?>
+
 			</td>
 
 			<?php if ('simple' === $table_columns) : ?>
@@ -244,9 +248,98 @@ defined('ABSPATH') || exit;
 
 	</table>
 
+	<div v-if="order_breakdown" id="wu-order-summary-breakdown" class="wu-mt-4 wu-p-4 wu-bg-gray-100 wu-border wu-border-solid wu-border-gray-300 wu-text-sm">
+
+		<strong class="wu-block wu-mb-2">
+		<?php esc_html_e('How this change is billed', 'ultimate-multisite'); ?>
+		</strong>
+
+		<table class="wu-w-full wu-m-0">
+
+		<tbody>
+
+			<tr>
+
+			<td class="wu-py-1">
+				<?php esc_html_e('New products and fees', 'ultimate-multisite'); ?>
+			</td>
+
+			<td class="wu-py-1 wu-text-right">
+				{{ wu_format_money(order_breakdown.charges_total) }}
+			</td>
+
+			</tr>
+
+			<tr v-for="credit in order_breakdown.credits">
+
+			<td class="wu-py-1">
+				{{ credit.title }}
+				<small v-if="credit.description" class="wu-block wu-text-gray-600">{{ credit.description }}</small>
+			</td>
+
+			<td class="wu-py-1 wu-text-right">
+				{{ wu_format_money(credit.total) }}
+			</td>
+
+			</tr>
+
+			<tr>
+
+			<td class="wu-py-1">
+				<strong><?php esc_html_e('Prorated charge today', 'ultimate-multisite'); ?></strong>
+			</td>
+
+			<td class="wu-py-1 wu-text-right">
+				<strong>{{ wu_format_money(order_breakdown.due_today) }}</strong>
+			</td>
+
+			</tr>
+
+			<tr v-if="order_breakdown.has_recurring">
+
+			<td class="wu-py-1">
+				<?php esc_html_e('Recurring amount', 'ultimate-multisite'); ?>
+			</td>
+
+			<td class="wu-py-1 wu-text-right">
+				{{ wu_format_money(order_breakdown.recurring_total) }}<span v-if="order_breakdown.recurring_description"> / {{ order_breakdown.recurring_description }}</span>
+			</td>
+
+			</tr>
+
+			<tr v-if="order_breakdown.has_recurring">
+
+			<td class="wu-py-1">
+				<?php esc_html_e('First renewal', 'ultimate-multisite'); ?>
+			</td>
+
+			<td class="wu-py-1 wu-text-right">
+				{{ $moment.unix(order_breakdown.date_next_charge).format(`LL`) }}
+			</td>
+
+			</tr>
+
+		</tbody>
+
+		</table>
+
+		<p v-if="order_breakdown.type === 'downgrade'" class="wu-mt-2 wu-mb-0 wu-text-gray-600">
+		<?php esc_html_e('Your current membership stays active until the end of the billing cycle you already paid for. The new products take effect on the first renewal date, when the recurring amount is charged.', 'ultimate-multisite'); ?>
+		</p>
+
+		<p v-else-if="order_breakdown.credit_total > 0" class="wu-mt-2 wu-mb-0 wu-text-gray-600">
+		<?php esc_html_e("The unused time on your current membership is converted into a credit and deducted from today's charge. From the first renewal date on, you pay the full recurring amount.", 'ultimate-multisite'); ?>
+		</p>
+
+		<p v-else class="wu-mt-2 wu-mb-0 wu-text-gray-600">
+		<?php esc_html_e('The changes take effect immediately. From the first renewal date on, you pay the full recurring amount.', 'ultimate-multisite'); ?>
+		</p>
+
+	</div>
+
 	<ul class="wu-p-0 wu-m-0 wu-mt-2 wu-list-none wu-order-summary-additional-info wu-text-sm">
 
-		<li v-if="!order.has_trial && order.has_recurring">
+		<li v-if="!order.has_trial && order.has_recurring && !order_breakdown">
 		<?php // translators: %1$s order total, %2$s relative date string. ?>
 		<?php printf(esc_html__('Next fee of %1$s will be billed in %2$s.', 'ultimate-multisite'), '{{ wu_format_money(order.totals.recurring.total) }}', '{{ $moment.unix(order.dates.date_next_charge).format(`LL`) }}'); ?>
 
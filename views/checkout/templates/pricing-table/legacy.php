@@ -203,7 +203,7 @@ if (null !== $first_recurring_product) {
 
 				<?php if ($symbol_left) : ?>
 
-					<sup class="superscript">
+					<sup class="superscript" v-text="get_currency_symbol()">
 
 					<?php echo esc_html(wu_get_currency_symbol($product->get_currency())); ?>
 
@@ -211,7 +211,7 @@ if (null !== $first_recurring_product) {
 
 				<?php endif; ?>
 
-				<span class="plan-price" v-if="wu_force_different_durations || (duration == <?php echo esc_attr($product->get_duration()); ?> && duration_unit == '<?php echo esc_attr($product->get_duration_unit()); ?>')">
+				<span class="plan-price" v-if="wu_force_different_durations || (duration == <?php echo esc_attr($product->get_duration()); ?> && duration_unit == '<?php echo esc_attr($product->get_duration_unit()); ?>')" v-text="wu_format_price(<?php echo esc_attr($product->get_amount()); ?>)">
 
 					<?php
 
@@ -233,7 +233,7 @@ if (null !== $first_recurring_product) {
 
 					?>
 
-					<span class="plan-price" v-cloak v-if="duration == <?php echo esc_attr($price_variation['duration']); ?> && duration_unit == '<?php echo esc_attr($price_variation['duration_unit']); ?>'">
+					<span class="plan-price" v-cloak v-if="duration == <?php echo esc_attr($price_variation['duration']); ?> && duration_unit == '<?php echo esc_attr($price_variation['duration_unit']); ?>'"<?php echo $price_variation['monthly_amount'] ? ' v-text="wu_format_price(' . esc_attr($price_variation['monthly_amount']) . ')"' : ''; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>>
 
 					<?php
 
@@ -260,10 +260,16 @@ if (null !== $first_recurring_product) {
 					 */
 					$symbol = $product->is_recurring() ? __('/mo', 'ultimate-multisite') : '';
 
-					echo esc_html((! $symbol_left ? wu_get_currency_symbol() : '') . ' ' . $symbol);
-
 					?>
 
+					<?php if ( ! $symbol_left) : ?>
+
+					<span v-text="get_currency_symbol()"><?php echo esc_html(wu_get_currency_symbol()); ?></span>
+
+					<?php endif; ?>
+
+					<?php echo esc_html($symbol); ?>
+
 				</sub>
 
 				<sub v-else>
@@ -275,10 +281,16 @@ if (null !== $first_recurring_product) {
 					 */
 					$symbol = $product->is_recurring() ? $product->get_recurring_description() : '';
 
-					echo esc_html((! $symbol_left ? wu_get_currency_symbol() : '') . ' ' . $symbol);
-
 					?>
 
+					<?php if ( ! $symbol_left) : ?>
+
+					<span v-text="get_currency_symbol()"><?php echo esc_html(wu_get_currency_symbol()); ?></span>
+
+					<?php endif; ?>
+
+					<?php echo esc_html($symbol); ?>
+
 				</sub>
 
 				</h5>
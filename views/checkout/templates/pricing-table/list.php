@@ -51,7 +51,12 @@ foreach ($products as $index => &$_product) {
 			</div>
 		</div>
 		<div id="server-size-0-description-1" class="wu-mt-2 wu-flex wu-text-md sm:wu-mt-0 sm:wu-block sm:wu-ml-4 sm:wu-text-right">
+			<?php if ($product->get_pricing_type() === 'paid') : ?>
+			<div class="wu-font-semibold wu-text-gray-900" v-text="$parent.wu_format_money($parent.get_discounted_amount(<?php echo esc_attr($product->get_id()); ?>, <?php echo esc_attr($product->get_amount()); ?>, <?php echo wp_json_encode($product->is_recurring()); ?>))"><?php echo esc_html($product->get_formatted_amount()); ?></div>
+			<div v-if="$parent.get_discounted_amount(<?php echo esc_attr($product->get_id()); ?>, <?php echo esc_attr($product->get_amount()); ?>, <?php echo wp_json_encode($product->is_recurring()); ?>) < <?php echo esc_attr($product->get_amount()); ?>" class="wu-text-xs wu-text-gray-500 wu-line-through" v-text="$parent.wu_format_money(<?php echo esc_attr($product->get_amount()); ?>)" v-cloak></div>
+			<?php else : ?>
 			<div class="wu-font-semibold wu-text-gray-900"><?php echo esc_html($product->get_formatted_amount()); ?></div>
+			<?php endif; ?>
 			<div class="wu-ml-1 wu-text-sm wu-text-gray-500 sm:wu-ml-0"><?php echo esc_html($product->get_recurring_description()); ?></div>
 		</div>
 
@@ -12,6 +12,7 @@
  * @param array $products List of product objects.
  * @param string $name ID of the field.
  * @param string $label The field label.
+ * @param int $per_page Templates per page, 0 to show all of them.
  */
 
 // Exit if accessed directly
@@ -26,7 +27,7 @@ if (isset($should_display) && ! $should_display) {
 	return;
 }
 
-$sites = array_map('wu_get_site', $sites ?? []);
+$sites = array_filter(array_map('wu_get_site', $sites ?? []));
 
 $categories ??= [];
 
@@ -34,121 +35,200 @@ $customer_sites_category = __('Your Sites', 'ultimate-multisite');
 
 $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites) : [];
 
+$per_page ??= 12;
+
+/*
+ * What the gallery needs to search, filter and sort the templates.
+ */
+$gallery = [];
+
+foreach (array_values($sites) as $order => $site_template) {
+	if ($site_template->get_type() !== 'site_template' && ! in_array($site_template->get_id(), $customer_sites, true)) {
+		continue;
+	}
+
+	$gallery[ $site_template->get_id() ] = [
+		'id'          => (int) $site_template->get_id(),
+		'title'       => $site_template->get_title(),
+		'description' => wp_strip_all_tags((string) $site_template->get_description()),
+		'categories'  => array_values(array_merge($site_template->get_categories(), $site_template->get_type() !== 'site_template' ? [$customer_sites_category] : [])),
+		'date'        => (int) strtotime((string) $site_template->get_date_registered()),
+		'order'       => $order,
+	];
+}
+
+$filter_categories = array_merge(! empty($customer_sites) ? [$customer_sites_category] : [], $categories);
+
 ?>
 
 <div id="wu-site-template-container">
 
-	<ul id="wu-site-template-filter" class="wu-bg-white wu-border-solid wu-border wu-border-gray-300 wu-shadow-sm wu-p-4 wu-flex wu-rounded wu-relative wu-m-0 wu-mb-4 wu-list-none">
-
-		<li class="wu-site-template-filter-all wu-mx-2 wu-my-0">
-			<a
-					href="#"
-					data-category=""
-					:class="$parent.template_category === '' ? 'current wu-font-semibold' : ''"
-					v-on:click.prevent="$parent.template_category = ''"
-			>
-				<?php esc_html_e('All', 'ultimate-multisite'); ?>
-			</a>
-		</li>
-
-		<?php if ( ! empty($customer_sites)) : ?>
-
-			<li class="wu-site-template-filter-<?php echo esc_attr(sanitize_title($customer_sites_category)); ?> wu-mx-2 wu-my-0">
-				<a
-						href="#"
-						data-category="<?php echo esc_attr($customer_sites_category); ?>"
-						:class="$parent.template_category === '<?php echo esc_attr($customer_sites_category); ?>' ? 'current wu-font-semibold' : ''"
-						v-on:click.prevent="$parent.template_category = '<?php echo esc_attr($customer_sites_category); ?>'"
-				><?php echo esc_html($customer_sites_category); ?></a>
-			</li>
-
-		<?php endif; ?>
-
-		<?php if (isset($categories) && $categories) : ?>
-
-			<?php foreach ($categories as $category) : ?>
-
-				<li class="wu-site-template-filter-<?php echo esc_attr(sanitize_title($category)); ?> wu-mx-2 wu-my-0">
-					<a
-							href="#"
-							data-category="<?php echo esc_attr($category); ?>"
-							:class="$parent.template_category === '<?php echo esc_attr($category); ?>' ? 'current wu-font-semibold' : ''"
-							v-on:click.prevent="$parent.template_category = '<?php echo esc_attr($category); ?>'"
+	<wu-template-gallery :templates="<?php echo esc_attr(wp_json_encode(array_values($gallery))); ?>" :per-page="<?php echo esc_attr((int) $per_page); ?>" v-slot="gallery">
+
+		<div>
+
+			<div id="wu-site-template-filter" class="wu-bg-white wu-border-solid wu-border wu-border-gray-300 wu-shadow-sm wu-p-4 wu-rounded wu-relative wu-mb-4">
+
+				<div class="sm:wu-flex wu-items-center wu-gap-2">
+
+					<input
+						type="search"
+						class="form-control wu-w-full wu-flex-grow wu-my-1"
+						v-model="$parent.template_search"
+						placeholder="<?php esc_attr_e('Search templates...', 'ultimate-multisite'); ?>"
+						aria-label="<?php esc_attr_e('Search templates', 'ultimate-multisite'); ?>"
 					>
-					<?php echo esc_html($category); ?></a>
-				</li>
 
-			<?php endforeach; ?>
+					<select
+						class="form-control wu-w-auto wu-my-1"
+						v-model="$parent.template_sort"
+						aria-label="<?php esc_attr_e('Sort templates', 'ultimate-multisite'); ?>"
+					>
+						<option value="default"><?php esc_html_e('Default order', 'ultimate-multisite'); ?></option>
+						<option value="name"><?php esc_html_e('Name', 'ultimate-multisite'); ?></option>
+						<option value="newest"><?php esc_html_e('Newest', 'ultimate-multisite'); ?></option>
+					</select>
 
-		<?php endif; ?>
+				</div>
 
-	</ul>
+				<?php if ($filter_categories) : ?>
 
+					<div class="wu-flex wu-flex-wrap wu-items-center wu-gap-2 wu-mt-2" role="group" aria-label="<?php esc_attr_e('Template categories', 'ultimate-multisite'); ?>">
 
-	<div id="wu-site-template-container-grid" class="wu-grid wu-grid-cols-1 sm:wu-grid-cols-2 md:wu-grid-cols-<?php echo esc_attr($cols ?? '3'); ?> wu-gap-4">
+						<button
+							type="button"
+							class="wu-site-template-filter-all wu-px-3 wu-py-1 wu-rounded-full wu-text-sm wu-border wu-border-solid wu-cursor-pointer"
+							:class="!$parent.template_tags.length && !$parent.template_category ? 'current wu-font-semibold wu-bg-blue-500 wu-border-blue-500 wu-text-white' : 'wu-bg-gray-100 wu-border-gray-300'"
+							:aria-pressed="!$parent.template_tags.length && !$parent.template_category ? 'true' : 'false'"
+							v-on:click.prevent="$parent.template_tags = []; $parent.template_category = ''"
+						>
+							<?php esc_html_e('All', 'ultimate-multisite'); ?>
+						</button>
 
-		<?php foreach ($sites as $site_template) : ?>
-			<?php /** @var WP_Ultimo\Models\Site $site_template */ ?>
-			<?php
-			if ($site_template->get_type() !== 'site_template' && ! in_array($site_template->get_id(), $customer_sites, true)) {
-				continue;
-			}
-			?>
+						<?php foreach ($filter_categories as $category) : ?>
 
-			<?php $is_template = $site_template->get_type() === 'site_template'; ?>
+							<button
+								type="button"
+								data-category="<?php echo esc_attr($category); ?>"
+								class="wu-site-template-filter-<?php echo esc_attr(sanitize_title($category)); ?> wu-px-3 wu-py-1 wu-rounded-full wu-text-sm wu-border wu-border-solid wu-cursor-pointer"
+								:class="gallery.has_tag(<?php echo esc_attr(wp_json_encode($category)); ?>) ? 'current wu-font-semibold wu-bg-blue-500 wu-border-blue-500 wu-text-white' : 'wu-bg-gray-100 wu-border-gray-300'"
+								:aria-pressed="gallery.has_tag(<?php echo esc_attr(wp_json_encode($category)); ?>) ? 'true' : 'false'"
+								v-on:click.prevent="gallery.toggle_tag(<?php echo esc_attr(wp_json_encode($category)); ?>)"
+							>
+								<?php echo esc_html($category); ?>
+							</button>
 
-			<?php $categories = array_merge($site_template->get_categories(), ! $is_template ? [$customer_sites_category] : []); ?>
+						<?php endforeach; ?>
 
-			<div
-				id="wu-site-template-<?php echo esc_attr($site_template->get_id()); ?>"
-				class="wu-bg-white wu-border-solid wu-border wu-border-gray-300 wu-shadow-sm wu-p-4 wu-rounded wu-relative"
-				:class="$parent.template_id == <?php echo esc_attr($site_template->get_id()); ?> ? 'wu-selected-template' : ''"
-				v-show="!$parent.template_category || <?php echo esc_attr(wp_json_encode($categories)); ?>.join(',').indexOf($parent.template_category) > -1"
-				v-cloak
-			>
+					</div>
 
-				<div class="wu-site-template-image-container wu-relative">
+				<?php endif; ?>
 
-					<a
-					title="<?php esc_attr_e('View Template Preview', 'ultimate-multisite'); ?>"
-					class="wu-site-template-selector wu-cursor-pointer wu-no-underline"
-					<?php $is_template ? $site_template->get_preview_url_attrs() : printf('href="%s" target="_blank"', esc_attr($site_template->get_active_site_url())); ?>
+			</div>
+
+			<p class="wu-checkout-live-region" role="status" aria-live="polite">
+				<?php // translators: %s is the number of templates found. ?>
+				{{ '<?php echo esc_js(__('%s templates found.', 'ultimate-multisite')); ?>'.replace('%s', gallery.filtered.length) }}
+			</p>
+
+			<div id="wu-site-template-container-grid" class="wu-grid wu-grid-cols-1 sm:wu-grid-cols-2 md:wu-grid-cols-<?php echo esc_attr($cols ?? '3'); ?> wu-gap-4">
+
+				<?php foreach ($sites as $site_template) : ?>
+					<?php /** @var WP_Ultimo\Models\Site $site_template */ ?>
+					<?php
+					if ( ! isset($gallery[ $site_template->get_id() ])) {
+						continue;
+					}
+					?>
+
+					<div
+						id="wu-site-template-<?php echo esc_attr($site_template->get_id()); ?>"
+						class="wu-bg-white wu-border-solid wu-border wu-border-gray-300 wu-shadow-sm wu-p-4 wu-rounded wu-relative"
+						:class="$parent.template_id == <?php echo esc_attr($site_template->get_id()); ?> ? 'wu-selected-template' : ''"
+						v-show="gallery.is_visible(<?php echo esc_attr($site_template->get_id()); ?>)"
+						v-cloak
 					>
-						<img class="wu-site-template-image wu-w-full wu-border-solid wu-border wu-border-gray-300 wu-mb-4 wu-bg-white" src="<?php echo esc_attr($site_template->get_featured_image('wu-thumb-large')); ?>" alt="<?php echo esc_attr($site_template->get_title()); ?>">
-					</a>
 
-				</div>
+						<div class="wu-site-template-image-container wu-relative">
 
-				<h3 class="wu-site-template-title wu-text-lg wu-font-semibold">
+							<a
+							title="<?php esc_attr_e('View Template Preview', 'ultimate-multisite'); ?>"
+							class="wu-site-template-selector wu-cursor-pointer wu-no-underline"
+							<?php $site_template->get_type() === 'site_template' ? $site_template->get_preview_url_attrs() : printf('href="%s" target="_blank"', esc_attr($site_template->get_active_site_url())); ?>
+							>
+								<img class="wu-site-template-image wu-w-full wu-border-solid wu-border wu-border-gray-300 wu-mb-4 wu-bg-white" src="<?php echo esc_attr($site_template->get_featured_image('wu-thumb-large')); ?>" alt="<?php echo esc_attr($site_template->get_title()); ?>" loading="lazy" decoding="async">
+							</a>
 
+						</div>
 
-					<?php echo esc_html($site_template->get_title()); ?>
+						<h3 id="wu-site-template-title-<?php echo esc_attr($site_template->get_id()); ?>" class="wu-site-template-title wu-text-lg wu-font-semibold">
 
-				</h3>
+							<?php echo esc_html($site_template->get_title()); ?>
 
-				<p class="wu-site-template-description wu-text-sm">
+						</h3>
 
+						<p class="wu-site-template-description wu-text-sm">
 
-					<?php echo esc_html($site_template->get_description()); ?>
+							<?php echo esc_html($site_template->get_description()); ?>
 
-				</p>
+						</p>
 
-				<div class="wu-mt-4">
+						<div class="wu-mt-4">
 
-					<button v-on:click.prevent="$parent.template_id = <?php echo esc_attr($site_template->get_id()); ?>" type="button" class="wu-site-template-selector button btn button-primary btn-primary wu-w-full wu-text-center wu-cursor-pointer" :class="$parent.template_id == <?php echo esc_attr($site_template->get_id()); ?> ? 'wu-selected-template-button' : ''">
+							<button v-on:click.prevent="$parent.template_id = <?php echo esc_attr($site_template->get_id()); ?>" type="button" class="wu-site-template-selector button btn button-primary btn-primary wu-w-full wu-text-center wu-cursor-pointer" :class="$parent.template_id == <?php echo esc_attr($site_template->get_id()); ?> ? 'wu-selected-template-button' : ''" :aria-pressed="$parent.template_id == <?php echo esc_attr($site_template->get_id()); ?> ? 'true' : 'false'" aria-describedby="wu-site-template-title-<?php echo esc_attr($site_template->get_id()); ?>">
 
-						<span v-if="$parent.template_id == <?php echo esc_attr($site_template->get_id()); ?>"><?php esc_html_e('Selected', 'ultimate-multisite'); ?></span>
+								<span v-if="$parent.template_id == <?php echo esc_attr($site_template->get_id()); ?>"><?php esc_html_e('Selected', 'ultimate-multisite'); ?></span>
 
-						<span v-else><?php esc_html_e('Select', 'ultimate-multisite'); ?></span>
+								<span v-else><?php esc_html_e('Select', 'ultimate-multisite'); ?></span>
 
-					</button>
+							</button>
 
-				</div>
+						</div>
+
+					</div>
+
+				<?php endforeach; ?>
 
 			</div>
 
-		<?php endforeach; ?>
+			<div v-if="!gallery.filtered.length" v-cloak class="wu-bg-gray-100 wu-p-4 wu-rounded wu-text-center wu-text-sm">
+
+				<?php esc_html_e('No templates match your search.', 'ultimate-multisite'); ?>
+
+				<button type="button" class="wu-border-0 wu-bg-transparent wu-text-blue-600 wu-cursor-pointer wu-text-sm" v-on:click.prevent="gallery.clear()">
+					<?php esc_html_e('Clear filters', 'ultimate-multisite'); ?>
+				</button>
+
+			</div>
+
+			<nav v-if="gallery.page_count > 1" v-cloak class="wu-flex wu-flex-wrap wu-items-center wu-justify-center wu-gap-2 wu-mt-4" aria-label="<?php esc_attr_e('Template pages', 'ultimate-multisite'); ?>">
+
+				<button type="button" class="button btn" :disabled="gallery.page === 1" v-on:click.prevent="gallery.go_to_page(gallery.page - 1)">
+					<?php esc_html_e('Previous', 'ultimate-multisite'); ?>
+				</button>
+
+				<button
+					v-for="page in gallery.page_count"
+					:key="page"
+					type="button"
+					class="button btn"
+					:class="page === gallery.page ? 'button-primary btn-primary' : ''"
+					:aria-current="page === gallery.page ? 'page' : 'false'"
+					<?php // translators: %s is the page number. ?>
+					:aria-label="'<?php echo esc_js(__('Page %s', 'ultimate-multisite')); ?>'.replace('%s', page)"
+					v-on:click.prevent="gallery.go_to_page(page)"
+				>
+					{{ page }}
+				</button>
+
+				<button type="button" class="button btn" :disabled="gallery.page === gallery.page_count" v-on:click.prevent="gallery.go_to_page(gallery.page + 1)">
+					<?php esc_html_e('Next', 'ultimate-multisite'); ?>
+				</button>
+
+			</nav>
+
+		</div>
 
-	</div>
+	</wu-template-gallery>
 
 </div>
@@ -108,7 +108,7 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 
 				</div>
 
-				<ul class="filter-links wp-filter-template">
+				<ul class="filter-links wp-filter-template" aria-label="<?php esc_attr_e('Template categories', 'ultimate-multisite'); ?>">
 
 					<li class="selector-inactive">
 
@@ -116,6 +116,7 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 								href="#"
 								data-category=""
 								:class="$parent.template_category === '' ? 'current' : ''"
+								:aria-current="$parent.template_category === '' ? 'true' : 'false'"
 								v-on:click.prevent="$parent.template_category = ''"
 						>
 
@@ -133,6 +134,7 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 									href="#"
 									data-category="<?php echo esc_attr($customer_sites_category); ?>"
 									:class="$parent.template_category === '<?php echo esc_attr($customer_sites_category); ?>' ? 'current' : ''"
+									:aria-current="$parent.template_category === '<?php echo esc_attr($customer_sites_category); ?>' ? 'true' : 'false'"
 									v-on:click.prevent="$parent.template_category = '<?php echo esc_attr($customer_sites_category); ?>'"
 							>
 
@@ -153,6 +155,7 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 									href="#"
 									data-category="<?php echo esc_attr($category); ?>"
 									:class="$parent.template_category === '<?php echo esc_attr($category); ?>' ? 'current' : ''"
+									:aria-current="$parent.template_category === '<?php echo esc_attr($category); ?>' ? 'true' : 'false'"
 									v-on:click.prevent="$parent.template_category = '<?php echo esc_attr($category); ?>'"
 							>
 
@@ -174,10 +177,7 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 
 				<div class="wu-grid wu-grid-cols-1 sm:wu-grid-cols-2 md:wu-grid-cols-<?php echo esc_attr($cols); ?> wu-gap-4 wp-clearfix">
 
-					<?php
-					$i = 0;
-					foreach ( $sites as $site ) :
-						?>
+					<?php foreach ( $sites as $site ) : ?>
 
 						<?php
 						if ( $site->get_type() !== 'site_template' && ! in_array($site->get_id(), $customer_sites, true) ) {
@@ -192,7 +192,6 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 						<div
 								class="theme"
 								:class="$parent.template_id == <?php echo esc_attr($site->get_id()); ?> ? 'wu-selected-template' : ''"
-								tabindex="<?php echo esc_attr($i); ?>"
 								aria-describedby="<?php echo esc_attr($site->get_id()); ?>-action <?php echo esc_attr($site->get_id()); ?>-name"
 								data-slug="<?php echo esc_attr($site->get_id()); ?>"
 								v-show="!$parent.template_category || <?php echo esc_attr(wp_json_encode($categories)); ?>.join(',').indexOf($parent.template_category) > -1"
@@ -229,6 +228,8 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 											class="button button-primary"
 											:class="$parent.template_id == <?php echo esc_attr($site->get_id()); ?> ? 'wu-selected-template-button' : ''"
 											type="button"
+											:aria-pressed="$parent.template_id == <?php echo esc_attr($site->get_id()); ?> ? 'true' : 'false'"
+											aria-describedby="<?php echo esc_attr($site->get_id()); ?>-name"
 											v-on:click.prevent="$parent.template_id = <?php echo esc_attr($site->get_id()); ?>"
 									>
 
@@ -244,12 +245,7 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 
 						</div>
 
-						<?php
-
-						++$i;
-					endforeach;
-
-					?>
+					<?php endforeach; ?>
 
 				</div>
 
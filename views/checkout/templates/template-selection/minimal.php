@@ -32,13 +32,14 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 ?>
 <div id="wu-site-template-container">
 
-	<ul id="wu-site-template-filter">
+	<ul id="wu-site-template-filter" aria-label="<?php esc_attr_e('Template categories', 'ultimate-multisite'); ?>">
 
 		<li class="wu-site-template-filter-all">
 			<a
 				href="#"
 				data-category=""
 				:class="$parent.template_category === '' ? 'current wu-font-semibold' : ''"
+				:aria-current="$parent.template_category === '' ? 'true' : 'false'"
 				v-on:click.prevent="$parent.template_category = ''"
 			>
 				<?php esc_html_e('All', 'ultimate-multisite'); ?>
@@ -52,6 +53,7 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 					href="#"
 					data-category="<?php echo esc_attr($customer_sites_category); ?>"
 					:class="$parent.template_category === '<?php echo esc_attr($customer_sites_category); ?>' ? 'current wu-font-semibold' : ''"
+					:aria-current="$parent.template_category === '<?php echo esc_attr($customer_sites_category); ?>' ? 'true' : 'false'"
 					v-on:click.prevent="$parent.template_category = '<?php echo esc_attr($customer_sites_category); ?>'"
 				>
 				<?php echo esc_html($customer_sites_category); ?></a>
@@ -68,6 +70,7 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 						href="#"
 						data-category="<?php echo esc_attr($category); ?>"
 						:class="$parent.template_category === '<?php echo esc_attr($category); ?>' ? 'current wu-font-semibold' : ''"
+						:aria-current="$parent.template_category === '<?php echo esc_attr($category); ?>' ? 'true' : 'false'"
 						v-on:click.prevent="$parent.template_category = '<?php echo esc_attr($category); ?>'"
 					>
 					<?php echo esc_html($category); ?></a>
@@ -121,7 +124,7 @@ $customer_sites = isset($customer_sites) ? array_map('intval', $customer_sites)
 
 					<input id="wu-site-template-id-<?php echo esc_attr($site_template->get_id()); ?>" type="radio" name="template_id" v-model="$parent.template_id" value="<?php echo esc_attr($site_template->get_id()); ?>" />
 
-					<a class="wu-site-template-selector" :class="$parent.template_id == <?php echo esc_attr($site_template->get_id()); ?> ? 'wu-selected-template-button' : ''" @click.prevent="" href="#">
+					<a class="wu-site-template-selector" :class="$parent.template_id == <?php echo esc_attr($site_template->get_id()); ?> ? 'wu-selected-template-button' : ''" @click.prevent="$parent.template_id = <?php echo esc_attr($site_template->get_id()); ?>" href="#" tabindex="-1" aria-hidden="true">
 
 						<?php esc_html_e('Select this Template', 'ultimate-multisite'); ?>
 
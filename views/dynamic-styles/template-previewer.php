@@ -15,15 +15,15 @@ body #switcher {
 	color: <?php echo esc_attr($bg_color->isDark() ? '#dfdfdf' : '#555'); ?>;
 }
 
-.responsive a {
+.responsive a, .compare a {
 	color: <?php echo esc_attr($bg_color->isDark() ? '#fff' : '#444'); ?>
 }
 
-.responsive a.active, .responsive a:hover {
+.responsive a.active, .responsive a:hover, .compare a.active, .compare a:hover {
 	color: <?php echo esc_attr($bg_color->isDark() ? '#fff' : '#444'); ?>
 }
 
-.select-template a, .mobile-selector a {
+.select-template a, .mobile-selector a, .wu-compare-pane-choose {
 	background-color: #<?php echo esc_attr($button_bg_color->getHex()); ?>;
 	color: <?php echo esc_attr($button_bg_color->isDark() ? '#fff' : '#444'); ?>;
 }
@@ -124,17 +124,29 @@ do_action('wu_template_previewer_before');
 
 			<?php if ($display_responsive_controls) : ?>
 
-				<div class="responsive">
+				<div class="responsive" role="group" aria-label="<?php esc_attr_e('Device', 'ultimate-multisite'); ?>">
 
-					<a href="#" class="desktop active dashicons-before dashicons-desktop" title="<?php esc_attr_e('View Desktop Version', 'ultimate-multisite'); ?>"></a>
+					<a href="#" role="button" aria-pressed="true" class="desktop active dashicons-before dashicons-desktop" title="<?php esc_attr_e('View Desktop Version', 'ultimate-multisite'); ?>" aria-label="<?php esc_attr_e('View Desktop Version', 'ultimate-multisite'); ?>"></a>
 
-					<a href="#" class="tabletlandscape dashicons-before dashicons-tablet" title="<?php esc_attr_e('View Tablet Landscape (1024x768)', 'ultimate-multisite'); ?>"></a>
+					<a href="#" role="button" aria-pressed="false" class="tabletlandscape dashicons-before dashicons-tablet" title="<?php esc_attr_e('View Tablet Landscape (1024x768)', 'ultimate-multisite'); ?>" aria-label="<?php esc_attr_e('View Tablet Landscape (1024x768)', 'ultimate-multisite'); ?>"></a>
 
-					<a href="#" class="tabletportrait dashicons-before dashicons-tablet" title="<?php esc_attr_e('View Tablet Portrait (768x1024)', 'ultimate-multisite'); ?>"></a>
+					<a href="#" role="button" aria-pressed="false" class="tabletportrait dashicons-before dashicons-tablet" title="<?php esc_attr_e('View Tablet Portrait (768x1024)', 'ultimate-multisite'); ?>" aria-label="<?php esc_attr_e('View Tablet Portrait (768x1024)', 'ultimate-multisite'); ?>"></a>
 
-					<a href="#" class="mobilelandscape dashicons-before dashicons-smartphone" title="<?php esc_attr_e('View Mobile Landscape (800x360)', 'ultimate-multisite'); ?>"></a>
+					<a href="#" role="button" aria-pressed="false" class="mobilelandscape dashicons-before dashicons-smartphone" title="<?php esc_attr_e('View Mobile Landscape (800x360)', 'ultimate-multisite'); ?>" aria-label="<?php esc_attr_e('View Mobile Landscape (800x360)', 'ultimate-multisite'); ?>"></a>
 
-					<a href="#" class="mobileportrait dashicons-before dashicons-smartphone" title="<?php esc_attr_e('View Mobile Portrait (360x800)', 'ultimate-multisite'); ?>"></a>
+					<a href="#" role="button" aria-pressed="false" class="mobileportrait dashicons-before dashicons-smartphone" title="<?php esc_attr_e('View Mobile Portrait (360x800)', 'ultimate-multisite'); ?>" aria-label="<?php esc_attr_e('View Mobile Portrait (360x800)', 'ultimate-multisite'); ?>"></a>
+
+				</div>
+
+			<?php endif; ?>
+
+			<?php if ( ! wu_request('customizer') && count($templates) > 1) : ?>
+
+				<div class="compare">
+
+					<a href="#" id="wu-compare-toggle" role="button" aria-pressed="false" class="dashicons-before dashicons-columns" title="<?php esc_attr_e('Compare Templates Side by Side', 'ultimate-multisite'); ?>" aria-label="<?php esc_attr_e('Compare Templates Side by Side', 'ultimate-multisite'); ?>"></a>
+
+					<a href="#" id="wu-compare-add" role="button" class="dashicons-before dashicons-plus-alt2" title="<?php esc_attr_e('Add a Template to the Comparison', 'ultimate-multisite'); ?>" aria-label="<?php esc_attr_e('Add a Template to the Comparison', 'ultimate-multisite'); ?>" hidden></a>
 
 				</div>
 
@@ -199,6 +211,44 @@ do_action('wu_template_previewer_before');
 
 		<iframe id="iframe" src="<?php echo esc_attr(set_url_scheme(get_home_url($selected_template->get_id()))); ?>" width="100%" height="100%" referrerpolicy="unsafe-url"></iframe>
 
+		<div id="wu-compare" class="wu-compare" hidden></div>
+
+		<template id="wu-compare-pane">
+
+			<div class="wu-compare-pane">
+
+				<div class="wu-compare-pane-header">
+
+					<select class="wu-compare-pane-select" aria-label="<?php esc_attr_e('Template', 'ultimate-multisite'); ?>">
+
+						<?php foreach ($templates as $template) : ?>
+
+							<option value="<?php echo esc_attr($template->get_id()); ?>"><?php echo esc_html($template->get_title()); ?></option>
+
+						<?php endforeach; ?>
+
+					</select>
+
+					<?php if ( ! isset($_GET['switching'])) : // phpcs:ignore WordPress.Security.NonceVerification ?>
+
+						<a href="#" class="wu-compare-pane-choose"><?php echo esc_html($button_text); ?> &rarr;</a>
+
+					<?php endif; ?>
+
+					<a href="#" role="button" class="wu-compare-pane-remove dashicons-before dashicons-no-alt" title="<?php esc_attr_e('Remove from the Comparison', 'ultimate-multisite'); ?>" aria-label="<?php esc_attr_e('Remove from the Comparison', 'ultimate-multisite'); ?>"></a>
+
+				</div>
+
+				<div class="wu-compare-pane-frame">
+
+					<iframe referrerpolicy="unsafe-url"></iframe>
+
+				</div>
+
+			</div>
+
+		</template>
+
 	<?php else : ?>
 
 		<div class="wu-styling">